@@ -1,6 +1,7 @@
 require('dotenv').config();
 const express = require('express');
 const DarajaSDK = require('../src/index');
+const { FileTransactionStore } = DarajaSDK;
 
 const app = express();
 app.use(express.json());
@@ -10,12 +11,13 @@ app.use(express.urlencoded({ extended: true }));
 const daraja = new DarajaSDK({
     consumerKey: process.env.CONSUMER_KEY,
     consumerSecret: process.env.CONSUMER_SECRET,
-    environment: process.env.ENVIRONMENT
+    environment: process.env.ENVIRONMENT,
+    // Signs the callback URL of each STK push, so forged callbacks without the token are refused
+    callbackSecret: process.env.CALLBACK_SECRET,
+    // Records each STK push and updates it when its callback arrives; the file survives restarts
+    store: new FileTransactionStore({ path: process.env.TRANSACTIONS_FILE || 'transactions.json' })
 });
 
-// Store successful transactions
-const transactions = new Map();
-
 // Serve a simple HTML form
 app.get('/', (req, res) => {
     res.send(`
@@ -162,7 +164,8 @@ app.post('/stkPush', async (req, res) => {
             amount,
             callbackUrl: process.env.CALLBACK_URL,
             accountReference: 'Test Payment',
-            transactionDesc: 'Payment for test'
+            transactionDesc: 'Test payment',
+            reference: `web-${Date.now()}`
         });
 
         console.log('Checkout Request ID:', stkPushResponse.CheckoutRequestID);
@@ -176,95 +179,63 @@ app.post('/stkPush', async (req, res) => {
 });
 
 // M-Pesa callback URL
-app.all('/mpesa/callback', express.json({ type: '*/*' }), (req, res) => {
-    try {
-        // Handle browser testing (GET requests)
-        if (req.method === 'GET') {
-            console.log('\n🔍 Test Access Detected');
-            console.log('------------------------');
-            console.log('This is just a test access via browser.');
-            console.log('The actual M-Pesa callback will be a POST request.');
-            console.log('------------------------\n');
-            
-            return res.json({
-                message: "This is the M-Pesa callback URL",
-                note: "The actual callback will be a POST request from M-Pesa",
-                status: "Active and waiting for callbacks"
-            });
-        }
+// Handle browser testing (GET requests)
+app.get('/mpesa/callback', (req, res) => {
+    console.log('\n🔍 Test Access Detected');
+    console.log('------------------------');
+    console.log('This is just a test access via browser.');
+    console.log('The actual M-Pesa callback will be a POST request.');
+    console.log('------------------------\n');
+
+    res.json({
+        message: "This is the M-Pesa callback URL",
+        note: "The actual callback will be a POST request from M-Pesa",
+        status: "Active and waiting for callbacks"
+    });
+});
 
-        // Handle actual M-Pesa callback (POST requests)
+// Handle actual M-Pesa callback (POST requests)
+// The middleware acknowledges M-Pesa before calling the handlers below
+app.post('/mpesa/callback', daraja.createCallbackMiddleware({
+    onCallback: (callback) => {
         console.log('\n📱 M-Pesa Callback Received');
         console.log('============================');
-        
-        // Log the complete raw callback data
-        console.log('\n📄 Complete Callback JSON:');
+        console.log('Status:', callback.success ? '✅ SUCCESS' : '❌ FAILED');
+        console.log('Message:', callback.resultDesc);
+        console.log('Checkout ID:', callback.checkoutRequestId);
+    },
+    onStkSuccess: (callback) => {
+        // The SDK has already marked the stored transaction as completed
+        console.log('\n📝 Payment Details:');
         console.log('------------------------');
-        console.log(JSON.stringify(req.body, null, 2));
-        console.log('------------------------\n');
-
-        if (req.body && req.body.Body && req.body.Body.stkCallback) {
-            const { Body: { stkCallback } } = req.body;
-            const { ResultCode, ResultDesc, CallbackMetadata, CheckoutRequestID } = stkCallback;
-
-            console.log('💰 Parsed Transaction Details:');
-            console.log('------------------------');
-            console.log('Status:', ResultCode === 0 ? '✅ SUCCESS' : '❌ FAILED');
-            console.log('Message:', ResultDesc);
-            console.log('Checkout ID:', CheckoutRequestID);
-
-            if (ResultCode === 0 && CallbackMetadata && CallbackMetadata.Item) {
-                const getMetadataValue = (name) => {
-                    const item = CallbackMetadata.Item.find(item => item.Name === name);
-                    return item ? item.Value : null;
-                };
-
-                const transactionData = {
-                    amount: getMetadataValue('Amount'),
-                    receiptNumber: getMetadataValue('MpesaReceiptNumber'),
-                    transactionDate: getMetadataValue('TransactionDate'),
-                    phoneNumber: getMetadataValue('PhoneNumber')
-                };
-
-                // Store transaction data
-                transactions.set(CheckoutRequestID, {
-                    ...transactionData,
-                    rawCallback: req.body,  // Store the complete callback data
-                    status: 'SUCCESS',
-                    timestamp: new Date().toISOString()
-                });
-
-                console.log('\n📝 Payment Details:');
-                console.log('------------------------');
-                console.log('Amount: KES', transactionData.amount);
-                console.log('Receipt Number:', transactionData.receiptNumber);
-                console.log('Phone Number:', transactionData.phoneNumber);
-                console.log('Transaction Date:', transactionData.transactionDate);
-            }
-        } else {
-            console.log('❌ Invalid or empty callback data received');
-        }
-        
+        console.log('Reference:', callback.transaction && callback.transaction.reference);
+        console.log('Amount: KES', callback.amount);
+        console.log('Receipt Number:', callback.receiptNumber);
+        console.log('Phone Number:', callback.phoneNumber);
+        console.log('Transaction Date:', callback.transactionDate);
         console.log('============================\n');
-
-        res.json({
-            ResultCode: 0,
-            ResultDesc: "Success"
-        });
-    } catch (error) {
+    },
+    onDuplicate: (callback) => {
+        console.log('🔁 Ignoring repeated callback for', callback.checkoutRequestId);
+    },
+    onError: (error, callback, req) => {
         console.error('❌ Error processing callback:', error.message);
         console.log('Raw request body:', req.body);
-        res.json({
-            ResultCode: 0,
-            ResultDesc: "Success"
-        });
     }
-});
+}, {
+    // Only Safaricom's servers may post callbacks in production (ngrok is one proxy in front of the app)
+    allowedIps: process.env.ENVIRONMENT === 'production',
+    trustProxy: 1,
+    // Handle each payment once, even if M-Pesa delivers its callback twice
+    replayGuard: true,
+    // Ask Daraja to confirm a successful payment before recording it
+    verifyStk: true
+}));
 
 // Add an endpoint to check transaction status
-app.get('/transaction/:checkoutRequestId', (req, res) => {
+app.get('/transaction/:checkoutRequestId', async (req, res) => {
     const { checkoutRequestId } = req.params;
-    const transaction = transactions.get(checkoutRequestId);
+    const transaction = await daraja.findTransaction({ checkoutRequestId });
     
     if (transaction) {
         res.json({
@@ -0,0 +1,354 @@
+const errors = require('./errors');
+const { validateParams } = require('./validation');
+
+/**
+ * Turns a YYYYMMDD date into the YYYY-MM-DD form Bill Manager expects
+ * @private
+ * @param {string} date - The date, as normalized by validateParams
+ * @returns {string} The date with dashes
+ */
+function toBillDate(date) {
+  return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+}
+
+/**
+ * Turns a 2547XXXXXXXX number into the 07XXXXXXXX form Bill Manager expects
+ * @private
+ * @param {string} phoneNumber - The normalized phone number
+ * @returns {string} The local phone number
+ */
+function toLocalPhoneNumber(phoneNumber) {
+  return `0${phoneNumber.slice(3)}`;
+}
+
+/**
+ * Validates an invoice and builds the body Bill Manager expects
+ * @private
+ * @param {Object} invoice - Invoice parameters, see {@link BillManager#sendInvoice}
+ * @param {string} operation - SDK method name
+ * @param {string} description - Message prefix
+ * @param {string} [prefix=''] - Prefix of the field names in errors (e.g. 'invoices[2].')
+ * @returns {Object} The invoice body
+ * @throws {ValidationError} If the invoice or its items are invalid
+ */
+function buildInvoice(invoice, operation, description, prefix = '') {
+  const fieldErrors = [];
+  let normalized;
+
+  try {
+    normalized = validateParams('sendInvoice', invoice, description);
+  } catch (error) {
+    if (!(error instanceof errors.ValidationError)) throw error;
+    error.errors.forEach((fieldError) => fieldErrors.push({
+      field: `${prefix}${fieldError.field}`,
+      message: `${prefix}${fieldError.message}`
+    }));
+  }
+
+  const items = (invoice && invoice.invoiceItems) || [];
+  if (!Array.isArray(items)) {
+    fieldErrors.push({ field: `${prefix}invoiceItems`, message: `${prefix}invoiceItems must be an array` });
+  }
+  const invoiceItems = [].concat(items).map((item, index) => {
+    try {
+      const { itemName, amount } = validateParams('invoiceItem', item, description);
+      return { itemName, amount: String(amount) };
+    } catch (error) {
+      if (!(error instanceof errors.ValidationError)) throw error;
+      error.errors.forEach((fieldError) => fieldErrors.push({
+        field: `${prefix}invoiceItems[${index}].${fieldError.field}`,
+        message: `${prefix}invoiceItems[${index}].${fieldError.message}`
+      }));
+      return null;
+    }
+  });
+
+  if (fieldErrors.length > 0) {
+    const message = fieldErrors.map((fieldError) => fieldError.message).join('; ');
+    throw new errors.ValidationError(`${description}: Invalid parameters: ${message}`, {
+      operation,
+      errors: fieldErrors
+    });
+  }
+
+  const body = {
+    externalReference: normalized.externalReference,
+    billedFullName: normalized.billedFullName,
+    billedPhoneNumber: toLocalPhoneNumber(normalized.billedPhoneNumber),
+    billedPeriod: normalized.billedPeriod,
+    invoiceName: normalized.invoiceName,
+    dueDate: toBillDate(normalized.dueDate),
+    accountReference: normalized.accountReference,
+    amount: String(normalized.amount)
+  };
+  if (invoiceItems.length > 0) body.invoiceItems = invoiceItems;
+  return body;
+}
+
+/**
+ * BillManager - Sends invoices through the M-Pesa Bill Manager API and acknowledges their payments.
+ * Available on the SDK as `daraja.billManager`.
+ * @class
+ */
+class BillManager {
+  /**
+   * Create a new BillManager instance
+   * @param {DarajaSDK} sdk - SDK used to send requests, which also holds the configuration
+   */
+  constructor(sdk) {
+    this.sdk = sdk;
+  }
+
+  /**
+   * Onboards the short code to Bill Manager
+   * @async
+   * @param {Object} params - Opt-in parameters
+   * @param {string} params.email - Email address shown on invoices
+   * @param {string} params.officialContact - Phone number shown on invoices
+   * @param {boolean} [params.sendReminders=true] - Whether customers get SMS reminders before the due date
+   * @param {string} [params.logo] - URL of the logo shown on invoices
+   * @param {string} [params.shortCode] - Short code to onboard (defaults to businessShortCode)
+   * @param {string} [params.callbackUrl] - URL payments are reported to (defaults to callbackUrl)
+   * @returns {Promise<Object>} Opt-in response, with the app_key
+   * @throws {DarajaError} If opt-in fails
+   */
+  async optIn(params) {
+    try {
+      return await this.sendOptIn('billManagerOptIn', '/v1/billmanager-invoice/optin', params, 'Bill Manager opt-in failed');
+    } catch (error) {
+      throw errors.toDarajaError(error, 'billManagerOptIn', 'Bill Manager opt-in failed');
+    }
+  }
+
+  /**
+   * Updates the details given when opting in
+   * @async
+   * @param {Object} params - Opt-in parameters, see {@link BillManager#optIn}
+   * @returns {Promise<Object>} Update response
+   * @throws {DarajaError} If the update fails
+   */
+  async updateOptIn(params) {
+    try {
+      return await this.sendOptIn(
+        'billManagerUpdateOptIn',
+        '/v1/billmanager-invoice/change-optin-details',
+        params,
+        'Bill Manager opt-in update failed'
+      );
+    } catch (error) {
+      throw errors.toDarajaError(error, 'billManagerUpdateOptIn', 'Bill Manager opt-in update failed');
+    }
+  }
+
+  /**
+   * Sends an opt-in or opt-in update request
+   * @private
+   * @async
+   * @param {string} operation - SDK method name
+   * @param {string} path - API path
+   * @param {Object} params - Opt-in parameters
+   * @param {string} description - Message prefix
+   * @returns {Promise<Object>} The response
+   */
+  async sendOptIn(operation, path, params, description) {
+    const {
+      email,
+      officialContact,
+      sendReminders = true,
+      logo,
+      shortCode,
+      callbackUrl
+    } = validateParams('billManagerOptIn', params, description);
+
+    const data = {
+      shortcode: shortCode || this.sdk.businessShortCode,
+      email,
+      officialContact: toLocalPhoneNumber(officialContact),
+      sendReminders: sendReminders === false || sendReminders === '0' ? '0' : '1',
+      callbackurl: callbackUrl || this.sdk.callbackUrl
+    };
+    if (logo) data.logo = logo;
+
+    return this.sdk.request({
+      operation,
+      path,
+      overrides: { businessShortCode: shortCode, callbackUrl },
+      data,
+    });
+  }
+
+  /**
+   * Sends an invoice to a customer by SMS
+   * @async
+   * @param {Object} params - Invoice parameters
+   * @param {string} params.externalReference - Your unique reference for the invoice
+   * @param {string} params.billedFullName - Customer's name
+   * @param {string} params.billedPhoneNumber - Customer's phone number
+   * @param {string} params.billedPeriod - Period billed (e.g. 'August 2021')
+   * @param {string} params.invoiceName - Name of the invoice
+   * @param {Date|string} params.dueDate - Due date (YYYYMMDD, YYYY-MM-DD or a Date)
+   * @param {string} params.accountReference - Account number the customer pays to
+   * @param {number} params.amount - Total amount, in whole shillings
+   * @param {Array<{itemName: string, amount: number}>} [params.invoiceItems] - Item lines
+   * @returns {Promise<Object>} Invoice response
+   * @throws {DarajaError} If the invoice cannot be sent
+   */
+  async sendInvoice(params) {
+    try {
+      const data = buildInvoice(params, 'sendInvoice', 'Invoice creation failed');
+
+      return await this.sdk.request({
+        operation: 'sendInvoice',
+        path: '/v1/billmanager-invoice/single-invoicing',
+        data,
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'sendInvoice', 'Invoice creation failed');
+    }
+  }
+
+  /**
+   * Sends several invoices in one request
+   * @async
+   * @param {Array<Object>} invoices - Invoices, each as described in {@link BillManager#sendInvoice}
+   * @returns {Promise<Object>} Invoice response
+   * @throws {DarajaError} If the invoices cannot be sent; a ValidationError lists invalid fields as invoices[i].field
+   */
+  async sendBulkInvoices(invoices) {
+    try {
+      if (!Array.isArray(invoices) || invoices.length === 0) {
+        throw new errors.ValidationError('Bulk invoice creation failed: Invalid parameters: invoices must be a non-empty array', {
+          operation: 'sendBulkInvoices',
+          errors: [{ field: 'invoices', message: 'invoices must be a non-empty array' }]
+        });
+      }
+
+      const fieldErrors = [];
+      const data = invoices.map((invoice, index) => {
+        try {
+          return buildInvoice(invoice, 'sendBulkInvoices', 'Bulk invoice creation failed', `invoices[${index}].`);
+        } catch (error) {
+          if (!(error instanceof errors.ValidationError)) throw error;
+          fieldErrors.push(...error.errors);
+          return null;
+        }
+      });
+
+      if (fieldErrors.length > 0) {
+        const message = fieldErrors.map((fieldError) => fieldError.message).join('; ');
+        throw new errors.ValidationError(`Bulk invoice creation failed: Invalid parameters: ${message}`, {
+          operation: 'sendBulkInvoices',
+          errors: fieldErrors
+        });
+      }
+
+      return await this.sdk.request({
+        operation: 'sendBulkInvoices',
+        path: '/v1/billmanager-invoice/bulk-invoicing',
+        data,
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'sendBulkInvoices', 'Bulk invoice creation failed');
+    }
+  }
+
+  /**
+   * Cancels an invoice that has not been paid
+   * @async
+   * @param {Object} params - Cancellation parameters
+   * @param {string} params.externalReference - Reference the invoice was sent with
+   * @returns {Promise<Object>} Cancellation response
+   * @throws {DarajaError} If the invoice cannot be cancelled
+   */
+  async cancelInvoice(params) {
+    try {
+      const { externalReference } = validateParams('cancelInvoice', params, 'Invoice cancellation failed');
+
+      return await this.sdk.request({
+        operation: 'cancelInvoice',
+        path: '/v1/billmanager-invoice/cancel-single-invoice',
+        data: { externalReference },
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'cancelInvoice', 'Invoice cancellation failed');
+    }
+  }
+
+  /**
+   * Cancels several invoices in one request
+   * @async
+   * @param {string[]} externalReferences - References the invoices were sent with
+   * @returns {Promise<Object>} Cancellation response
+   * @throws {DarajaError} If the invoices cannot be cancelled
+   */
+  async cancelBulkInvoices(externalReferences) {
+    try {
+      if (!Array.isArray(externalReferences) || externalReferences.length === 0
+        || externalReferences.some((reference) => !reference)) {
+        throw new errors.ValidationError(
+          'Bulk invoice cancellation failed: Invalid parameters: externalReferences must be a non-empty array of references',
+          {
+            operation: 'cancelBulkInvoices',
+            errors: [{ field: 'externalReferences', message: 'externalReferences must be a non-empty array of references' }]
+          }
+        );
+      }
+
+      return await this.sdk.request({
+        operation: 'cancelBulkInvoices',
+        path: '/v1/billmanager-invoice/cancel-bulk-invoices',
+        data: externalReferences.map((externalReference) => ({ externalReference: String(externalReference) })),
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'cancelBulkInvoices', 'Bulk invoice cancellation failed');
+    }
+  }
+
+  /**
+   * Acknowledges a payment reported to the Bill Manager callback URL, which sends the
+   * customer an e-receipt and marks the invoice as paid
+   * @async
+   * @param {Object} payment - The payment, as returned by {@link parseBillPayment}
+   * @param {Object} details - Invoice details for the receipt
+   * @param {string} details.fullName - Customer's name
+   * @param {string} details.invoiceName - Name of the invoice that was paid
+   * @param {string} details.externalReference - Reference the invoice was sent with
+   * @returns {Promise<Object>} Acknowledgement response
+   * @throws {DarajaError} If the acknowledgement fails
+   */
+  async acknowledgePayment(payment, details) {
+    try {
+      const params = {
+        ...details,
+        transactionId: payment && payment.transactionId,
+        paidAmount: payment && payment.amount,
+        phoneNumber: payment && payment.phoneNumber,
+        accountReference: payment && payment.accountReference,
+        // The raw dateCreated may carry a time, which the date check refuses; the parsed date does not
+        paymentDate: payment && (payment.transactionDate || payment.paymentDate)
+      };
+      const normalized = validateParams('acknowledgeBillPayment', params, 'Payment acknowledgement failed');
+
+      return await this.sdk.request({
+        operation: 'acknowledgeBillPayment',
+        path: '/v1/billmanager-invoice/reconciliation',
+        data: {
+          paymentDate: toBillDate(normalized.paymentDate),
+          paidAmount: String(normalized.paidAmount),
+          accountReference: normalized.accountReference,
+          transactionId: normalized.transactionId,
+          phoneNumber: toLocalPhoneNumber(normalized.phoneNumber),
+          fullName: normalized.fullName,
+          invoiceName: normalized.invoiceName,
+          externalReference: normalized.externalReference
+        },
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'acknowledgeBillPayment', 'Payment acknowledgement failed');
+    }
+  }
+}
+
+module.exports = {
+  BillManager
+};
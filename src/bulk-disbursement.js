@@ -0,0 +1,396 @@
+const errors = require('./errors');
+const { validateParams } = require('./validation');
+const { parseCsv, normalizeHeader } = require('./csv');
+const { TRANSACTION_STATUSES, transactionFromRequest } = require('./transaction-store');
+
+/**
+ * Outcomes of a recipient in a disbursement report
+ * @type {Object<string, string>}
+ */
+const DISBURSEMENT_STATUSES = {
+  NOT_SENT: 'not_sent',
+  UNKNOWN: 'unknown',
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout'
+};
+
+/**
+ * Recipient columns, by their normalized header, see {@link normalizeHeader}
+ * @private
+ */
+const RECIPIENT_COLUMNS = {
+  phone: 'phoneNumber',
+  phonenumber: 'phoneNumber',
+  msisdn: 'phoneNumber',
+  mobile: 'phoneNumber',
+  amount: 'amount',
+  remarks: 'remarks',
+  occasion: 'occasion',
+  reference: 'reference',
+  ref: 'reference'
+};
+
+/**
+ * Message prefix of the errors thrown while validating recipients
+ * @private
+ */
+const DESCRIPTION = 'Bulk disbursement failed';
+
+/**
+ * Parses a recipients CSV file. The first row holds the headers: phone (or phoneNumber, msisdn,
+ * mobile), amount, reference (or ref), and optionally remarks and occasion. Other columns are ignored.
+ * @param {string} text - The CSV text
+ * @returns {Object[]} The recipients: { phoneNumber, amount, reference, remarks, occasion }, as text
+ * @throws {ValidationError} If the phone, amount or reference column is missing
+ */
+function parseRecipientsCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const fields = header.map((cell) => RECIPIENT_COLUMNS[normalizeHeader(cell)]);
+
+  const missing = ['phoneNumber', 'amount', 'reference'].filter((field) => !fields.includes(field));
+  if (missing.length > 0) {
+    throw new errors.ValidationError(`Invalid recipients file: no ${missing.join(', ')} column`, {
+      operation: 'bulkDisbursement'
+    });
+  }
+
+  return rows.map((cells) => {
+    const recipient = {};
+    fields.forEach((field, index) => {
+      if (field) recipient[field] = (cells[index] || '').trim();
+    });
+    return recipient;
+  });
+}
+
+/**
+ * Works out the report status of a recipient from its stored transaction
+ * @private
+ * @param {Transaction|null} transaction - The transaction, or null if none was saved
+ * @returns {string} One of {@link DISBURSEMENT_STATUSES}
+ */
+function statusOf(transaction) {
+  if (!transaction) return DISBURSEMENT_STATUSES.NOT_SENT;
+  if (transaction.status === TRANSACTION_STATUSES.SENDING) return DISBURSEMENT_STATUSES.UNKNOWN;
+  return transaction.status;
+}
+
+/**
+ * BulkDisbursement - Pays a list of recipients with B2C payments, and can be run again after a
+ * crash without paying anyone twice. Each recipient is saved in the SDK's transaction store
+ * before its payment is sent, under the reference "batchId:reference"; a run only pays recipients
+ * without a transaction. Each payment is sent once, without the SDK's retries. Recipients whose
+ * request failed in a way that may still have reached Daraja (server or network errors) are
+ * reported as unknown and not sent again: check them on the M-Pesa portal, and save their
+ * transaction as failed to have retryFailed send them.
+ *
+ * Results arrive at the result URL, which must be served by the SDK's callback middleware so that
+ * the transactions are updated. Create instances with {@link DarajaSDK#createBulkDisbursement}.
+ * @class
+ */
+class BulkDisbursement {
+  /**
+   * Create a new BulkDisbursement instance
+   * @param {DarajaSDK} sdk - SDK used to send the payments, with a transaction store
+   * @param {Object} options - Disbursement options
+   * @param {string} options.batchId - Identifies the batch; use the same one to resume a run
+   * @param {Object[]|string} options.recipients - Recipients ({ phoneNumber, amount, reference, remarks, occasion }),
+   *   or CSV text, see {@link parseRecipientsCsv}. References must be unique within the batch.
+   * @param {string} [options.commandID='BusinessPayment'] - B2C command: 'BusinessPayment', 'SalaryPayment' or 'PromotionPayment'
+   * @param {number} [options.concurrency=5] - How many payments are sent at once
+   * @param {boolean} [options.checkBalance=true] - Check that the account can cover the payments before sending any
+   * @param {string} [options.balanceAccount='Utility Account'] - Account B2C payments are paid from
+   * @param {number} [options.balanceTimeout=60000] - How long (ms) to wait for the account balance result
+   * @param {boolean} [options.retryFailed=false] - Send failed payments again
+   * @throws {ConfigurationError} If the SDK has no transaction store
+   * @throws {ValidationError} If the options are invalid
+   */
+  constructor(sdk, options = {}) {
+    if (!sdk.store) {
+      throw new errors.ConfigurationError('Missing required configuration for bulkDisbursement: transaction store. Please provide it in the constructor.', {
+        operation: 'bulkDisbursement',
+        missing: ['store']
+      });
+    }
+    if (!options.batchId) {
+      throw new errors.ValidationError(`${DESCRIPTION}: Invalid parameters: batchId is required`, {
+        operation: 'bulkDisbursement',
+        errors: [{ field: 'batchId', message: 'batchId is required' }]
+      });
+    }
+
+    this.sdk = sdk;
+    this.batchId = String(options.batchId);
+    this.recipients = typeof options.recipients === 'string'
+      ? parseRecipientsCsv(options.recipients)
+      : options.recipients || [];
+    this.commandID = options.commandID || 'BusinessPayment';
+    this.concurrency = Math.max(1, options.concurrency || 5);
+    this.checkBalance = options.checkBalance !== false;
+    this.balanceAccount = options.balanceAccount || 'Utility Account';
+    this.balanceTimeout = options.balanceTimeout !== undefined ? options.balanceTimeout : 60 * 1000;
+    this.retryFailed = Boolean(options.retryFailed);
+  }
+
+  /**
+   * Validates every recipient, so that nobody is paid when a row is wrong
+   * @returns {Object[]} The normalized recipients
+   * @throws {ValidationError} Listing the errors of all rows, with field names like 'recipients[2].amount'
+   */
+  validate() {
+    const fieldErrors = [];
+    const references = new Set();
+
+    const recipients = [].concat(this.recipients).map((recipient, index) => {
+      const prefix = `recipients[${index}].`;
+      const { phoneNumber, amount, remarks, occasion, reference } = recipient || {};
+      let normalized = null;
+
+      try {
+        normalized = validateParams('b2c', { phoneNumber, amount, remarks, occasion, commandID: this.commandID }, DESCRIPTION);
+      } catch (error) {
+        if (!(error instanceof errors.ValidationError)) throw error;
+        error.errors.forEach((fieldError) => fieldErrors.push({
+          field: `${prefix}${fieldError.field}`,
+          message: `${prefix}${fieldError.message}`
+        }));
+      }
+
+      const key = reference === undefined || reference === null ? '' : String(reference).trim();
+      if (!key) {
+        fieldErrors.push({ field: `${prefix}reference`, message: `${prefix}reference is required` });
+      } else if (references.has(key)) {
+        fieldErrors.push({ field: `${prefix}reference`, message: `${prefix}reference ${key} is used by another recipient` });
+      }
+      references.add(key);
+
+      return normalized && { ...normalized, reference: key };
+    });
+
+    if (recipients.length === 0) {
+      fieldErrors.push({ field: 'recipients', message: 'recipients must not be empty' });
+    }
+    if (fieldErrors.length > 0) {
+      const message = fieldErrors.map((fieldError) => fieldError.message).join('; ');
+      throw new errors.ValidationError(`${DESCRIPTION}: Invalid parameters: ${message}`, {
+        operation: 'bulkDisbursement',
+        errors: fieldErrors
+      });
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Validates the recipients, checks the balance and pays everyone not paid by an earlier run
+   * @async
+   * @returns {Promise<Object>} The report, see {@link BulkDisbursement#report}. Payments are pending
+   *   until their results arrive; see {@link BulkDisbursement#waitForResults}.
+   * @throws {ValidationError} If a recipient is invalid
+   * @throws {ConfigurationError} If the configuration needed by B2C payments is missing
+   * @throws {DarajaError} If the balance cannot be checked or does not cover the payments
+   */
+  async run() {
+    const recipients = this.validate();
+    this.sdk.validateConfig('b2c');
+
+    const due = [];
+    for (const recipient of recipients) {
+      const transaction = await this.find(recipient);
+      if (!transaction || (this.retryFailed && transaction.status === TRANSACTION_STATUSES.FAILED)) {
+        due.push({ recipient, transaction });
+      }
+    }
+
+    if (this.checkBalance && due.length > 0) {
+      await this.ensureBalance(due.reduce((total, { recipient }) => total + recipient.amount, 0));
+    }
+
+    let next = 0;
+    const worker = async () => {
+      while (next < due.length) {
+        const { recipient, transaction } = due[next];
+        next += 1;
+        await this.pay(recipient, transaction);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, due.length) }, worker));
+
+    return this.report();
+  }
+
+  /**
+   * Builds the report of every recipient from the transaction store
+   * @async
+   * @returns {Promise<Object>} The report: { batchId, items, summary, amount, paidAmount }. Items hold reference,
+   *   phoneNumber, amount, status (see {@link DISBURSEMENT_STATUSES}), receiptNumber, resultCode, resultDesc,
+   *   conversationId and transaction; summary counts the items of each status.
+   * @throws {ValidationError} If a recipient is invalid
+   */
+  async report() {
+    const items = [];
+    for (const recipient of this.validate()) {
+      const transaction = await this.find(recipient);
+      items.push({
+        reference: recipient.reference,
+        phoneNumber: recipient.phoneNumber,
+        amount: recipient.amount,
+        status: statusOf(transaction),
+        receiptNumber: transaction ? transaction.receiptNumber : null,
+        resultCode: transaction ? transaction.resultCode : null,
+        resultDesc: transaction ? transaction.resultDesc : null,
+        conversationId: transaction ? transaction.conversationId : null,
+        transaction
+      });
+    }
+
+    const summary = {};
+    Object.values(DISBURSEMENT_STATUSES).forEach((status) => {
+      summary[status] = items.filter((item) => item.status === status).length;
+    });
+    const total = (list) => list.reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+      batchId: this.batchId,
+      items,
+      summary,
+      amount: total(items),
+      paidAmount: total(items.filter((item) => item.status === DISBURSEMENT_STATUSES.COMPLETED))
+    };
+  }
+
+  /**
+   * Waits until no payment is pending, checking the transaction store at an interval
+   * @async
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeout=300000] - How long (ms) to wait; payments still pending then stay so in the report
+   * @param {number} [options.interval=2000] - Delay (ms) between checks
+   * @returns {Promise<Object>} The report, see {@link BulkDisbursement#report}
+   */
+  async waitForResults(options = {}) {
+    const { timeout = 5 * 60 * 1000, interval = 2 * 1000 } = options;
+    const deadline = Date.now() + timeout;
+
+    let report = await this.report();
+    while (report.summary[DISBURSEMENT_STATUSES.PENDING] > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, Math.min(interval, Math.max(deadline - Date.now(), 0))));
+      report = await this.report();
+    }
+    return report;
+  }
+
+  /**
+   * Gets the stored transaction of a recipient
+   * @private
+   * @async
+   * @param {Object} recipient - The normalized recipient
+   * @returns {Promise<Transaction|null>} The transaction, or null if it was never sent
+   */
+  find(recipient) {
+    return this.sdk.store.find({ reference: this.keyOf(recipient), operation: 'b2c' });
+  }
+
+  /**
+   * Reference of a recipient's transaction, unique across batches
+   * @private
+   * @param {Object} recipient - The normalized recipient
+   * @returns {string} The reference
+   */
+  keyOf(recipient) {
+    return `${this.batchId}:${recipient.reference}`;
+  }
+
+  /**
+   * Checks that the balance account can cover an amount, waiting for the account balance result
+   * @private
+   * @async
+   * @param {number} amount - Amount to pay
+   * @returns {Promise<number>} The available balance
+   * @throws {DarajaError} If the balance is unknown or too low
+   */
+  async ensureBalance(amount) {
+    const response = await this.sdk.accountBalance();
+    const result = await this.sdk.awaitResult(response.ConversationID || response.OriginatorConversationID, {
+      timeout: this.balanceTimeout
+    });
+    if (!result.success) {
+      throw new errors.DarajaError(`Account balance query failed: ${result.resultDesc}`, {
+        operation: 'bulkDisbursement',
+        data: result.raw
+      });
+    }
+
+    const account = (result.balances || []).find((balance) => balance.account === this.balanceAccount);
+    if (!account) {
+      throw new errors.DarajaError(`Account balance result has no ${this.balanceAccount}`, {
+        operation: 'bulkDisbursement',
+        data: result.raw
+      });
+    }
+    if (account.availableBalance < amount) {
+      throw new errors.DarajaError(
+        `Insufficient balance: ${amount} to pay, ${account.availableBalance} available in the ${this.balanceAccount}`,
+        { operation: 'bulkDisbursement', data: { amount, availableBalance: account.availableBalance } }
+      );
+    }
+    return account.availableBalance;
+  }
+
+  /**
+   * Saves a recipient's transaction as sending, then sends the payment. The SDK replaces the
+   * transaction with the pending one once Daraja accepts the request.
+   * @private
+   * @async
+   * @param {Object} recipient - The normalized recipient
+   * @param {Transaction|null} previous - The failed transaction of an earlier attempt, if any
+   */
+  async pay(recipient, previous) {
+    const reference = this.keyOf(recipient);
+    const attempt = previous ? (previous.attempt || 1) + 1 : 1;
+    const reservation = {
+      ...transactionFromRequest({
+        operation: 'b2c',
+        reference,
+        data: { Amount: recipient.amount, PartyB: recipient.phoneNumber },
+        response: null
+      }),
+      status: TRANSACTION_STATUSES.SENDING,
+      batchId: this.batchId,
+      attempt
+    };
+    if (previous) reservation.id = previous.id;
+    await this.sdk.store.save(reservation);
+
+    try {
+      await this.sdk.b2c({
+        phoneNumber: recipient.phoneNumber,
+        amount: recipient.amount,
+        commandID: recipient.commandID,
+        remarks: recipient.remarks,
+        occasion: recipient.occasion,
+        // No idempotency key: it would let the SDK retry a payment Daraja may already have made
+        reference
+      });
+    } catch (error) {
+      if (error instanceof errors.ServerError || error instanceof errors.NetworkError) {
+        // Daraja may have accepted the payment: keep it as sending, so it is never sent again
+        this.sdk.log('warn', 'Disbursement outcome unknown', { operation: 'b2c', reference, errorMessage: error.message });
+        return;
+      }
+      await this.sdk.store.save({
+        ...reservation,
+        status: TRANSACTION_STATUSES.FAILED,
+        resultDesc: error.message,
+        updatedAt: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = {
+  DISBURSEMENT_STATUSES,
+  BulkDisbursement,
+  parseRecipientsCsv
+};
@@ -0,0 +1,188 @@
+const { parseC2BPayment } = require('./callbacks');
+const { ACCEPTED, readBody, sendJson } = require('./middleware');
+const { ValidationError } = require('./errors');
+
+/**
+ * Result codes for rejecting a C2B validation request
+ * @type {Object<string, string>}
+ */
+const C2B_RESULT_CODES = {
+  INVALID_MSISDN: 'C2B00011',
+  INVALID_ACCOUNT_NUMBER: 'C2B00012',
+  INVALID_AMOUNT: 'C2B00013',
+  INVALID_KYC_DETAILS: 'C2B00014',
+  INVALID_SHORTCODE: 'C2B00015',
+  OTHER_ERROR: 'C2B00016'
+};
+
+/**
+ * Builds the response that accepts a C2B validation request
+ * @returns {{ResultCode: string, ResultDesc: string}} The response body
+ */
+function acceptC2B() {
+  return { ResultCode: '0', ResultDesc: 'Accepted' };
+}
+
+/**
+ * Builds the response that rejects a C2B validation request
+ * @param {string} [resultCode='C2B00016'] - One of {@link C2B_RESULT_CODES}
+ * @param {string} [resultDesc='Rejected'] - Description of the rejection
+ * @returns {{ResultCode: string, ResultDesc: string}} The response body
+ */
+function rejectC2B(resultCode = C2B_RESULT_CODES.OTHER_ERROR, resultDesc = 'Rejected') {
+  return { ResultCode: resultCode, ResultDesc: resultDesc };
+}
+
+/**
+ * Turns whatever a validator returned into a validation response
+ * @private
+ * @param {*} decision - The validator's return value
+ * @returns {{ResultCode: string, ResultDesc: string}} The response body
+ */
+function toValidationResponse(decision) {
+  if (decision === undefined || decision === null || decision === true) return acceptC2B();
+  if (decision === false) return rejectC2B();
+  if (typeof decision === 'string') return decision === '0' ? acceptC2B() : rejectC2B(decision);
+  return {
+    ResultCode: String(decision.ResultCode !== undefined ? decision.ResultCode : decision.resultCode),
+    ResultDesc: decision.ResultDesc || decision.resultDesc || 'Rejected'
+  };
+}
+
+/**
+ * Creates a handler for C2B validation requests. The validator receives the
+ * normalized payment and decides whether M-Pesa should complete it. Works as an
+ * Express/Connect middleware and with `http.createServer`.
+ *
+ * The validator may return (or resolve to) `true`/nothing to accept, `false` to
+ * reject with C2B00016, a result code such as `C2B_RESULT_CODES.INVALID_ACCOUNT_NUMBER`,
+ * or the result of {@link acceptC2B}/{@link rejectC2B}. If it throws, the payment is rejected.
+ * @param {Function} validator - Called with (payment, req)
+ * @param {Object} [options] - Handler options
+ * @param {Function} [options.onError] - Called with (error, payment, req) when the validator throws
+ * @param {Object} [options.logger] - Logger whose error method gets the errors when there is no onError handler
+ * @returns {Function} Handler taking (req, res)
+ */
+function createC2BValidationHandler(validator, options = {}) {
+  if (typeof validator !== 'function') {
+    throw new TypeError('createC2BValidationHandler requires a validator function');
+  }
+
+  return async (req, res) => {
+    let payment;
+    try {
+      payment = parseC2BPayment(await parseBody(req));
+      sendJson(res, 200, toValidationResponse(await validator(payment, req)));
+    } catch (error) {
+      sendJson(res, 200, rejectC2B());
+      reportError(options, error, payment, req);
+    }
+  };
+}
+
+/**
+ * Creates a handler for C2B confirmation requests. M-Pesa is acknowledged straight
+ * away and the handler is then called with the normalized payment. Works as an
+ * Express/Connect middleware and with `http.createServer`.
+ * @param {Function} onConfirmation - Called with (payment, req)
+ * @param {Object} [options] - Handler options
+ * @param {Function} [options.onError] - Called with (error, payment, req) when the payload or handler fails
+ * @param {Object} [options.logger] - Logger whose error method gets the errors when there is no onError handler
+ * @returns {Function} Handler taking (req, res)
+ */
+function createC2BConfirmationHandler(onConfirmation, options = {}) {
+  if (typeof onConfirmation !== 'function') {
+    throw new TypeError('createC2BConfirmationHandler requires a confirmation function');
+  }
+
+  return async (req, res) => {
+    let payment;
+    try {
+      payment = parseC2BPayment(await parseBody(req));
+    } catch (error) {
+      sendJson(res, 400, { ResultCode: 1, ResultDesc: 'Rejected' });
+      reportError(options, error, undefined, req);
+      return;
+    }
+
+    sendJson(res, 200, ACCEPTED);
+    setImmediate(async () => {
+      try {
+        await onConfirmation(payment, req);
+      } catch (error) {
+        reportError(options, error, payment, req);
+      }
+    });
+  };
+}
+
+/**
+ * Reads the request body, decodes it as JSON and checks it is a C2B payload
+ * @private
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Object>} The decoded body
+ * @throws {ValidationError} If the body is not a C2B payload
+ */
+async function parseBody(req) {
+  let body = await readBody(req);
+  try {
+    if (typeof body === 'string' || Buffer.isBuffer(body)) body = JSON.parse(body.toString());
+  } catch (error) {
+    throw new ValidationError(`Invalid C2B payload: ${error.message}`, { operation: 'c2b' });
+  }
+  if (!body || typeof body !== 'object' || !('TransAmount' in body)) {
+    throw new ValidationError('Invalid C2B payload', { operation: 'c2b', data: body });
+  }
+  return body;
+}
+
+/**
+ * Passes an error to the onError option, or to the logger if there is none. M-Pesa has
+ * already been answered, so nothing onError throws may escape: its failures are logged too.
+ * @private
+ * @param {Object} options - The handler options
+ * @param {Error} error - The error
+ * @param {Object} [payment] - The parsed payment, if parsing succeeded
+ * @param {http.IncomingMessage} req - The request
+ */
+function reportError(options, error, payment, req) {
+  const receiptNumber = payment ? payment.receiptNumber : undefined;
+  if (typeof options.onError !== 'function') {
+    logError(options, 'M-Pesa C2B handler failed', { errorMessage: error.message, receiptNumber });
+    return;
+  }
+
+  const failed = (failure) => logError(options, 'M-Pesa C2B onError handler failed', {
+    errorMessage: failure && failure.message,
+    receiptNumber
+  });
+  try {
+    Promise.resolve(options.onError(error, payment, req)).catch(failed);
+  } catch (failure) {
+    failed(failure);
+  }
+}
+
+/**
+ * Writes an error to the logger option, if there is one
+ * @private
+ * @param {Object} options - The handler options
+ * @param {string} message - Log message
+ * @param {Object} fields - Log fields
+ */
+function logError(options, message, fields) {
+  if (!options.logger || typeof options.logger.error !== 'function') return;
+  try {
+    options.logger.error(message, fields);
+  } catch (error) {
+    // Logging is best effort
+  }
+}
+
+module.exports = {
+  C2B_RESULT_CODES,
+  acceptC2B,
+  rejectC2B,
+  createC2BValidationHandler,
+  createC2BConfirmationHandler
+};
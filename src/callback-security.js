@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+
+/**
+ * Addresses Safaricom sends callbacks and results from
+ * @type {string[]}
+ */
+const SAFARICOM_IPS = [
+  '196.201.214.200',
+  '196.201.214.206',
+  '196.201.213.114',
+  '196.201.214.207',
+  '196.201.214.208',
+  '196.201.213.44',
+  '196.201.212.127',
+  '196.201.212.138',
+  '196.201.212.129',
+  '196.201.212.136',
+  '196.201.212.74',
+  '196.201.212.69'
+];
+
+/**
+ * Query parameter carrying the token added to callback URLs by {@link signCallbackUrl}
+ * @type {string}
+ */
+const CALLBACK_TOKEN_PARAM = 'mpesa_token';
+
+/**
+ * Age (ms) after which {@link verifyCallbackToken} refuses tokens unless told otherwise. Daraja
+ * sends results within minutes, but retries failed deliveries for a while.
+ * @type {number}
+ */
+const DEFAULT_TOKEN_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields of a parsed callback that identify the request it answers, most specific first
+ * @private
+ */
+const KEY_FIELDS = [
+  'checkoutRequestId',
+  'conversationId',
+  'originatorConversationId',
+  'transactionId',
+  'requestId',
+  'responseRefId',
+  'requestRefId'
+];
+
+/**
+ * Removes the IPv4-mapped IPv6 prefix Node reports for IPv4 clients (e.g. "::ffff:196.201.214.200")
+ * @private
+ * @param {string} ip - The address
+ * @returns {string} The plain address
+ */
+function normalizeIp(ip) {
+  return String(ip || '').trim().replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+/**
+ * Converts an IPv4 address to a number
+ * @private
+ * @param {string} ip - The address
+ * @returns {number|null} The number, or null if the address is not IPv4
+ */
+function ipv4ToNumber(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((number, part) => number * 256 + Number(part), 0);
+}
+
+/**
+ * Works out the address of the client that sent a request. Behind a proxy or load balancer the
+ * socket address is the proxy's, so the X-Forwarded-For header is used instead, but only as far
+ * as trustProxy allows: a client can put anything in that header.
+ * @param {http.IncomingMessage} req - The request
+ * @param {boolean|number} [trustProxy=false] - false to use the socket address, a number of proxies
+ *   in front of the app to take the address they saw, or true to take the first address in the header
+ * @returns {string} The client address
+ */
+function clientIp(req, trustProxy = false) {
+  const socketIp = normalizeIp(req.socket && req.socket.remoteAddress);
+  if (!trustProxy) return socketIp;
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(normalizeIp)
+    .filter(Boolean);
+  if (forwarded.length === 0) return socketIp;
+  if (trustProxy === true) return forwarded[0];
+
+  // Each trusted proxy appended the address it received the request from
+  return forwarded[Math.max(forwarded.length - trustProxy, 0)];
+}
+
+/**
+ * Checks an address against an allowlist of addresses and IPv4 ranges (CIDR, e.g. "196.201.214.0/24")
+ * @param {string} ip - The address
+ * @param {string[]} [allowlist=SAFARICOM_IPS] - Allowed addresses and ranges
+ * @returns {boolean} True if the address is allowed
+ */
+function isIpAllowed(ip, allowlist = SAFARICOM_IPS) {
+  const address = normalizeIp(ip);
+  const number = ipv4ToNumber(address);
+
+  return allowlist.some((entry) => {
+    const [range, bits] = String(entry).split('/');
+    if (bits === undefined) return normalizeIp(range) === address;
+
+    const base = ipv4ToNumber(range);
+    if (number === null || base === null) return false;
+    const size = 2 ** (32 - Number(bits));
+    return Math.floor(number / size) === Math.floor(base / size);
+  });
+}
+
+/**
+ * Computes the signature of a callback token
+ * @private
+ * @param {string} payload - Issue time and nonce
+ * @param {string} path - Path of the callback URL, so that the token is only valid there
+ * @param {string} secret - The callback secret
+ * @returns {string} The signature (hex)
+ */
+function tokenSignature(payload, path, secret) {
+  return crypto.createHmac('sha256', secret).update(`${payload}.${path}`).digest('hex');
+}
+
+/**
+ * Adds a signed token to a callback URL. Only someone who knows the secret can make a URL that
+ * {@link verifyCallbackToken} accepts, so a callback carrying it was sent to a URL you gave
+ * Daraja. The token is bound to the URL path and refused on any other path, but it can be used
+ * again until it expires: use a {@link ReplayGuard} to skip repeated callbacks.
+ * @param {string} url - The callback URL
+ * @param {string} secret - The callback secret
+ * @param {Object} [options] - Signing options
+ * @param {Date} [options.issuedAt=new Date()] - Issue time of the token, checked against maxAge
+ * @returns {string} The URL with the token in its query string
+ */
+function signCallbackUrl(url, secret, options = {}) {
+  const issuedAt = Math.floor((options.issuedAt || new Date()).getTime() / 1000);
+  const payload = `${issuedAt}.${crypto.randomBytes(12).toString('hex')}`;
+  const signed = new URL(url);
+  signed.searchParams.set(CALLBACK_TOKEN_PARAM, `${payload}.${tokenSignature(payload, signed.pathname, secret)}`);
+  return signed.toString();
+}
+
+/**
+ * Checks the token of a callback request URL. The request must arrive on the path the URL was
+ * signed for, so behind a proxy that rewrites paths, pass the path Daraja called.
+ * @param {string} url - The request URL, absolute or relative (e.g. req.originalUrl)
+ * @param {string} secret - The callback secret
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.maxAge=86400000] - Age (ms) after which tokens are refused (Infinity for no limit)
+ * @returns {boolean} True if the URL carries a valid token
+ */
+function verifyCallbackToken(url, secret, options = {}) {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const [issuedAt, nonce, signature] = (searchParams.get(CALLBACK_TOKEN_PARAM) || '').split('.');
+  if (!issuedAt || !nonce || !signature) return false;
+
+  const expected = Buffer.from(tokenSignature(`${issuedAt}.${nonce}`, pathname, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+
+  const maxAge = options.maxAge !== undefined ? options.maxAge : DEFAULT_TOKEN_MAX_AGE;
+  return Date.now() - Number(issuedAt) * 1000 <= maxAge;
+}
+
+/**
+ * Gets the key that identifies a parsed callback, so that repeated deliveries can be told apart
+ * from new ones: the CheckoutRequestID of STK callbacks, the ConversationID of results, and so on
+ * @param {Object} callback - A callback parsed with {@link parseCallback}
+ * @returns {string|null} The key, or null if the callback carries no identifier
+ */
+function callbackKey(callback) {
+  const field = KEY_FIELDS.find((name) => callback[name]);
+  return field ? `${callback.type}:${callback[field]}` : null;
+}
+
+/**
+ * Remembers the callbacks already received, to detect Safaricom delivering one twice or someone
+ * replaying it. Keys are kept in memory; for several processes, pass an object with the same
+ * check method backed by a shared store instead.
+ */
+class ReplayGuard {
+  /**
+   * Create a new ReplayGuard instance
+   * @param {Object} [options] - Guard options
+   * @param {number} [options.ttl=86400000] - How long (ms) a key is remembered
+   * @param {number} [options.maxEntries=10000] - Keys remembered at most; the oldest are forgotten first
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 10000;
+    this.seen = new Map();
+  }
+
+  /**
+   * Records a key
+   * @param {string} key - The key, see {@link callbackKey}
+   * @returns {boolean} True the first time a key is seen, false for repeats
+   */
+  check(key) {
+    const now = Date.now();
+    const seenAt = this.seen.get(key);
+    if (seenAt !== undefined && now - seenAt < this.ttl) return false;
+
+    this.seen.delete(key);
+    this.seen.set(key, now);
+    if (this.seen.size > this.maxEntries) this.seen.delete(this.seen.keys().next().value);
+    return true;
+  }
+}
+
+module.exports = {
+  SAFARICOM_IPS,
+  CALLBACK_TOKEN_PARAM,
+  DEFAULT_TOKEN_MAX_AGE,
+  clientIp,
+  isIpAllowed,
+  signCallbackUrl,
+  verifyCallbackToken,
+  callbackKey,
+  ReplayGuard
+};
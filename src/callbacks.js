@@ -0,0 +1,407 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Result codes Daraja uses when the customer could not be reached or the request expired
+ * @type {number[]}
+ */
+const TIMEOUT_RESULT_CODES = [1037, 1019];
+
+/**
+ * Offset of East Africa Time (UTC+3, no daylight saving) in milliseconds
+ * @private
+ */
+const EAT_OFFSET = 3 * 60 * 60 * 1000;
+
+/**
+ * Parses an M-Pesa timestamp into a Date. M-Pesa sends times in East Africa Time
+ * either as YYYYMMDDHHmmss (string or number) or as "DD.MM.YYYY HH:mm:ss".
+ * @param {string|number} value - The timestamp
+ * @returns {Date|null} The parsed date, or null if the value is not a timestamp
+ */
+function parseMpesaDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  let parts = text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (parts) {
+    parts = parts.slice(1, 7);
+  } else {
+    const dotted = text.match(/^(\d{2})\.(\d{2})\.(\d{4}) (\d{2}):(\d{2}):(\d{2})$/);
+    if (!dotted) return null;
+    parts = [dotted[3], dotted[2], dotted[1], dotted[4], dotted[5], dotted[6]];
+  }
+
+  const [year, month, day, hour, minute, second] = parts.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second) - EAT_OFFSET);
+}
+
+/**
+ * Parses the AccountBalance result parameter into per-account balances.
+ * The value looks like "Working Account|KES|700000.00|700000.00|0.00|0.00&Utility Account|KES|...".
+ * @param {string} value - The AccountBalance string
+ * @returns {Array<Object>} One entry per account
+ */
+function parseAccountBalance(value) {
+  if (!value) return [];
+
+  return String(value)
+    .split('&')
+    .filter(Boolean)
+    .map((entry) => {
+      const [account, currency, currentBalance, availableBalance, reservedBalance, unclearedBalance] = entry.split('|');
+      return {
+        account,
+        currency,
+        currentBalance: toNumber(currentBalance),
+        availableBalance: toNumber(availableBalance),
+        reservedBalance: toNumber(reservedBalance),
+        unclearedBalance: toNumber(unclearedBalance)
+      };
+    });
+}
+
+/**
+ * Converts a value to a number, keeping null for missing values
+ * @private
+ * @param {*} value - The value to convert
+ * @returns {number|null} The number
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Turns a list of { Name, Value } or { Key, Value } items into a plain object
+ * @private
+ * @param {Array<Object>|Object} items - The items, or a single item
+ * @returns {Object} Map of name to value
+ */
+function toMap(items) {
+  if (!items) return {};
+  return [].concat(items).reduce((map, item) => {
+    if (item) map[item.Name || item.Key] = item.Value;
+    return map;
+  }, {});
+}
+
+/**
+ * Splits a public name such as "254722000000 - Jane Doe" into phone number and name
+ * @private
+ * @param {string} value - The public name
+ * @returns {{phoneNumber: string|null, name: string|null}} The parts
+ */
+function splitPublicName(value) {
+  if (!value) return { phoneNumber: null, name: null };
+  const [first, ...rest] = String(value).split(' - ');
+  if (/^\d+$/.test(first.trim())) {
+    return { phoneNumber: first.trim(), name: rest.join(' - ').trim() || null };
+  }
+  return { phoneNumber: null, name: String(value).trim() };
+}
+
+/**
+ * Parses an STK push callback (Body.stkCallback)
+ * @param {Object} payload - The callback body
+ * @returns {Object} The normalized callback
+ */
+function parseStkCallback(payload) {
+  const callback = payload.Body.stkCallback;
+  const metadata = toMap(callback.CallbackMetadata && callback.CallbackMetadata.Item);
+  const resultCode = Number(callback.ResultCode);
+
+  return {
+    type: 'stkPush',
+    success: resultCode === 0,
+    timedOut: TIMEOUT_RESULT_CODES.includes(resultCode),
+    resultCode,
+    resultDesc: callback.ResultDesc,
+    merchantRequestId: callback.MerchantRequestID,
+    checkoutRequestId: callback.CheckoutRequestID,
+    receiptNumber: metadata.MpesaReceiptNumber || null,
+    amount: toNumber(metadata.Amount),
+    phoneNumber: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+    transactionDate: parseMpesaDate(metadata.TransactionDate),
+    balance: toNumber(metadata.Balance),
+    parameters: metadata,
+    raw: payload
+  };
+}
+
+/**
+ * Works out which API produced a Result payload from its result parameters
+ * @private
+ * @param {Object} parameters - Map of result parameters
+ * @returns {string} The operation name, or 'result' if it cannot be told
+ */
+function detectResultType(parameters) {
+  if ('AccountBalance' in parameters) return 'accountBalance';
+  if ('TransactionStatus' in parameters || 'FinalisedTime' in parameters) return 'transactionStatus';
+  if ('OriginalTransactionID' in parameters) return 'reversal';
+  if (Object.keys(parameters).some((key) => key.startsWith('B2C'))) return 'b2c';
+  if ('InitiatorAccountCurrentBalance' in parameters || 'DebitPartyAffectedAccountBalance' in parameters) return 'b2b';
+  return 'result';
+}
+
+/**
+ * Parses an asynchronous result (Result.ResultParameters.ResultParameter) as sent
+ * to the ResultURL by B2C, B2B, reversal, transaction status and account balance
+ * @param {Object} payload - The result body
+ * @param {string} [type] - The expected operation, used when the payload carries no parameters (e.g. failures)
+ * @returns {Object} The normalized result
+ */
+function parseResult(payload, type) {
+  const result = payload.Result;
+  const parameters = toMap(result.ResultParameters && result.ResultParameters.ResultParameter);
+  const referenceData = toMap(result.ReferenceData && result.ReferenceData.ReferenceItem);
+  const resultCode = Number(result.ResultCode);
+  const resultType = type || detectResultType(parameters);
+
+  const parsed = {
+    type: resultType,
+    success: resultCode === 0,
+    timedOut: TIMEOUT_RESULT_CODES.includes(resultCode),
+    resultCode,
+    resultDesc: result.ResultDesc,
+    resultType: result.ResultType,
+    originatorConversationId: result.OriginatorConversationID,
+    conversationId: result.ConversationID,
+    transactionId: result.TransactionID || null,
+    receiptNumber: null,
+    amount: null,
+    phoneNumber: null,
+    transactionDate: null,
+    parameters,
+    referenceData,
+    raw: payload
+  };
+
+  if (resultType === 'b2c') {
+    const receiver = splitPublicName(parameters.ReceiverPartyPublicName);
+    Object.assign(parsed, {
+      receiptNumber: parameters.TransactionReceipt || result.TransactionID || null,
+      amount: toNumber(parameters.TransactionAmount),
+      phoneNumber: receiver.phoneNumber,
+      recipientName: receiver.name,
+      recipientIsRegistered: parameters.B2CRecipientIsRegisteredCustomer === 'Y',
+      transactionDate: parseMpesaDate(parameters.TransactionCompletedDateTime),
+      workingAccountBalance: toNumber(parameters.B2CWorkingAccountAvailableFunds),
+      utilityAccountBalance: toNumber(parameters.B2CUtilityAccountAvailableFunds),
+      chargesPaidAccountBalance: toNumber(parameters.B2CChargesPaidAccountAvailableFunds)
+    });
+  } else if (resultType === 'b2b') {
+    Object.assign(parsed, {
+      receiptNumber: result.TransactionID || null,
+      amount: toNumber(parameters.Amount),
+      transactionDate: parseMpesaDate(parameters.TransCompletedTime),
+      receiverName: parameters.ReceiverPartyPublicName || null,
+      currency: parameters.Currency || null
+    });
+  } else if (resultType === 'reversal') {
+    Object.assign(parsed, {
+      receiptNumber: result.TransactionID || null,
+      originalTransactionId: parameters.OriginalTransactionID || null,
+      amount: toNumber(parameters.Amount),
+      transactionDate: parseMpesaDate(parameters.TransCompletedTime),
+      creditPartyName: parameters.CreditPartyPublicName || null,
+      debitPartyName: parameters.DebitPartyPublicName || null
+    });
+  } else if (resultType === 'transactionStatus') {
+    const debitParty = splitPublicName(parameters.DebitPartyName);
+    Object.assign(parsed, {
+      receiptNumber: parameters.ReceiptNo || null,
+      amount: toNumber(parameters.Amount),
+      phoneNumber: debitParty.phoneNumber,
+      transactionDate: parseMpesaDate(parameters.FinalisedTime),
+      initiatedAt: parseMpesaDate(parameters.InitiatedTime),
+      transactionStatus: parameters.TransactionStatus || null,
+      debitPartyName: parameters.DebitPartyName || null,
+      creditPartyName: parameters.CreditPartyName || null
+    });
+  } else if (resultType === 'accountBalance') {
+    Object.assign(parsed, {
+      balances: parseAccountBalance(parameters.AccountBalance),
+      transactionDate: parseMpesaDate(parameters.BOCompletedTime)
+    });
+  }
+
+  return parsed;
+}
+
+/**
+ * Parses a C2B validation or confirmation request
+ * @param {Object} payload - The request body
+ * @returns {Object} The normalized payment
+ */
+function parseC2BPayment(payload) {
+  const names = [payload.FirstName, payload.MiddleName, payload.LastName].filter(Boolean);
+
+  return {
+    type: 'c2b',
+    success: true,
+    timedOut: false,
+    transactionType: payload.TransactionType || null,
+    transactionId: payload.TransID || null,
+    receiptNumber: payload.TransID || null,
+    transactionDate: parseMpesaDate(payload.TransTime),
+    amount: toNumber(payload.TransAmount),
+    businessShortCode: payload.BusinessShortCode ? String(payload.BusinessShortCode) : null,
+    billRefNumber: payload.BillRefNumber || null,
+    invoiceNumber: payload.InvoiceNumber || null,
+    orgAccountBalance: toNumber(payload.OrgAccountBalance),
+    thirdPartyTransId: payload.ThirdPartyTransID || null,
+    phoneNumber: payload.MSISDN ? String(payload.MSISDN) : null,
+    firstName: payload.FirstName || null,
+    middleName: payload.MiddleName || null,
+    lastName: payload.LastName || null,
+    name: names.length > 0 ? names.join(' ') : null,
+    raw: payload
+  };
+}
+
+/**
+ * Parses a Ratiba standing order callback (ResponseHeader and ResponseBody.responseData)
+ * @param {Object} payload - The callback body
+ * @returns {Object} The normalized callback
+ */
+function parseStandingOrderCallback(payload) {
+  const header = payload.ResponseHeader || {};
+  const data = [].concat((payload.ResponseBody && payload.ResponseBody.responseData) || [])
+    .reduce((map, item) => {
+      if (item) map[item.name || item.Name] = item.value !== undefined ? item.value : item.Value;
+      return map;
+    }, {});
+  const resultCode = Number(header.responseCode);
+
+  return {
+    type: 'standingOrder',
+    success: resultCode === 0,
+    timedOut: TIMEOUT_RESULT_CODES.includes(resultCode),
+    resultCode,
+    resultDesc: header.responseDescription,
+    requestRefId: header.requestRefID || null,
+    responseRefId: header.responseRefID || null,
+    transactionId: data.TransactionID || null,
+    receiptNumber: data.TransactionID || null,
+    standingOrderStatus: data.Status || null,
+    amount: null,
+    phoneNumber: data.Msisdn ? String(data.Msisdn) : null,
+    transactionDate: null,
+    parameters: data,
+    raw: payload
+  };
+}
+
+/**
+ * Parses a B2B express checkout (USSD push) callback
+ * @param {Object} payload - The callback body
+ * @returns {Object} The normalized callback
+ */
+function parseB2BExpressCheckoutCallback(payload) {
+  const resultCode = Number(payload.resultCode);
+
+  return {
+    type: 'b2bExpressCheckout',
+    success: resultCode === 0,
+    timedOut: TIMEOUT_RESULT_CODES.includes(resultCode),
+    resultCode,
+    resultDesc: payload.resultDesc,
+    requestId: payload.requestId || null,
+    conversationId: payload.conversationID || null,
+    transactionId: payload.transactionId || null,
+    receiptNumber: payload.transactionId || null,
+    status: payload.status || null,
+    paymentReference: payload.paymentReference || null,
+    amount: toNumber(payload.amount),
+    phoneNumber: null,
+    transactionDate: null,
+    raw: payload
+  };
+}
+
+/**
+ * Parses a Bill Manager payment notification, sent when a customer pays an invoice
+ * @param {Object} payload - The callback body
+ * @returns {Object} The normalized payment
+ */
+function parseBillPayment(payload) {
+  return {
+    type: 'billPayment',
+    success: true,
+    timedOut: false,
+    transactionId: payload.transactionId || null,
+    receiptNumber: payload.transactionId || null,
+    amount: toNumber(payload.paidAmount),
+    phoneNumber: payload.msisdn ? String(payload.msisdn) : null,
+    accountReference: payload.accountReference || null,
+    shortCode: payload.shortCode ? String(payload.shortCode) : null,
+    paymentDate: payload.dateCreated || null,
+    transactionDate: parseBillDate(payload.dateCreated),
+    raw: payload
+  };
+}
+
+/**
+ * Parses a Bill Manager date ("YYYY-MM-DD", optionally followed by a time) as East Africa Time
+ * @private
+ * @param {string} value - The date
+ * @returns {Date|null} The parsed date
+ */
+function parseBillDate(value) {
+  const parts = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2}))?/);
+  if (!parts) return null;
+  return parseMpesaDate(parts.slice(1, 4).join('') + (parts[4] ? parts.slice(4, 7).join('') : '000000'));
+}
+
+/**
+ * Detects the kind of M-Pesa callback or result payload and returns a normalized object
+ * @param {Object|string} payload - The request body, parsed or as a JSON string
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.type] - Expected result type ('b2c', 'b2b', 'reversal', 'transactionStatus', 'accountBalance')
+ * @returns {Object} The normalized callback
+ * @throws {ValidationError} If the payload is not a recognized M-Pesa callback
+ */
+function parseCallback(payload, options = {}) {
+  let body = payload;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    try {
+      body = JSON.parse(body.toString());
+    } catch (error) {
+      throw new ValidationError(`Invalid callback payload: ${error.message}`, { operation: 'parseCallback' });
+    }
+  }
+
+  if (body && body.Body && body.Body.stkCallback) return parseStkCallback(body);
+  if (body && body.Result) return parseResult(body, options.type);
+  if (body && 'TransAmount' in body && 'BusinessShortCode' in body) return parseC2BPayment(body);
+  if (body && body.ResponseHeader && body.ResponseBody) return parseStandingOrderCallback(body);
+  if (body && 'resultCode' in body && 'requestId' in body) return parseB2BExpressCheckoutCallback(body);
+  if (body && 'paidAmount' in body && 'transactionId' in body) return parseBillPayment(body);
+
+  throw new ValidationError('Unrecognized callback payload', { operation: 'parseCallback', data: body });
+}
+
+/**
+ * Gets the kind of a parsed callback. Failed results often carry no parameters and parse as
+ * 'result'; the stored transaction they answer (callback.transaction) still knows their operation.
+ * @param {Object} callback - A callback parsed with {@link parseCallback}
+ * @returns {string} The callback type, or the SDK method of the transaction it answers
+ */
+function callbackType(callback) {
+  return callback.type === 'result' && callback.transaction ? callback.transaction.operation : callback.type;
+}
+
+module.exports = {
+  TIMEOUT_RESULT_CODES,
+  parseCallback,
+  callbackType,
+  parseStkCallback,
+  parseResult,
+  parseC2BPayment,
+  parseStandingOrderCallback,
+  parseB2BExpressCheckoutCallback,
+  parseBillPayment,
+  parseAccountBalance,
+  parseMpesaDate
+};
@@ -0,0 +1,85 @@
+const { STK_TRANSACTION_TYPES } = require('./stk');
+const { STANDING_ORDER_TRANSACTION_TYPES } = require('./standing-order');
+
+/**
+ * Transaction types that pay into a till rather than a paybill
+ * @private
+ */
+const BUY_GOODS_TYPES = [STK_TRANSACTION_TYPES.BUY_GOODS, STANDING_ORDER_TRANSACTION_TYPES.BUY_GOODS];
+
+/**
+ * Human readable names of the configuration options, used in error messages
+ * @type {Object<string, string>}
+ */
+const CONFIG_LABELS = {
+  consumerKey: 'Consumer Key',
+  consumerSecret: 'Consumer Secret',
+  businessShortCode: 'Business Short Code',
+  storeNumber: 'Store Number',
+  tillNumber: 'Till Number',
+  passKey: 'Pass Key',
+  callbackUrl: 'Callback URL',
+  initiatorName: 'Initiator Name',
+  securityCredential: 'Security Credential',
+  resultUrl: 'Result URL',
+  timeoutUrl: 'Timeout URL'
+};
+
+const CREDENTIALS = ['consumerKey', 'consumerSecret'];
+const INITIATOR = [...CREDENTIALS, 'businessShortCode', 'initiatorName', 'securityCredential', 'resultUrl', 'timeoutUrl'];
+
+/**
+ * Configuration each operation needs before it can be called
+ * @type {Object<string, string[]>}
+ */
+const OPERATION_REQUIREMENTS = {
+  generateToken: CREDENTIALS,
+  stkPush: [...CREDENTIALS, 'businessShortCode', 'passKey', 'callbackUrl'],
+  stkPushQuery: [...CREDENTIALS, 'businessShortCode', 'passKey'],
+  c2bRegisterUrl: [...CREDENTIALS, 'businessShortCode', 'callbackUrl'],
+  c2bSimulate: [...CREDENTIALS, 'businessShortCode'],
+  generateQrCode: CREDENTIALS,
+  createStandingOrder: [...CREDENTIALS, 'businessShortCode', 'callbackUrl'],
+  billManagerOptIn: [...CREDENTIALS, 'businessShortCode', 'callbackUrl'],
+  billManagerUpdateOptIn: [...CREDENTIALS, 'businessShortCode', 'callbackUrl'],
+  sendInvoice: CREDENTIALS,
+  sendBulkInvoices: CREDENTIALS,
+  cancelInvoice: CREDENTIALS,
+  cancelBulkInvoices: CREDENTIALS,
+  acknowledgeBillPayment: CREDENTIALS,
+  b2c: INITIATOR,
+  b2b: INITIATOR,
+  businessPayBill: INITIATOR,
+  b2cAccountTopUp: INITIATOR,
+  b2bExpressCheckout: [...CREDENTIALS, 'businessShortCode', 'callbackUrl'],
+  transactionStatus: INITIATOR,
+  accountBalance: INITIATOR,
+  reversal: INITIATOR
+};
+
+/**
+ * Lists the configuration options an operation needs but that are not set
+ * @param {Object} config - Object holding the configuration (usually the SDK instance)
+ * @param {string} operation - SDK method name
+ * @param {Object} [overrides] - Values passed for this call only, which take the place of the configuration
+ * @returns {string[]} Names of the missing options
+ */
+function missingConfig(config, operation, overrides = {}) {
+  const buyGoods = BUY_GOODS_TYPES.includes(overrides.transactionType || config.transactionType);
+  let requirements = OPERATION_REQUIREMENTS[operation] || CREDENTIALS;
+  // Buy Goods STK pushes pay into a till, and the store number can sign in place of the short code
+  if (buyGoods && operation === 'stkPush') requirements = [...requirements, 'tillNumber'];
+  // Buy Goods standing orders are paid to the till instead of the short code
+  if (buyGoods && operation === 'createStandingOrder') {
+    requirements = requirements.map((key) => (key === 'businessShortCode' ? 'tillNumber' : key));
+  }
+
+  return requirements.filter((key) => !overrides[key] && !config[key]
+    && !(buyGoods && key === 'businessShortCode' && config.storeNumber));
+}
+
+module.exports = {
+  CONFIG_LABELS,
+  OPERATION_REQUIREMENTS,
+  missingConfig
+};
@@ -0,0 +1,57 @@
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells with commas, line breaks and doubled
+ * quotes, and skips blank lines and the byte order mark spreadsheets add.
+ * @param {string} text - The CSV text
+ * @returns {string[][]} The rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const source = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) rows.push([...row, cell]);
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * Normalizes a CSV header for matching: lower case letters and digits only ("A/C No." becomes "acno")
+ * @param {string} header - The header cell
+ * @returns {string} The normalized header
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = {
+  parseCsv,
+  normalizeHeader
+};
@@ -0,0 +1,197 @@
+/**
+ * DarajaError - Base class for all errors thrown by the SDK
+ * @class
+ * @extends Error
+ */
+class DarajaError extends Error {
+  /**
+   * Create a new DarajaError instance
+   * @param {string} message - Human readable error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.operation] - SDK method that failed (e.g. 'stkPush')
+   * @param {number} [details.statusCode] - HTTP status returned by Daraja
+   * @param {string} [details.errorCode] - Daraja error code (e.g. '400.002.02')
+   * @param {string} [details.requestId] - Daraja request ID
+   * @param {string} [details.errorMessage] - Daraja error message
+   * @param {*} [details.data] - The original response body
+   * @param {Error} [details.cause] - The underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.operation = details.operation;
+    this.statusCode = details.statusCode;
+    this.errorCode = details.errorCode;
+    this.requestId = details.requestId;
+    this.errorMessage = details.errorMessage;
+    this.data = details.data;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+/**
+ * Thrown when credentials are rejected or an access token cannot be obtained
+ * @class
+ * @extends DarajaError
+ */
+class AuthenticationError extends DarajaError {}
+
+/**
+ * Thrown when Daraja or the SDK rejects the request parameters
+ * @class
+ * @extends DarajaError
+ */
+class ValidationError extends DarajaError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [details] - Error details, see {@link DarajaError}
+   * @param {Array<{field: string, message: string}>} [details.errors] - Individual field errors
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.errors = details.errors || [];
+  }
+}
+
+/**
+ * Thrown when Daraja throttles the request (HTTP 429 / spike arrest)
+ * @class
+ * @extends DarajaError
+ */
+class RateLimitError extends DarajaError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [details] - Error details, see {@link DarajaError}
+   * @param {number} [details.retryAfter] - Seconds to wait before retrying, from the Retry-After header
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/**
+ * Thrown when an operation is called without the configuration it needs
+ * @class
+ * @extends DarajaError
+ */
+class ConfigurationError extends DarajaError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [details] - Error details, see {@link DarajaError}
+   * @param {string[]} [details.missing] - Names of the missing configuration options
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.missing = details.missing || [];
+  }
+}
+
+/**
+ * Thrown when Daraja responds with a 5xx status
+ * @class
+ * @extends DarajaError
+ */
+class ServerError extends DarajaError {}
+
+/**
+ * Thrown when no response was received from Daraja (timeouts, DNS or socket errors)
+ * @class
+ * @extends DarajaError
+ */
+class NetworkError extends DarajaError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [details] - Error details, see {@link DarajaError}
+   * @param {string} [details.code] - System error code (e.g. 'ECONNRESET')
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code;
+  }
+}
+
+/**
+ * Thrown when a callback fails an authenticity check: unknown source address, missing or
+ * invalid token, or a claimed payment Daraja does not confirm
+ * @class
+ * @extends DarajaError
+ */
+class CallbackVerificationError extends DarajaError {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [details] - Error details, see {@link DarajaError}
+   * @param {string} [details.reason] - Failed check: 'ip', 'token' or 'verification'
+   * @param {string} [details.ip] - Address the callback came from
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.reason = details.reason;
+    this.ip = details.ip;
+  }
+}
+
+/**
+ * Picks the error class matching an HTTP status
+ * @private
+ * @param {number} status - HTTP status code
+ * @param {string} operation - SDK method that failed
+ * @returns {Function} Error class
+ */
+function errorClassForStatus(status, operation) {
+  if (status === 401 || status === 403) return AuthenticationError;
+  // The OAuth endpoint answers bad credentials with a 400
+  if (operation === 'generateToken' && status < 500 && status !== 429) return AuthenticationError;
+  if (status === 429) return RateLimitError;
+  if (status === 400) return ValidationError;
+  if (status >= 500) return ServerError;
+  return DarajaError;
+}
+
+/**
+ * Converts an error raised while calling Daraja into a typed SDK error
+ * @param {Error} error - The error thrown by the HTTP client
+ * @param {string} operation - SDK method that failed (e.g. 'stkPush')
+ * @param {string} description - Message prefix (e.g. 'STK push failed')
+ * @returns {DarajaError} The typed error. SDK errors are returned unchanged.
+ */
+function toDarajaError(error, operation, description) {
+  if (error instanceof DarajaError) return error;
+
+  const { response } = error;
+  if (!response) {
+    const ErrorClass = error.request || error.code ? NetworkError : DarajaError;
+    return new ErrorClass(`${description}: ${error.message}`, {
+      operation,
+      code: error.code,
+      cause: error
+    });
+  }
+
+  const data = response.data && typeof response.data === 'object' ? response.data : {};
+  const ErrorClass = errorClassForStatus(response.status, operation);
+  const retryAfter = response.headers && Number(response.headers['retry-after']);
+
+  return new ErrorClass(`${description}: ${data.errorMessage || error.message}`, {
+    operation,
+    statusCode: response.status,
+    errorCode: data.errorCode,
+    requestId: data.requestId,
+    errorMessage: data.errorMessage,
+    data: response.data,
+    retryAfter: retryAfter || undefined,
+    cause: error
+  });
+}
+
+module.exports = {
+  DarajaError,
+  AuthenticationError,
+  ValidationError,
+  RateLimitError,
+  ConfigurationError,
+  ServerError,
+  NetworkError,
+  CallbackVerificationError,
+  toDarajaError
+};
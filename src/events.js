@@ -0,0 +1,58 @@
+const { callbackType } = require('./callbacks');
+
+/**
+ * Events emitted by DarajaSDK
+ * @type {Object<string, string>}
+ */
+const DARAJA_EVENTS = {
+  REQUEST: 'request',
+  ACCEPTED: 'accepted',
+  PAYMENT_COMPLETED: 'payment.completed',
+  PAYMENT_FAILED: 'payment.failed',
+  B2C_RESULT: 'b2c.result',
+  REVERSAL_RESULT: 'reversal.result',
+  TIMEOUT: 'timeout',
+  TOKEN_REFRESHED: 'token.refreshed'
+};
+
+/**
+ * Callback types, and SDK methods of stored transactions, that move money
+ * @private
+ */
+const PAYMENT_TYPES = [
+  'stkPush',
+  'c2b',
+  'b2c',
+  'b2b',
+  'businessPayBill',
+  'b2cAccountTopUp',
+  'b2bExpressCheckout',
+  'standingOrder',
+  'createStandingOrder',
+  'billPayment'
+];
+
+/**
+ * Works out the events a parsed callback triggers. Timed out requests only trigger timeout;
+ * payments trigger payment.completed or payment.failed, and B2C and reversal results their
+ * own event as well.
+ * @param {Object} callback - A callback parsed with {@link parseCallback}
+ * @returns {string[]} The event names
+ */
+function callbackEvents(callback) {
+  if (callback.timedOut) return [DARAJA_EVENTS.TIMEOUT];
+
+  const type = callbackType(callback);
+  const events = [];
+  if (PAYMENT_TYPES.includes(type)) {
+    events.push(callback.success ? DARAJA_EVENTS.PAYMENT_COMPLETED : DARAJA_EVENTS.PAYMENT_FAILED);
+  }
+  if (type === 'b2c') events.push(DARAJA_EVENTS.B2C_RESULT);
+  if (type === 'reversal') events.push(DARAJA_EVENTS.REVERSAL_RESULT);
+  return events;
+}
+
+module.exports = {
+  DARAJA_EVENTS,
+  callbackEvents
+};
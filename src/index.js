@@ -1,11 +1,120 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { TokenManager, isInvalidTokenError } = require('./token-manager');
+const errors = require('./errors');
+const callbacks = require('./callbacks');
+const middleware = require('./middleware');
+const c2b = require('./c2b');
+const {
+  STK_STATUSES, STK_TRANSACTION_TYPES, stkStatusFromResultCode, isStkPending
+} = require('./stk');
+const { validateParams, normalizePhoneNumber } = require('./validation');
+const { loadCertificate, generateSecurityCredential } = require('./security-credential');
+const { QR_TRANSACTION_CODES, qrCodeToDataUri, saveQrCode } = require('./qr-code');
+const {
+  STANDING_ORDER_FREQUENCIES,
+  STANDING_ORDER_TRANSACTION_TYPES,
+  receiverIdentifierType
+} = require('./standing-order');
+const { BillManager } = require('./bill-manager');
+const { createHttpsTransport, createFetchTransport, createHttpError } = require('./transport');
+const { REDACTED, redact, darajaIds } = require('./logging');
+const {
+  DEFAULT_RETRY_POLICY, READ_ONLY_OPERATIONS, resolveRetryPolicy, withRetry
+} = require('./retry');
+const { RateLimiter } = require('./rate-limiter');
+const { MOCK_OUTCOMES, MockDarajaServer } = require('./mock-server');
+const {
+  SAFARICOM_IPS, clientIp, isIpAllowed, signCallbackUrl, verifyCallbackToken, callbackKey, ReplayGuard
+} = require('./callback-security');
+const {
+  TRANSACTION_STATUSES,
+  TRACKED_OPERATIONS,
+  MemoryTransactionStore,
+  FileTransactionStore,
+  transactionFromRequest,
+  transactionFromC2BPayment,
+  applyCallback,
+  correlationQueries
+} = require('./transaction-store');
+const { DARAJA_EVENTS, callbackEvents } = require('./events');
+const reconciliation = require('./reconciliation');
+const { DISBURSEMENT_STATUSES, BulkDisbursement, parseRecipientsCsv } = require('./bulk-disbursement');
+const { CONFIG_LABELS, OPERATION_REQUIREMENTS, missingConfig } = require('./config');
 require('dotenv').config();
 
 /**
- * DarajaSDK - A class for interacting with the Safaricom M-Pesa Daraja API
+ * Number of idempotency keys remembered by each SDK instance
+ * @private
+ */
+const MAX_IDEMPOTENCY_KEYS = 1000;
+
+/**
+ * Number of early callbacks (and early results) kept for a late waiter
+ * @private
+ */
+const MAX_EARLY_CALLBACKS = 100;
+
+/**
+ * Keeps a callback that arrived before anyone waited for it, dropping the oldest when full
+ * @private
+ * @param {Map} early - Early callbacks by identifier
+ * @param {string} id - Identifier the waiter will ask for
+ * @param {Object} callback - The parsed callback
+ */
+function keepEarly(early, id, callback) {
+  early.set(id, callback);
+  if (early.size > MAX_EARLY_CALLBACKS) {
+    early.delete(early.keys().next().value);
+  }
+}
+
+/**
+ * Path of a URL, used to name the endpoint in logs
+ * @private
+ * @param {string} url - The URL
+ * @returns {string} The path
+ */
+function endpointOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Synchronous acknowledgement of a request whose result is sent to the ResultURL later
+ * @typedef {Object} AsyncRequestResponse
+ * @property {string} OriginatorConversationID - Your reference for the request
+ * @property {string} ConversationID - M-Pesa's reference for the request, repeated in the result
+ * @property {string} ResponseCode - '0' when the request was accepted
+ * @property {string} ResponseDescription - Description of the response code
+ */
+
+/**
+ * Acknowledgement of a B2B express checkout USSD push
+ * @typedef {Object} B2BExpressCheckoutResponse
+ * @property {string} code - '0' when the USSD prompt was sent
+ * @property {string} status - Description, e.g. 'USSD Initiated Successfully'
+ */
+
+/**
+ * DarajaSDK - A class for interacting with the Safaricom M-Pesa Daraja API.
+ *
+ * Emits payment lifecycle events (see {@link DARAJA_EVENTS}):
+ * - `request` ({ operation, reference, data }) before a request is sent, with credentials masked
+ * - `accepted` ({ operation, reference, response, transaction }) when Daraja accepts a payment
+ * - `payment.completed` and `payment.failed` (callback) when a payment callback or result arrives
+ * - `b2c.result` and `reversal.result` (callback) for B2C and reversal results
+ * - `timeout` (callback) instead of the events above when the request timed out
+ * - `token.refreshed` ({ expiresAt }) when a new access token is stored
+ *
+ * Callback events come from {@link DarajaSDK#receiveCallback}, which the SDK's callback middleware calls.
  * @class
+ * @extends EventEmitter
  */
-class DarajaSDK {
+class DarajaSDK extends EventEmitter {
   /**
    * Create a new DarajaSDK instance
    * @param {Object} config - Configuration options
@@ -13,128 +122,556 @@ class DarajaSDK {
    * @param {string} [config.consumerSecret] - The consumer secret from the Daraja API
    * @param {string} [config.environment='sandbox'] - The API environment ('sandbox' or 'production')
    * @param {string} [config.businessShortCode] - The business short code (till/paybill number)
+   * @param {string} [config.storeNumber] - The store (head office) number that signs Buy Goods STK pushes (defaults to businessShortCode)
+   * @param {string} [config.tillNumber] - The till number Buy Goods STK pushes pay into
+   * @param {string} [config.transactionType] - Default STK push type ('CustomerPayBillOnline', or 'CustomerBuyGoodsOnline' when a till number is set)
    * @param {string} [config.passKey] - The pass key for generating security credentials
    * @param {string} [config.callbackUrl] - The URL where M-Pesa will send payment notifications
+   * @param {string} [config.callbackSecret] - Secret used to sign the callback, result and timeout URLs of each request,
+   *   see {@link signCallbackUrl}
    * @param {string} [config.timeoutUrl] - The URL where M-Pesa will send timeout notifications
    * @param {string} [config.resultUrl] - The URL where M-Pesa will send results
    * @param {string} [config.initiatorName] - The name of the initiator for B2B/B2C transactions
    * @param {string} [config.securityCredential] - The security credential for B2B/B2C transactions
+   * @param {string} [config.initiatorPassword] - The initiator password, used to generate the security credential when none is given
+   * @param {string} [config.certificatePath] - Path to Safaricom's public certificate (defaults to the bundled one for the environment)
+   * @param {string|Buffer} [config.certificate] - Safaricom's public certificate itself (PEM or DER)
+   * @param {number} [config.tokenRefreshMargin=60000] - How long (ms) before expiry the access token is refreshed
+   * @param {Transport} [config.transport] - Sends the HTTP requests (defaults to a transport on Node's https module)
+   * @param {number} [config.timeout=30000] - Time (ms) after which a request is aborted
+   * @param {Object<string, number>} [config.timeouts] - Timeouts for specific operations (e.g. { stkPushQuery: 5000 })
+   * @param {http.Agent} [config.agent] - Agent passed to the transport (keep-alive, proxies)
+   * @param {string} [config.baseUrl] - API base URL, overriding the one picked by environment (e.g. a local mock server)
+   * @param {Object|boolean} [config.retry] - Retry policy (see DEFAULT_RETRY_POLICY) with optional per operation
+   *   settings in `operations`, or false to never retry
+   * @param {Object|RateLimiter} [config.rateLimit] - Queues requests to stay within Daraja's limits: options of
+   *   a {@link RateLimiter}, or a limiter shared with other instances
+   * @param {Object} [config.hooks] - Request hooks, see {@link DarajaSDK#use}
+   * @param {Object} [config.logger] - Logger with debug, info, warn and error methods (e.g. console, pino, winston)
+   * @param {TransactionStore} [config.store] - Records accepted payments and the callbacks answering them,
+   *   e.g. a {@link MemoryTransactionStore} or {@link FileTransactionStore}
    */
   constructor(config = {}) {
+    super();
     // Use environment variables by default, but allow override through config
     this.consumerKey = config.consumerKey || process.env.CONSUMER_KEY;
     this.consumerSecret = config.consumerSecret || process.env.CONSUMER_SECRET;
     this.environment = config.environment || process.env.ENVIRONMENT || 'sandbox';
     this.businessShortCode = config.businessShortCode || process.env.BUSINESS_SHORT_CODE;
+    this.storeNumber = config.storeNumber || process.env.STORE_NUMBER;
+    this.tillNumber = config.tillNumber || process.env.TILL_NUMBER;
+    this.transactionType = config.transactionType || process.env.TRANSACTION_TYPE
+      || (this.tillNumber ? STK_TRANSACTION_TYPES.BUY_GOODS : STK_TRANSACTION_TYPES.PAY_BILL);
     this.passKey = config.passKey || process.env.PASS_KEY;
     this.callbackUrl = config.callbackUrl || process.env.CALLBACK_URL;
+    this.callbackSecret = config.callbackSecret || process.env.CALLBACK_SECRET;
     this.timeoutUrl = config.timeoutUrl || process.env.TIMEOUT_URL;
     this.resultUrl = config.resultUrl || process.env.RESULT_URL;
     this.initiatorName = config.initiatorName || process.env.INITIATOR_NAME;
-    this.securityCredential = config.securityCredential || process.env.SECURITY_CREDENTIAL;
+    this.initiatorPassword = config.initiatorPassword || process.env.INITIATOR_PASSWORD;
+    // A password passed to the constructor wins over a credential from the environment
+    this.securityCredential = config.securityCredential
+      || (config.initiatorPassword ? undefined : process.env.SECURITY_CREDENTIAL);
 
-    // Validate required configurations
-    this.validateConfig();
+    if (!this.securityCredential && this.initiatorPassword) {
+      this.securityCredential = generateSecurityCredential(this.initiatorPassword, loadCertificate({
+        certificate: config.certificate,
+        certificatePath: config.certificatePath || process.env.CERTIFICATE_PATH,
+        environment: this.environment
+      }));
+    }
 
-    this.baseUrl = this.environment === 'production'
+    this.baseUrl = (config.baseUrl || (this.environment === 'production'
       ? 'https://api.safaricom.co.ke'
-      : 'https://sandbox.safaricom.co.ke';
-    this.auth = null;
+      : 'https://sandbox.safaricom.co.ke')).replace(/\/+$/, '');
+    this.transport = config.transport || createHttpsTransport();
+    this.timeout = config.timeout !== undefined ? config.timeout : 30 * 1000;
+    this.timeouts = config.timeouts || {};
+    this.agent = config.agent;
+    this.retry = config.retry !== undefined ? config.retry : {};
+    // Requests sent with an idempotency key, so that the same key is never sent twice
+    this.idempotentRequests = new Map();
+    this.rateLimiter = config.rateLimit instanceof RateLimiter || !config.rateLimit
+      ? config.rateLimit || null
+      : new RateLimiter(config.rateLimit);
+    this.logger = config.logger;
+    this.store = config.store || null;
+    this.hooks = { beforeRequest: [], afterResponse: [], onError: [] };
+    if (config.hooks) this.use(config.hooks);
+    this.tokenManager = new TokenManager({
+      fetchToken: () => this.fetchAccessToken(),
+      refreshMargin: config.tokenRefreshMargin,
+      onRefresh: (expiresAt) => this.notify(DARAJA_EVENTS.TOKEN_REFRESHED, { expiresAt: new Date(expiresAt) })
+    });
+    // STK pushes awaited by stkPushAndWait, and callbacks that arrived before their waiter
+    this.pendingStkPushes = new Map();
+    this.earlyStkCallbacks = new Map();
+    // Results awaited by awaitResult, by ConversationID or OriginatorConversationID, and early ones
+    this.pendingResults = new Map();
+    this.earlyResults = new Map();
+    this.billManager = new BillManager(this);
   }
 
   /**
-   * Validates required configuration parameters
-   * @private
-   * @throws {Error} If required configuration is missing
-   */
-  validateConfig() {
-    const required = {
-      'Consumer Key': this.consumerKey,
-      'Consumer Secret': this.consumerSecret,
-      'Business Short Code': this.businessShortCode,
-      'Pass Key': this.passKey,
-      'Callback URL': this.callbackUrl,
-      'Initiator Name': this.initiatorName,
-      'Security Credential': this.securityCredential
-    };
+   * The current access token, or null if none has been generated yet
+   * @type {string|null}
+   */
+  get auth() {
+    return this.tokenManager.token;
+  }
 
-    const missing = Object.entries(required)
-      .filter(([_, value]) => !value)
-      .map(([key]) => key);
+  /**
+   * Checks that the configuration needed by an operation is present
+   * @private
+   * @param {string} operation - SDK method name (e.g. 'b2c')
+   * @param {Object} [overrides] - Configuration passed for this call only
+   * @throws {ConfigurationError} If required configuration is missing
+   */
+  validateConfig(operation, overrides) {
+    const missing = missingConfig(this, operation, overrides);
 
     if (missing.length > 0) {
-      throw new Error(`Missing required configuration: ${missing.join(', ')}. Please provide them in .env file or in the constructor.`);
+      const labels = missing.map((key) => CONFIG_LABELS[key]);
+      throw new errors.ConfigurationError(
+        `Missing required configuration for ${operation}: ${labels.join(', ')}. Please provide them in .env file or in the constructor.`,
+        { operation, missing }
+      );
     }
   }
 
+  /**
+   * Reports which operations the current configuration can serve
+   * @param {string|string[]} [operations] - Operations to check (defaults to all)
+   * @returns {{valid: boolean, operations: Object<string, {valid: boolean, missing: string[]}>}} The report
+   */
+  validate(operations = Object.keys(OPERATION_REQUIREMENTS)) {
+    const report = { valid: true, operations: {} };
+
+    [].concat(operations).forEach((operation) => {
+      const missing = missingConfig(this, operation);
+      report.operations[operation] = { valid: missing.length === 0, missing };
+      if (missing.length > 0) report.valid = false;
+    });
+
+    return report;
+  }
+
+  /**
+   * Short code that signs STK pushes of a type: the store number for Buy Goods
+   * (falling back to businessShortCode), businessShortCode otherwise
+   * @private
+   * @param {string} [transactionType] - STK push transaction type
+   * @returns {string|undefined} The short code
+   */
+  stkShortCode(transactionType = this.transactionType) {
+    return transactionType === STK_TRANSACTION_TYPES.BUY_GOODS
+      ? this.storeNumber || this.businessShortCode
+      : this.businessShortCode;
+  }
+
   /**
    * Generates an OAuth access token for API authentication
    * @async
    * @returns {Promise<string>} The generated access token
-   * @throws {Error} If token generation fails
+   * @throws {DarajaError} If token generation fails
    */
   async generateToken() {
+    return this.tokenManager.refresh();
+  }
+
+  /**
+   * Requests a new access token from the OAuth endpoint
+   * @private
+   * @async
+   * @returns {Promise<Object>} The OAuth response ({ access_token, expires_in })
+   * @throws {DarajaError} If token generation fails
+   */
+  async fetchAccessToken() {
+    this.validateConfig('generateToken');
+
     try {
       const auth = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
-      const response = await axios({
+      return await withRetry(() => this.send({
+        operation: 'generateToken',
         method: 'get',
-        url: `${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+        path: '/oauth/v1/generate?grant_type=client_credentials',
         headers: {
           Authorization: `Basic ${auth}`,
         },
+      }), resolveRetryPolicy(this.retry, 'generateToken'), {
+        onRetry: (error, attempt, delay) => this.logRetry('generateToken', error, attempt, delay)
       });
-      this.auth = response.data.access_token;
-      return this.auth;
     } catch (error) {
-      throw new Error(`Token generation failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'generateToken', 'Token generation failed');
     }
   }
 
+  /**
+   * Sends a request through the transport
+   * @private
+   * @async
+   * @param {Object} options - Request options
+   * @param {string} options.operation - SDK method making the request, which picks the timeout
+   * @param {string} options.method - HTTP method
+   * @param {string} options.path - API path relative to the base URL
+   * @param {Object} options.headers - Request headers
+   * @param {Object} [options.data] - Request body
+   * @returns {Promise<Object>} The response body
+   * @throws {Error} Carrying the response when Daraja answers with an error status
+   */
+  async send({ operation, method, path, headers, data }) {
+    const startedAt = Date.now();
+    let request = {
+      operation,
+      method: method.toUpperCase(),
+      url: `${this.baseUrl}${path}`,
+      headers,
+      data,
+      timeout: this.timeouts[operation] !== undefined ? this.timeouts[operation] : this.timeout,
+      agent: this.agent
+    };
+
+    try {
+      request = await this.runHooks('beforeRequest', request);
+      this.log('debug', 'Daraja request', {
+        operation,
+        method: request.method,
+        endpoint: endpointOf(request.url),
+        headers: request.headers,
+        data: request.data
+      });
+
+      const sendRequest = () => this.transport(request);
+      const endpoint = endpointOf(request.url);
+      let response = await (this.rateLimiter ? this.rateLimiter.schedule(operation, sendRequest, endpoint) : sendRequest());
+      response = await this.runHooks('afterResponse', response, request);
+      if (response.status < 200 || response.status >= 300) {
+        this.throttleOn(endpoint, response);
+        throw createHttpError(response);
+      }
+
+      this.log('info', 'Daraja response', {
+        operation,
+        method: request.method,
+        endpoint: endpointOf(request.url),
+        status: response.status,
+        durationMs: Date.now() - startedAt,
+        ...darajaIds(response.data)
+      });
+      return response.data;
+    } catch (error) {
+      const { response } = error;
+      const body = response && response.data && typeof response.data === 'object' ? response.data : {};
+      this.log(response && response.status < 500 ? 'warn' : 'error', 'Daraja request failed', {
+        operation,
+        method: request.method,
+        endpoint: endpointOf(request.url),
+        status: response ? response.status : undefined,
+        durationMs: Date.now() - startedAt,
+        errorCode: body.errorCode || error.code,
+        errorMessage: body.errorMessage || error.message,
+        ...darajaIds(body)
+      });
+      await this.runHooks('onError', error, request);
+      throw error;
+    }
+  }
+
+  /**
+   * Pauses an endpoint in the rate limiter when Daraja throttled it (429) or asked to wait (Retry-After)
+   * @private
+   * @param {string} endpoint - API path of the request
+   * @param {TransportResponse} response - The error response
+   */
+  throttleOn(endpoint, response) {
+    const retryAfter = Number(response.headers && response.headers['retry-after']);
+    if (!this.rateLimiter || (response.status !== 429 && !retryAfter)) return;
+    this.rateLimiter.throttle(endpoint, retryAfter ? retryAfter * 1000 : undefined);
+  }
+
+  /**
+   * Registers request hooks. Each hook may be async, and may be a function or an array of functions.
+   * - `beforeRequest(request)` runs before a request is sent. The request holds operation, method,
+   *   url, headers, data, timeout and agent; return a new request to replace it.
+   * - `afterResponse(response, request)` runs when a response arrives, whatever its status.
+   *   The response holds status, headers and data; return a new response to replace it.
+   * - `onError(error, request)` runs when a request fails, before the error reaches the caller.
+   *   For error statuses, `error.response` holds the response.
+   *
+   * Hooks see requests as sent, credentials included.
+   * @param {Object} hooks - The hooks
+   * @param {Function|Function[]} [hooks.beforeRequest] - Called before each request
+   * @param {Function|Function[]} [hooks.afterResponse] - Called after each response
+   * @param {Function|Function[]} [hooks.onError] - Called when a request fails
+   * @returns {Function} Removes the hooks again
+   */
+  use(hooks) {
+    const added = [];
+    Object.keys(this.hooks).forEach((name) => {
+      [].concat(hooks[name] || []).forEach((hook) => {
+        if (typeof hook !== 'function') throw new TypeError(`The ${name} hook must be a function`);
+        this.hooks[name].push(hook);
+        added.push([name, hook]);
+      });
+    });
+
+    return () => {
+      added.forEach(([name, hook]) => {
+        const index = this.hooks[name].indexOf(hook);
+        if (index !== -1) this.hooks[name].splice(index, 1);
+      });
+    };
+  }
+
+  /**
+   * Runs the hooks of a kind in order. A hook returning a value replaces the first argument for the hooks after it.
+   * @private
+   * @async
+   * @param {string} name - Hook kind ('beforeRequest', 'afterResponse' or 'onError')
+   * @param {*} value - First argument, which the hooks may replace
+   * @param {...*} rest - Other arguments
+   * @returns {Promise<*>} The final value
+   */
+  async runHooks(name, value, ...rest) {
+    let current = value;
+    for (const hook of this.hooks[name]) {
+      const result = await hook(current, ...rest);
+      if (result !== undefined) current = result;
+    }
+    return current;
+  }
+
+  /**
+   * Passes a redacted entry to the logger, if there is one. Logger failures are ignored.
+   * @private
+   * @param {string} level - Log level ('debug', 'info', 'warn' or 'error')
+   * @param {string} message - Log message
+   * @param {Object} fields - Structured fields
+   */
+  log(level, message, fields) {
+    if (!this.logger || typeof this.logger[level] !== 'function') return;
+    try {
+      this.logger[level](message, this.redacted(fields));
+    } catch (error) {
+      // Logging must never break a payment
+    }
+  }
+
+  /**
+   * Masks credentials in a value, along with this instance's secrets
+   * @private
+   * @param {*} value - The value
+   * @returns {*} The redacted copy, see {@link redact}
+   */
+  redacted(value) {
+    return redact(value, [this.consumerSecret, this.initiatorPassword, this.passKey, this.callbackSecret]);
+  }
+
+  /**
+   * Emits an event. A listener that throws is logged: like logging, notifications must never break a payment.
+   * @private
+   * @param {string} event - One of {@link DARAJA_EVENTS}
+   * @param {Object} payload - The event payload
+   */
+  notify(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      this.log('error', 'Event listener failed', { event, errorMessage: error.message });
+    }
+  }
+
+  /**
+   * Sends an authenticated request to the Daraja API. The access token is
+   * refreshed before it expires, and the request is retried once with a new
+   * token if Daraja rejects the current one. Transient failures are retried as
+   * the retry policy allows: read-only operations always, others only with an
+   * idempotency key and after failures that show Daraja never processed them.
+   * @private
+   * @async
+   * @param {Object} options - Request options
+   * @param {string} options.operation - SDK method making the request (e.g. 'stkPush')
+   * @param {string} [options.method='post'] - HTTP method
+   * @param {string} options.path - API path relative to the base URL
+   * @param {Object} [options.data] - Request body
+   * @param {Object} [options.overrides] - Configuration passed for this call only, used by the configuration check
+   * @param {string} [options.idempotencyKey] - Caller's key for this request, which allows retries
+   *   and makes repeated calls with the same key share one request
+   * @param {string} [options.reference] - Caller's reference, recorded in the transaction store
+   * @returns {Promise<Object>} The response body
+   */
+  async request({ operation, method = 'post', path, data, overrides, idempotencyKey, reference }) {
+    this.validateConfig(operation, overrides);
+
+    const send = async () => {
+      const token = await this.tokenManager.getToken();
+      return this.send({
+        operation,
+        method,
+        path,
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+        data,
+      });
+    };
+
+    const sendWithToken = async () => {
+      try {
+        return await send();
+      } catch (error) {
+        if (!isInvalidTokenError(error)) throw error;
+        this.tokenManager.invalidate();
+        return send();
+      }
+    };
+
+    const transactionReference = reference || idempotencyKey || null;
+    const sendWithRetry = async () => {
+      this.notify(DARAJA_EVENTS.REQUEST, { operation, reference: transactionReference, data: this.redacted(data) });
+      const response = await withRetry(sendWithToken, resolveRetryPolicy(this.retry, operation, Boolean(idempotencyKey)), {
+        onRetry: (error, attempt, delay) => this.logRetry(operation, error, attempt, delay)
+      });
+
+      if (TRACKED_OPERATIONS.includes(operation)) {
+        const transaction = await this.recordRequest(operation, transactionReference, data, response);
+        this.notify(DARAJA_EVENTS.ACCEPTED, { operation, reference: transactionReference, response, transaction });
+      }
+      return response;
+    };
+
+    if (!idempotencyKey) return sendWithRetry();
+    return this.sendOnce(operation, idempotencyKey, sendWithRetry);
+  }
+
+  /**
+   * Records an accepted request in the transaction store. A transaction saved as sending with the
+   * same reference before the request went out is replaced, keeping its id and extra fields.
+   * A store failure is logged, not thrown: Daraja has already accepted the request, so the caller
+   * must still get the response.
+   * @private
+   * @async
+   * @param {string} operation - SDK method that made the request
+   * @param {string} [reference] - Caller's reference (defaults to the idempotency key)
+   * @param {Object} data - Request body
+   * @param {Object} response - Daraja's response
+   * @returns {Promise<Transaction|null>} The stored transaction, or null without a store or when it failed
+   */
+  async recordRequest(operation, reference, data, response) {
+    if (!this.store) return null;
+    try {
+      const transaction = transactionFromRequest({ operation, reference, data, response });
+      const reserved = reference
+        && await this.store.find({ reference, operation, status: TRANSACTION_STATUSES.SENDING });
+      return await this.store.save(reserved ? { ...reserved, ...transaction, id: reserved.id, createdAt: reserved.createdAt } : transaction);
+    } catch (error) {
+      this.log('error', 'Transaction store failed', { operation, errorMessage: error.message, ...darajaIds(response) });
+      return null;
+    }
+  }
+
+  /**
+   * Shares one request between all calls made with the same idempotency key. A successful
+   * response is remembered, so repeating the call returns it instead of moving money again;
+   * a failed request is forgotten, so the call can be repeated.
+   * @private
+   * @async
+   * @param {string} operation - SDK method making the request
+   * @param {string} idempotencyKey - The caller's key
+   * @param {Function} sendRequest - Sends the request
+   * @returns {Promise<Object>} The response body
+   */
+  sendOnce(operation, idempotencyKey, sendRequest) {
+    const key = `${operation}:${idempotencyKey}`;
+    if (this.idempotentRequests.has(key)) return this.idempotentRequests.get(key);
+
+    const pending = sendRequest();
+    this.idempotentRequests.set(key, pending);
+    pending.catch(() => this.idempotentRequests.delete(key));
+
+    // Keep the most recent keys only
+    if (this.idempotentRequests.size > MAX_IDEMPOTENCY_KEYS) {
+      this.idempotentRequests.delete(this.idempotentRequests.keys().next().value);
+    }
+    return pending;
+  }
+
+  /**
+   * Logs a request that is about to be retried
+   * @private
+   * @param {string} operation - SDK method making the request
+   * @param {Error} error - Error raised by the failed attempt
+   * @param {number} attempt - The attempt that failed
+   * @param {number} delay - Time (ms) before the next attempt
+   */
+  logRetry(operation, error, attempt, delay) {
+    this.log('warn', 'Retrying Daraja request', {
+      operation,
+      attempt,
+      delayMs: delay,
+      status: error.response ? error.response.status : undefined,
+      errorCode: error.code
+    });
+  }
+
   /**
    * Initiates an STK push request to customer's phone
    * @async
    * @param {Object} params - STK push parameters
-   * @param {string} params.phoneNumber - Customer's phone number (254XXXXXXXXX)
-   * @param {number} params.amount - Amount to charge
-   * @param {string} params.accountReference - Reference for the transaction
-   * @param {string} params.transactionDesc - Description of the transaction
+   * @param {string} params.phoneNumber - Customer's phone number (07XXXXXXXX, 01XXXXXXXX, +254... or 254XXXXXXXXX)
+   * @param {number} params.amount - Amount to charge, in whole shillings
+   * @param {string} params.accountReference - Reference for the transaction (up to 12 characters)
+   * @param {string} params.transactionDesc - Description of the transaction (up to 13 characters)
+   * @param {string} [params.transactionType] - 'CustomerPayBillOnline' or 'CustomerBuyGoodsOnline' (defaults to the configured type)
+   * @param {string} [params.partyB] - Paybill or till receiving the payment (defaults to businessShortCode, or tillNumber for Buy Goods)
+   * @param {string} [params.callbackUrl] - Callback URL for this payment (defaults to callbackUrl). It is signed
+   *   with a token when callbackSecret is set, like the result and timeout URLs of other requests.
+   * @param {string} [params.idempotencyKey] - Your unique key for this payment: allows retries, and repeated calls with it return the first response
+   * @param {string} [params.reference] - Your reference for this payment, recorded in the transaction store
    * @returns {Promise<Object>} STK push response
-   * @throws {Error} If STK push fails
+   * @throws {DarajaError} If STK push fails
    */
-  async stkPush({ phoneNumber, amount, accountReference, transactionDesc }) {
+  async stkPush(params) {
     try {
-      if (!this.auth) await this.generateToken();
+      const {
+        phoneNumber,
+        amount,
+        accountReference,
+        transactionDesc,
+        transactionType = this.transactionType,
+        partyB,
+        callbackUrl,
+        idempotencyKey,
+        reference
+      } = validateParams('stkPush', params, 'STK push failed');
+      const buyGoods = transactionType === STK_TRANSACTION_TYPES.BUY_GOODS;
+      const shortCode = this.stkShortCode(transactionType);
 
       const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, -3);
-      const password = Buffer.from(`${this.businessShortCode}${this.passKey}${timestamp}`).toString('base64');
+      const password = Buffer.from(`${shortCode}${this.passKey}${timestamp}`).toString('base64');
 
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/stkpush/v1/processrequest`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.request({
+        operation: 'stkPush',
+        path: '/mpesa/stkpush/v1/processrequest',
+        overrides: { transactionType, tillNumber: partyB, callbackUrl },
+        idempotencyKey,
+        reference,
         data: {
-          BusinessShortCode: this.businessShortCode,
+          BusinessShortCode: shortCode,
           Password: password,
           Timestamp: timestamp,
-          TransactionType: 'CustomerPayBillOnline',
+          TransactionType: transactionType,
           Amount: amount,
           PartyA: phoneNumber,
-          PartyB: this.businessShortCode,
+          PartyB: partyB || (buyGoods ? this.tillNumber : shortCode),
           PhoneNumber: phoneNumber,
-          CallBackURL: this.callbackUrl,
+          CallBackURL: this.signedUrl(callbackUrl || this.callbackUrl),
           AccountReference: accountReference,
           TransactionDesc: transactionDesc,
         },
       });
-
-      return response.data;
     } catch (error) {
-      if (error.response) {
-        throw new Error(`STK push failed: ${error.response.data.errorMessage || error.message}`);
-      }
-      throw new Error(`STK push failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'stkPush', 'STK push failed');
     }
   }
 
@@ -143,39 +680,58 @@ class DarajaSDK {
    * @async
    * @param {Object} params - B2C parameters
    * @param {number} params.amount - Amount to send
-   * @param {string} params.phoneNumber - Recipient's phone number
-   * @param {string} [params.commandID='BusinessPayment'] - Type of B2C payment
+   * @param {string} params.phoneNumber - Recipient's phone number (07XXXXXXXX, 01XXXXXXXX, +254... or 254XXXXXXXXX)
+   * @param {string} [params.commandID='BusinessPayment'] - Type of B2C payment ('BusinessPayment', 'SalaryPayment' or 'PromotionPayment')
    * @param {string} [params.remarks] - Additional remarks
+   * @param {string} [params.occasion] - Additional information sent back with the result
+   * @param {string} [params.partyA] - Short code paying out (defaults to businessShortCode)
+   * @param {string} [params.resultUrl] - URL for the result (defaults to resultUrl)
+   * @param {string} [params.timeoutUrl] - URL for queue timeouts (defaults to timeoutUrl)
+   * @param {string} [params.initiatorName] - Initiator for this call (defaults to initiatorName)
+   * @param {string} [params.securityCredential] - Security credential of that initiator (defaults to securityCredential)
+   * @param {string} [params.idempotencyKey] - Your unique key for this payment: allows retries, and repeated calls with it return the first response
+   * @param {string} [params.reference] - Your reference for this payment, recorded in the transaction store
    * @returns {Promise<Object>} B2C response
-   * @throws {Error} If B2C payment fails
+   * @throws {DarajaError} If B2C payment fails
    */
-  async b2c({ amount, phoneNumber, commandID, remarks }) {
+  async b2c(params) {
     try {
-      if (!this.auth) await this.generateToken();
+      const {
+        amount,
+        phoneNumber,
+        commandID = 'BusinessPayment',
+        remarks,
+        occasion,
+        partyA,
+        resultUrl,
+        timeoutUrl,
+        initiatorName,
+        securityCredential,
+        idempotencyKey,
+        reference
+      } = validateParams('b2c', params, 'B2C payment failed');
 
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/b2c/v1/paymentrequest`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.request({
+        operation: 'b2c',
+        path: '/mpesa/b2c/v1/paymentrequest',
+        overrides: { businessShortCode: partyA, initiatorName, securityCredential, resultUrl, timeoutUrl },
+        idempotencyKey,
+        reference,
         data: {
-          InitiatorName: this.initiatorName,
-          SecurityCredential: this.securityCredential,
-          CommandID: commandID || 'BusinessPayment',
+          InitiatorName: initiatorName || this.initiatorName,
+          SecurityCredential: securityCredential || this.securityCredential,
+          CommandID: commandID,
           Amount: amount,
-          PartyA: this.businessShortCode,
+          PartyA: partyA || this.businessShortCode,
           PartyB: phoneNumber,
           Remarks: remarks || 'B2C Payment',
-          QueueTimeOutURL: this.timeoutUrl,
-          ResultURL: this.resultUrl,
-          Occasion: '',
+          QueueTimeOutURL: this.signedUrl(timeoutUrl || this.timeoutUrl),
+          ResultURL: this.signedUrl(resultUrl || this.resultUrl),
+          Occasion: occasion || '',
         },
       });
-
-      return response.data;
     } catch (error) {
-      throw new Error(`B2C payment failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'b2c', 'B2C payment failed');
     }
   }
 
@@ -185,18 +741,15 @@ class DarajaSDK {
    * @param {Object} params - Transaction status parameters
    * @param {string} params.transactionID - M-Pesa transaction ID
    * @returns {Promise<Object>} Transaction status response
-   * @throws {Error} If status check fails
+   * @throws {DarajaError} If status check fails
    */
-  async transactionStatus({ transactionID }) {
+  async transactionStatus(params) {
     try {
-      if (!this.auth) await this.generateToken();
+      const { transactionID } = validateParams('transactionStatus', params, 'Transaction status query failed');
 
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/transactionstatus/v1/query`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.request({
+        operation: 'transactionStatus',
+        path: '/mpesa/transactionstatus/v1/query',
         data: {
           Initiator: this.initiatorName,
           SecurityCredential: this.securityCredential,
@@ -204,16 +757,14 @@ class DarajaSDK {
           TransactionID: transactionID,
           PartyA: this.businessShortCode,
           IdentifierType: '4',
-          ResultURL: this.resultUrl,
-          QueueTimeOutURL: this.timeoutUrl,
+          ResultURL: this.signedUrl(this.resultUrl),
+          QueueTimeOutURL: this.signedUrl(this.timeoutUrl),
           Remarks: 'Transaction Status Query',
           Occasion: '',
         },
       });
-
-      return response.data;
     } catch (error) {
-      throw new Error(`Transaction status query failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'transactionStatus', 'Transaction status query failed');
     }
   }
 
@@ -221,18 +772,13 @@ class DarajaSDK {
    * Queries the account balance
    * @async
    * @returns {Promise<Object>} Account balance response
-   * @throws {Error} If balance query fails
+   * @throws {DarajaError} If balance query fails
    */
   async accountBalance() {
     try {
-      if (!this.auth) await this.generateToken();
-
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/accountbalance/v1/query`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.request({
+        operation: 'accountBalance',
+        path: '/mpesa/accountbalance/v1/query',
         data: {
           Initiator: this.initiatorName,
           SecurityCredential: this.securityCredential,
@@ -240,14 +786,12 @@ class DarajaSDK {
           PartyA: this.businessShortCode,
           IdentifierType: '4',
           Remarks: 'Account Balance Query',
-          QueueTimeOutURL: this.timeoutUrl,
-          ResultURL: this.resultUrl,
+          QueueTimeOutURL: this.signedUrl(this.timeoutUrl),
+          ResultURL: this.signedUrl(this.resultUrl),
         },
       });
-
-      return response.data;
     } catch (error) {
-      throw new Error(`Account balance query failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'accountBalance', 'Account balance query failed');
     }
   }
 
@@ -260,18 +804,17 @@ class DarajaSDK {
    * @param {string} [params.confirmationUrl] - Confirmation URL
    * @param {string} [params.validationUrl] - Validation URL
    * @returns {Promise<Object>} URL registration response
-   * @throws {Error} If URL registration fails
+   * @throws {DarajaError} If URL registration fails
    */
-  async c2bRegisterUrl({ shortCode, responseType, confirmationUrl, validationUrl }) {
+  async c2bRegisterUrl(params) {
     try {
-      if (!this.auth) await this.generateToken();
+      const { shortCode, responseType, confirmationUrl, validationUrl } = validateParams('c2bRegisterUrl', params, 'C2B URL registration failed');
 
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/c2b/v1/registerurl`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.request({
+        operation: 'c2bRegisterUrl',
+        path: '/mpesa/c2b/v1/registerurl',
+        // Both URLs fall back to the callback URL, so it is only needed when one of them is missing
+        overrides: { businessShortCode: shortCode, callbackUrl: confirmationUrl && validationUrl },
         data: {
           ShortCode: shortCode || this.businessShortCode,
           ResponseType: responseType || 'Completed',
@@ -279,10 +822,8 @@ class DarajaSDK {
           ValidationURL: validationUrl || this.callbackUrl
         },
       });
-
-      return response.data;
     } catch (error) {
-      throw new Error(`C2B URL registration failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'c2bRegisterUrl', 'C2B URL registration failed');
     }
   }
 
@@ -294,18 +835,15 @@ class DarajaSDK {
    * @param {string} params.phoneNumber - Phone number making payment
    * @param {string} params.billRefNumber - Bill reference number
    * @returns {Promise<Object>} C2B simulation response
-   * @throws {Error} If simulation fails
+   * @throws {DarajaError} If simulation fails
    */
-  async c2bSimulate({ amount, phoneNumber, billRefNumber }) {
+  async c2bSimulate(params) {
     try {
-      if (!this.auth) await this.generateToken();
+      const { amount, phoneNumber, billRefNumber } = validateParams('c2bSimulate', params, 'C2B simulation failed');
 
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/c2b/v1/simulate`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.request({
+        operation: 'c2bSimulate',
+        path: '/mpesa/c2b/v1/simulate',
         data: {
           ShortCode: this.businessShortCode,
           CommandID: 'CustomerPayBillOnline',
@@ -314,10 +852,145 @@ class DarajaSDK {
           BillRefNumber: billRefNumber
         },
       });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'c2bSimulate', 'C2B simulation failed');
+    }
+  }
 
-      return response.data;
+  /**
+   * Generates a dynamic M-Pesa QR code that customers scan to pay
+   * @async
+   * @param {Object} params - QR code parameters
+   * @param {string} params.merchantName - Name shown to the customer
+   * @param {string} params.refNo - Transaction reference
+   * @param {number} params.amount - Amount to pay, in whole shillings
+   * @param {string} params.trxCode - Transaction type, one of {@link QR_TRANSACTION_CODES} (BG, PB, WA, SM, SB)
+   * @param {string} [params.cpi] - Credit party identifier: the till, paybill, agent or phone number being paid
+   *   (defaults to tillNumber for BG and businessShortCode for PB)
+   * @param {string} [params.size='300'] - Size of the image in pixels
+   * @returns {Promise<Object>} QR code response, with the base64 PNG in QRCode
+   * @throws {DarajaError} If QR code generation fails
+   */
+  async generateQrCode(params) {
+    try {
+      const {
+        merchantName,
+        refNo,
+        amount,
+        trxCode,
+        cpi = this.defaultQrCreditParty(trxCode),
+        size = '300'
+      } = validateParams('generateQrCode', params, 'QR code generation failed');
+
+      if (!cpi) {
+        throw new errors.ValidationError('QR code generation failed: Invalid parameters: cpi is required', {
+          operation: 'generateQrCode',
+          errors: [{ field: 'cpi', message: 'cpi is required' }]
+        });
+      }
+
+      return await this.request({
+        operation: 'generateQrCode',
+        path: '/mpesa/qrcode/v1/generate',
+        data: {
+          MerchantName: merchantName,
+          RefNo: refNo,
+          Amount: amount,
+          TrxCode: trxCode,
+          CPI: cpi,
+          Size: size
+        },
+      });
     } catch (error) {
-      throw new Error(`C2B simulation failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'generateQrCode', 'QR code generation failed');
+    }
+  }
+
+  /**
+   * Credit party a QR code pays when none is given: the till for Buy Goods, the paybill for Pay Bill
+   * @private
+   * @param {string} trxCode - QR transaction code
+   * @returns {string|undefined} The credit party identifier
+   */
+  defaultQrCreditParty(trxCode) {
+    if (trxCode === QR_TRANSACTION_CODES.BUY_GOODS) return this.tillNumber;
+    if (trxCode === QR_TRANSACTION_CODES.PAY_BILL) return this.businessShortCode;
+    return undefined;
+  }
+
+  /**
+   * Creates an M-Pesa Ratiba standing order that collects from a customer on a schedule.
+   * The customer approves the standing order on their phone, and the outcome is sent to the callback URL.
+   * @async
+   * @param {Object} params - Standing order parameters
+   * @param {string} params.standingOrderName - Name of the standing order, unique per customer
+   * @param {string} params.phoneNumber - Customer's phone number
+   * @param {number} params.amount - Amount collected each time, in whole shillings
+   * @param {string} params.frequency - One of {@link STANDING_ORDER_FREQUENCIES} ('1' one off to '8' yearly)
+   * @param {Date|string} params.startDate - First collection date (YYYYMMDD, YYYY-MM-DD or a Date)
+   * @param {Date|string} params.endDate - Last collection date (YYYYMMDD, YYYY-MM-DD or a Date)
+   * @param {string} [params.accountReference] - Account number for paybill collections (up to 12 characters)
+   * @param {string} [params.transactionDesc] - Description of the collections (up to 13 characters)
+   * @param {string} [params.transactionType] - One of {@link STANDING_ORDER_TRANSACTION_TYPES}
+   *   (defaults to Buy Goods when STK pushes are Buy Goods, Pay Bill otherwise)
+   * @param {string} [params.businessShortCode] - Paybill or till receiving the payments (defaults to businessShortCode, or tillNumber for Buy Goods)
+   * @param {string} [params.callbackUrl] - Callback URL for this standing order (defaults to callbackUrl)
+   * @param {string} [params.idempotencyKey] - Your unique key for this payment: allows retries, and repeated calls with it return the first response
+   * @param {string} [params.reference] - Your reference for this payment, recorded in the transaction store
+   * @returns {Promise<Object>} Standing order response
+   * @throws {DarajaError} If the standing order cannot be created
+   */
+  async createStandingOrder(params) {
+    try {
+      const {
+        standingOrderName,
+        phoneNumber,
+        amount,
+        frequency,
+        startDate,
+        endDate,
+        accountReference,
+        transactionDesc,
+        transactionType = this.transactionType === STK_TRANSACTION_TYPES.BUY_GOODS
+          ? STANDING_ORDER_TRANSACTION_TYPES.BUY_GOODS
+          : STANDING_ORDER_TRANSACTION_TYPES.PAY_BILL,
+        businessShortCode,
+        callbackUrl,
+        idempotencyKey,
+        reference
+      } = validateParams('createStandingOrder', params, 'Standing order creation failed');
+      const buyGoods = transactionType === STANDING_ORDER_TRANSACTION_TYPES.BUY_GOODS;
+
+      if (endDate < startDate) {
+        throw new errors.ValidationError('Standing order creation failed: Invalid parameters: endDate must not be before startDate', {
+          operation: 'createStandingOrder',
+          errors: [{ field: 'endDate', message: 'endDate must not be before startDate' }]
+        });
+      }
+
+      return await this.request({
+        operation: 'createStandingOrder',
+        path: '/standingorder/v1/createStandingOrderExternal',
+        overrides: { transactionType, [buyGoods ? 'tillNumber' : 'businessShortCode']: businessShortCode, callbackUrl },
+        idempotencyKey,
+        reference,
+        data: {
+          StandingOrderName: standingOrderName,
+          StartDate: startDate,
+          EndDate: endDate,
+          BusinessShortCode: businessShortCode || (buyGoods ? this.tillNumber : this.businessShortCode),
+          TransactionType: transactionType,
+          ReceiverPartyIdentifierType: receiverIdentifierType(transactionType),
+          Amount: String(amount),
+          PartyA: phoneNumber,
+          CallBackURL: callbackUrl || this.callbackUrl,
+          AccountReference: accountReference || '',
+          TransactionDesc: transactionDesc || standingOrderName.slice(0, 13),
+          Frequency: frequency
+        },
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'createStandingOrder', 'Standing order creation failed');
     }
   }
 
@@ -327,40 +1000,209 @@ class DarajaSDK {
    * @param {Object} params - B2B parameters
    * @param {number} params.amount - Amount to transfer
    * @param {string} params.receiverShortCode - Recipient's short code
-   * @param {string} [params.commandID='BusinessToBusinessTransfer'] - Type of B2B payment
+   * @param {string} [params.commandID='BusinessToBusinessTransfer'] - Type of B2B payment ('BusinessPayBill', 'BusinessBuyGoods', 'DisburseFundsToBusiness', 'BusinessToBusinessTransfer' or 'MerchantToMerchantTransfer')
    * @param {string} [params.remarks] - Additional remarks
-   * @returns {Promise<Object>} B2B response
-   * @throws {Error} If B2B payment fails
+   * @param {string} [params.accountReference='B2B Payment'] - Account number for paybill payments (up to 13 characters)
+   * @param {string} [params.requester] - Phone number of the customer the payment is made for
+   * @param {string} [params.occasion] - Additional information sent back with the result
+   * @param {string} [params.partyA] - Short code paying (defaults to businessShortCode)
+   * @param {string} [params.senderIdentifierType='4'] - Identifier type of party A ('1' MSISDN, '2' till number, '4' short code)
+   * @param {string} [params.receiverIdentifierType='4'] - Identifier type of the receiver
+   * @param {string} [params.resultUrl] - URL for the result (defaults to resultUrl)
+   * @param {string} [params.timeoutUrl] - URL for queue timeouts (defaults to timeoutUrl)
+   * @param {string} [params.initiatorName] - Initiator for this call (defaults to initiatorName)
+   * @param {string} [params.securityCredential] - Security credential of that initiator (defaults to securityCredential)
+   * @param {string} [params.idempotencyKey] - Your unique key for this payment: allows retries, and repeated calls with it return the first response
+   * @param {string} [params.reference] - Your reference for this payment, recorded in the transaction store
+   * @returns {Promise<AsyncRequestResponse>} B2B response
+   * @throws {DarajaError} If B2B payment fails
    */
-  async b2b({ amount, receiverShortCode, commandID = 'BusinessToBusinessTransfer', remarks }) {
+  async b2b(params) {
     try {
-      if (!this.auth) await this.generateToken();
+      const normalized = validateParams('b2b', params, 'B2B payment failed');
 
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/b2b/v1/paymentrequest`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.b2bPaymentRequest('b2b', {
+        ...normalized,
+        commandID: normalized.commandID || 'BusinessToBusinessTransfer',
+        remarks: normalized.remarks || 'B2B Transfer',
+        accountReference: normalized.accountReference || 'B2B Payment'
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'b2b', 'B2B payment failed');
+    }
+  }
+
+  /**
+   * Pays a paybill from the business account (B2B with CommandID BusinessPayBill)
+   * @async
+   * @param {Object} params - Pay bill parameters
+   * @param {number} params.amount - Amount to pay
+   * @param {string} params.receiverShortCode - Paybill number being paid
+   * @param {string} params.accountReference - Account number at the paybill (up to 13 characters)
+   * @param {string} [params.requester] - Phone number of the customer the payment is made for
+   * @param {string} [params.remarks] - Additional remarks
+   * @param {string} [params.occasion] - Additional information sent back with the result
+   * @param {string} [params.partyA] - Short code paying (defaults to businessShortCode)
+   * @param {string} [params.resultUrl] - URL for the result (defaults to resultUrl)
+   * @param {string} [params.timeoutUrl] - URL for queue timeouts (defaults to timeoutUrl)
+   * @param {string} [params.initiatorName] - Initiator for this call (defaults to initiatorName)
+   * @param {string} [params.securityCredential] - Security credential of that initiator (defaults to securityCredential)
+   * @param {string} [params.idempotencyKey] - Your unique key for this payment: allows retries, and repeated calls with it return the first response
+   * @param {string} [params.reference] - Your reference for this payment, recorded in the transaction store
+   * @returns {Promise<AsyncRequestResponse>} Pay bill response
+   * @throws {DarajaError} If the payment fails
+   */
+  async businessPayBill(params) {
+    try {
+      const normalized = validateParams('businessPayBill', params, 'Business pay bill failed');
+
+      return await this.b2bPaymentRequest('businessPayBill', {
+        ...normalized,
+        commandID: 'BusinessPayBill',
+        remarks: normalized.remarks || 'Business Pay Bill'
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'businessPayBill', 'Business pay bill failed');
+    }
+  }
+
+  /**
+   * Tops up a B2C short code's utility account from the business account (B2B with CommandID BusinessPayToBulk)
+   * @async
+   * @param {Object} params - Top up parameters
+   * @param {number} params.amount - Amount to move
+   * @param {string} params.receiverShortCode - B2C short code being topped up
+   * @param {string} params.accountReference - Reference for the top up (up to 13 characters)
+   * @param {string} [params.requester] - Phone number of the person requesting the top up
+   * @param {string} [params.remarks] - Additional remarks
+   * @param {string} [params.partyA] - Short code paying (defaults to businessShortCode)
+   * @param {string} [params.resultUrl] - URL for the result (defaults to resultUrl)
+   * @param {string} [params.timeoutUrl] - URL for queue timeouts (defaults to timeoutUrl)
+   * @param {string} [params.initiatorName] - Initiator for this call (defaults to initiatorName)
+   * @param {string} [params.securityCredential] - Security credential of that initiator (defaults to securityCredential)
+   * @param {string} [params.idempotencyKey] - Your unique key for this payment: allows retries, and repeated calls with it return the first response
+   * @param {string} [params.reference] - Your reference for this payment, recorded in the transaction store
+   * @returns {Promise<AsyncRequestResponse>} Top up response
+   * @throws {DarajaError} If the top up fails
+   */
+  async b2cAccountTopUp(params) {
+    try {
+      const normalized = validateParams('b2cAccountTopUp', params, 'B2C account top up failed');
+
+      return await this.b2bPaymentRequest('b2cAccountTopUp', {
+        ...normalized,
+        commandID: 'BusinessPayToBulk',
+        remarks: normalized.remarks || 'B2C Account Top Up'
+      });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'b2cAccountTopUp', 'B2C account top up failed');
+    }
+  }
+
+  /**
+   * Sends a request to the B2B payment endpoint, shared by b2b, businessPayBill and b2cAccountTopUp
+   * @private
+   * @async
+   * @param {string} operation - SDK method making the request
+   * @param {Object} fields - Normalized parameters, see {@link DarajaSDK#b2b}
+   * @returns {Promise<AsyncRequestResponse>} The response
+   */
+  async b2bPaymentRequest(operation, fields) {
+    const {
+      amount,
+      receiverShortCode,
+      commandID,
+      remarks,
+      accountReference,
+      requester,
+      occasion,
+      partyA,
+      senderIdentifierType = '4',
+      receiverIdentifierType = '4',
+      resultUrl,
+      timeoutUrl,
+      initiatorName,
+      securityCredential,
+      idempotencyKey,
+      reference
+    } = fields;
+
+    const data = {
+      Initiator: initiatorName || this.initiatorName,
+      SecurityCredential: securityCredential || this.securityCredential,
+      CommandID: commandID,
+      SenderIdentifierType: senderIdentifierType,
+      RecieverIdentifierType: receiverIdentifierType,
+      Amount: amount,
+      PartyA: partyA || this.businessShortCode,
+      PartyB: receiverShortCode,
+      AccountReference: accountReference,
+      Remarks: remarks,
+      QueueTimeOutURL: this.signedUrl(timeoutUrl || this.timeoutUrl),
+      ResultURL: this.signedUrl(resultUrl || this.resultUrl)
+    };
+    if (requester) data.Requester = requester;
+    if (occasion) data.Occasion = occasion;
+
+    return this.request({
+      operation,
+      path: '/mpesa/b2b/v1/paymentrequest',
+      overrides: { businessShortCode: partyA, initiatorName, securityCredential, resultUrl, timeoutUrl },
+      idempotencyKey,
+      reference,
+      data,
+    });
+  }
+
+  /**
+   * Starts a B2B express checkout: the merchant gets a USSD prompt to pay your till from theirs.
+   * The outcome is sent to the callback URL, see {@link parseCallback}.
+   * @async
+   * @param {Object} params - Express checkout parameters
+   * @param {string} params.primaryShortCode - The merchant's till number, which is charged
+   * @param {number} params.amount - Amount to charge
+   * @param {string} params.paymentRef - Reference shown to the merchant
+   * @param {string} params.partnerName - Your name, shown to the merchant
+   * @param {string} [params.receiverShortCode] - Till or paybill receiving the payment (defaults to tillNumber, then businessShortCode)
+   * @param {string} [params.callbackUrl] - Callback URL for this payment (defaults to callbackUrl)
+   * @param {string} [params.requestRefId] - Unique reference of the request (generated when not given)
+   * @param {string} [params.idempotencyKey] - Your unique key for this payment: allows retries, and repeated calls with it return the first response
+   * @param {string} [params.reference] - Your reference for this payment, recorded in the transaction store
+   * @returns {Promise<B2BExpressCheckoutResponse>} Express checkout response
+   * @throws {DarajaError} If the USSD push fails
+   */
+  async b2bExpressCheckout(params) {
+    try {
+      const {
+        primaryShortCode,
+        amount,
+        paymentRef,
+        partnerName,
+        receiverShortCode = this.tillNumber || this.businessShortCode,
+        callbackUrl,
+        requestRefId = crypto.randomUUID(),
+        idempotencyKey,
+        reference
+      } = validateParams('b2bExpressCheckout', params, 'B2B express checkout failed');
+
+      return await this.request({
+        operation: 'b2bExpressCheckout',
+        path: '/v1/ussdpush/get-msisdn',
+        overrides: { businessShortCode: receiverShortCode, callbackUrl },
+        idempotencyKey,
+        reference,
         data: {
-          Initiator: this.initiatorName,
-          SecurityCredential: this.securityCredential,
-          CommandID: commandID,
-          SenderIdentifierType: '4',
-          RecieverIdentifierType: '4',
-          Amount: amount,
-          PartyA: this.businessShortCode,
-          PartyB: receiverShortCode,
-          AccountReference: 'B2B Payment',
-          Remarks: remarks || 'B2B Transfer',
-          QueueTimeOutURL: this.timeoutUrl,
-          ResultURL: this.resultUrl
+          primaryShortCode,
+          receiverShortCode,
+          amount: String(amount),
+          paymentRef,
+          callbackUrl: this.signedUrl(callbackUrl || this.callbackUrl),
+          partnerName,
+          RequestRefID: requestRefId
         },
       });
-
-      return response.data;
     } catch (error) {
-      throw new Error(`B2B payment failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'b2bExpressCheckout', 'B2B express checkout failed');
     }
   }
 
@@ -371,37 +1213,57 @@ class DarajaSDK {
    * @param {string} params.transactionID - Transaction to reverse
    * @param {number} params.amount - Amount to reverse
    * @param {string} [params.remarks] - Reversal remarks
+   * @param {string} [params.occasion] - Additional information sent back with the result
+   * @param {string} [params.receiverParty] - Short code that received the original payment (defaults to businessShortCode)
+   * @param {string} [params.receiverIdentifierType='11'] - Identifier type of the receiver party
+   * @param {string} [params.resultUrl] - URL for the result (defaults to resultUrl)
+   * @param {string} [params.timeoutUrl] - URL for queue timeouts (defaults to timeoutUrl)
+   * @param {string} [params.initiatorName] - Initiator for this call (defaults to initiatorName)
+   * @param {string} [params.securityCredential] - Security credential of that initiator (defaults to securityCredential)
+   * @param {string} [params.idempotencyKey] - Your unique key for this payment: allows retries, and repeated calls with it return the first response
+   * @param {string} [params.reference] - Your reference for this payment, recorded in the transaction store
    * @returns {Promise<Object>} Reversal response
-   * @throws {Error} If reversal fails
+   * @throws {DarajaError} If reversal fails
    */
-  async reversal({ transactionID, amount, remarks }) {
+  async reversal(params) {
     try {
-      if (!this.auth) await this.generateToken();
+      const {
+        transactionID,
+        amount,
+        remarks,
+        occasion,
+        receiverParty,
+        receiverIdentifierType = '11',
+        resultUrl,
+        timeoutUrl,
+        initiatorName,
+        securityCredential,
+        idempotencyKey,
+        reference
+      } = validateParams('reversal', params, 'Transaction reversal failed');
 
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/reversal/v1/request`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.request({
+        operation: 'reversal',
+        path: '/mpesa/reversal/v1/request',
+        overrides: { businessShortCode: receiverParty, initiatorName, securityCredential, resultUrl, timeoutUrl },
+        idempotencyKey,
+        reference,
         data: {
-          Initiator: this.initiatorName,
-          SecurityCredential: this.securityCredential,
+          Initiator: initiatorName || this.initiatorName,
+          SecurityCredential: securityCredential || this.securityCredential,
           CommandID: 'TransactionReversal',
           TransactionID: transactionID,
           Amount: amount,
-          ReceiverParty: this.businessShortCode,
-          RecieverIdentifierType: '11',
-          ResultURL: this.resultUrl,
-          QueueTimeOutURL: this.timeoutUrl,
+          ReceiverParty: receiverParty || this.businessShortCode,
+          RecieverIdentifierType: receiverIdentifierType,
+          ResultURL: this.signedUrl(resultUrl || this.resultUrl),
+          QueueTimeOutURL: this.signedUrl(timeoutUrl || this.timeoutUrl),
           Remarks: remarks || 'Transaction Reversal',
-          Occasion: ''
+          Occasion: occasion || ''
         },
       });
-
-      return response.data;
     } catch (error) {
-      throw new Error(`Transaction reversal failed: ${error.message}`);
+      throw errors.toDarajaError(error, 'reversal', 'Transaction reversal failed');
     }
   }
 
@@ -410,35 +1272,460 @@ class DarajaSDK {
    * @async
    * @param {Object} params - Query parameters
    * @param {string} params.checkoutRequestId - Checkout request ID
+   * @param {string} [params.transactionType] - Type of the STK push being queried, which decides the short code that signs
+   * @param {string} [params.businessShortCode] - Short code that signed the STK push (defaults to the one stkPush used)
    * @returns {Promise<Object>} STK query response
-   * @throws {Error} If query fails
+   * @throws {DarajaError} If query fails
    */
-  async stkPushQuery({ checkoutRequestId }) {
+  async stkPushQuery(params) {
     try {
-      if (!this.auth) await this.generateToken();
+      const {
+        checkoutRequestId,
+        transactionType = this.transactionType,
+        businessShortCode = this.stkShortCode(transactionType)
+      } = validateParams('stkPushQuery', params, 'STK push query failed');
 
       const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, -3);
-      const password = Buffer.from(`${this.businessShortCode}${this.passKey}${timestamp}`).toString('base64');
+      const password = Buffer.from(`${businessShortCode}${this.passKey}${timestamp}`).toString('base64');
 
-      const response = await axios({
-        method: 'post',
-        url: `${this.baseUrl}/mpesa/stkpushquery/v1/query`,
-        headers: {
-          Authorization: `Bearer ${this.auth}`,
-        },
+      return await this.request({
+        operation: 'stkPushQuery',
+        path: '/mpesa/stkpushquery/v1/query',
+        overrides: { transactionType, businessShortCode },
         data: {
-          BusinessShortCode: this.businessShortCode,
+          BusinessShortCode: businessShortCode,
           Password: password,
           Timestamp: timestamp,
           CheckoutRequestID: checkoutRequestId
         },
       });
+    } catch (error) {
+      throw errors.toDarajaError(error, 'stkPushQuery', 'STK push query failed');
+    }
+  }
 
-      return response.data;
+  /**
+   * Initiates an STK push and waits for the final outcome. The result comes from
+   * the callback (passed in through {@link DarajaSDK#receiveCallback}) or from
+   * polling stkPushQuery with backoff, whichever settles first.
+   * @async
+   * @param {Object} params - STK push parameters, see {@link DarajaSDK#stkPush}
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeout=120000] - How long (ms) to wait before giving up
+   * @param {boolean} [options.poll=true] - Whether to poll stkPushQuery while waiting
+   * @param {number} [options.pollInterval=5000] - Delay (ms) before the first query
+   * @param {number} [options.maxPollInterval=30000] - Upper bound (ms) for the delay between queries
+   *   A call repeating the idempotencyKey of a call still waiting shares its wait and its options.
+   * @returns {Promise<Object>} The outcome: { status, success, resultCode, resultDesc, checkoutRequestId, merchantRequestId, source, callback, response }
+   * @throws {DarajaError} If the STK push is rejected or a query fails for a reason other than the payment still being processed
+   */
+  async stkPushAndWait(params, options = {}) {
+    const {
+      timeout = 120 * 1000,
+      poll = true,
+      pollInterval = 5 * 1000,
+      maxPollInterval = 30 * 1000
+    } = options;
+
+    const response = await this.stkPush(params);
+    const checkoutRequestId = response.CheckoutRequestID;
+
+    // The same idempotency key returns the same push, whose outcome is already awaited
+    const pending = this.pendingStkPushes.get(checkoutRequestId);
+    if (pending) return pending.outcome;
+
+    const waiter = {};
+    waiter.outcome = new Promise((resolve, reject) => {
+      let pollTimer = null;
+      let settled = false;
+
+      const finish = (outcome, error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(pollTimer);
+        clearTimeout(deadline);
+        this.pendingStkPushes.delete(checkoutRequestId);
+        if (error) reject(error);
+        else resolve({ checkoutRequestId, merchantRequestId: response.MerchantRequestID, response, ...outcome });
+      };
+
+      const settle = (resultCode, resultDesc, source, callback) => finish({
+        status: stkStatusFromResultCode(resultCode),
+        success: Number(resultCode) === 0,
+        resultCode: Number(resultCode),
+        resultDesc,
+        source,
+        callback
+      });
+
+      const query = async (interval) => {
+        try {
+          const result = await this.stkPushQuery({ checkoutRequestId, transactionType: params.transactionType });
+          if (result.ResultCode !== undefined) {
+            settle(result.ResultCode, result.ResultDesc, 'query');
+            return;
+          }
+        } catch (error) {
+          const transient = isStkPending(error)
+            || error instanceof errors.ServerError
+            || error instanceof errors.NetworkError
+            || error instanceof errors.RateLimitError;
+          if (!transient) {
+            finish(null, error);
+            return;
+          }
+        }
+        if (!settled) {
+          pollTimer = setTimeout(() => query(Math.min(interval * 1.5, maxPollInterval)), interval);
+        }
+      };
+
+      const deadline = setTimeout(() => finish({
+        status: STK_STATUSES.TIMEOUT,
+        success: false,
+        resultCode: null,
+        resultDesc: `No result received within ${timeout}ms`,
+        source: 'timeout'
+      }), timeout);
+
+      waiter.receive = (callback) => {
+        settle(callback.resultCode, callback.resultDesc, 'callback', callback);
+      };
+      this.pendingStkPushes.set(checkoutRequestId, waiter);
+
+      const early = this.earlyStkCallbacks.get(checkoutRequestId);
+      if (early) {
+        this.earlyStkCallbacks.delete(checkoutRequestId);
+        waiter.receive(early);
+      } else if (poll) {
+        pollTimer = setTimeout(() => query(Math.min(pollInterval * 1.5, maxPollInterval)), pollInterval);
+      }
+    });
+    return waiter.outcome;
+  }
+
+  /**
+   * Waits for the result of a request answered at the result URL (account balance, transaction
+   * status, B2C...). Results reach the SDK through {@link DarajaSDK#receiveCallback}, which the
+   * SDK's callback middleware calls, so the result URL must be served by it.
+   * @async
+   * @param {string} conversationId - ConversationID or OriginatorConversationID of the request's response
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeout=60000] - How long (ms) to wait before giving up
+   * @returns {Promise<Object>} The result, parsed with parseCallback (a timeout notification when the request timed out)
+   * @throws {DarajaError} If no result arrives in time
+   */
+  awaitResult(conversationId, options = {}) {
+    const { timeout = 60 * 1000 } = options;
+
+    const early = this.earlyResults.get(conversationId);
+    if (early) {
+      this.earlyResults.delete(conversationId);
+      return Promise.resolve(early);
+    }
+
+    return new Promise((resolve, reject) => {
+      const deadline = setTimeout(() => {
+        this.pendingResults.delete(conversationId);
+        reject(new errors.DarajaError(
+          `No result received for ${conversationId} within ${timeout}ms; is the result URL handled by daraja.createCallbackMiddleware()?`,
+          { operation: 'awaitResult' }
+        ));
+      }, timeout);
+
+      this.pendingResults.set(conversationId, (result) => {
+        clearTimeout(deadline);
+        this.pendingResults.delete(conversationId);
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Passes a callback received by your webhook to the SDK, settling any
+   * {@link DarajaSDK#stkPushAndWait} or {@link DarajaSDK#awaitResult} call waiting for it and
+   * emitting its events (payment.completed, payment.failed, b2c.result, reversal.result or timeout)
+   * @param {Object|string} payload - The raw callback body, or a callback already parsed with parseCallback
+   * @returns {Object} The parsed callback
+   * @throws {ValidationError} If the payload is not a recognized M-Pesa callback
+   */
+  receiveCallback(payload) {
+    const callback = payload && payload.raw && payload.type ? payload : callbacks.parseCallback(payload);
+
+    if (callback.type === 'stkPush') {
+      const waiter = this.pendingStkPushes.get(callback.checkoutRequestId);
+      if (waiter) {
+        waiter.receive(callback);
+      } else {
+        // The callback can beat the STK push response; keep a few for a late waiter
+        keepEarly(this.earlyStkCallbacks, callback.checkoutRequestId, callback);
+      }
+    } else if (callback.conversationId || callback.originatorConversationId) {
+      const ids = [callback.conversationId, callback.originatorConversationId].filter(Boolean);
+      const waiting = ids.find((id) => this.pendingResults.has(id));
+      if (waiting) {
+        this.pendingResults.get(waiting)(callback);
+      } else {
+        ids.forEach((id) => keepEarly(this.earlyResults, id, callback));
+      }
+    }
+
+    callbackEvents(callback).forEach((event) => this.notify(event, callback));
+    return callback;
+  }
+
+  /**
+   * Updates the stored transaction a callback answers with its status, receipt number and result.
+   * C2B payments answer no request, so they are stored as new completed transactions.
+   * @async
+   * @param {Object|string} payload - The raw callback body, or a callback already parsed with parseCallback
+   * @returns {Promise<Transaction|null>} The transaction, or null without a store or a matching transaction
+   * @throws {ValidationError} If the payload is not a recognized M-Pesa callback
+   */
+  async recordCallback(payload) {
+    const callback = payload && payload.raw && payload.type ? payload : callbacks.parseCallback(payload);
+    if (!this.store) return null;
+
+    if (callback.type === 'c2b') {
+      const known = await this.store.find({ receiptNumber: callback.receiptNumber, operation: 'c2b' });
+      return known || this.store.save(transactionFromC2BPayment(callback));
+    }
+
+    for (const query of correlationQueries(callback)) {
+      const transaction = await this.store.find(query);
+      if (transaction) return this.store.save(applyCallback(transaction, callback));
+    }
+    return null;
+  }
+
+  /**
+   * Looks up a stored transaction by your reference, Daraja identifiers or M-Pesa receipt number
+   * @async
+   * @param {Object} query - e.g. { reference: 'order-42' }, { checkoutRequestId }, { conversationId } or { receiptNumber }
+   * @returns {Promise<Transaction|null>} The transaction, or null if none matches
+   * @throws {ConfigurationError} If no transaction store is configured
+   */
+  async findTransaction(query) {
+    if (!this.store) {
+      throw new errors.ConfigurationError('Missing required configuration for findTransaction: transaction store. Please provide it in the constructor.', {
+        operation: 'findTransaction',
+        missing: ['store']
+      });
+    }
+    return this.store.find(query);
+  }
+
+  /**
+   * Reconciles your ledger with the callbacks received and an M-Pesa statement, see {@link reconcile}.
+   * With requery, missing entries are checked again: STK pushes with {@link DarajaSDK#stkPushQuery},
+   * which settles them as matched or failed, and payments with a known receipt number with
+   * {@link DarajaSDK#transactionStatus}, whose result is sent to your result URL.
+   * @async
+   * @param {Object} options - What to reconcile, see {@link reconcile}
+   * @param {Object[]} [options.expected] - Ledger entries or stored transactions
+   * @param {Object[]} [options.callbacks] - Callbacks, results and C2B confirmations
+   * @param {string|Object[]} [options.statement] - M-Pesa statement CSV text or parsed rows
+   * @param {boolean} [options.requery=false] - Query Daraja about missing entries
+   * @returns {Promise<Object>} The report; re-queried items carry the query response as query
+   * @throws {ValidationError} If a callback or the statement cannot be parsed
+   */
+  async reconcile(options = {}) {
+    const { requery = false, ...sources } = options;
+    const report = reconciliation.reconcile(sources);
+    if (!requery) return report;
+
+    // One at a time, so a large backlog does not trip Daraja's rate limits
+    for (const item of report.missing) {
+      await this.requery(item);
+    }
+    reconciliation.markDuplicates(report.items);
+    return reconciliation.buildReport(report.items);
+  }
+
+  /**
+   * Queries Daraja about a missing ledger entry and updates its report item
+   * @private
+   * @async
+   * @param {Object} item - The report item
+   */
+  async requery(item) {
+    const { checkoutRequestId, transactionType, receiptNumber } = item.expected;
+
+    try {
+      if (checkoutRequestId) {
+        item.query = await this.stkPushQuery({ checkoutRequestId, transactionType: transactionType || undefined });
+        if (String(item.query.ResultCode) === '0') {
+          item.status = reconciliation.RECONCILIATION_STATUSES.MATCHED;
+          item.issues.push('No callback received; confirmed by STK push query');
+        } else if (item.query.ResultCode !== undefined) {
+          item.status = reconciliation.RECONCILIATION_STATUSES.FAILED;
+          item.issues.push(item.query.ResultDesc);
+        }
+      } else if (receiptNumber) {
+        item.query = await this.transactionStatus({ transactionID: receiptNumber });
+        item.issues.push('Transaction status requested; the result will be sent to the result URL');
+      }
     } catch (error) {
-      throw new Error(`STK push query failed: ${error.message}`);
+      item.issues.push(isStkPending(error) ? 'Still being processed' : error.message);
     }
   }
+
+  /**
+   * Creates a resumable batch of B2C payments, see {@link BulkDisbursement}
+   * @param {Object} options - Disbursement options, see {@link BulkDisbursement}
+   * @returns {BulkDisbursement} The disbursement; call run() to pay the recipients
+   * @throws {ConfigurationError} If no transaction store is configured
+   * @throws {ValidationError} If the options are invalid
+   */
+  createBulkDisbursement(options) {
+    return new BulkDisbursement(this, options);
+  }
+
+  /**
+   * Confirms a successful STK callback with {@link DarajaSDK#stkPushQuery}, so a forged
+   * success is not taken for a payment. Other callbacks are not checked. Safaricom does not
+   * send a callback twice, so when the query itself fails (network, throttling or server
+   * errors) the callback is kept with `verified` set to false rather than dropped.
+   * @async
+   * @param {Object} callback - A callback parsed with parseCallback; successful STK callbacks get a `verified` flag
+   * @returns {Promise<boolean>} False if Daraja does not report the payment as successful
+   */
+  async verifyStkCallback(callback) {
+    if (callback.type !== 'stkPush' || !callback.success) return true;
+
+    let result;
+    try {
+      result = await this.stkPushQuery({ checkoutRequestId: callback.checkoutRequestId });
+    } catch (error) {
+      const transient = error instanceof errors.NetworkError
+        || error instanceof errors.ServerError
+        || error instanceof errors.RateLimitError;
+      if (!transient) throw error;
+
+      this.log('warn', 'STK callback could not be verified', {
+        checkoutRequestId: callback.checkoutRequestId,
+        errorMessage: error.message
+      });
+      callback.verified = false;
+      return true;
+    }
+
+    callback.verified = String(result.ResultCode) === '0';
+    return callback.verified;
+  }
+
+  /**
+   * Creates a callback request handler, see {@link createCallbackHandler}. Callback URL tokens are
+   * checked with this instance's callbackSecret, and callbacks are passed to
+   * {@link DarajaSDK#receiveCallback} before the handlers run. With a transaction store, each
+   * callback first updates the transaction it answers (see {@link DarajaSDK#recordCallback}),
+   * which the handlers and event listeners get as callback.transaction.
+   * @param {Object} [handlers] - Callback handlers
+   * @param {Object} [options] - Handler options
+   * @param {boolean} [options.verifyStk=false] - Confirm successful STK payments with stkPushQuery before reporting them
+   * @returns {Function} Handler taking (req, res)
+   */
+  createCallbackHandler(handlers = {}, options = {}) {
+    return middleware.createCallbackHandler(handlers, this.callbackOptions(options));
+  }
+
+  /**
+   * Creates an Express/Connect callback middleware, see {@link DarajaSDK#createCallbackHandler}
+   * @param {Object} [handlers] - Callback handlers
+   * @param {Object} [options] - Handler options
+   * @returns {Function} Middleware taking (req, res, next)
+   */
+  createCallbackMiddleware(handlers = {}, options = {}) {
+    return middleware.createCallbackMiddleware(handlers, this.callbackOptions(options));
+  }
+
+  /**
+   * Adds a token to a URL Daraja sends a callback or result to, when callbackSecret is set
+   * @private
+   * @param {string} [url] - The URL
+   * @returns {string|undefined} The signed URL, or the URL as given without a secret
+   */
+  signedUrl(url) {
+    return this.callbackSecret && url ? signCallbackUrl(url, this.callbackSecret) : url;
+  }
+
+  /**
+   * Adds this instance's callback secret, logger, STK verification, transaction store and events to callback handler options
+   * @private
+   * @param {Object} options - Handler options
+   * @returns {Object} The completed options
+   */
+  callbackOptions({ verifyStk, ...options }) {
+    return {
+      callbackSecret: this.callbackSecret,
+      logger: { error: (message, fields) => this.log('error', message, fields) },
+      verify: verifyStk ? (callback) => this.verifyStkCallback(callback) : undefined,
+      receive: async (callback) => {
+        try {
+          if (this.store) callback.transaction = await this.recordCallback(callback);
+        } finally {
+          this.receiveCallback(callback);
+        }
+      },
+      ...options
+    };
+  }
 }
 
 module.exports = DarajaSDK;
+module.exports.DarajaError = errors.DarajaError;
+module.exports.AuthenticationError = errors.AuthenticationError;
+module.exports.ValidationError = errors.ValidationError;
+module.exports.RateLimitError = errors.RateLimitError;
+module.exports.ConfigurationError = errors.ConfigurationError;
+module.exports.ServerError = errors.ServerError;
+module.exports.NetworkError = errors.NetworkError;
+module.exports.CallbackVerificationError = errors.CallbackVerificationError;
+module.exports.parseCallback = callbacks.parseCallback;
+module.exports.parseAccountBalance = callbacks.parseAccountBalance;
+module.exports.createCallbackHandler = middleware.createCallbackHandler;
+module.exports.createCallbackMiddleware = middleware.createCallbackMiddleware;
+module.exports.SAFARICOM_IPS = SAFARICOM_IPS;
+module.exports.clientIp = clientIp;
+module.exports.isIpAllowed = isIpAllowed;
+module.exports.signCallbackUrl = signCallbackUrl;
+module.exports.verifyCallbackToken = verifyCallbackToken;
+module.exports.callbackKey = callbackKey;
+module.exports.ReplayGuard = ReplayGuard;
+module.exports.parseC2BPayment = callbacks.parseC2BPayment;
+module.exports.C2B_RESULT_CODES = c2b.C2B_RESULT_CODES;
+module.exports.STK_STATUSES = STK_STATUSES;
+module.exports.STK_TRANSACTION_TYPES = STK_TRANSACTION_TYPES;
+module.exports.QR_TRANSACTION_CODES = QR_TRANSACTION_CODES;
+module.exports.qrCodeToDataUri = qrCodeToDataUri;
+module.exports.saveQrCode = saveQrCode;
+module.exports.STANDING_ORDER_FREQUENCIES = STANDING_ORDER_FREQUENCIES;
+module.exports.STANDING_ORDER_TRANSACTION_TYPES = STANDING_ORDER_TRANSACTION_TYPES;
+module.exports.parseStandingOrderCallback = callbacks.parseStandingOrderCallback;
+module.exports.BillManager = BillManager;
+module.exports.parseBillPayment = callbacks.parseBillPayment;
+module.exports.createHttpsTransport = createHttpsTransport;
+module.exports.createFetchTransport = createFetchTransport;
+module.exports.RateLimiter = RateLimiter;
+module.exports.MemoryTransactionStore = MemoryTransactionStore;
+module.exports.FileTransactionStore = FileTransactionStore;
+module.exports.TRANSACTION_STATUSES = TRANSACTION_STATUSES;
+module.exports.DARAJA_EVENTS = DARAJA_EVENTS;
+module.exports.RECONCILIATION_STATUSES = reconciliation.RECONCILIATION_STATUSES;
+module.exports.parseStatementCsv = reconciliation.parseStatementCsv;
+module.exports.reconcile = reconciliation.reconcile;
+module.exports.BulkDisbursement = BulkDisbursement;
+module.exports.DISBURSEMENT_STATUSES = DISBURSEMENT_STATUSES;
+module.exports.parseRecipientsCsv = parseRecipientsCsv;
+module.exports.MockDarajaServer = MockDarajaServer;
+module.exports.MOCK_OUTCOMES = MOCK_OUTCOMES;
+module.exports.DEFAULT_RETRY_POLICY = DEFAULT_RETRY_POLICY;
+module.exports.READ_ONLY_OPERATIONS = READ_ONLY_OPERATIONS;
+module.exports.redact = redact;
+module.exports.REDACTED = REDACTED;
+module.exports.normalizePhoneNumber = normalizePhoneNumber;
+module.exports.generateSecurityCredential = generateSecurityCredential;
+module.exports.acceptC2B = c2b.acceptC2B;
+module.exports.rejectC2B = c2b.rejectC2B;
+module.exports.createC2BValidationHandler = c2b.createC2BValidationHandler;
+module.exports.createC2BConfirmationHandler = c2b.createC2BConfirmationHandler;
@@ -0,0 +1,105 @@
+const { CALLBACK_TOKEN_PARAM } = require('./callback-security');
+
+/**
+ * Replacement for values that must never be logged
+ * @type {string}
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Field names whose values are always redacted, compared case-insensitively
+ * @private
+ */
+const SECRET_FIELDS = [
+  'password',
+  'securitycredential',
+  'authorization',
+  'consumersecret',
+  'initiatorpassword',
+  'passkey',
+  'access_token'
+];
+
+/**
+ * Identifiers Daraja returns that are worth logging to trace a request
+ * @private
+ */
+const ID_FIELDS = [
+  'MerchantRequestID',
+  'CheckoutRequestID',
+  'OriginatorConversationID',
+  'ConversationID',
+  'RequestID',
+  'requestId'
+];
+
+/**
+ * Escapes a string for use in a regular expression
+ * @private
+ * @param {string} text - The string
+ * @returns {string} The escaped string
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Masks a string: bearer and basic credentials, callback URL tokens, and any of the given secrets
+ * @private
+ * @param {string} text - The string
+ * @param {string[]} secrets - Values to mask wherever they appear
+ * @returns {string} The masked string
+ */
+function redactString(text, secrets) {
+  let masked = text
+    .replace(/\b(Bearer|Basic)\s+[^\s"',]+/gi, `$1 ${REDACTED}`)
+    .replace(new RegExp(`([?&]${CALLBACK_TOKEN_PARAM}=)[^&#\\s"']+`, 'g'), `$1${REDACTED}`);
+  secrets.forEach((secret) => {
+    masked = masked.replace(new RegExp(escapeRegExp(secret), 'g'), REDACTED);
+  });
+  return masked;
+}
+
+/**
+ * Copies a value with credentials masked, so it can be logged. Fields such as Password,
+ * SecurityCredential and Authorization are replaced, bearer and basic tokens and callback URL
+ * tokens are masked inside strings, and so is every value listed in secrets.
+ * @param {*} value - The value (request, response body, headers...)
+ * @param {string[]} [secrets] - Extra values to mask wherever they appear (e.g. the consumer secret)
+ * @returns {*} The redacted copy
+ */
+function redact(value, secrets = []) {
+  const known = secrets.filter((secret) => typeof secret === 'string' && secret.length > 0);
+
+  const visit = (item) => {
+    if (typeof item === 'string') return redactString(item, known);
+    if (Array.isArray(item)) return item.map(visit);
+    if (!item || typeof item !== 'object' || Buffer.isBuffer(item)) return item;
+
+    return Object.keys(item).reduce((copy, key) => {
+      copy[key] = SECRET_FIELDS.includes(key.toLowerCase()) ? REDACTED : visit(item[key]);
+      return copy;
+    }, {});
+  };
+
+  return visit(value);
+}
+
+/**
+ * Picks the identifiers Daraja returned in a response body
+ * @param {*} data - The response body
+ * @returns {Object<string, string>} The identifiers found
+ */
+function darajaIds(data) {
+  if (!data || typeof data !== 'object') return {};
+  return ID_FIELDS.reduce((ids, field) => {
+    if (data[field]) ids[field] = data[field];
+    return ids;
+  }, {});
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  darajaIds
+};
@@ -0,0 +1,354 @@
+const { parseCallback, callbackType } = require('./callbacks');
+const { CallbackVerificationError } = require('./errors');
+const {
+  SAFARICOM_IPS, clientIp, isIpAllowed, verifyCallbackToken, callbackKey, ReplayGuard
+} = require('./callback-security');
+
+/**
+ * Acknowledgement M-Pesa expects in response to a callback
+ * @type {Object}
+ */
+const ACCEPTED = { ResultCode: 0, ResultDesc: 'Accepted' };
+
+/**
+ * Response to a callback that is refused
+ * @private
+ */
+const REJECTED = { ResultCode: 1, ResultDesc: 'Rejected' };
+
+/**
+ * Callbacks sent to URLs registered once rather than given with each request (C2B, Ratiba
+ * standing orders and Bill Manager), which the SDK does not sign and so carry no URL token
+ * @private
+ */
+const UNSIGNED_CALLBACK_TYPES = ['c2b', 'standingOrder', 'billPayment'];
+
+/**
+ * Largest callback body (in bytes) read from the request stream
+ * @private
+ */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Maps result types to the handler that receives them
+ * @private
+ */
+const RESULT_HANDLERS = {
+  b2c: 'onB2CResult',
+  b2b: 'onB2BResult',
+  businessPayBill: 'onB2BResult',
+  b2cAccountTopUp: 'onB2BResult',
+  reversal: 'onReversalResult',
+  transactionStatus: 'onTransactionStatusResult',
+  accountBalance: 'onAccountBalanceResult',
+  standingOrder: 'onStandingOrderResult',
+  b2bExpressCheckout: 'onB2BExpressCheckoutResult',
+  billPayment: 'onBillPayment'
+};
+
+/**
+ * Reads the request body, using the one already parsed by a body parser if present
+ * @private
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Object|string|Buffer>} The body
+ */
+function readBody(req) {
+  if (req.body !== undefined) return Promise.resolve(req.body);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Callback body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sends a JSON response using only the Node http API
+ * @private
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Picks the handler names to call for a parsed callback
+ * @private
+ * @param {Object} callback - The parsed callback
+ * @param {Object} handlers - The handlers passed by the caller
+ * @returns {string[]} Handler names
+ */
+function handlersFor(callback, handlers) {
+  const names = ['onCallback'];
+
+  if (callback.timedOut && handlers.onTimeout) {
+    names.push('onTimeout');
+  } else if (callback.type === 'stkPush') {
+    names.push(callback.success ? 'onStkSuccess' : 'onStkFailure');
+  } else if (RESULT_HANDLERS[callbackType(callback)]) {
+    names.push(RESULT_HANDLERS[callbackType(callback)]);
+  }
+
+  return names;
+}
+
+/**
+ * Runs the matching handlers for a parsed callback, routing failures to onError
+ * @private
+ * @param {Object} callback - The parsed callback
+ * @param {Object} handlers - The handlers passed by the caller
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} options - Handler options
+ * @returns {Promise<void>}
+ */
+async function dispatch(callback, handlers, req, options) {
+  for (const name of handlersFor(callback, handlers)) {
+    if (typeof handlers[name] !== 'function') continue;
+    try {
+      await handlers[name](callback, req);
+    } catch (error) {
+      reportError(handlers, error, callback, req, options);
+    }
+  }
+}
+
+/**
+ * Checks the source address of a callback
+ * @private
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} options - Handler options, see {@link createCallbackHandler}
+ * @param {string[]} [allowlist] - Allowed addresses and ranges
+ * @returns {CallbackVerificationError|null} The reason to refuse the callback, or null to accept it
+ */
+function checkSource(req, options, allowlist) {
+  const ip = clientIp(req, options.trustProxy);
+  if (allowlist && !isIpAllowed(ip, allowlist)) {
+    return new CallbackVerificationError(`Callback refused: ${ip} is not an allowed address`, { reason: 'ip', ip });
+  }
+  return null;
+}
+
+/**
+ * Checks the token in the URL of a callback, for the kinds of callback whose URL is signed
+ * @private
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} callback - The parsed callback
+ * @param {Object} options - Handler options, see {@link createCallbackHandler}
+ * @returns {CallbackVerificationError|null} The reason to refuse the callback, or null to accept it
+ */
+function checkToken(req, callback, options) {
+  if (!options.callbackSecret || UNSIGNED_CALLBACK_TYPES.includes(callback.type)) return null;
+
+  const url = req.originalUrl || req.url;
+  if (verifyCallbackToken(url, options.callbackSecret, { maxAge: options.tokenMaxAge })) return null;
+  return new CallbackVerificationError('Callback refused: missing or invalid URL token', {
+    reason: 'token',
+    ip: clientIp(req, options.trustProxy)
+  });
+}
+
+/**
+ * Skips callbacks that fail verification and repeated deliveries, then receives the callback and runs the handlers
+ * @private
+ * @param {Object} callback - The parsed callback
+ * @param {Object} handlers - The handlers passed by the caller
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} options - Handler options, with the replay guard resolved
+ * @returns {Promise<void>}
+ */
+async function screen(callback, handlers, req, options) {
+  try {
+    if (options.verify && !(await options.verify(callback, req))) {
+      throw new CallbackVerificationError('Callback refused: Daraja does not confirm its result', {
+        reason: 'verification',
+        ip: clientIp(req, options.trustProxy)
+      });
+    }
+
+    // Only accepted callbacks are recorded, so a forged one cannot shadow the genuine delivery
+    const key = options.replayGuard && callbackKey(callback);
+    if (key && !(await options.replayGuard.check(key))) {
+      if (typeof handlers.onDuplicate === 'function') await handlers.onDuplicate(callback, req);
+      return;
+    }
+  } catch (error) {
+    reportError(handlers, error, callback, req, options);
+    return;
+  }
+
+  // The callback is genuine, so a failure to record it must not keep it from the handlers
+  if (options.receive) {
+    try {
+      await options.receive(callback, req);
+    } catch (error) {
+      reportError(handlers, error, callback, req, options);
+    }
+  }
+
+  await dispatch(callback, handlers, req, options);
+}
+
+/**
+ * Passes an error to the onError handler, or to the logger if there is none. Handlers run
+ * after the callback was acknowledged, so nothing they throw may escape: an onError that
+ * fails is logged too.
+ * @private
+ * @param {Object} handlers - The handlers passed by the caller
+ * @param {Error} error - The error
+ * @param {Object} [callback] - The parsed callback, if parsing succeeded
+ * @param {http.IncomingMessage} req - The request
+ * @param {Object} options - Handler options
+ */
+function reportError(handlers, error, callback, req, options) {
+  const type = callback ? callback.type : undefined;
+  if (typeof handlers.onError !== 'function') {
+    logError(options, 'M-Pesa callback handler failed', { errorMessage: error.message, type });
+    return;
+  }
+
+  const failed = (failure) => logError(options, 'M-Pesa callback onError handler failed', {
+    errorMessage: failure && failure.message,
+    type
+  });
+  try {
+    Promise.resolve(handlers.onError(error, callback, req)).catch(failed);
+  } catch (failure) {
+    failed(failure);
+  }
+}
+
+/**
+ * Writes an error to the logger option, if there is one
+ * @private
+ * @param {Object} options - Handler options
+ * @param {string} message - Log message
+ * @param {Object} fields - Log fields
+ */
+function logError(options, message, fields) {
+  if (!options.logger || typeof options.logger.error !== 'function') return;
+  try {
+    options.logger.error(message, fields);
+  } catch (error) {
+    // Logging is best effort
+  }
+}
+
+/**
+ * Creates a request handler for M-Pesa callbacks that works with `http.createServer`.
+ * The callback is acknowledged straight away and the handlers run afterwards,
+ * so slow handlers never make Safaricom time out.
+ *
+ * Anyone who finds the callback URL can post a fake payment to it, so the options
+ * include safeguards: callbacks from addresses outside allowedIps, or without a valid
+ * token (see {@link signCallbackUrl}), are refused with a 403 and passed to onError.
+ * C2B, standing order and Bill Manager callbacks go to URLs registered once, and
+ * need no token.
+ * Repeated deliveries are acknowledged but only reach onDuplicate, and callbacks that
+ * verify rejects reach onError instead of the handlers.
+ * @param {Object} handlers - Callback handlers, each called with (callback, req)
+ * @param {Function} [handlers.onCallback] - Called for every valid callback
+ * @param {Function} [handlers.onStkSuccess] - Called for successful STK push payments
+ * @param {Function} [handlers.onStkFailure] - Called for failed or cancelled STK push payments
+ * @param {Function} [handlers.onB2CResult] - Called for B2C results
+ * @param {Function} [handlers.onB2BResult] - Called for B2B results
+ * @param {Function} [handlers.onReversalResult] - Called for reversal results
+ * @param {Function} [handlers.onTransactionStatusResult] - Called for transaction status results
+ * @param {Function} [handlers.onAccountBalanceResult] - Called for account balance results
+ * @param {Function} [handlers.onStandingOrderResult] - Called for Ratiba standing order callbacks
+ * @param {Function} [handlers.onB2BExpressCheckoutResult] - Called for B2B express checkout callbacks
+ * @param {Function} [handlers.onBillPayment] - Called for Bill Manager payment notifications
+ * @param {Function} [handlers.onTimeout] - Called instead of the handlers above when the request timed out
+ * @param {Function} [handlers.onError] - Called with (error, callback, req) when a payload or handler fails,
+ *   or a callback is refused; without it, the error goes to options.logger
+ * @param {Function} [handlers.onDuplicate] - Called instead of the handlers above for callbacks already received
+ * @param {Object} [options] - Handler options
+ * @param {string} [options.type] - Result type for endpoints that only receive one kind of result, see {@link parseCallback}
+ * @param {string[]|boolean} [options.allowedIps] - Addresses and IPv4 ranges allowed to post callbacks,
+ *   or true for Safaricom's (SAFARICOM_IPS)
+ * @param {boolean|number} [options.trustProxy=false] - How to find the client address behind proxies, see {@link clientIp}
+ * @param {string} [options.callbackSecret] - Secret the callback URLs were signed with; callbacks without a valid
+ *   token are refused, except C2B, standing order and Bill Manager callbacks
+ * @param {number} [options.tokenMaxAge=86400000] - Age (ms) after which URL tokens are refused (Infinity for no limit)
+ * @param {ReplayGuard|Object|boolean} [options.replayGuard] - Detects repeated deliveries: true for an in-memory
+ *   {@link ReplayGuard}, or an object with a (possibly async) check(key) method
+ * @param {Function} [options.verify] - Called with (callback, req) before the handlers; returning false refuses the callback
+ * @param {Function} [options.receive] - Called with (callback, req) once the callback passed the checks, before the
+ *   handlers (e.g. to record it); if it fails, onError gets the error and the handlers still run
+ * @param {Object} [options.logger] - Logger whose error method gets the errors when there is no onError handler
+ * @returns {Function} Handler taking (req, res)
+ */
+function createCallbackHandler(handlers = {}, options = {}) {
+  const allowlist = options.allowedIps === true ? SAFARICOM_IPS : options.allowedIps;
+  const screening = {
+    ...options,
+    replayGuard: options.replayGuard === true ? new ReplayGuard() : options.replayGuard
+  };
+
+  return async (req, res) => {
+    const refusal = checkSource(req, options, allowlist);
+    if (refusal) {
+      sendJson(res, 403, REJECTED);
+      reportError(handlers, refusal, undefined, req, options);
+      return;
+    }
+
+    let callback;
+    try {
+      callback = parseCallback(await readBody(req), options);
+    } catch (error) {
+      sendJson(res, 400, REJECTED);
+      reportError(handlers, error, undefined, req, options);
+      return;
+    }
+
+    const invalidToken = checkToken(req, callback, options);
+    if (invalidToken) {
+      sendJson(res, 403, REJECTED);
+      reportError(handlers, invalidToken, callback, req, options);
+      return;
+    }
+
+    sendJson(res, 200, ACCEPTED);
+    setImmediate(() => {
+      screen(callback, handlers, req, screening).catch((error) => {
+        logError(options, 'M-Pesa callback handler failed', { errorMessage: error.message, type: callback.type });
+      });
+    });
+  };
+}
+
+/**
+ * Creates an Express/Connect middleware for M-Pesa callbacks. Takes the same
+ * handlers and options as {@link createCallbackHandler}. Works with or without
+ * a JSON body parser in front of it.
+ * @param {Object} handlers - Callback handlers
+ * @param {Object} [options] - Handler options
+ * @returns {Function} Middleware taking (req, res, next)
+ */
+function createCallbackMiddleware(handlers = {}, options = {}) {
+  const handle = createCallbackHandler(handlers, options);
+  return (req, res, next) => handle(req, res).catch(next);
+}
+
+module.exports = {
+  ACCEPTED,
+  readBody,
+  sendJson,
+  createCallbackHandler,
+  createCallbackMiddleware
+};
@@ -0,0 +1,693 @@
+const http = require('http');
+const crypto = require('crypto');
+const { readBody, sendJson } = require('./middleware');
+const { createHttpsTransport } = require('./transport');
+
+/**
+ * Outcomes the mock server can give a payment or request
+ * @type {Object<string, string>}
+ */
+const MOCK_OUTCOMES = {
+  SUCCESS: 'success',
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout',
+  INSUFFICIENT_FUNDS: 'insufficientFunds'
+};
+
+/**
+ * Result code and description Daraja sends for each outcome
+ * @private
+ */
+const OUTCOME_RESULTS = {
+  [MOCK_OUTCOMES.SUCCESS]: { code: 0, desc: 'The service request is processed successfully.' },
+  [MOCK_OUTCOMES.CANCELLED]: { code: 1032, desc: 'Request cancelled by user' },
+  [MOCK_OUTCOMES.TIMEOUT]: { code: 1037, desc: 'DS timeout user cannot be reached' },
+  [MOCK_OUTCOMES.INSUFFICIENT_FUNDS]: { code: 1, desc: 'The balance is insufficient for the transaction' }
+};
+
+/**
+ * Offset of East Africa Time (UTC+3) in milliseconds, used for M-Pesa timestamps
+ * @private
+ */
+const EAT_OFFSET = 3 * 60 * 60 * 1000;
+
+/**
+ * Endpoints the mock implements: the operation they belong to and the fields Daraja requires
+ * @private
+ */
+const ENDPOINTS = {
+  '/mpesa/stkpush/v1/processrequest': {
+    operation: 'stkPush',
+    required: ['BusinessShortCode', 'Password', 'Timestamp', 'TransactionType', 'Amount', 'PartyA', 'PartyB',
+      'PhoneNumber', 'CallBackURL', 'AccountReference', 'TransactionDesc']
+  },
+  '/mpesa/stkpushquery/v1/query': {
+    operation: 'stkPushQuery',
+    required: ['BusinessShortCode', 'Password', 'Timestamp', 'CheckoutRequestID']
+  },
+  '/mpesa/b2c/v1/paymentrequest': {
+    operation: 'b2c',
+    required: ['InitiatorName', 'SecurityCredential', 'CommandID', 'Amount', 'PartyA', 'PartyB', 'QueueTimeOutURL', 'ResultURL']
+  },
+  '/mpesa/b2b/v1/paymentrequest': {
+    operation: 'b2b',
+    required: ['Initiator', 'SecurityCredential', 'CommandID', 'SenderIdentifierType', 'RecieverIdentifierType', 'Amount',
+      'PartyA', 'PartyB', 'QueueTimeOutURL', 'ResultURL']
+  },
+  '/mpesa/reversal/v1/request': {
+    operation: 'reversal',
+    required: ['Initiator', 'SecurityCredential', 'CommandID', 'TransactionID', 'Amount', 'ReceiverParty',
+      'RecieverIdentifierType', 'QueueTimeOutURL', 'ResultURL']
+  },
+  '/mpesa/transactionstatus/v1/query': {
+    operation: 'transactionStatus',
+    required: ['Initiator', 'SecurityCredential', 'CommandID', 'TransactionID', 'PartyA', 'IdentifierType',
+      'QueueTimeOutURL', 'ResultURL']
+  },
+  '/mpesa/accountbalance/v1/query': {
+    operation: 'accountBalance',
+    required: ['Initiator', 'SecurityCredential', 'CommandID', 'PartyA', 'IdentifierType', 'QueueTimeOutURL', 'ResultURL']
+  },
+  '/mpesa/c2b/v1/registerurl': {
+    operation: 'c2bRegisterUrl',
+    required: ['ShortCode', 'ResponseType', 'ConfirmationURL', 'ValidationURL']
+  },
+  '/mpesa/c2b/v1/simulate': {
+    operation: 'c2bSimulate',
+    required: ['ShortCode', 'CommandID', 'Amount', 'Msisdn']
+  }
+};
+
+/**
+ * Fields that must hold a whole, positive amount
+ * @private
+ */
+const AMOUNT_FIELDS = ['Amount'];
+
+/**
+ * Fields that must hold a Safaricom phone number (2547XXXXXXXX or 2541XXXXXXXX), per operation
+ * @private
+ */
+const MSISDN_FIELDS = { stkPush: ['PartyA', 'PhoneNumber'], b2c: ['PartyB'], c2bSimulate: ['Msisdn'] };
+
+/**
+ * Fields that must hold an http or https URL
+ * @private
+ */
+const URL_FIELDS = ['CallBackURL', 'ResultURL', 'QueueTimeOutURL', 'ConfirmationURL', 'ValidationURL'];
+
+/**
+ * Formats a date as an M-Pesa timestamp (YYYYMMDDHHmmss, East Africa Time)
+ * @private
+ * @param {Date} [date] - The date (defaults to now)
+ * @returns {string} The timestamp
+ */
+function mpesaTimestamp(date = new Date()) {
+  return new Date(date.getTime() + EAT_OFFSET).toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+}
+
+/**
+ * Generates a random M-Pesa style identifier: upper case letters and digits
+ * @private
+ * @param {number} length - Number of characters
+ * @returns {string} The identifier
+ */
+function randomId(length) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  return Array.from(crypto.randomBytes(length), (byte) => alphabet[byte % alphabet.length]).join('');
+}
+
+/**
+ * Builds a Daraja error body
+ * @private
+ * @param {string} errorCode - Daraja error code
+ * @param {string} errorMessage - Daraja error message
+ * @returns {Object} The body
+ */
+function errorBody(errorCode, errorMessage) {
+  return { requestId: `${randomId(5)}-${randomId(8)}-1`, errorCode, errorMessage };
+}
+
+/**
+ * Turns an object into Daraja's list of { Key, Value } result parameters
+ * @private
+ * @param {Object} parameters - The parameters
+ * @returns {Array<{Key: string, Value: *}>} The list
+ */
+function toResultParameters(parameters) {
+  return Object.keys(parameters).map((key) => ({ Key: key, Value: parameters[key] }));
+}
+
+/**
+ * An in-process Daraja API for development and integration tests. It implements OAuth, STK
+ * push and query, B2C, B2B, C2B URL registration and simulation, reversal, transaction status
+ * and account balance, checks request bodies the way Daraja does, and then sends callbacks
+ * and results to the URLs in the requests, with the outcome you choose.
+ *
+ * Point the SDK at it with the `baseUrl` option.
+ */
+class MockDarajaServer {
+  /**
+   * Create a new MockDarajaServer instance
+   * @param {Object} [options] - Server options
+   * @param {string} [options.consumerKey] - Consumer key accepted by OAuth (any key when not set)
+   * @param {string} [options.consumerSecret] - Consumer secret accepted by OAuth (any secret when not set)
+   * @param {string} [options.passKey] - Pass key used to check STK passwords (not checked when not set)
+   * @param {string|Function} [options.outcome='success'] - One of {@link MOCK_OUTCOMES}, or a function
+   *   called with (operation, body) that returns one
+   * @param {Object<string, string|Function>} [options.outcomes] - Outcomes for specific operations
+   * @param {number} [options.callbackDelay=500] - Time (ms) between a request and its callback
+   * @param {Transport} [options.transport] - Sends the callbacks (defaults to a transport on Node's https module)
+   */
+  constructor(options = {}) {
+    this.consumerKey = options.consumerKey;
+    this.consumerSecret = options.consumerSecret;
+    this.passKey = options.passKey;
+    this.callbackDelay = options.callbackDelay !== undefined ? options.callbackDelay : 500;
+    this.transport = options.transport || createHttpsTransport({ timeout: 10 * 1000 });
+    this.outcomes = {};
+    this.setOutcome(options.outcome || MOCK_OUTCOMES.SUCCESS);
+    Object.keys(options.outcomes || {}).forEach((operation) => this.setOutcome(options.outcomes[operation], operation));
+
+    this.server = null;
+    this.url = null;
+    this.tokens = new Set();
+    this.timers = new Set();
+    this.pending = new Set();
+    this.reset();
+  }
+
+  /**
+   * Sets the outcome of later requests
+   * @param {string|Function} outcome - One of {@link MOCK_OUTCOMES}, or a function called with (operation, body) that returns one
+   * @param {string} [operation] - SDK operation it applies to (all operations when not given)
+   */
+  setOutcome(outcome, operation = '*') {
+    if (typeof outcome !== 'function' && !OUTCOME_RESULTS[outcome]) {
+      throw new TypeError(`Unknown outcome "${outcome}", expected one of: ${Object.values(MOCK_OUTCOMES).join(', ')}`);
+    }
+    this.outcomes[operation] = outcome;
+  }
+
+  /**
+   * Forgets received requests, sent callbacks, transactions and registered C2B URLs
+   */
+  reset() {
+    this.requests = [];
+    this.callbacks = [];
+    // STK pushes by CheckoutRequestID, and completed payments by receipt number
+    this.stkRequests = new Map();
+    this.transactions = new Map();
+    this.c2bUrls = new Map();
+  }
+
+  /**
+   * Starts listening
+   * @async
+   * @param {number} [port=0] - Port (0 picks a free one)
+   * @param {string} [host='127.0.0.1'] - Interface to listen on
+   * @returns {Promise<string>} The base URL, to pass to the SDK as `baseUrl`
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.url = `http://${host}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stops listening and cancels callbacks that have not been sent
+   * @async
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.timers.forEach(({ timer, resolve }) => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+    await this.settle();
+    if (!this.server) return;
+
+    await new Promise((resolve) => { this.server.close(() => resolve()); });
+    this.server = null;
+  }
+
+  /**
+   * Waits until every scheduled callback has been sent
+   * @async
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    while (this.pending.size > 0) {
+      await Promise.all(Array.from(this.pending));
+    }
+  }
+
+  /**
+   * Handles one request. Can be mounted in an existing server instead of calling listen.
+   * @async
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (url.pathname === '/oauth/v1/generate') return this.generateToken(req, res, url);
+
+      const endpoint = ENDPOINTS[url.pathname];
+      if (!endpoint || req.method !== 'POST') {
+        return sendJson(res, 404, errorBody('404.001.01', 'Resource not found'));
+      }
+
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      if (!this.tokens.has(token)) {
+        return sendJson(res, 401, errorBody('404.001.03', 'Invalid Access Token'));
+      }
+
+      const raw = await readBody(req);
+      let body;
+      try {
+        body = Buffer.isBuffer(raw) ? JSON.parse(raw.toString() || '{}') : raw;
+      } catch (error) {
+        return sendJson(res, 400, errorBody('400.002.05', 'Invalid Request Payload'));
+      }
+
+      const { operation } = endpoint;
+      this.requests.push({ operation, path: url.pathname, headers: req.headers, body });
+
+      const invalid = this.invalidField(endpoint, body);
+      if (invalid) return sendJson(res, 400, errorBody('400.002.02', `Bad Request - Invalid ${invalid}`));
+
+      const [status, response] = this[operation](body, this.outcomeFor(operation, body));
+      return sendJson(res, status, response);
+    } catch (error) {
+      return sendJson(res, 500, errorBody('500.003.02', error.message));
+    }
+  }
+
+  /**
+   * Issues an access token for valid client credentials
+   * @private
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @param {URL} url - The request URL
+   */
+  generateToken(req, res, url) {
+    const basic = (req.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+    const [key, secret] = basic ? Buffer.from(basic[1], 'base64').toString().split(':') : [];
+
+    if (url.searchParams.get('grant_type') !== 'client_credentials') {
+      return sendJson(res, 400, errorBody('400.008.02', 'Invalid grant type passed'));
+    }
+    if (!key || !secret
+      || (this.consumerKey && key !== this.consumerKey)
+      || (this.consumerSecret && secret !== this.consumerSecret)) {
+      return sendJson(res, 400, errorBody('400.008.01', 'Invalid Authentication passed'));
+    }
+
+    const token = randomId(28);
+    this.tokens.add(token);
+    return sendJson(res, 200, { access_token: token, expires_in: '3599' });
+  }
+
+  /**
+   * Finds the first field Daraja would reject
+   * @private
+   * @param {Object} endpoint - The endpoint, see ENDPOINTS
+   * @param {Object} body - The request body
+   * @returns {string|null} The field name, or null if the body is valid
+   */
+  invalidField({ operation, required }, body) {
+    const missing = required.find((field) => body[field] === undefined || body[field] === null || body[field] === '');
+    if (missing) return missing;
+
+    const amount = AMOUNT_FIELDS.find((field) => field in body && !(Number.isInteger(Number(body[field])) && Number(body[field]) > 0));
+    if (amount) return amount;
+
+    const msisdn = (MSISDN_FIELDS[operation] || []).find((field) => !/^254(7|1)\d{8}$/.test(String(body[field])));
+    if (msisdn) return msisdn;
+
+    const url = URL_FIELDS.find((field) => field in body && !/^https?:\/\/\S+$/.test(String(body[field])));
+    if (url) return url;
+
+    if (operation === 'stkPush' && this.passKey) {
+      const expected = Buffer.from(`${body.BusinessShortCode}${this.passKey}${body.Timestamp}`).toString('base64');
+      if (body.Password !== expected) return 'Password';
+    }
+    return null;
+  }
+
+  /**
+   * Picks the outcome of a request
+   * @private
+   * @param {string} operation - SDK operation
+   * @param {Object} body - The request body
+   * @returns {string} One of {@link MOCK_OUTCOMES}
+   */
+  outcomeFor(operation, body) {
+    const outcome = this.outcomes[operation] !== undefined ? this.outcomes[operation] : this.outcomes['*'];
+    const chosen = typeof outcome === 'function' ? outcome(operation, body) : outcome;
+    return OUTCOME_RESULTS[chosen] ? chosen : MOCK_OUTCOMES.SUCCESS;
+  }
+
+  /**
+   * Runs a task after the callback delay, unless the server is closed first
+   * @private
+   * @param {Function} task - The task, returning a promise
+   */
+  later(task) {
+    let entry;
+    const run = new Promise((resolve) => {
+      entry = { resolve, timer: setTimeout(() => resolve(true), this.callbackDelay) };
+      this.timers.add(entry);
+    }).then((due) => {
+      this.timers.delete(entry);
+      return due ? task() : undefined;
+    });
+
+    this.pending.add(run);
+    run.then(() => this.pending.delete(run));
+  }
+
+  /**
+   * POSTs a callback and records it in `callbacks`
+   * @private
+   * @async
+   * @param {string} url - The callback URL
+   * @param {Object} body - The callback body
+   * @returns {Promise<Object>} The record: url, body, and the status and response, or error
+   */
+  async deliver(url, body) {
+    const record = { url, body, status: null, response: null, error: null };
+    this.callbacks.push(record);
+
+    try {
+      const response = await this.transport({ method: 'POST', url, headers: {}, data: body });
+      record.status = response.status;
+      record.response = response.data;
+    } catch (error) {
+      record.error = error.message;
+    }
+    return record;
+  }
+
+  /**
+   * Handles an STK push: the customer is prompted, then the callback reports the outcome
+   * @private
+   * @param {Object} body - The request body
+   * @param {string} outcome - The outcome
+   * @returns {Array} Status and response body
+   */
+  stkPush(body, outcome) {
+    const merchantRequestId = `${randomId(5)}-${randomId(8)}-1`;
+    const checkoutRequestId = `ws_CO_${mpesaTimestamp()}${randomId(10)}`;
+    const result = OUTCOME_RESULTS[outcome];
+    const transaction = { merchantRequestId, checkoutRequestId, result: null };
+    this.stkRequests.set(checkoutRequestId, transaction);
+
+    this.later(() => {
+      const stkCallback = {
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: result.code,
+        ResultDesc: outcome === MOCK_OUTCOMES.SUCCESS ? 'The service request is processed successfully.' : result.desc
+      };
+      if (outcome === MOCK_OUTCOMES.SUCCESS) {
+        const receiptNumber = randomId(10);
+        this.transactions.set(receiptNumber, { amount: Number(body.Amount), phoneNumber: body.PhoneNumber, creditParty: body.PartyB });
+        stkCallback.CallbackMetadata = {
+          Item: [
+            { Name: 'Amount', Value: Number(body.Amount) },
+            { Name: 'MpesaReceiptNumber', Value: receiptNumber },
+            { Name: 'TransactionDate', Value: Number(mpesaTimestamp()) },
+            { Name: 'PhoneNumber', Value: Number(body.PhoneNumber) }
+          ]
+        };
+      }
+      transaction.result = stkCallback;
+      return this.deliver(body.CallBackURL, { Body: { stkCallback } });
+    });
+
+    return [200, {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    }];
+  }
+
+  /**
+   * Handles an STK query: pending until the callback has been sent, then the outcome
+   * @private
+   * @param {Object} body - The request body
+   * @returns {Array} Status and response body
+   */
+  stkPushQuery(body) {
+    const transaction = this.stkRequests.get(body.CheckoutRequestID);
+    if (!transaction) {
+      return [400, errorBody('400.002.02', 'Bad Request - Invalid CheckoutRequestID')];
+    }
+    if (!transaction.result) {
+      return [500, errorBody('500.001.1001', 'The transaction is being processed')];
+    }
+
+    return [200, {
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: transaction.merchantRequestId,
+      CheckoutRequestID: transaction.checkoutRequestId,
+      ResultCode: String(transaction.result.ResultCode),
+      ResultDesc: transaction.result.ResultDesc
+    }];
+  }
+
+  /**
+   * Accepts a request whose result is sent to the ResultURL, or to the QueueTimeOutURL when
+   * the outcome is a timeout
+   * @private
+   * @param {Object} body - The request body
+   * @param {string} outcome - The outcome
+   * @param {Function} parameters - Builds the result parameters of a success, given the transaction ID
+   * @returns {Array} Status and response body
+   */
+  acceptAsync(body, outcome, parameters) {
+    const originatorConversationId = `${randomId(4)}-${randomId(4)}-${randomId(8)}`;
+    const conversationId = `AG_${mpesaTimestamp().slice(0, 8)}_${randomId(20)}`;
+    const result = OUTCOME_RESULTS[outcome];
+
+    this.later(() => {
+      const transactionId = randomId(10);
+      const Result = {
+        ResultType: 0,
+        ResultCode: result.code,
+        ResultDesc: result.desc,
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: transactionId,
+        ReferenceData: { ReferenceItem: { Key: 'QueueTimeoutURL', Value: body.QueueTimeOutURL } }
+      };
+      if (outcome === MOCK_OUTCOMES.SUCCESS) {
+        Result.ResultParameters = { ResultParameter: toResultParameters(parameters(transactionId)) };
+      }
+      const url = outcome === MOCK_OUTCOMES.TIMEOUT ? body.QueueTimeOutURL : body.ResultURL;
+      return this.deliver(url, { Result });
+    });
+
+    return [200, {
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    }];
+  }
+
+  /**
+   * Handles a B2C payment
+   * @private
+   * @param {Object} body - The request body
+   * @param {string} outcome - The outcome
+   * @returns {Array} Status and response body
+   */
+  b2c(body, outcome) {
+    if (!['BusinessPayment', 'SalaryPayment', 'PromotionPayment'].includes(body.CommandID)) {
+      return [400, errorBody('400.002.02', 'Bad Request - Invalid CommandID')];
+    }
+
+    return this.acceptAsync(body, outcome, (transactionId) => {
+      this.transactions.set(transactionId, { amount: Number(body.Amount), phoneNumber: body.PartyB, creditParty: body.PartyB });
+      const completed = new Date(Date.now() + EAT_OFFSET).toISOString();
+      return {
+        TransactionAmount: Number(body.Amount),
+        TransactionReceipt: transactionId,
+        B2CRecipientIsRegisteredCustomer: 'Y',
+        B2CChargesPaidAccountAvailableFunds: 0,
+        ReceiverPartyPublicName: `${body.PartyB} - John Doe`,
+        TransactionCompletedDateTime: `${completed.slice(8, 10)}.${completed.slice(5, 7)}.${completed.slice(0, 4)} ${completed.slice(11, 19)}`,
+        B2CUtilityAccountAvailableFunds: 100000,
+        B2CWorkingAccountAvailableFunds: 100000
+      };
+    });
+  }
+
+  /**
+   * Handles a B2B payment (including business pay bill and B2C account top up)
+   * @private
+   * @param {Object} body - The request body
+   * @param {string} outcome - The outcome
+   * @returns {Array} Status and response body
+   */
+  b2b(body, outcome) {
+    return this.acceptAsync(body, outcome, (transactionId) => {
+      this.transactions.set(transactionId, { amount: Number(body.Amount), creditParty: body.PartyB });
+      return {
+        DebitAccountBalance: 'Working Account|KES|100000.00|100000.00|0.00|0.00',
+        Amount: Number(body.Amount),
+        DebitPartyAffectedAccountBalance: 'Working Account|KES|100000.00|100000.00|0.00|0.00',
+        TransCompletedTime: mpesaTimestamp(),
+        DebitPartyCharges: '',
+        ReceiverPartyPublicName: `${body.PartyB} - Mock Business`,
+        Currency: 'KES',
+        InitiatorAccountCurrentBalance: '{Amount={CurrencyCode=KES, MinimumAmount=10000000, BasicAmount=100000.00}}'
+      };
+    });
+  }
+
+  /**
+   * Handles a reversal
+   * @private
+   * @param {Object} body - The request body
+   * @param {string} outcome - The outcome
+   * @returns {Array} Status and response body
+   */
+  reversal(body, outcome) {
+    return this.acceptAsync(body, outcome, () => ({
+      DebitAccountBalance: 'Utility Account|KES|100000.00|100000.00|0.00|0.00',
+      Amount: Number(body.Amount),
+      TransCompletedTime: mpesaTimestamp(),
+      OriginalTransactionID: body.TransactionID,
+      Charge: 0,
+      CreditPartyPublicName: '254700000000 - John Doe',
+      DebitPartyPublicName: `${body.ReceiverParty} - Mock Business`
+    }));
+  }
+
+  /**
+   * Handles a transaction status query. Transactions made through the mock report their real amount.
+   * @private
+   * @param {Object} body - The request body
+   * @param {string} outcome - The outcome
+   * @returns {Array} Status and response body
+   */
+  transactionStatus(body, outcome) {
+    return this.acceptAsync(body, outcome, () => {
+      const transaction = this.transactions.get(body.TransactionID) || { amount: 1, phoneNumber: '254700000000' };
+      return {
+        DebitPartyName: `${transaction.phoneNumber || '254700000000'} - John Doe`,
+        TransactionReason: '',
+        FinalisedTime: mpesaTimestamp(),
+        Amount: transaction.amount,
+        TransactionStatus: 'Completed',
+        ReasonType: 'Pay Bill Online',
+        DebitPartyCharges: '',
+        InitiatedTime: mpesaTimestamp(),
+        OriginatorConversationID: '',
+        CreditPartyName: `${transaction.creditParty || body.PartyA} - Mock Business`,
+        ReceiptNo: body.TransactionID,
+        DebitAccountType: 'MMF Account For Customer'
+      };
+    });
+  }
+
+  /**
+   * Handles an account balance query
+   * @private
+   * @param {Object} body - The request body
+   * @param {string} outcome - The outcome
+   * @returns {Array} Status and response body
+   */
+  accountBalance(body, outcome) {
+    return this.acceptAsync(body, outcome, () => ({
+      AccountBalance: 'Working Account|KES|100000.00|100000.00|0.00|0.00&Utility Account|KES|50000.00|50000.00|0.00|0.00',
+      BOCompletedTime: mpesaTimestamp()
+    }));
+  }
+
+  /**
+   * Registers the C2B URLs of a short code
+   * @private
+   * @param {Object} body - The request body
+   * @returns {Array} Status and response body
+   */
+  c2bRegisterUrl(body) {
+    if (!['Completed', 'Cancelled'].includes(body.ResponseType)) {
+      return [400, errorBody('400.002.02', 'Bad Request - Invalid ResponseType')];
+    }
+
+    this.c2bUrls.set(String(body.ShortCode), body);
+    return [200, {
+      OriginatorCoversationID: `${randomId(4)}-${randomId(4)}-${randomId(8)}`,
+      ResponseCode: '0',
+      ResponseDescription: 'Success'
+    }];
+  }
+
+  /**
+   * Simulates a customer paying a short code: the validation URL is asked first, then the
+   * confirmation URL is told if the payment went through. Payments that do not succeed send nothing.
+   * @private
+   * @param {Object} body - The request body
+   * @param {string} outcome - The outcome
+   * @returns {Array} Status and response body
+   */
+  c2bSimulate(body, outcome) {
+    const urls = this.c2bUrls.get(String(body.ShortCode));
+    if (!urls) return [400, errorBody('400.002.02', 'Bad Request - No URLs registered for the ShortCode')];
+
+    if (outcome === MOCK_OUTCOMES.SUCCESS) {
+      this.later(async () => {
+        const transID = randomId(10);
+        const payment = {
+          TransactionType: body.CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+          TransID: transID,
+          TransTime: mpesaTimestamp(),
+          TransAmount: Number(body.Amount).toFixed(2),
+          BusinessShortCode: String(body.ShortCode),
+          BillRefNumber: body.BillRefNumber || '',
+          InvoiceNumber: '',
+          OrgAccountBalance: '',
+          ThirdPartyTransID: '',
+          MSISDN: String(body.Msisdn),
+          FirstName: 'John',
+          MiddleName: '',
+          LastName: 'Doe'
+        };
+
+        const validation = await this.deliver(urls.ValidationURL, payment);
+        const accepted = validation.error || validation.status >= 400
+          ? urls.ResponseType === 'Completed'
+          : String((validation.response || {}).ResultCode) === '0';
+        if (!accepted) return;
+
+        this.transactions.set(transID, { amount: Number(body.Amount), phoneNumber: String(body.Msisdn), creditParty: body.ShortCode });
+        await this.deliver(urls.ConfirmationURL, { ...payment, OrgAccountBalance: '100000.00' });
+      });
+    }
+
+    return [200, {
+      OriginatorCoversationID: `${randomId(4)}-${randomId(4)}-${randomId(8)}`,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    }];
+  }
+}
+
+module.exports = {
+  MOCK_OUTCOMES,
+  MockDarajaServer
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+
+/**
+ * Transaction codes for dynamic M-Pesa QR codes
+ * @type {Object<string, string>}
+ */
+const QR_TRANSACTION_CODES = {
+  BUY_GOODS: 'BG',
+  PAY_BILL: 'PB',
+  WITHDRAW_AGENT: 'WA',
+  SEND_MONEY: 'SM',
+  SEND_TO_BUSINESS: 'SB'
+};
+
+/**
+ * Gets the base64 image out of a generateQrCode response
+ * @private
+ * @param {Object|string} qrCode - The generateQrCode response, or the QRCode value itself
+ * @returns {string} The base64 encoded PNG
+ */
+function toBase64(qrCode) {
+  const image = qrCode && typeof qrCode === 'object' ? qrCode.QRCode : qrCode;
+  if (typeof image !== 'string' || image.length === 0) {
+    throw new TypeError('Expected a generateQrCode response or a base64 QR code');
+  }
+  return image;
+}
+
+/**
+ * Turns a QR code into a data URI that can be used as the src of an <img>
+ * @param {Object|string} qrCode - The generateQrCode response, or the QRCode value itself
+ * @returns {string} The data URI
+ */
+function qrCodeToDataUri(qrCode) {
+  return `data:image/png;base64,${toBase64(qrCode)}`;
+}
+
+/**
+ * Writes a QR code to a PNG file
+ * @async
+ * @param {Object|string} qrCode - The generateQrCode response, or the QRCode value itself
+ * @param {string} filePath - Where to write the image
+ * @returns {Promise<string>} The path written to
+ */
+async function saveQrCode(qrCode, filePath) {
+  await fs.promises.writeFile(filePath, Buffer.from(toBase64(qrCode), 'base64'));
+  return filePath;
+}
+
+module.exports = {
+  QR_TRANSACTION_CODES,
+  qrCodeToDataUri,
+  saveQrCode
+};
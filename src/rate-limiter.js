@@ -0,0 +1,160 @@
+const { RateLimitError } = require('./errors');
+
+/**
+ * Pause (ms) after a 429 response that has no Retry-After header
+ * @private
+ */
+const DEFAULT_THROTTLE_DELAY = 1000;
+
+/**
+ * Queues requests so that they stay within a request rate per endpoint and a number of
+ * requests in flight. Operations that share an endpoint (b2b, businessPayBill and
+ * b2cAccountTopUp) share its rate and its pauses. One limiter can be shared by several SDK
+ * instances using the same app.
+ */
+class RateLimiter {
+  /**
+   * Create a new RateLimiter instance
+   * @param {Object} [options] - Limits
+   * @param {number} [options.requestsPerSecond] - Requests per second sent to each endpoint (unlimited by default)
+   * @param {number} [options.maxConcurrent=Infinity] - Requests in flight at once, all operations together
+   * @param {number} [options.maxQueue=Infinity] - Requests allowed to wait; more are rejected with a RateLimitError
+   * @param {number} [options.throttleDelay=1000] - Pause (ms) after Daraja throttles an endpoint without a Retry-After header
+   * @param {Object<string, Object>} [options.operations] - Limits for specific operations (e.g. { stkPushQuery: { requestsPerSecond: 2 } })
+   */
+  constructor(options = {}) {
+    const { operations = {}, ...settings } = options;
+    this.requestsPerSecond = settings.requestsPerSecond;
+    this.maxConcurrent = settings.maxConcurrent || Infinity;
+    this.maxQueue = settings.maxQueue !== undefined ? settings.maxQueue : Infinity;
+    this.throttleDelay = settings.throttleDelay !== undefined ? settings.throttleDelay : DEFAULT_THROTTLE_DELAY;
+    this.operations = operations;
+
+    this.active = 0;
+    this.queue = [];
+    // Per endpoint: when the next request may start, and until when Daraja asked us to wait
+    this.slots = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Runs a task once the limits allow it
+   * @async
+   * @param {string} operation - SDK method making the request
+   * @param {Function} task - Sends the request and returns a promise
+   * @param {string} [endpoint=operation] - API path the request is sent to
+   * @returns {Promise<*>} What the task resolved with
+   * @throws {RateLimitError} If the queue is full
+   */
+  schedule(operation, task, endpoint = operation) {
+    return new Promise((resolve, reject) => {
+      const entry = { operation, endpoint, task, resolve, reject };
+      this.queue.push(entry);
+      this.drain();
+
+      // Only requests that have to wait count towards maxQueue
+      if (this.queue.length > this.maxQueue && this.queue.includes(entry)) {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        reject(new RateLimitError(`Request queue is full (${this.maxQueue} waiting)`, { operation }));
+      }
+    });
+  }
+
+  /**
+   * Stops sending requests to an endpoint for a while, e.g. after Daraja throttled it
+   * @param {string} endpoint - API path, as passed to schedule
+   * @param {number} [delay] - Pause in ms (defaults to throttleDelay)
+   */
+  throttle(endpoint, delay = this.throttleDelay) {
+    const slot = this.slot(endpoint);
+    slot.pausedUntil = Math.max(slot.pausedUntil, Date.now() + delay);
+  }
+
+  /**
+   * Reports the state of the queue
+   * @returns {{active: number, queued: number, queuedByOperation: Object<string, number>}} Requests in flight,
+   *   requests waiting, and requests waiting per operation
+   */
+  stats() {
+    const queuedByOperation = {};
+    this.queue.forEach(({ operation }) => {
+      queuedByOperation[operation] = (queuedByOperation[operation] || 0) + 1;
+    });
+    return { active: this.active, queued: this.queue.length, queuedByOperation };
+  }
+
+  /**
+   * Gets the scheduling state of an endpoint
+   * @private
+   * @param {string} endpoint - API path
+   * @returns {{nextAt: number, pausedUntil: number}} The state
+   */
+  slot(endpoint) {
+    if (!this.slots.has(endpoint)) this.slots.set(endpoint, { nextAt: 0, pausedUntil: 0 });
+    return this.slots.get(endpoint);
+  }
+
+  /**
+   * Gets the time (ms) between two requests of an operation
+   * @private
+   * @param {string} operation - SDK method
+   * @returns {number} The interval, 0 when unlimited
+   */
+  interval(operation) {
+    const limits = this.operations[operation] || {};
+    const requestsPerSecond = limits.requestsPerSecond !== undefined ? limits.requestsPerSecond : this.requestsPerSecond;
+    return requestsPerSecond ? 1000 / requestsPerSecond : 0;
+  }
+
+  /**
+   * Starts every queued request the limits allow, in order, and sets a timer for the next one.
+   * A waiting endpoint does not hold up requests to other endpoints.
+   * @private
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let wait = Infinity;
+    let index = 0;
+    while (index < this.queue.length && this.active < this.maxConcurrent) {
+      const entry = this.queue[index];
+      const slot = this.slot(entry.endpoint);
+      const readyAt = Math.max(slot.nextAt, slot.pausedUntil);
+
+      if (readyAt > now) {
+        wait = Math.min(wait, readyAt - now);
+        index += 1;
+      } else {
+        this.queue.splice(index, 1);
+        slot.nextAt = now + this.interval(entry.operation);
+        this.run(entry);
+      }
+    }
+
+    if (wait !== Infinity) this.timer = setTimeout(() => this.drain(), wait);
+  }
+
+  /**
+   * Runs a queued request and frees its place when it settles
+   * @private
+   * @async
+   * @param {Object} entry - The queued request
+   */
+  async run({ task, resolve, reject }) {
+    this.active += 1;
+    try {
+      resolve(await task());
+    } catch (error) {
+      reject(error);
+    } finally {
+      this.active -= 1;
+      this.drain();
+    }
+  }
+}
+
+module.exports = {
+  RateLimiter
+};
@@ -0,0 +1,327 @@
+const { ValidationError } = require('./errors');
+const { parseCallback } = require('./callbacks');
+const { parseCsv, normalizeHeader } = require('./csv');
+
+/**
+ * Outcomes of reconciling a ledger entry
+ * @type {Object<string, string>}
+ */
+const RECONCILIATION_STATUSES = {
+  MATCHED: 'matched',
+  MISSING: 'missing',
+  MISMATCHED: 'mismatched',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed',
+  UNEXPECTED: 'unexpected'
+};
+
+/**
+ * Statement columns, by their normalized header, see {@link normalizeHeader}
+ * @private
+ */
+const STATEMENT_COLUMNS = {
+  receiptno: 'receiptNumber',
+  receiptnumber: 'receiptNumber',
+  completiontime: 'completedAt',
+  initiationtime: 'initiatedAt',
+  details: 'details',
+  transactionstatus: 'status',
+  paidin: 'paidIn',
+  withdrawn: 'withdrawn',
+  balance: 'balance',
+  reasontype: 'reasonType',
+  otherpartyinfo: 'otherParty',
+  linkedtransactionid: 'linkedTransactionId',
+  acno: 'accountReference',
+  accountno: 'accountReference',
+  accountnumber: 'accountReference'
+};
+
+/**
+ * Identifiers shared by a ledger entry and the callbacks answering it
+ * @private
+ */
+const ID_FIELDS = ['receiptNumber', 'checkoutRequestId', 'conversationId', 'originatorConversationId'];
+
+/**
+ * Converts a statement amount ("1,000.00", "-500.00" or empty) to a positive number
+ * @private
+ * @param {string} value - The cell
+ * @returns {number|null} The amount, or null if the cell is empty
+ */
+function toAmount(value) {
+  const amount = Number(String(value || '').replace(/[,\s]/g, ''));
+  return value && String(value).trim() && Number.isFinite(amount) ? Math.abs(amount) : null;
+}
+
+/**
+ * Parses an M-Pesa statement exported as CSV from the M-Pesa org portal. Lines before the
+ * header row (the one with a "Receipt No." column) are skipped.
+ * @param {string} text - The CSV text
+ * @returns {Object[]} The rows: { receiptNumber, completedAt, details, status, paidIn, withdrawn, amount,
+ *   otherParty, accountReference, success, raw }
+ * @throws {ValidationError} If no header row is found
+ */
+function parseStatementCsv(text) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex((cells) => cells.some((cell) => STATEMENT_COLUMNS[normalizeHeader(cell)] === 'receiptNumber'));
+  if (headerIndex === -1) {
+    throw new ValidationError('Invalid statement: no "Receipt No." column found', { operation: 'reconcile' });
+  }
+
+  const header = rows[headerIndex].map((cell) => cell.trim());
+  const fields = header.map((cell) => STATEMENT_COLUMNS[normalizeHeader(cell)]);
+
+  return rows.slice(headerIndex + 1).map((cells) => {
+    const raw = {};
+    const row = {};
+    header.forEach((name, index) => {
+      const value = (cells[index] || '').trim();
+      raw[name] = value;
+      if (fields[index]) row[fields[index]] = value || null;
+    });
+
+    const paidIn = toAmount(row.paidIn);
+    const withdrawn = toAmount(row.withdrawn);
+    return {
+      receiptNumber: row.receiptNumber || null,
+      completedAt: row.completedAt || null,
+      details: row.details || null,
+      status: row.status || null,
+      paidIn,
+      withdrawn,
+      amount: paidIn || withdrawn,
+      otherParty: row.otherParty || null,
+      accountReference: row.accountReference || null,
+      success: !row.status || /^completed$/i.test(row.status),
+      raw
+    };
+  });
+}
+
+/**
+ * Brings callbacks and statement rows to one shape for matching
+ * @private
+ * @param {string} source - 'callback' or 'statement'
+ * @param {Object} record - A parsed callback or statement row
+ * @returns {Object} The received record
+ */
+function toReceived(source, record) {
+  return {
+    source,
+    record,
+    success: Boolean(record.success),
+    receiptNumber: record.receiptNumber || null,
+    checkoutRequestId: record.checkoutRequestId || null,
+    conversationId: record.conversationId || null,
+    originatorConversationId: record.originatorConversationId || null,
+    accountReference: record.accountReference || record.billRefNumber || null,
+    amount: record.amount !== undefined && record.amount !== null ? Number(record.amount) : null
+  };
+}
+
+/**
+ * Gets the identifier of the payment a received record reports
+ * @private
+ * @param {Object} received - The received record
+ * @returns {string|null} The receipt number, or the request identifier for payments without one
+ */
+function paymentKey(received) {
+  return received.receiptNumber || received.checkoutRequestId || received.conversationId || received.originatorConversationId;
+}
+
+/**
+ * Compares account references, ignoring case and surrounding spaces
+ * @private
+ * @param {string} a - A reference
+ * @param {string} b - Another reference
+ * @returns {boolean} True if they are the same
+ */
+function sameReference(a, b) {
+  return Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Compares amounts to the cent
+ * @private
+ * @param {number} a - An amount
+ * @param {number} b - Another amount
+ * @returns {boolean} True if they are equal
+ */
+function sameAmount(a, b) {
+  return Math.abs(Number(a) - Number(b)) < 0.005;
+}
+
+/**
+ * Adds the records sharing a receipt number with the found ones (e.g. the statement row of a callback)
+ * @private
+ * @param {Object[]} found - Records found for an entry
+ * @param {Object[]} received - All received records
+ * @returns {Object[]} The found records and their relatives, in received order
+ */
+function withSameReceipt(found, received) {
+  const receipts = new Set(found.map((record) => record.receiptNumber).filter(Boolean));
+  return received.filter((record) => found.includes(record) || receipts.has(record.receiptNumber));
+}
+
+/**
+ * Works out the outcome of a ledger entry from the records found for it
+ * @private
+ * @param {Object} entry - The ledger entry
+ * @param {Object[]} found - Records found for it
+ * @returns {Object} The report item
+ */
+function classify(entry, found) {
+  const item = {
+    status: RECONCILIATION_STATUSES.MISSING,
+    expected: entry,
+    callbacks: found.filter((record) => record.source === 'callback').map((record) => record.record),
+    statement: found.filter((record) => record.source === 'statement').map((record) => record.record),
+    issues: []
+  };
+
+  const paid = found.filter((record) => record.success);
+  const payments = Array.from(new Set(paid.map(paymentKey)));
+
+  if (payments.length > 1) {
+    item.status = RECONCILIATION_STATUSES.DUPLICATE;
+    item.issues.push(`${payments.length} payments match: ${payments.join(', ')}`);
+  } else if (payments.length === 1) {
+    const wrong = entry.amount === undefined || entry.amount === null
+      ? []
+      : paid.filter((record) => record.amount !== null && !sameAmount(record.amount, entry.amount));
+    item.status = wrong.length > 0 ? RECONCILIATION_STATUSES.MISMATCHED : RECONCILIATION_STATUSES.MATCHED;
+    wrong.forEach((record) => item.issues.push(`Amount ${record.amount} in the ${record.source}, expected ${entry.amount}`));
+  } else if (found.length > 0) {
+    item.status = RECONCILIATION_STATUSES.FAILED;
+    found.forEach(({ record }) => item.issues.push(record.resultDesc || record.status || 'Payment failed'));
+  }
+  return item;
+}
+
+/**
+ * Gets the identifier of the payment a matched report item found
+ * @private
+ * @param {Object} item - The report item
+ * @returns {string|null} The payment key of its first successful record, or the CheckoutRequestID
+ *   of an entry confirmed by an STK push query
+ */
+function matchedPayment(item) {
+  const paid = [
+    ...item.callbacks.map((record) => toReceived('callback', record)),
+    ...item.statement.map((record) => toReceived('statement', record))
+  ].find((record) => record.success);
+  return paid ? paymentKey(paid) : item.expected.checkoutRequestId || null;
+}
+
+/**
+ * Marks matched items that share a payment as duplicates, as the payment was recorded
+ * several times in the ledger
+ * @param {Object[]} items - Report items, see {@link reconcile}
+ */
+function markDuplicates(items) {
+  const owners = new Map();
+  items.forEach((item) => {
+    if (item.status !== RECONCILIATION_STATUSES.MATCHED && item.status !== RECONCILIATION_STATUSES.MISMATCHED) return;
+    const key = matchedPayment(item);
+    if (key) owners.set(key, [...(owners.get(key) || []), item]);
+  });
+  owners.forEach((owned, key) => {
+    if (owned.length < 2) return;
+    owned.forEach((item) => {
+      item.status = RECONCILIATION_STATUSES.DUPLICATE;
+      item.issues.push(`Payment ${key} matches ${owned.length} ledger entries`);
+    });
+  });
+}
+
+/**
+ * Groups report items by status and counts them
+ * @param {Object[]} items - Report items, see {@link reconcile}
+ * @returns {Object} The report: { items, summary } and one list per {@link RECONCILIATION_STATUSES} value
+ */
+function buildReport(items) {
+  const report = { items, summary: {} };
+  Object.values(RECONCILIATION_STATUSES).forEach((status) => {
+    report[status] = items.filter((item) => item.status === status);
+    report.summary[status] = report[status].length;
+  });
+  return report;
+}
+
+/**
+ * Reconciles your ledger with what M-Pesa reported. Ledger entries are matched with callbacks and
+ * statement rows by receipt number, CheckoutRequestID or ConversationID, and entries without any
+ * by account reference, preferring records of the same amount. Each entry is then:
+ * - matched: one payment found, for the expected amount
+ * - mismatched: one payment found, for another amount
+ * - duplicate: several payments found, or a payment also matched by another entry
+ * - failed: only failed or timed out results found
+ * - missing: nothing found
+ *
+ * Successful callbacks no entry matched are reported as unexpected (e.g. C2B payments missing
+ * from the ledger). Unmatched statement rows are not, as statements also list charges and transfers.
+ * @param {Object} sources - What to reconcile
+ * @param {Object[]} [sources.expected] - Ledger entries, or stored transactions: { reference, amount, receiptNumber,
+ *   checkoutRequestId, conversationId, originatorConversationId, accountReference, transactionType }, all optional
+ * @param {Object[]} [sources.callbacks] - Callbacks, results and C2B confirmations, raw or parsed with {@link parseCallback}
+ * @param {string|Object[]} [sources.statement] - M-Pesa statement CSV text, or rows parsed with {@link parseStatementCsv}
+ * @returns {Object} The report: { items, summary } and one list of items per status. Items hold status,
+ *   expected (the entry, null when unexpected), callbacks, statement (the rows found) and issues.
+ * @throws {ValidationError} If a callback or the statement cannot be parsed
+ */
+function reconcile({ expected = [], callbacks = [], statement = [] } = {}) {
+  const rows = typeof statement === 'string' ? parseStatementCsv(statement) : statement;
+  const received = [
+    ...callbacks.map((payload) => toReceived('callback', payload && payload.raw && payload.type ? payload : parseCallback(payload))),
+    ...rows.map((row) => toReceived('statement', row))
+  ];
+
+  // Identifiers first, for every entry, so that reference matching only gets what is left
+  const found = expected.map((entry) => withSameReceipt(
+    received.filter((record) => ID_FIELDS.some((field) => entry[field] && record[field] === entry[field])),
+    received
+  ));
+  const claimed = new Set(found.flat());
+
+  expected.forEach((entry, index) => {
+    if (found[index].length > 0 || !entry.accountReference) return;
+
+    const candidates = received.filter((record) => !claimed.has(record) && sameReference(record.accountReference, entry.accountReference));
+    const exact = candidates.find((record) => record.success && sameAmount(record.amount, entry.amount));
+    found[index] = withSameReceipt(exact ? [exact] : candidates, received);
+    found[index].forEach((record) => claimed.add(record));
+  });
+
+  const items = expected.map((entry, index) => classify(entry, found[index]));
+
+  markDuplicates(items);
+
+  const unexpected = new Map();
+  received.forEach((record) => {
+    if (record.source !== 'callback' || !record.success || claimed.has(record)) return;
+    const key = paymentKey(record);
+    if (!unexpected.has(key)) unexpected.set(key, []);
+    unexpected.get(key).push(record);
+  });
+  unexpected.forEach((records) => {
+    const related = withSameReceipt(records, received);
+    items.push({
+      status: RECONCILIATION_STATUSES.UNEXPECTED,
+      expected: null,
+      callbacks: related.filter((record) => record.source === 'callback').map((record) => record.record),
+      statement: related.filter((record) => record.source === 'statement').map((record) => record.record),
+      issues: ['No ledger entry matches this payment']
+    });
+  });
+
+  return buildReport(items);
+}
+
+module.exports = {
+  RECONCILIATION_STATUSES,
+  parseStatementCsv,
+  reconcile,
+  markDuplicates,
+  buildReport
+};
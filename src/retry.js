@@ -0,0 +1,152 @@
+/**
+ * Retry settings used when none are configured
+ * @type {Object}
+ * @property {number} maxAttempts - Attempts in total, including the first
+ * @property {number} baseDelay - Delay (ms) before the first retry
+ * @property {number} maxDelay - Longest delay (ms) between attempts
+ * @property {number} factor - Growth of the delay after each attempt
+ * @property {boolean} jitter - Whether delays are randomized (full jitter)
+ * @property {number[]} retryStatusCodes - HTTP statuses that are retried
+ * @property {string[]} retryErrorCodes - Network error codes that are retried
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 10 * 1000,
+  factor: 2,
+  jitter: true,
+  retryStatusCodes: [429, 500, 502, 503, 504],
+  retryErrorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH']
+};
+
+/**
+ * Operations that only read data and are safe to send more than once. Other operations
+ * move money and are only retried when the caller passes an idempotency key, and then only
+ * after failures that show Daraja never processed the request.
+ * @type {string[]}
+ */
+const READ_ONLY_OPERATIONS = ['generateToken', 'stkPushQuery', 'transactionStatus', 'accountBalance'];
+
+/**
+ * Network error codes raised before a request reaches Daraja. A reset or a timeout may come
+ * after Daraja accepted the payment, so neither is on the list.
+ * @private
+ */
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH'];
+
+/**
+ * Daraja error code of an STK query for a payment that has not finished
+ * @private
+ */
+const STK_PROCESSING_ERROR_CODE = '500.001.1001';
+
+/**
+ * Works out the retry policy of an operation
+ * @param {Object|boolean} [options] - The `retry` option of the SDK, or false to never retry
+ * @param {Object<string, Object|boolean>} [options.operations] - Per operation settings, or false to never retry that operation
+ * @param {string} operation - SDK method name
+ * @param {boolean} [idempotent=false] - Whether the caller passed an idempotency key
+ * @returns {Object|null} The policy, or null if the operation must not be retried
+ */
+function resolveRetryPolicy(options, operation, idempotent = false) {
+  if (options === false) return null;
+
+  const { operations = {}, ...settings } = options && options !== true ? options : {};
+  const override = operations[operation];
+  if (override === false) return null;
+
+  const readOnly = READ_ONLY_OPERATIONS.includes(operation);
+  if (!idempotent && !readOnly) return null;
+
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...settings,
+    ...(override && typeof override === 'object' ? override : {}),
+    ...(readOnly ? {} : { unprocessedOnly: true })
+  };
+}
+
+/**
+ * Checks whether a failure shows that Daraja never processed the request: the connection was
+ * refused or never made, the request was throttled (429), or Daraja was unavailable and said
+ * when to come back (503 with Retry-After)
+ * @param {Error} error - The error raised by the request
+ * @returns {boolean} True if sending the request again cannot repeat it
+ */
+function isUnprocessedError(error) {
+  const { response } = error;
+  if (!response) return UNSENT_ERROR_CODES.includes(error.code);
+  if (response.status === 429) return true;
+  return response.status === 503 && Boolean(response.headers && response.headers['retry-after']);
+}
+
+/**
+ * Checks whether a failed request may succeed if sent again
+ * @param {Error} error - The error raised by the request
+ * @param {Object} policy - The retry policy
+ * @returns {boolean} True for retryable statuses and network errors, which for policies with
+ *   `unprocessedOnly` must also show that the request was never processed
+ */
+function isRetryableError(error, policy) {
+  if (policy.unprocessedOnly && !isUnprocessedError(error)) return false;
+
+  const { response } = error;
+  if (!response) return policy.retryErrorCodes.includes(error.code);
+  // The STK query answers a payment that is still in progress with a 500; asking again at once changes nothing
+  if (response.data && response.data.errorCode === STK_PROCESSING_ERROR_CODE) return false;
+  return policy.retryStatusCodes.includes(response.status);
+}
+
+/**
+ * Computes how long to wait before the next attempt: exponential backoff with full jitter,
+ * but never less than what a Retry-After header asks for
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {Object} policy - The retry policy
+ * @param {Error} [error] - The error raised by the attempt
+ * @param {Function} [random=Math.random] - Random number source
+ * @returns {number} The delay in ms
+ */
+function retryDelay(attempt, policy, error, random = Math.random) {
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * policy.factor ** (attempt - 1));
+  const delay = policy.jitter ? Math.round(random() * backoff) : backoff;
+
+  const headers = error && error.response && error.response.headers;
+  const retryAfter = headers ? Number(headers['retry-after']) * 1000 : 0;
+  return retryAfter > delay ? Math.min(retryAfter, policy.maxDelay) : delay;
+}
+
+/**
+ * Runs a request, retrying it as the policy allows
+ * @async
+ * @param {Function} send - Sends the request, called with the attempt number
+ * @param {Object|null} policy - The retry policy, or null to try once
+ * @param {Object} [options] - Retry options
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before waiting
+ * @param {Function} [options.sleep] - Waits for a number of ms
+ * @returns {Promise<*>} What send resolved with
+ */
+async function withRetry(send, policy, options = {}) {
+  const { onRetry, sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); }) } = options;
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await send(attempt);
+    } catch (error) {
+      if (!policy || attempt >= policy.maxAttempts || !isRetryableError(error, policy)) throw error;
+
+      const delay = retryDelay(attempt, policy, error);
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  READ_ONLY_OPERATIONS,
+  resolveRetryPolicy,
+  isUnprocessedError,
+  isRetryableError,
+  retryDelay,
+  withRetry
+};
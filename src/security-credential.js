@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Safaricom public certificates bundled with the SDK, by environment
+ * @type {Object<string, string>}
+ */
+const CERTIFICATE_PATHS = {
+  sandbox: path.join(__dirname, 'certificates', 'sandbox.cer'),
+  production: path.join(__dirname, 'certificates', 'production.cer')
+};
+
+/**
+ * Loads the certificate used to encrypt the initiator password
+ * @param {Object} options - Certificate options
+ * @param {string|Buffer} [options.certificate] - The certificate itself (PEM or DER)
+ * @param {string} [options.certificatePath] - Path to the certificate file
+ * @param {string} [options.environment='sandbox'] - Picks the bundled certificate when no other is given
+ * @returns {string|Buffer} The certificate
+ */
+function loadCertificate({ certificate, certificatePath, environment = 'sandbox' } = {}) {
+  if (certificate) return certificate;
+  if (certificatePath) return fs.readFileSync(certificatePath);
+  return fs.readFileSync(CERTIFICATE_PATHS[environment] || CERTIFICATE_PATHS.sandbox);
+}
+
+/**
+ * Turns a PEM or DER certificate into a PEM one, which crypto.publicEncrypt takes as a key
+ * @private
+ * @param {string|Buffer} certificate - The certificate
+ * @returns {string} The PEM certificate
+ */
+function toPublicKey(certificate) {
+  const text = certificate.toString();
+  if (text.includes('-----BEGIN')) return text;
+  // DER encoded certificate, as downloaded from some versions of the Daraja portal
+  const base64 = Buffer.from(certificate).toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * Generates the SecurityCredential for B2C, B2B, reversal, transaction status and
+ * account balance requests by encrypting the initiator password with Safaricom's
+ * public certificate (RSA PKCS#1 v1.5)
+ * @param {string} initiatorPassword - The initiator password
+ * @param {string|Buffer} certificate - Safaricom's public certificate (PEM or DER)
+ * @returns {string} The base64 encoded security credential
+ */
+function generateSecurityCredential(initiatorPassword, certificate) {
+  if (!initiatorPassword) {
+    throw new Error('An initiator password is required to generate the security credential');
+  }
+
+  const encrypted = crypto.publicEncrypt({
+    key: toPublicKey(certificate),
+    padding: crypto.constants.RSA_PKCS1_PADDING
+  }, Buffer.from(String(initiatorPassword)));
+
+  return encrypted.toString('base64');
+}
+
+module.exports = {
+  CERTIFICATE_PATHS,
+  loadCertificate,
+  generateSecurityCredential
+};
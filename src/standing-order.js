@@ -0,0 +1,78 @@
+/**
+ * Frequency codes for M-Pesa Ratiba standing orders
+ * @type {Object<string, string>}
+ */
+const STANDING_ORDER_FREQUENCIES = {
+  ONE_OFF: '1',
+  DAILY: '2',
+  WEEKLY: '3',
+  MONTHLY: '4',
+  BI_MONTHLY: '5',
+  QUARTERLY: '6',
+  HALF_YEARLY: '7',
+  YEARLY: '8'
+};
+
+/**
+ * Standing order transaction types: paying a paybill or a till. The misspelling
+ * of "Merchant" is the value Daraja expects.
+ * @type {Object<string, string>}
+ */
+const STANDING_ORDER_TRANSACTION_TYPES = {
+  PAY_BILL: 'Standing Order Customer Pay Bill',
+  BUY_GOODS: 'Standing Order Customer Pay Marchant'
+};
+
+/**
+ * Receiver identifier type Daraja expects for each standing order transaction type
+ * @private
+ */
+const RECEIVER_IDENTIFIER_TYPES = {
+  [STANDING_ORDER_TRANSACTION_TYPES.PAY_BILL]: '4',
+  [STANDING_ORDER_TRANSACTION_TYPES.BUY_GOODS]: '2'
+};
+
+/**
+ * Offset of East Africa Time (UTC+3) in milliseconds, used to format Date objects
+ * @private
+ */
+const EAT_OFFSET = 3 * 60 * 60 * 1000;
+
+/**
+ * Formats a standing order date as the YYYYMMDD string Daraja expects. Date objects
+ * are read in East Africa Time; strings may be YYYYMMDD or YYYY-MM-DD.
+ * @param {Date|string} value - The date
+ * @returns {string|null} The formatted date, or null if the value is not a valid calendar date
+ */
+function formatStandingOrderDate(value) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return new Date(value.getTime() + EAT_OFFSET).toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  const parts = String(value).trim().match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (!parts) return null;
+
+  const [year, month, day] = parts.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return parts.slice(1).join('');
+}
+
+/**
+ * Gets the receiver identifier type for a standing order transaction type
+ * @param {string} transactionType - One of {@link STANDING_ORDER_TRANSACTION_TYPES}
+ * @returns {string} '4' for a paybill, '2' for a till
+ */
+function receiverIdentifierType(transactionType) {
+  return RECEIVER_IDENTIFIER_TYPES[transactionType];
+}
+
+module.exports = {
+  STANDING_ORDER_FREQUENCIES,
+  STANDING_ORDER_TRANSACTION_TYPES,
+  formatStandingOrderDate,
+  receiverIdentifierType
+};
@@ -0,0 +1,66 @@
+/**
+ * Final states of an STK push payment
+ * @type {Object<string, string>}
+ */
+const STK_STATUSES = {
+  PAID: 'paid',
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  WRONG_PIN: 'wrong_pin',
+  FAILED: 'failed'
+};
+
+/**
+ * STK push transaction types: pay bill (PartyB is the paybill) or buy goods (PartyB is a till)
+ * @type {Object<string, string>}
+ */
+const STK_TRANSACTION_TYPES = {
+  PAY_BILL: 'CustomerPayBillOnline',
+  BUY_GOODS: 'CustomerBuyGoodsOnline'
+};
+
+/**
+ * Known STK push result codes and the state they map to
+ * @private
+ */
+const RESULT_CODE_STATUSES = {
+  0: STK_STATUSES.PAID,
+  1: STK_STATUSES.INSUFFICIENT_FUNDS,
+  1032: STK_STATUSES.CANCELLED,
+  1037: STK_STATUSES.TIMEOUT,
+  1019: STK_STATUSES.TIMEOUT,
+  2001: STK_STATUSES.WRONG_PIN
+};
+
+/**
+ * Daraja error code returned by the STK query while the payment is still in progress
+ * @private
+ */
+const PROCESSING_ERROR_CODE = '500.001.1001';
+
+/**
+ * Maps an STK push result code to a final state
+ * @param {number|string} resultCode - ResultCode from the callback or STK query
+ * @returns {string} One of {@link STK_STATUSES}
+ */
+function stkStatusFromResultCode(resultCode) {
+  return RESULT_CODE_STATUSES[Number(resultCode)] || STK_STATUSES.FAILED;
+}
+
+/**
+ * Checks whether an STK query error only means the payment has not finished yet
+ * @param {Error} error - Error thrown by stkPushQuery
+ * @returns {boolean} True if the query should be tried again later
+ */
+function isStkPending(error) {
+  if (error.errorCode === PROCESSING_ERROR_CODE) return true;
+  return /being processed/i.test(error.errorMessage || '');
+}
+
+module.exports = {
+  STK_STATUSES,
+  STK_TRANSACTION_TYPES,
+  stkStatusFromResultCode,
+  isStkPending
+};
@@ -0,0 +1,97 @@
+/**
+ * TokenManager - Keeps track of the OAuth access token and its expiry
+ * @class
+ */
+class TokenManager {
+  /**
+   * Create a new TokenManager instance
+   * @param {Object} options - Token manager options
+   * @param {Function} options.fetchToken - Async function resolving to the raw OAuth response ({ access_token, expires_in })
+   * @param {number} [options.refreshMargin=60000] - How long (ms) before expiry the token is considered stale
+   * @param {Function} [options.now=Date.now] - Clock used to compute expiry
+   * @param {Function} [options.onRefresh] - Called with the expiry time (ms) each time a new token is stored
+   */
+  constructor({ fetchToken, refreshMargin = 60 * 1000, now = Date.now, onRefresh }) {
+    if (typeof fetchToken !== 'function') {
+      throw new Error('TokenManager requires a fetchToken function');
+    }
+
+    this.fetchToken = fetchToken;
+    this.refreshMargin = refreshMargin;
+    this.now = now;
+    this.onRefresh = onRefresh;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Checks whether the current token can still be used
+   * @returns {boolean} True if a token is held and is not within the refresh margin of expiry
+   */
+  isValid() {
+    return Boolean(this.token) && this.now() < this.expiresAt - this.refreshMargin;
+  }
+
+  /**
+   * Returns a usable access token, refreshing it if it is missing or about to expire
+   * @async
+   * @returns {Promise<string>} The access token
+   */
+  async getToken() {
+    if (this.isValid()) return this.token;
+    return this.refresh();
+  }
+
+  /**
+   * Fetches a new access token. Concurrent calls share a single request.
+   * @async
+   * @returns {Promise<string>} The new access token
+   */
+  refresh() {
+    if (!this.pending) {
+      this.pending = Promise.resolve()
+        .then(() => this.fetchToken())
+        .then((data) => {
+          // Daraja sends expires_in as a string of seconds, usually "3599"
+          const expiresIn = Number(data.expires_in) || 3599;
+          this.token = data.access_token;
+          this.expiresAt = this.now() + expiresIn * 1000;
+          if (this.onRefresh) this.onRefresh(this.expiresAt);
+          return this.token;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Discards the current token so that the next call fetches a new one
+   */
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  }
+}
+
+/**
+ * Checks whether a request error was caused by an expired or invalid access token
+ * @param {Error} error - The error thrown while calling Daraja
+ * @returns {boolean} True if the request should be retried with a new token
+ */
+function isInvalidTokenError(error) {
+  const response = error && error.response;
+  if (!response) return false;
+
+  const data = response.data || {};
+  return response.status === 401
+    || data.errorCode === '404.001.03'
+    || /invalid access token/i.test(data.errorMessage || '');
+}
+
+module.exports = {
+  TokenManager,
+  isInvalidTokenError
+};
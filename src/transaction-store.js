@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * States of a stored transaction. A transaction is sending when it was saved before its request
+ * went out (see {@link BulkDisbursement}), and stays so if the request's outcome is unknown.
+ * @type {Object<string, string>}
+ */
+const TRANSACTION_STATUSES = {
+  SENDING: 'sending',
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout'
+};
+
+/**
+ * SDK methods whose accepted requests are recorded in the transaction store
+ * @type {string[]}
+ */
+const TRACKED_OPERATIONS = [
+  'stkPush',
+  'b2c',
+  'b2b',
+  'businessPayBill',
+  'b2cAccountTopUp',
+  'b2bExpressCheckout',
+  'createStandingOrder',
+  'reversal'
+];
+
+/**
+ * Fields transactions can be looked up by
+ * @type {string[]}
+ */
+const LOOKUP_FIELDS = [
+  'id',
+  'reference',
+  'merchantRequestId',
+  'checkoutRequestId',
+  'conversationId',
+  'originatorConversationId',
+  'requestId',
+  'responseRefId',
+  'receiptNumber'
+];
+
+/**
+ * Identifiers a callback shares with the request it answers, most specific first
+ * @private
+ */
+const CORRELATION_FIELDS = [
+  'checkoutRequestId',
+  'conversationId',
+  'originatorConversationId',
+  'requestId',
+  'responseRefId'
+];
+
+/**
+ * A payment or disbursement recorded by the SDK. Dates are ISO strings, so that stores can
+ * serialize transactions as they are.
+ * @typedef {Object} Transaction
+ * @property {string} id - Identifier given by the store
+ * @property {string|null} reference - Your reference, passed to the SDK method
+ * @property {string} operation - SDK method that made the request (e.g. 'b2c'), or 'c2b' for customer payments
+ * @property {string} status - One of {@link TRANSACTION_STATUSES}
+ * @property {number|null} amount - Amount
+ * @property {string|null} phoneNumber - Customer's phone number
+ * @property {string|null} partyA - Paying party
+ * @property {string|null} partyB - Receiving party
+ * @property {string|null} transactionType - TransactionType of STK pushes, which decides the short code that queries them
+ * @property {string|null} merchantRequestId - STK push MerchantRequestID
+ * @property {string|null} checkoutRequestId - STK push CheckoutRequestID
+ * @property {string|null} conversationId - ConversationID of B2C, B2B and reversal requests
+ * @property {string|null} originatorConversationId - OriginatorConversationID of B2C, B2B and reversal requests
+ * @property {string|null} requestId - RequestRefID of B2B express checkouts
+ * @property {string|null} responseRefId - responseRefID of standing orders
+ * @property {string|null} receiptNumber - M-Pesa receipt number, once known
+ * @property {number|null} resultCode - ResultCode of the callback
+ * @property {string|null} resultDesc - ResultDesc of the callback
+ * @property {Object|null} response - Daraja's response to the request
+ * @property {Object|null} callback - Body of the callback or result
+ * @property {string} createdAt - When the request was accepted
+ * @property {string} updatedAt - When the transaction last changed
+ */
+
+/**
+ * Interface of transaction stores. Every method may return a promise, so stores can be backed
+ * by a database (SQLite, Postgres, Redis...).
+ * @typedef {Object} TransactionStore
+ * @property {Function} save - Takes a transaction and stores it, replacing the one with the same id
+ * @property {Function} get - Takes an id and returns the transaction, or null
+ * @property {Function} find - Takes a query of {@link LOOKUP_FIELDS} and returns the first transaction matching every field, or null
+ * @property {Function} list - Takes a filter of fields and returns the transactions matching all of them, oldest first
+ */
+
+/**
+ * Checks that a transaction has the values of a query or filter
+ * @private
+ * @param {Transaction} transaction - The transaction
+ * @param {Object} query - Field values
+ * @returns {boolean} True if every field matches
+ */
+function matches(transaction, query) {
+  return Object.keys(query).every((field) => query[field] === undefined || transaction[field] === query[field]);
+}
+
+/**
+ * Keeps transactions in memory. Suits tests and single processes that can lose their
+ * state on restart; other stores can extend it.
+ */
+class MemoryTransactionStore {
+  /**
+   * Create a new MemoryTransactionStore instance
+   */
+  constructor() {
+    this.transactions = new Map();
+    // Lookup values ("field:value") to transaction ids
+    this.index = new Map();
+  }
+
+  /**
+   * Stores a transaction, replacing the one with the same id
+   * @async
+   * @param {Transaction} transaction - The transaction
+   * @returns {Promise<Transaction>} The stored transaction
+   */
+  async save(transaction) {
+    this.put(transaction);
+    return transaction;
+  }
+
+  /**
+   * Gets a transaction by id
+   * @async
+   * @param {string} id - The transaction id
+   * @returns {Promise<Transaction|null>} The transaction, or null if there is none
+   */
+  async get(id) {
+    return this.transactions.get(id) || null;
+  }
+
+  /**
+   * Finds a transaction by your reference, Daraja identifiers or receipt number
+   * @async
+   * @param {Object} query - Values of {@link LOOKUP_FIELDS} (e.g. { receiptNumber: 'NLJ7RT61SV' })
+   * @returns {Promise<Transaction|null>} The first transaction matching every field, or null
+   */
+  async find(query) {
+    const field = LOOKUP_FIELDS.find((name) => query[name] !== undefined && query[name] !== null);
+    if (!field) return null;
+
+    const candidates = [].concat(this.index.get(`${field}:${query[field]}`) || [])
+      .map((id) => this.transactions.get(id));
+    return candidates.find((transaction) => matches(transaction, query)) || null;
+  }
+
+  /**
+   * Lists transactions
+   * @async
+   * @param {Object} [filter] - Field values (e.g. { status: 'pending', operation: 'b2c' })
+   * @returns {Promise<Transaction[]>} The transactions matching all of them, oldest first
+   */
+  async list(filter = {}) {
+    return Array.from(this.transactions.values()).filter((transaction) => matches(transaction, filter));
+  }
+
+  /**
+   * Adds a transaction to the map and the lookup index
+   * @private
+   * @param {Transaction} transaction - The transaction
+   */
+  put(transaction) {
+    const previous = this.transactions.get(transaction.id);
+    if (previous) this.unindex(previous);
+
+    this.transactions.set(transaction.id, transaction);
+    LOOKUP_FIELDS.forEach((field) => {
+      if (transaction[field] === undefined || transaction[field] === null) return;
+      const key = `${field}:${transaction[field]}`;
+      this.index.set(key, [...(this.index.get(key) || []), transaction.id]);
+    });
+  }
+
+  /**
+   * Removes a transaction from the lookup index
+   * @private
+   * @param {Transaction} transaction - The transaction
+   */
+  unindex(transaction) {
+    LOOKUP_FIELDS.forEach((field) => {
+      const key = `${field}:${transaction[field]}`;
+      const ids = (this.index.get(key) || []).filter((id) => id !== transaction.id);
+      if (ids.length > 0) this.index.set(key, ids);
+      else this.index.delete(key);
+    });
+  }
+}
+
+/**
+ * Keeps transactions in a JSON file, so they survive restarts. The file is read once and
+ * rewritten after each change (through a temporary file, so a crash never leaves it half
+ * written). Meant for one process; use a database store when several share the transactions.
+ * @extends MemoryTransactionStore
+ */
+class FileTransactionStore extends MemoryTransactionStore {
+  /**
+   * Create a new FileTransactionStore instance
+   * @param {Object} options - Store options
+   * @param {string} options.path - Path of the JSON file, created when missing
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.path) throw new TypeError('FileTransactionStore needs a file path');
+    this.path = options.path;
+    this.loading = null;
+    // Writes run one after the other, in the order of the changes
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Stores a transaction and writes the file
+   * @async
+   * @param {Transaction} transaction - The transaction
+   * @returns {Promise<Transaction>} The stored transaction
+   */
+  async save(transaction) {
+    await this.load();
+    this.put(transaction);
+    await this.write();
+    return transaction;
+  }
+
+  /**
+   * Gets a transaction by id
+   * @async
+   * @param {string} id - The transaction id
+   * @returns {Promise<Transaction|null>} The transaction, or null if there is none
+   */
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  /**
+   * Finds a transaction, see {@link MemoryTransactionStore#find}
+   * @async
+   * @param {Object} query - Values of {@link LOOKUP_FIELDS}
+   * @returns {Promise<Transaction|null>} The first transaction matching every field, or null
+   */
+  async find(query) {
+    await this.load();
+    return super.find(query);
+  }
+
+  /**
+   * Lists transactions, see {@link MemoryTransactionStore#list}
+   * @async
+   * @param {Object} [filter] - Field values
+   * @returns {Promise<Transaction[]>} The transactions matching all of them, oldest first
+   */
+  async list(filter = {}) {
+    await this.load();
+    return super.list(filter);
+  }
+
+  /**
+   * Reads the file the first time the store is used
+   * @private
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = fs.promises.readFile(this.path, 'utf8')
+        .then((text) => JSON.parse(text).forEach((transaction) => this.put(transaction)))
+        .catch((error) => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Writes every transaction to the file
+   * @private
+   * @returns {Promise<void>}
+   */
+  write() {
+    const write = async () => {
+      const temporary = `${this.path}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(temporary, JSON.stringify(Array.from(this.transactions.values()), null, 2));
+      await fs.promises.rename(temporary, this.path);
+    };
+
+    this.writing = this.writing.catch(() => {}).then(write);
+    return this.writing;
+  }
+}
+
+/**
+ * Builds the transaction recorded when Daraja accepts a request
+ * @param {Object} details - The request
+ * @param {string} details.operation - SDK method that made the request
+ * @param {string} [details.reference] - Your reference
+ * @param {Object} details.data - Request body sent to Daraja
+ * @param {Object} details.response - Daraja's response
+ * @returns {Transaction} The pending transaction
+ */
+function transactionFromRequest({ operation, reference, data, response }) {
+  const body = response && typeof response === 'object' ? response : {};
+  const amount = Number(data.Amount !== undefined ? data.Amount : data.amount);
+  const partyB = data.PartyB || data.ReceiverParty || data.receiverShortCode || data.BusinessShortCode || null;
+  const now = new Date().toISOString();
+
+  return {
+    id: crypto.randomUUID(),
+    reference: reference || null,
+    operation,
+    status: TRANSACTION_STATUSES.PENDING,
+    amount: Number.isFinite(amount) ? amount : null,
+    phoneNumber: data.PhoneNumber || (/^254\d{9}$/.test(data.PartyB) ? data.PartyB : null)
+      || (/^254\d{9}$/.test(data.PartyA) ? data.PartyA : null),
+    partyA: data.PartyA || data.primaryShortCode || null,
+    partyB,
+    transactionType: data.TransactionType || null,
+    merchantRequestId: body.MerchantRequestID || null,
+    checkoutRequestId: body.CheckoutRequestID || null,
+    conversationId: body.ConversationID || null,
+    originatorConversationId: body.OriginatorConversationID || null,
+    requestId: data.RequestRefID || null,
+    responseRefId: (body.ResponseHeader && body.ResponseHeader.responseRefID) || null,
+    receiptNumber: null,
+    resultCode: null,
+    resultDesc: null,
+    response: response || null,
+    callback: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Builds the transaction recorded for a C2B payment, which no request of yours started
+ * @param {Object} callback - A C2B confirmation parsed with {@link parseCallback}
+ * @returns {Transaction} The completed transaction
+ */
+function transactionFromC2BPayment(callback) {
+  const now = new Date().toISOString();
+
+  return {
+    ...transactionFromRequest({ operation: 'c2b', reference: callback.billRefNumber, data: {}, response: null }),
+    status: TRANSACTION_STATUSES.COMPLETED,
+    amount: callback.amount,
+    phoneNumber: callback.phoneNumber,
+    partyB: callback.businessShortCode || null,
+    receiptNumber: callback.receiptNumber,
+    callback: callback.raw,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Applies a callback or result to the transaction it answers
+ * @param {Transaction} transaction - The stored transaction
+ * @param {Object} callback - The callback, parsed with {@link parseCallback}
+ * @returns {Transaction} The updated copy
+ */
+function applyCallback(transaction, callback) {
+  let status = TRANSACTION_STATUSES.FAILED;
+  if (callback.success) status = TRANSACTION_STATUSES.COMPLETED;
+  else if (callback.timedOut) status = TRANSACTION_STATUSES.TIMEOUT;
+
+  return {
+    ...transaction,
+    status,
+    receiptNumber: callback.receiptNumber || transaction.receiptNumber,
+    resultCode: Number.isFinite(callback.resultCode) ? callback.resultCode : null,
+    resultDesc: callback.resultDesc || null,
+    callback: callback.raw,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Gets the queries that find the transaction a callback answers, most specific first
+ * @param {Object} callback - The callback, parsed with {@link parseCallback}
+ * @returns {Object[]} The queries
+ */
+function correlationQueries(callback) {
+  return CORRELATION_FIELDS
+    .filter((field) => callback[field])
+    .map((field) => ({ [field]: callback[field] }));
+}
+
+module.exports = {
+  TRANSACTION_STATUSES,
+  TRACKED_OPERATIONS,
+  LOOKUP_FIELDS,
+  MemoryTransactionStore,
+  FileTransactionStore,
+  transactionFromRequest,
+  transactionFromC2BPayment,
+  applyCallback,
+  correlationQueries
+};
@@ -0,0 +1,200 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * A transport sends one HTTP request and resolves with the response, whatever its status.
+ * It rejects only when no response was received (network errors, timeouts).
+ * @callback Transport
+ * @param {TransportRequest} request - The request to send
+ * @returns {Promise<TransportResponse>} The response
+ */
+
+/**
+ * @typedef {Object} TransportRequest
+ * @property {string} [operation] - SDK method making the request, for transports that want it
+ * @property {string} method - HTTP method ('GET' or 'POST')
+ * @property {string} url - Absolute URL
+ * @property {Object<string, string>} headers - Request headers
+ * @property {*} [data] - Body, sent as JSON
+ * @property {number} [timeout] - Time (ms) after which the request is aborted
+ * @property {http.Agent} [agent] - Agent for Node transports (keep-alive, proxies)
+ */
+
+/**
+ * @typedef {Object} TransportResponse
+ * @property {number} status - HTTP status code
+ * @property {Object<string, string>} headers - Response headers, with lower case names
+ * @property {*} data - Body, decoded from JSON when possible
+ */
+
+/**
+ * Decodes a response body, falling back to the text when it is not JSON
+ * @private
+ * @param {string} text - The body
+ * @returns {*} The decoded body
+ */
+function parseBody(text) {
+  if (!text) return '';
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Builds the error raised when a request is aborted for taking too long
+ * @private
+ * @param {number} timeout - The timeout in ms
+ * @returns {Error} The error, with code ETIMEDOUT
+ */
+function timeoutError(timeout) {
+  const error = new Error(`Request timed out after ${timeout}ms`);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Prepares the headers and body of a request
+ * @private
+ * @param {TransportRequest} request - The request
+ * @returns {{method: string, headers: Object, body: string|undefined}} What to send
+ */
+function encodeRequest(request) {
+  const headers = { Accept: 'application/json', ...request.headers };
+  const body = request.data === undefined ? undefined : JSON.stringify(request.data);
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  return { method: (request.method || 'GET').toUpperCase(), headers, body };
+}
+
+/**
+ * Describes a failed request on its error without the headers and body, which hold the access
+ * token and credentials, so that logging the error never leaks them
+ * @private
+ * @param {TransportRequest} request - The request
+ * @returns {{operation: string|undefined, method: string, url: string}} The description
+ */
+function describeRequest(request) {
+  return { operation: request.operation, method: (request.method || 'GET').toUpperCase(), url: request.url };
+}
+
+/**
+ * Creates the default transport, built on Node's http and https modules
+ * @param {Object} [defaults] - Options used when a request does not set them
+ * @param {number} [defaults.timeout] - Time (ms) after which requests are aborted
+ * @param {http.Agent} [defaults.agent] - Agent used for requests (keep-alive, proxies)
+ * @returns {Transport} The transport
+ */
+function createHttpsTransport(defaults = {}) {
+  return (request) => new Promise((resolve, reject) => {
+    const { method, headers, body } = encodeRequest(request);
+    const url = new URL(request.url);
+    const timeout = request.timeout !== undefined ? request.timeout : defaults.timeout;
+    if (body !== undefined) headers['Content-Length'] = Buffer.byteLength(body);
+
+    let timer = null;
+    const fail = (error) => {
+      clearTimeout(timer);
+      error.request = describeRequest(request);
+      reject(error);
+    };
+
+    const client = url.protocol === 'http:' ? http : https;
+    const req = client.request(url, {
+      method,
+      headers,
+      agent: request.agent || defaults.agent
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('error', fail);
+      res.on('end', () => {
+        clearTimeout(timer);
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          data: parseBody(Buffer.concat(chunks).toString())
+        });
+      });
+    });
+
+    req.on('error', fail);
+    if (timeout) timer = setTimeout(() => req.destroy(timeoutError(timeout)), timeout);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Creates a transport built on fetch, for runtimes without Node's http modules (edge
+ * functions, workers, Deno, Bun). Agents are ignored.
+ * @param {Object} [options] - Transport options
+ * @param {Function} [options.fetch=globalThis.fetch] - The fetch implementation
+ * @param {number} [options.timeout] - Time (ms) after which requests are aborted
+ * @returns {Transport} The transport
+ */
+function createFetchTransport(options = {}) {
+  const fetchImpl = options.fetch || globalThis.fetch;
+  if (typeof fetchImpl !== 'function') {
+    throw new TypeError('createFetchTransport requires a fetch implementation');
+  }
+
+  return async (request) => {
+    const { method, headers, body } = encodeRequest(request);
+    const timeout = request.timeout !== undefined ? request.timeout : options.timeout;
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    let timer = null;
+    // Without AbortController (Node 14) the request cannot be cancelled, but the caller still stops waiting
+    const timedOut = timeout && new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        if (controller) controller.abort();
+        reject(timeoutError(timeout));
+      }, timeout);
+    });
+
+    try {
+      const sent = fetchImpl(request.url, {
+        method,
+        headers,
+        body,
+        signal: controller ? controller.signal : undefined
+      });
+      const response = await (timedOut ? Promise.race([sent, timedOut]) : sent);
+      const responseHeaders = {};
+      response.headers.forEach((value, name) => {
+        responseHeaders[name.toLowerCase()] = value;
+      });
+
+      return {
+        status: response.status,
+        headers: responseHeaders,
+        data: parseBody(await response.text())
+      };
+    } catch (cause) {
+      const error = controller && controller.signal.aborted ? timeoutError(timeout) : cause;
+      if (!error.code && cause.cause && cause.cause.code) error.code = cause.cause.code;
+      error.request = describeRequest(request);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Builds the error raised for a response with an error status. It carries the
+ * response so that {@link toDarajaError} can read the status and Daraja's error body.
+ * @param {TransportResponse} response - The response
+ * @returns {Error} The error
+ */
+function createHttpError(response) {
+  const error = new Error(`Request failed with status code ${response.status}`);
+  error.response = response;
+  return error;
+}
+
+module.exports = {
+  createHttpsTransport,
+  createFetchTransport,
+  createHttpError
+};
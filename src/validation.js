@@ -0,0 +1,314 @@
+const { ValidationError } = require('./errors');
+const { STK_TRANSACTION_TYPES } = require('./stk');
+const { QR_TRANSACTION_CODES } = require('./qr-code');
+const {
+  STANDING_ORDER_FREQUENCIES,
+  STANDING_ORDER_TRANSACTION_TYPES,
+  formatStandingOrderDate
+} = require('./standing-order');
+
+/**
+ * Normalizes a Kenyan phone number to the 2547XXXXXXXX / 2541XXXXXXXX format Daraja expects.
+ * Accepts 07XX/01XX, 7XX/1XX, 254 and +254 forms, with or without spaces and dashes.
+ * @param {string|number} phoneNumber - The phone number
+ * @returns {string|null} The normalized number, or null if it is not a Kenyan mobile number
+ */
+function normalizePhoneNumber(phoneNumber) {
+  if (phoneNumber === undefined || phoneNumber === null) return null;
+
+  const digits = String(phoneNumber).trim().replace(/[\s\-().]/g, '').replace(/^\+/, '');
+  const match = digits.match(/^(?:254|0)?([17]\d{8})$/);
+  return match ? `254${match[1]}` : null;
+}
+
+/**
+ * Identifier types Daraja accepts for parties: MSISDN, till number, short code, organization
+ * @private
+ */
+const IDENTIFIER_TYPES = ['1', '2', '4', '11'];
+
+/**
+ * Fields shared by the requests made on behalf of an initiator
+ * @private
+ */
+const INITIATOR_FIELDS = {
+  resultUrl: { type: 'string' },
+  timeoutUrl: { type: 'string' },
+  initiatorName: { type: 'string' },
+  securityCredential: { type: 'string' }
+};
+
+/**
+ * Fields of the requests that move money: a key making them safe to retry, and the
+ * caller's reference for the transaction store
+ * @private
+ */
+const PAYMENT_FIELDS = {
+  idempotencyKey: { type: 'string' },
+  reference: { type: 'string' }
+};
+
+/**
+ * Parameter rules for each SDK method. Each field has a type ('msisdn', 'amount',
+ * 'string', 'shortCode' or 'date'), whether it is required, and an optional maxLength,
+ * list of allowed values (oneOf) or number of decimal places an amount may have (decimals).
+ * Amounts are whole numbers unless decimals is set.
+ * @type {Object<string, Object>}
+ */
+const SCHEMAS = {
+  stkPush: {
+    phoneNumber: { type: 'msisdn', required: true },
+    amount: { type: 'amount', required: true },
+    accountReference: { type: 'string', required: true, maxLength: 12 },
+    transactionDesc: { type: 'string', required: true, maxLength: 13 },
+    transactionType: { type: 'string', oneOf: Object.values(STK_TRANSACTION_TYPES) },
+    partyB: { type: 'shortCode' },
+    callbackUrl: { type: 'string' },
+    ...PAYMENT_FIELDS
+  },
+  stkPushQuery: {
+    checkoutRequestId: { type: 'string', required: true },
+    transactionType: { type: 'string', oneOf: Object.values(STK_TRANSACTION_TYPES) },
+    businessShortCode: { type: 'shortCode' }
+  },
+  b2c: {
+    phoneNumber: { type: 'msisdn', required: true },
+    amount: { type: 'amount', required: true },
+    commandID: { type: 'string', oneOf: ['BusinessPayment', 'SalaryPayment', 'PromotionPayment'] },
+    remarks: { type: 'string', maxLength: 100 },
+    occasion: { type: 'string', maxLength: 100 },
+    partyA: { type: 'shortCode' },
+    ...INITIATOR_FIELDS,
+    ...PAYMENT_FIELDS
+  },
+  b2b: {
+    amount: { type: 'amount', required: true },
+    receiverShortCode: { type: 'shortCode', required: true },
+    commandID: {
+      type: 'string',
+      oneOf: [
+        'BusinessPayBill',
+        'BusinessBuyGoods',
+        'DisburseFundsToBusiness',
+        'BusinessToBusinessTransfer',
+        'MerchantToMerchantTransfer'
+      ]
+    },
+    remarks: { type: 'string', maxLength: 100 },
+    accountReference: { type: 'string', maxLength: 13 },
+    requester: { type: 'msisdn' },
+    occasion: { type: 'string', maxLength: 100 },
+    partyA: { type: 'shortCode' },
+    senderIdentifierType: { type: 'string', oneOf: IDENTIFIER_TYPES },
+    receiverIdentifierType: { type: 'string', oneOf: IDENTIFIER_TYPES },
+    ...INITIATOR_FIELDS,
+    ...PAYMENT_FIELDS
+  },
+  businessPayBill: {
+    amount: { type: 'amount', required: true },
+    receiverShortCode: { type: 'shortCode', required: true },
+    accountReference: { type: 'string', required: true, maxLength: 13 },
+    requester: { type: 'msisdn' },
+    remarks: { type: 'string', maxLength: 100 },
+    occasion: { type: 'string', maxLength: 100 },
+    partyA: { type: 'shortCode' },
+    ...INITIATOR_FIELDS,
+    ...PAYMENT_FIELDS
+  },
+  b2cAccountTopUp: {
+    amount: { type: 'amount', required: true },
+    receiverShortCode: { type: 'shortCode', required: true },
+    accountReference: { type: 'string', required: true, maxLength: 13 },
+    requester: { type: 'msisdn' },
+    remarks: { type: 'string', maxLength: 100 },
+    partyA: { type: 'shortCode' },
+    ...INITIATOR_FIELDS,
+    ...PAYMENT_FIELDS
+  },
+  b2bExpressCheckout: {
+    primaryShortCode: { type: 'shortCode', required: true },
+    amount: { type: 'amount', required: true },
+    paymentRef: { type: 'string', required: true },
+    partnerName: { type: 'string', required: true },
+    receiverShortCode: { type: 'shortCode' },
+    callbackUrl: { type: 'string' },
+    requestRefId: { type: 'string' },
+    ...PAYMENT_FIELDS
+  },
+  c2bSimulate: {
+    phoneNumber: { type: 'msisdn', required: true },
+    amount: { type: 'amount', required: true },
+    billRefNumber: { type: 'string', maxLength: 20 }
+  },
+  c2bRegisterUrl: {
+    shortCode: { type: 'shortCode' },
+    responseType: { type: 'string' },
+    confirmationUrl: { type: 'string' },
+    validationUrl: { type: 'string' }
+  },
+  generateQrCode: {
+    merchantName: { type: 'string', required: true },
+    refNo: { type: 'string', required: true },
+    amount: { type: 'amount', required: true },
+    trxCode: { type: 'string', required: true, oneOf: Object.values(QR_TRANSACTION_CODES) },
+    cpi: { type: 'string' },
+    size: { type: 'string' }
+  },
+  createStandingOrder: {
+    standingOrderName: { type: 'string', required: true, maxLength: 100 },
+    phoneNumber: { type: 'msisdn', required: true },
+    amount: { type: 'amount', required: true },
+    frequency: { type: 'string', required: true, oneOf: Object.values(STANDING_ORDER_FREQUENCIES) },
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date', required: true },
+    accountReference: { type: 'string', maxLength: 12 },
+    transactionDesc: { type: 'string', maxLength: 13 },
+    transactionType: { type: 'string', oneOf: Object.values(STANDING_ORDER_TRANSACTION_TYPES) },
+    businessShortCode: { type: 'shortCode' },
+    callbackUrl: { type: 'string' },
+    ...PAYMENT_FIELDS
+  },
+  billManagerOptIn: {
+    email: { type: 'string', required: true },
+    officialContact: { type: 'msisdn', required: true },
+    logo: { type: 'string' },
+    shortCode: { type: 'shortCode' },
+    callbackUrl: { type: 'string' }
+  },
+  sendInvoice: {
+    externalReference: { type: 'string', required: true },
+    billedFullName: { type: 'string', required: true },
+    billedPhoneNumber: { type: 'msisdn', required: true },
+    billedPeriod: { type: 'string', required: true },
+    invoiceName: { type: 'string', required: true },
+    dueDate: { type: 'date', required: true },
+    accountReference: { type: 'string', required: true },
+    amount: { type: 'amount', required: true }
+  },
+  invoiceItem: {
+    itemName: { type: 'string', required: true },
+    amount: { type: 'amount', required: true }
+  },
+  cancelInvoice: {
+    externalReference: { type: 'string', required: true }
+  },
+  acknowledgeBillPayment: {
+    transactionId: { type: 'string', required: true },
+    paidAmount: { type: 'amount', required: true, decimals: 2 },
+    phoneNumber: { type: 'msisdn', required: true },
+    accountReference: { type: 'string', required: true },
+    paymentDate: { type: 'date', required: true },
+    fullName: { type: 'string', required: true },
+    invoiceName: { type: 'string', required: true },
+    externalReference: { type: 'string', required: true }
+  },
+  transactionStatus: {
+    transactionID: { type: 'string', required: true }
+  },
+  reversal: {
+    transactionID: { type: 'string', required: true },
+    amount: { type: 'amount', required: true },
+    remarks: { type: 'string', maxLength: 100 },
+    occasion: { type: 'string', maxLength: 100 },
+    receiverParty: { type: 'shortCode' },
+    receiverIdentifierType: { type: 'string', oneOf: IDENTIFIER_TYPES },
+    ...INITIATOR_FIELDS,
+    ...PAYMENT_FIELDS
+  }
+};
+
+/**
+ * Checks and normalizes a single value
+ * @private
+ * @param {string} field - Field name
+ * @param {*} value - The value
+ * @param {Object} rule - The field rule
+ * @returns {{value: *, error: string|undefined}} The normalized value, or an error message
+ */
+function checkField(field, value, rule) {
+  if (value === undefined || value === null || value === '') {
+    return rule.required ? { error: `${field} is required` } : {};
+  }
+
+  switch (rule.type) {
+    case 'msisdn': {
+      const phoneNumber = normalizePhoneNumber(value);
+      return phoneNumber
+        ? { value: phoneNumber }
+        : { error: `${field} must be a valid Kenyan phone number (07XXXXXXXX, 01XXXXXXXX or 254XXXXXXXXX)` };
+    }
+    case 'amount': {
+      const amount = typeof value === 'string' ? Number(value.trim()) : value;
+      if (rule.decimals) {
+        const decimal = new RegExp(`^\\d+(\\.\\d{1,${rule.decimals}})?$`);
+        return typeof amount === 'number' && amount > 0 && decimal.test(String(amount))
+          ? { value: amount }
+          : { error: `${field} must be a positive amount with at most ${rule.decimals} decimal places` };
+      }
+      if (typeof amount !== 'number' || !Number.isInteger(amount) || amount < 1) {
+        return { error: `${field} must be a whole number of at least 1` };
+      }
+      return { value: amount };
+    }
+    case 'shortCode':
+      return /^\d{5,7}$/.test(String(value).trim())
+        ? { value: String(value).trim() }
+        : { error: `${field} must be a 5 to 7 digit short code` };
+    case 'date': {
+      const date = formatStandingOrderDate(value);
+      return date ? { value: date } : { error: `${field} must be a valid date (YYYYMMDD, YYYY-MM-DD or a Date)` };
+    }
+    default: {
+      const text = String(value);
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return { error: `${field} must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.oneOf && !rule.oneOf.includes(text)) {
+        return { error: `${field} must be one of ${rule.oneOf.join(', ')}` };
+      }
+      return { value: text };
+    }
+  }
+}
+
+/**
+ * Validates and normalizes the parameters of an SDK method. Fields without a rule are passed through.
+ * @param {string} operation - SDK method name (e.g. 'stkPush')
+ * @param {Object} params - The parameters passed by the caller
+ * @param {string} description - Message prefix (e.g. 'STK push failed')
+ * @returns {Object} The normalized parameters
+ * @throws {ValidationError} Listing every invalid field
+ */
+function validateParams(operation, params = {}, description) {
+  const schema = SCHEMAS[operation] || {};
+  const normalized = { ...params };
+  const fieldErrors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const { value, error } = checkField(field, params[field], rule);
+    if (error) {
+      fieldErrors.push({ field, message: error });
+    } else if (value === undefined) {
+      // Drop empty optional values so that defaults apply
+      delete normalized[field];
+    } else {
+      normalized[field] = value;
+    }
+  });
+
+  if (fieldErrors.length > 0) {
+    const message = fieldErrors.map((fieldError) => fieldError.message).join('; ');
+    throw new ValidationError(`${description}: Invalid parameters: ${message}`, {
+      operation,
+      errors: fieldErrors
+    });
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  SCHEMAS,
+  normalizePhoneNumber,
+  validateParams
+};
@@ -0,0 +1,200 @@
+const nock = require('nock');
+const DarajaSDK = require('../src/index');
+const { BillManager } = require('../src/bill-manager');
+const { ValidationError } = require('../src/errors');
+
+describe('BillManager', () => {
+  let daraja;
+  let body;
+
+  const capture = (path, reply = { resmsg: 'Success', rescode: '200' }) => nock('https://sandbox.safaricom.co.ke')
+    .get('/oauth/v1/generate')
+    .query({ grant_type: 'client_credentials' })
+    .reply(200, { access_token: 'test_access_token', expires_in: '3599' })
+    .post(path, (requestBody) => {
+      body = requestBody;
+      return true;
+    })
+    .reply(200, reply);
+
+  const invoice = {
+    externalReference: 'INV-42',
+    billedFullName: 'Jane Doe',
+    billedPhoneNumber: '254712345678',
+    billedPeriod: 'August 2021',
+    invoiceName: 'Jentrys',
+    dueDate: '2021-10-12',
+    accountReference: '1ASD678H',
+    amount: 800,
+    invoiceItems: [
+      { itemName: 'food', amount: 700 },
+      { itemName: 'water', amount: 100 }
+    ]
+  };
+
+  beforeEach(() => {
+    daraja = new DarajaSDK({ environment: 'sandbox' });
+    nock.cleanAll();
+    body = undefined;
+  });
+
+  it('should be available on the SDK', () => {
+    expect(daraja.billManager).toBeInstanceOf(BillManager);
+  });
+
+  it('should opt in with the configured short code and callback URL', async () => {
+    capture('/v1/billmanager-invoice/optin', { app_key: 'AG_2376487236_126732989KJ', resmsg: 'Success', rescode: '200' });
+
+    const response = await daraja.billManager.optIn({
+      email: 'billing@example.com',
+      officialContact: '0712345678',
+      sendReminders: false,
+      logo: 'https://example.com/logo.png'
+    });
+
+    expect(response.app_key).toBe('AG_2376487236_126732989KJ');
+    expect(body).toEqual({
+      shortcode: '174379',
+      email: 'billing@example.com',
+      officialContact: '0712345678',
+      sendReminders: '0',
+      logo: 'https://example.com/logo.png',
+      callbackurl: process.env.CALLBACK_URL
+    });
+  });
+
+  it('should update the opt-in details', async () => {
+    capture('/v1/billmanager-invoice/change-optin-details');
+
+    await daraja.billManager.updateOptIn({
+      email: 'accounts@example.com',
+      officialContact: '0712345678',
+      callbackUrl: 'https://example.com/bills'
+    });
+
+    expect(body).toMatchObject({ email: 'accounts@example.com', sendReminders: '1', callbackurl: 'https://example.com/bills' });
+  });
+
+  it('should send a single invoice with item lines', async () => {
+    capture('/v1/billmanager-invoice/single-invoicing');
+
+    await daraja.billManager.sendInvoice(invoice);
+
+    expect(body).toEqual({
+      externalReference: 'INV-42',
+      billedFullName: 'Jane Doe',
+      billedPhoneNumber: '0712345678',
+      billedPeriod: 'August 2021',
+      invoiceName: 'Jentrys',
+      dueDate: '2021-10-12',
+      accountReference: '1ASD678H',
+      amount: '800',
+      invoiceItems: [
+        { itemName: 'food', amount: '700' },
+        { itemName: 'water', amount: '100' }
+      ]
+    });
+  });
+
+  it('should send bulk invoices and report invalid fields per invoice', async () => {
+    capture('/v1/billmanager-invoice/bulk-invoicing');
+
+    await daraja.billManager.sendBulkInvoices([invoice, { ...invoice, externalReference: 'INV-43', invoiceItems: [] }]);
+    expect(body).toHaveLength(2);
+    expect(body[1]).not.toHaveProperty('invoiceItems');
+
+    const error = await daraja.billManager.sendBulkInvoices([
+      invoice,
+      { ...invoice, billedPhoneNumber: '123', invoiceItems: [{ itemName: 'food' }] }
+    ]).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.operation).toBe('sendBulkInvoices');
+    expect(error.errors.map((e) => e.field)).toEqual([
+      'invoices[1].billedPhoneNumber',
+      'invoices[1].invoiceItems[0].amount'
+    ]);
+
+    await expect(daraja.billManager.sendBulkInvoices([])).rejects.toThrow('invoices must be a non-empty array');
+  });
+
+  it('should cancel single and bulk invoices', async () => {
+    capture('/v1/billmanager-invoice/cancel-single-invoice');
+    await daraja.billManager.cancelInvoice({ externalReference: 'INV-42' });
+    expect(body).toEqual({ externalReference: 'INV-42' });
+
+    capture('/v1/billmanager-invoice/cancel-bulk-invoices');
+    await daraja.billManager.cancelBulkInvoices(['INV-42', 'INV-43']);
+    expect(body).toEqual([{ externalReference: 'INV-42' }, { externalReference: 'INV-43' }]);
+
+    await expect(daraja.billManager.cancelBulkInvoices(['INV-42', ''])).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('should acknowledge a parsed payment', async () => {
+    capture('/v1/billmanager-invoice/reconciliation');
+    const payment = DarajaSDK.parseCallback({
+      transactionId: 'RJB53MYR1N',
+      paidAmount: '800',
+      msisdn: '254712345678',
+      dateCreated: '2021-09-15',
+      accountReference: '1ASD678H',
+      shortCode: '174379'
+    });
+
+    await daraja.billManager.acknowledgePayment(payment, {
+      fullName: 'Jane Doe',
+      invoiceName: 'Jentrys',
+      externalReference: 'INV-42'
+    });
+
+    expect(body).toEqual({
+      paymentDate: '2021-09-15',
+      paidAmount: '800',
+      accountReference: '1ASD678H',
+      transactionId: 'RJB53MYR1N',
+      phoneNumber: '0712345678',
+      fullName: 'Jane Doe',
+      invoiceName: 'Jentrys',
+      externalReference: 'INV-42'
+    });
+  });
+
+  it('should acknowledge payments whose date carries a time', async () => {
+    capture('/v1/billmanager-invoice/reconciliation');
+    const payment = DarajaSDK.parseCallback({
+      transactionId: 'RJB53MYR1N',
+      paidAmount: '800',
+      msisdn: '254712345678',
+      dateCreated: '2021-09-15 23:30:00',
+      accountReference: '1ASD678H',
+      shortCode: '174379'
+    });
+
+    await daraja.billManager.acknowledgePayment(payment, {
+      fullName: 'Jane Doe',
+      invoiceName: 'Jentrys',
+      externalReference: 'INV-42'
+    });
+
+    expect(body.paymentDate).toBe('2021-09-15');
+  });
+
+  it('should acknowledge payments of shillings and cents', async () => {
+    capture('/v1/billmanager-invoice/reconciliation');
+    const payment = DarajaSDK.parseCallback({
+      transactionId: 'RJB53MYR1N',
+      paidAmount: '800.50',
+      msisdn: '254712345678',
+      dateCreated: '2021-09-15',
+      accountReference: '1ASD678H',
+      shortCode: '174379'
+    });
+    const details = { fullName: 'Jane Doe', invoiceName: 'Jentrys', externalReference: 'INV-42' };
+
+    await daraja.billManager.acknowledgePayment(payment, details);
+    expect(body.paidAmount).toBe('800.5');
+
+    await expect(daraja.billManager.acknowledgePayment({ ...payment, amount: 800.505 }, details))
+      .rejects.toThrow('paidAmount must be a positive amount with at most 2 decimal places');
+  });
+});
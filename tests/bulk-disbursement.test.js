@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DarajaSDK = require('../src/index');
+const { DISBURSEMENT_STATUSES, BulkDisbursement, parseRecipientsCsv } = require('../src/bulk-disbursement');
+const { MemoryTransactionStore, FileTransactionStore } = require('../src/transaction-store');
+const { ConfigurationError, DarajaError, ValidationError } = require('../src/errors');
+const { createTransport } = require('./helpers');
+
+const recipients = [
+  { phoneNumber: '0712345678', amount: 100, reference: 'agent-1', remarks: 'Commission' },
+  { phoneNumber: '254722000000', amount: '250', reference: 'agent-2' },
+  { phoneNumber: '254733000000', amount: 50, reference: 'agent-3' }
+];
+
+const balanceResult = (utility) => ({
+  Result: {
+    ResultType: 0,
+    ResultCode: 0,
+    ResultDesc: 'The service request is processed successfully.',
+    OriginatorConversationID: '16917-22577599-3',
+    ConversationID: 'AG_balance',
+    TransactionID: 'OAR0000000',
+    ResultParameters: {
+      ResultParameter: [
+        { Key: 'AccountBalance', Value: `Working Account|KES|0.00|0.00|0.00|0.00&Utility Account|KES|${utility}|${utility}|0.00|0.00` },
+        { Key: 'BOCompletedTime', Value: 20240115103012 }
+      ]
+    }
+  }
+});
+
+const b2cResult = (conversationId, resultCode, receipt) => ({
+  Result: {
+    ResultType: 0,
+    ResultCode: resultCode,
+    ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The balance is insufficient for the transaction',
+    OriginatorConversationID: `${conversationId}-originator`,
+    ConversationID: conversationId,
+    TransactionID: receipt || 'OAR0000001',
+    ResultParameters: resultCode === 0 && {
+      ResultParameter: [
+        { Key: 'TransactionReceipt', Value: receipt },
+        { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' }
+      ]
+    }
+  }
+});
+
+/**
+ * Sandbox double: accepts B2C payments (or fails those paid to the given numbers) and answers
+ * balance queries by sending the result to the SDK, as the callback middleware would
+ */
+const createDaraja = ({ store, utility = '10000.00', failures = {} }) => {
+  let daraja;
+  let inFlight = 0;
+  const payments = [];
+  const transport = createTransport(async (request) => {
+    if (request.url.includes('/accountbalance/')) {
+      setImmediate(() => daraja.receiveCallback(balanceResult(utility)));
+      return { status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: 'AG_balance' } };
+    }
+
+    inFlight += 1;
+    transport.maxInFlight = Math.max(transport.maxInFlight || 0, inFlight);
+    await new Promise((resolve) => setImmediate(resolve));
+    inFlight -= 1;
+
+    const failure = failures[request.data.PartyB];
+    if (failure) return failure;
+    payments.push(request.data);
+    return { status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: `AG_${request.data.PartyB}`, OriginatorConversationID: `${payments.length}` } };
+  });
+
+  daraja = new DarajaSDK({ transport, store, retry: false });
+  return { daraja, transport, payments };
+};
+
+describe('parseRecipientsCsv', () => {
+  it('should map the columns by their headers', () => {
+    const csv = '\uFEFFPhone,Amount,Ref,Remarks,Branch\r\n0712345678,100,agent-1,"Commission, January",Nairobi\r\n254722000000,250,agent-2,,Mombasa\r\n';
+
+    expect(parseRecipientsCsv(csv)).toEqual([
+      { phoneNumber: '0712345678', amount: '100', reference: 'agent-1', remarks: 'Commission, January' },
+      { phoneNumber: '254722000000', amount: '250', reference: 'agent-2', remarks: '' }
+    ]);
+  });
+
+  it('should refuse files without the required columns', () => {
+    expect(() => parseRecipientsCsv('msisdn,value\n0712345678,100')).toThrow('no amount, reference column');
+  });
+});
+
+describe('BulkDisbursement', () => {
+  it('should need a transaction store and a batch id', () => {
+    const { daraja } = createDaraja({});
+    expect(() => new BulkDisbursement(daraja, { batchId: 'payroll', recipients })).toThrow(ConfigurationError);
+
+    daraja.store = new MemoryTransactionStore();
+    expect(() => daraja.createBulkDisbursement({ recipients })).toThrow(ValidationError);
+  });
+
+  it('should validate every recipient before paying anyone', async () => {
+    const { daraja, transport } = createDaraja({ store: new MemoryTransactionStore() });
+    const batch = daraja.createBulkDisbursement({
+      batchId: 'payroll',
+      recipients: [...recipients, { phoneNumber: '123', amount: 0, reference: 'agent-1' }, { phoneNumber: '0712345678', amount: 10 }]
+    });
+
+    const error = await batch.run().catch((thrown) => thrown);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors.map((fieldError) => fieldError.field)).toEqual([
+      'recipients[3].phoneNumber',
+      'recipients[3].amount',
+      'recipients[3].reference',
+      'recipients[4].reference'
+    ]);
+    expect(error.message).toContain('recipients[3].reference agent-1 is used by another recipient');
+    expect(transport).not.toHaveBeenCalled();
+    expect(() => daraja.createBulkDisbursement({ batchId: 'empty', recipients: [] }).validate()).toThrow('recipients must not be empty');
+  });
+
+  it('should check the balance, pay with bounded concurrency and report the results', async () => {
+    const store = new MemoryTransactionStore();
+    const { daraja, transport, payments } = createDaraja({ store });
+    const batch = daraja.createBulkDisbursement({ batchId: 'payroll', recipients, concurrency: 2, commandID: 'SalaryPayment' });
+
+    const report = await batch.run();
+
+    expect(transport.mock.calls.filter(([request]) => request.url.includes('/accountbalance/'))).toHaveLength(1);
+    expect(transport.maxInFlight).toBe(2);
+    expect(payments).toHaveLength(3);
+    expect(payments[0]).toMatchObject({ CommandID: 'SalaryPayment', Amount: 100, PartyB: '254712345678', Remarks: 'Commission' });
+    expect(report.summary).toMatchObject({ pending: 3, not_sent: 0 });
+    expect(report.amount).toBe(400);
+    expect(report.items[1]).toMatchObject({ reference: 'agent-2', amount: 250, status: 'pending', conversationId: 'AG_254722000000' });
+    expect(await store.list({ batchId: 'payroll', status: 'pending' })).toHaveLength(3);
+
+    await daraja.recordCallback(b2cResult('AG_254712345678', 0, 'SAB1CDE2FG'));
+    await daraja.recordCallback(b2cResult('AG_254722000000', 0, 'SAB1CDE2FH'));
+    await daraja.recordCallback(b2cResult('AG_254733000000', 2001));
+
+    const final = await batch.waitForResults({ interval: 10 });
+    expect(final.summary).toMatchObject({ completed: 2, failed: 1, pending: 0 });
+    expect(final.paidAmount).toBe(350);
+    expect(final.items[0]).toMatchObject({ status: DISBURSEMENT_STATUSES.COMPLETED, receiptNumber: 'SAB1CDE2FG', resultCode: 0 });
+    expect(final.items[2]).toMatchObject({ status: DISBURSEMENT_STATUSES.FAILED, resultCode: 2001 });
+  });
+
+  it('should stop waiting for results after the timeout', async () => {
+    const { daraja } = createDaraja({ store: new MemoryTransactionStore() });
+    const batch = daraja.createBulkDisbursement({ batchId: 'payroll', recipients, checkBalance: false });
+    await batch.run();
+
+    const report = await batch.waitForResults({ timeout: 30, interval: 10 });
+    expect(report.summary.pending).toBe(3);
+  });
+
+  it('should refuse to pay more than the available balance', async () => {
+    const { daraja, payments } = createDaraja({ store: new MemoryTransactionStore(), utility: '399.00' });
+    const batch = daraja.createBulkDisbursement({ batchId: 'payroll', recipients });
+
+    await expect(batch.run()).rejects.toThrow('Insufficient balance: 400 to pay, 399 available in the Utility Account');
+    expect(payments).toHaveLength(0);
+    expect((await batch.report()).summary.not_sent).toBe(3);
+  });
+
+  it('should fail when the balance result does not come back', async () => {
+    const store = new MemoryTransactionStore();
+    const transport = createTransport({ status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: 'AG_lost' } });
+    const daraja = new DarajaSDK({ transport, store, retry: false });
+    const batch = daraja.createBulkDisbursement({ batchId: 'payroll', recipients, balanceTimeout: 20 });
+
+    const error = await batch.run().catch((thrown) => thrown);
+    expect(error).toBeInstanceOf(DarajaError);
+    expect(error.message).toMatch(/No result received for AG_lost within 20ms/);
+    expect(transport.mock.calls.filter(([request]) => request.url.includes('/b2c/'))).toHaveLength(0);
+  });
+
+  it('should send each payment once, even when Daraja times out', async () => {
+    const store = new MemoryTransactionStore();
+    let calls = 0;
+    const transport = createTransport(() => {
+      calls += 1;
+      return calls === 1
+        ? { status: 504, headers: {}, data: { errorMessage: 'Gateway Timeout' } }
+        : { status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: 'AG_late' } };
+    });
+    const daraja = new DarajaSDK({ transport, store, retry: { baseDelay: 1, jitter: false } });
+
+    const report = await daraja.createBulkDisbursement({ batchId: 'payroll', recipients: recipients.slice(0, 1), checkBalance: false }).run();
+
+    expect(transport.mock.calls.filter(([request]) => request.url.includes('/b2c/'))).toHaveLength(1);
+    expect(report.items[0]).toMatchObject({ status: DISBURSEMENT_STATUSES.UNKNOWN });
+    expect(report.items[0].transaction.status).toBe('sending');
+  });
+
+  describe('resuming', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'daraja-bulk-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should never send a payment twice across runs', async () => {
+      const file = path.join(directory, 'transactions.json');
+      const failures = {
+        254722000000: { status: 503, headers: {}, data: { errorMessage: 'Service Unavailable' } },
+        254733000000: { status: 400, headers: {}, data: { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Initiator' } }
+      };
+      const first = createDaraja({ store: new FileTransactionStore({ path: file }), failures });
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      first.daraja.logger = logger;
+
+      const report = await first.daraja.createBulkDisbursement({ batchId: 'payroll', recipients, checkBalance: false }).run();
+      expect(report.items.map((item) => item.status)).toEqual(['pending', 'unknown', 'failed']);
+      expect(report.items[2].resultDesc).toBe('B2C payment failed: Bad Request - Invalid Initiator');
+      expect(logger.warn).toHaveBeenCalledWith('Disbursement outcome unknown', expect.objectContaining({ reference: 'payroll:agent-2' }));
+
+      // A new process, reading the same file
+      const second = createDaraja({ store: new FileTransactionStore({ path: file }) });
+      const again = await second.daraja.createBulkDisbursement({ batchId: 'payroll', recipients, checkBalance: false }).run();
+      expect(second.payments).toHaveLength(0);
+      expect(again.items.map((item) => item.status)).toEqual(['pending', 'unknown', 'failed']);
+
+      const retried = await second.daraja.createBulkDisbursement({ batchId: 'payroll', recipients, retryFailed: true }).run();
+      expect(second.payments.map((payment) => payment.PartyB)).toEqual(['254733000000']);
+      expect(retried.items[2]).toMatchObject({ status: 'pending', resultDesc: null });
+      expect(retried.items[2].transaction).toMatchObject({ id: report.items[2].transaction.id, attempt: 2, batchId: 'payroll' });
+      expect(await second.daraja.store.list()).toHaveLength(3);
+    });
+  });
+});
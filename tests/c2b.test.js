@@ -0,0 +1,182 @@
+const http = require('http');
+const axios = require('axios');
+const {
+  C2B_RESULT_CODES,
+  rejectC2B,
+  createC2BValidationHandler,
+  createC2BConfirmationHandler
+} = require('../src/c2b');
+const { parseCallback } = require('../src/callbacks');
+
+const payment = {
+  TransactionType: 'Pay Bill',
+  TransID: 'RKTQDM7W6S',
+  TransTime: '20191122063845',
+  TransAmount: '10.00',
+  BusinessShortCode: '600638',
+  BillRefNumber: 'invoice008',
+  InvoiceNumber: '',
+  OrgAccountBalance: '49197.00',
+  ThirdPartyTransID: '',
+  MSISDN: '254708374149',
+  FirstName: 'John',
+  MiddleName: '',
+  LastName: 'Doe'
+};
+
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const post = (server, data) => axios.post(
+  `http://127.0.0.1:${server.address().port}/`,
+  data,
+  { validateStatus: () => true, headers: { 'Content-Type': 'application/json' } }
+);
+
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('parseCallback with C2B payloads', () => {
+  it('should normalize the payment', () => {
+    const parsed = parseCallback(payment);
+
+    expect(parsed).toMatchObject({
+      type: 'c2b',
+      transactionId: 'RKTQDM7W6S',
+      receiptNumber: 'RKTQDM7W6S',
+      amount: 10,
+      businessShortCode: '600638',
+      billRefNumber: 'invoice008',
+      invoiceNumber: null,
+      orgAccountBalance: 49197,
+      phoneNumber: '254708374149',
+      name: 'John Doe'
+    });
+    expect(parsed.transactionDate).toEqual(new Date('2019-11-22T03:38:45.000Z'));
+  });
+});
+
+describe('createC2BValidationHandler', () => {
+  let server;
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('should accept when the validator returns nothing', async () => {
+    const validator = jest.fn();
+    server = await listen(createC2BValidationHandler(validator));
+
+    const response = await post(server, payment);
+
+    expect(response.data).toEqual({ ResultCode: '0', ResultDesc: 'Accepted' });
+    expect(validator.mock.calls[0][0]).toMatchObject({ billRefNumber: 'invoice008', amount: 10 });
+  });
+
+  it('should reject with the code returned by the validator', async () => {
+    server = await listen(createC2BValidationHandler(async () => C2B_RESULT_CODES.INVALID_ACCOUNT_NUMBER));
+
+    const response = await post(server, payment);
+
+    expect(response.data).toEqual({ ResultCode: 'C2B00012', ResultDesc: 'Rejected' });
+  });
+
+  it('should support custom rejection descriptions', async () => {
+    server = await listen(createC2BValidationHandler(() => rejectC2B(C2B_RESULT_CODES.INVALID_AMOUNT, 'Minimum is 50')));
+
+    const response = await post(server, payment);
+
+    expect(response.data).toEqual({ ResultCode: 'C2B00013', ResultDesc: 'Minimum is 50' });
+  });
+
+  it('should reject when the validator returns false or throws', async () => {
+    const onError = jest.fn();
+    let calls = 0;
+    server = await listen(createC2BValidationHandler(() => {
+      calls += 1;
+      if (calls === 1) return false;
+      throw new Error('lookup failed');
+    }, { onError }));
+
+    expect((await post(server, payment)).data.ResultCode).toBe('C2B00016');
+    expect((await post(server, payment)).data.ResultCode).toBe('C2B00016');
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('C2B handler factories', () => {
+  it('should require a handler function', () => {
+    expect(() => createC2BValidationHandler()).toThrow(TypeError);
+    expect(() => createC2BConfirmationHandler()).toThrow(TypeError);
+  });
+});
+
+describe('createC2BConfirmationHandler', () => {
+  let server;
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('should acknowledge and pass on the payment', async () => {
+    const onConfirmation = jest.fn();
+    server = await listen(createC2BConfirmationHandler(onConfirmation));
+
+    const response = await post(server, payment);
+    await nextTick();
+
+    expect(response.data).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+    expect(onConfirmation.mock.calls[0][0]).toMatchObject({ transactionId: 'RKTQDM7W6S', phoneNumber: '254708374149' });
+  });
+
+  it('should report handler and payload errors', async () => {
+    const onError = jest.fn();
+    server = await listen(createC2BConfirmationHandler(() => {
+      throw new Error('database down');
+    }, { onError }));
+
+    await post(server, payment);
+    await nextTick();
+    const response = await post(server, 'not json');
+
+    expect(response.status).toBe(400);
+    expect(onError).toHaveBeenCalledTimes(2);
+  });
+
+  it('should log errors when there is no onError handler', async () => {
+    const logger = { error: jest.fn() };
+    server = await listen(createC2BConfirmationHandler(() => {
+      throw new Error('database down');
+    }, { logger }));
+
+    await post(server, payment);
+    await nextTick();
+
+    expect(logger.error).toHaveBeenCalledWith('M-Pesa C2B handler failed', { errorMessage: 'database down', receiptNumber: 'RKTQDM7W6S' });
+  });
+
+  it('should log onError failures instead of letting them escape', async () => {
+    const logger = { error: jest.fn() };
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    const onError = jest.fn()
+      .mockImplementationOnce(() => { throw new Error('pager down'); })
+      .mockRejectedValueOnce(new Error('pager still down'));
+    server = await listen(createC2BConfirmationHandler(() => {
+      throw new Error('database down');
+    }, { onError, logger }));
+
+    await post(server, payment);
+    await nextTick();
+    await post(server, 'not json');
+    await nextTick();
+    process.removeListener('unhandledRejection', unhandled);
+
+    expect(logger.error.mock.calls).toEqual([
+      ['M-Pesa C2B onError handler failed', { errorMessage: 'pager down', receiptNumber: 'RKTQDM7W6S' }],
+      ['M-Pesa C2B onError handler failed', { errorMessage: 'pager still down', receiptNumber: undefined }]
+    ]);
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+const {
+  SAFARICOM_IPS,
+  CALLBACK_TOKEN_PARAM,
+  clientIp,
+  isIpAllowed,
+  signCallbackUrl,
+  verifyCallbackToken,
+  callbackKey,
+  ReplayGuard
+} = require('../src/callback-security');
+
+describe('clientIp', () => {
+  const request = (remoteAddress, forwardedFor) => ({
+    socket: { remoteAddress },
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+  });
+
+  it('should use the socket address unless proxies are trusted', () => {
+    expect(clientIp(request('::ffff:196.201.214.200', '10.0.0.1'))).toBe('196.201.214.200');
+  });
+
+  it('should take the address seen by the trusted proxies', () => {
+    const req = request('10.0.0.2', '6.6.6.6, 196.201.214.200, 10.0.0.1');
+
+    expect(clientIp(req, 2)).toBe('196.201.214.200');
+    expect(clientIp(req, 5)).toBe('6.6.6.6');
+    expect(clientIp(req, true)).toBe('6.6.6.6');
+    expect(clientIp(request('10.0.0.2'), 1)).toBe('10.0.0.2');
+  });
+});
+
+describe('isIpAllowed', () => {
+  it('should allow Safaricom addresses by default', () => {
+    expect(isIpAllowed(SAFARICOM_IPS[0])).toBe(true);
+    expect(isIpAllowed(`::ffff:${SAFARICOM_IPS[1]}`)).toBe(true);
+    expect(isIpAllowed('6.6.6.6')).toBe(false);
+  });
+
+  it('should match IPv4 ranges', () => {
+    expect(isIpAllowed('196.201.214.9', ['196.201.214.0/24'])).toBe(true);
+    expect(isIpAllowed('196.201.215.9', ['196.201.214.0/24'])).toBe(false);
+    expect(isIpAllowed('::1', ['196.201.214.0/24', '::1'])).toBe(true);
+    expect(isIpAllowed('::2', ['196.201.214.0/24'])).toBe(false);
+  });
+});
+
+describe('signCallbackUrl', () => {
+  it('should add a token that only the secret verifies', () => {
+    const url = signCallbackUrl('https://example.com/mpesa/callback?order=42', 'shh');
+    const { pathname, searchParams } = new URL(url);
+
+    expect(pathname).toBe('/mpesa/callback');
+    expect(searchParams.get('order')).toBe('42');
+    expect(searchParams.get(CALLBACK_TOKEN_PARAM)).toMatch(/^\d+\.[0-9a-f]+\.[0-9a-f]{64}$/);
+    expect(verifyCallbackToken(`${pathname}?${searchParams}`, 'shh')).toBe(true);
+    expect(verifyCallbackToken(url, 'other')).toBe(false);
+  });
+
+  it('should give each URL its own token', () => {
+    expect(signCallbackUrl('https://example.com/cb', 'shh')).not.toBe(signCallbackUrl('https://example.com/cb', 'shh'));
+  });
+
+  it('should refuse missing, tampered and expired tokens', () => {
+    const url = signCallbackUrl('https://example.com/cb', 'shh', { issuedAt: new Date(Date.now() - 60 * 1000) });
+    const token = new URL(url).searchParams.get(CALLBACK_TOKEN_PARAM);
+    const [issuedAt, nonce, signature] = token.split('.');
+
+    expect(verifyCallbackToken('/cb', 'shh')).toBe(false);
+    expect(verifyCallbackToken(`/cb?${CALLBACK_TOKEN_PARAM}=${Number(issuedAt) + 1}.${nonce}.${signature}`, 'shh')).toBe(false);
+    expect(verifyCallbackToken(`/cb?${CALLBACK_TOKEN_PARAM}=${issuedAt}.${nonce}.abc`, 'shh')).toBe(false);
+    expect(verifyCallbackToken(url, 'shh', { maxAge: 5 * 60 * 1000 })).toBe(true);
+    expect(verifyCallbackToken(url, 'shh', { maxAge: 30 * 1000 })).toBe(false);
+  });
+
+  it('should refuse tokens used on another path', () => {
+    const { search } = new URL(signCallbackUrl('https://example.com/mpesa/stk', 'shh'));
+
+    expect(verifyCallbackToken(`/mpesa/stk${search}`, 'shh')).toBe(true);
+    expect(verifyCallbackToken(`/mpesa/b2c${search}`, 'shh')).toBe(false);
+  });
+
+  it('should refuse tokens older than a day by default', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const old = signCallbackUrl('https://example.com/cb', 'shh', { issuedAt: new Date(Date.now() - day - 1000) });
+
+    expect(verifyCallbackToken(old, 'shh')).toBe(false);
+    expect(verifyCallbackToken(old, 'shh', { maxAge: Infinity })).toBe(true);
+  });
+});
+
+describe('callbackKey', () => {
+  it('should identify callbacks by the request they answer', () => {
+    expect(callbackKey({ type: 'stkPush', checkoutRequestId: 'ws_CO_1', merchantRequestId: 'm' })).toBe('stkPush:ws_CO_1');
+    expect(callbackKey({ type: 'b2c', conversationId: 'AG_1', transactionId: 'NLJ41HAY6Q' })).toBe('b2c:AG_1');
+    expect(callbackKey({ type: 'c2b', transactionId: 'NLJ41HAY6Q' })).toBe('c2b:NLJ41HAY6Q');
+    expect(callbackKey({ type: 'result' })).toBeNull();
+  });
+});
+
+describe('ReplayGuard', () => {
+  it('should accept a key once until it expires', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const guard = new ReplayGuard({ ttl: 500 });
+
+    expect(guard.check('stkPush:ws_CO_1')).toBe(true);
+    expect(guard.check('stkPush:ws_CO_1')).toBe(false);
+    now.mockReturnValue(1600);
+    expect(guard.check('stkPush:ws_CO_1')).toBe(true);
+    now.mockRestore();
+  });
+
+  it('should forget the oldest keys beyond maxEntries', () => {
+    const guard = new ReplayGuard({ maxEntries: 2 });
+
+    ['a', 'b', 'c'].forEach((key) => guard.check(key));
+
+    expect(guard.check('a')).toBe(true);
+    expect(guard.check('c')).toBe(false);
+  });
+});
@@ -0,0 +1,345 @@
+const {
+  parseCallback,
+  parseAccountBalance,
+  parseMpesaDate
+} = require('../src/callbacks');
+const { ValidationError } = require('../src/errors');
+
+describe('parseMpesaDate', () => {
+  it('should parse compact timestamps in East Africa Time', () => {
+    expect(parseMpesaDate(20191219102115).toISOString()).toBe('2019-12-19T07:21:15.000Z');
+    expect(parseMpesaDate('20200109125710').toISOString()).toBe('2020-01-09T09:57:10.000Z');
+  });
+
+  it('should parse dotted timestamps', () => {
+    expect(parseMpesaDate('19.12.2019 11:45:50').toISOString()).toBe('2019-12-19T08:45:50.000Z');
+  });
+
+  it('should return null for missing or unknown values', () => {
+    expect(parseMpesaDate(undefined)).toBeNull();
+    expect(parseMpesaDate('yesterday')).toBeNull();
+  });
+});
+
+describe('parseAccountBalance', () => {
+  it('should split the balance string into accounts', () => {
+    const balances = parseAccountBalance(
+      'Working Account|KES|700000.00|700000.00|0.00|0.00&Utility Account|KES|228037.00|228037.00|0.00|0.00'
+    );
+
+    expect(balances).toEqual([
+      {
+        account: 'Working Account',
+        currency: 'KES',
+        currentBalance: 700000,
+        availableBalance: 700000,
+        reservedBalance: 0,
+        unclearedBalance: 0
+      },
+      {
+        account: 'Utility Account',
+        currency: 'KES',
+        currentBalance: 228037,
+        availableBalance: 228037,
+        reservedBalance: 0,
+        unclearedBalance: 0
+      }
+    ]);
+  });
+});
+
+describe('parseCallback', () => {
+  it('should parse a successful STK callback', () => {
+    const parsed = parseCallback({
+      Body: {
+        stkCallback: {
+          MerchantRequestID: '29115-34620561-1',
+          CheckoutRequestID: 'ws_CO_191220191020363925',
+          ResultCode: 0,
+          ResultDesc: 'The service request is processed successfully.',
+          CallbackMetadata: {
+            Item: [
+              { Name: 'Amount', Value: 1.0 },
+              { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+              { Name: 'Balance' },
+              { Name: 'TransactionDate', Value: 20191219102115 },
+              { Name: 'PhoneNumber', Value: 254708374149 }
+            ]
+          }
+        }
+      }
+    });
+
+    expect(parsed).toMatchObject({
+      type: 'stkPush',
+      success: true,
+      timedOut: false,
+      resultCode: 0,
+      merchantRequestId: '29115-34620561-1',
+      checkoutRequestId: 'ws_CO_191220191020363925',
+      receiptNumber: 'NLJ7RT61SV',
+      amount: 1,
+      phoneNumber: '254708374149',
+      balance: null
+    });
+    expect(parsed.transactionDate).toEqual(new Date('2019-12-19T07:21:15.000Z'));
+  });
+
+  it('should parse a cancelled STK callback from a JSON string', () => {
+    const parsed = parseCallback(JSON.stringify({
+      Body: {
+        stkCallback: {
+          MerchantRequestID: '29115-34620561-1',
+          CheckoutRequestID: 'ws_CO_191220191020363925',
+          ResultCode: 1032,
+          ResultDesc: 'Request cancelled by user.'
+        }
+      }
+    }));
+
+    expect(parsed.success).toBe(false);
+    expect(parsed.resultCode).toBe(1032);
+    expect(parsed.receiptNumber).toBeNull();
+  });
+
+  it('should parse a B2C result', () => {
+    const parsed = parseCallback({
+      Result: {
+        ResultType: 0,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        OriginatorConversationID: '10571-7910404-1',
+        ConversationID: 'AG_20191219_00004e48cf7e3533f581',
+        TransactionID: 'NLJ41HAY6Q',
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'TransactionAmount', Value: 10 },
+            { Key: 'TransactionReceipt', Value: 'NLJ41HAY6Q' },
+            { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' },
+            { Key: 'B2CChargesPaidAccountAvailableFunds', Value: -4510.0 },
+            { Key: 'ReceiverPartyPublicName', Value: '254708374149 - John Doe' },
+            { Key: 'TransactionCompletedDateTime', Value: '19.12.2019 11:45:50' },
+            { Key: 'B2CUtilityAccountAvailableFunds', Value: 10116.0 },
+            { Key: 'B2CWorkingAccountAvailableFunds', Value: 900000.0 }
+          ]
+        },
+        ReferenceData: {
+          ReferenceItem: { Key: 'QueueTimeoutURL', Value: 'https://example.com/timeout' }
+        }
+      }
+    });
+
+    expect(parsed).toMatchObject({
+      type: 'b2c',
+      success: true,
+      originatorConversationId: '10571-7910404-1',
+      conversationId: 'AG_20191219_00004e48cf7e3533f581',
+      receiptNumber: 'NLJ41HAY6Q',
+      amount: 10,
+      phoneNumber: '254708374149',
+      recipientName: 'John Doe',
+      recipientIsRegistered: true,
+      utilityAccountBalance: 10116,
+      referenceData: { QueueTimeoutURL: 'https://example.com/timeout' }
+    });
+    expect(parsed.transactionDate).toEqual(new Date('2019-12-19T08:45:50.000Z'));
+  });
+
+  it('should parse an account balance result', () => {
+    const parsed = parseCallback({
+      Result: {
+        ResultType: 0,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        OriginatorConversationID: '16917-22577599-3',
+        ConversationID: 'AG_20200206_00005e091a8ec6b9eac5',
+        TransactionID: 'OA90000000',
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'AccountBalance', Value: 'Working Account|KES|46713.00|46713.00|0.00|0.00' },
+            { Key: 'BOCompletedTime', Value: 20200109125710 }
+          ]
+        }
+      }
+    });
+
+    expect(parsed.type).toBe('accountBalance');
+    expect(parsed.balances[0]).toMatchObject({ account: 'Working Account', availableBalance: 46713 });
+    expect(parsed.transactionDate).toEqual(new Date('2020-01-09T09:57:10.000Z'));
+  });
+
+  it('should parse a transaction status result', () => {
+    const parsed = parseCallback({
+      Result: {
+        ResultType: 0,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        OriginatorConversationID: '1234-5678-1',
+        ConversationID: 'AG_20180223_0000493344ae97d86f75',
+        TransactionID: 'MBN0000000',
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'DebitPartyName', Value: '254708374149 - John Doe' },
+            { Key: 'CreditPartyName', Value: '600000 - Safaricom' },
+            { Key: 'ReceiptNo', Value: 'MBN31H462N' },
+            { Key: 'InitiatedTime', Value: 20180223054112 },
+            { Key: 'FinalisedTime', Value: 20180223054112 },
+            { Key: 'Amount', Value: 300 },
+            { Key: 'TransactionStatus', Value: 'Completed' }
+          ]
+        }
+      }
+    });
+
+    expect(parsed).toMatchObject({
+      type: 'transactionStatus',
+      receiptNumber: 'MBN31H462N',
+      amount: 300,
+      phoneNumber: '254708374149',
+      transactionStatus: 'Completed'
+    });
+  });
+
+  it('should parse reversal and B2B results', () => {
+    const reversal = parseCallback({
+      Result: {
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        TransactionID: 'OAR0000000',
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'Amount', Value: 100 },
+            { Key: 'OriginalTransactionID', Value: 'OA91234567' },
+            { Key: 'TransCompletedTime', Value: 20200109125710 }
+          ]
+        }
+      }
+    });
+    expect(reversal).toMatchObject({ type: 'reversal', originalTransactionId: 'OA91234567', amount: 100 });
+
+    const b2b = parseCallback({
+      Result: {
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        TransactionID: 'OAB0000000',
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'InitiatorAccountCurrentBalance', Value: '{Amount={CurrencyCode=KES, BasicAmount=46713.00}}' },
+            { Key: 'Amount', Value: 1000 },
+            { Key: 'Currency', Value: 'KES' }
+          ]
+        }
+      }
+    });
+    expect(b2b).toMatchObject({ type: 'b2b', receiptNumber: 'OAB0000000', amount: 1000, currency: 'KES' });
+  });
+
+  it('should use the expected type for failed results without parameters', () => {
+    const parsed = parseCallback({
+      Result: {
+        ResultType: 0,
+        ResultCode: 2001,
+        ResultDesc: 'The initiator information is invalid.',
+        OriginatorConversationID: '29112-34801843-1',
+        ConversationID: 'AG_20191219_00006c6fddb15123addf'
+      }
+    }, { type: 'b2c' });
+
+    expect(parsed.type).toBe('b2c');
+    expect(parsed.success).toBe(false);
+    expect(parsed.amount).toBeNull();
+  });
+
+  it('should parse a standing order callback', () => {
+    const parsed = parseCallback({
+      ResponseHeader: {
+        responseRefID: '0acbf4a7-6fc3-4b0f-8e5a-4b3d8b3a6d1e',
+        requestRefID: 'c8b1b7f2-2f6d-4d3a-9a3e-1c2f5e7d9b10',
+        responseCode: 0,
+        responseDescription: 'The service request is processed successfully'
+      },
+      ResponseBody: {
+        responseData: [
+          { name: 'TransactionID', value: 'SC8F2IQMH5' },
+          { name: 'responseCode', value: '0' },
+          { name: 'Status', value: 'OKAY' },
+          { name: 'Msisdn', value: '254******867' }
+        ]
+      }
+    });
+
+    expect(parsed).toMatchObject({
+      type: 'standingOrder',
+      success: true,
+      resultCode: 0,
+      resultDesc: 'The service request is processed successfully',
+      requestRefId: 'c8b1b7f2-2f6d-4d3a-9a3e-1c2f5e7d9b10',
+      transactionId: 'SC8F2IQMH5',
+      standingOrderStatus: 'OKAY',
+      phoneNumber: '254******867'
+    });
+    expect(parsed.parameters.responseCode).toBe('0');
+  });
+
+  it('should parse B2B express checkout callbacks', () => {
+    const paid = parseCallback({
+      resultCode: '0',
+      resultDesc: 'The service request is processed successfully.',
+      amount: '71.0',
+      requestId: '404e1aec-19e0-4ce3-973d-bd92e94c8021',
+      resultType: '0',
+      conversationID: 'AG_20230426_2010434680d9f5a73766',
+      transactionId: 'RDQ01NFT1Q',
+      status: 'SUCCESS'
+    });
+
+    expect(paid).toMatchObject({
+      type: 'b2bExpressCheckout',
+      success: true,
+      resultCode: 0,
+      amount: 71,
+      requestId: '404e1aec-19e0-4ce3-973d-bd92e94c8021',
+      conversationId: 'AG_20230426_2010434680d9f5a73766',
+      receiptNumber: 'RDQ01NFT1Q',
+      status: 'SUCCESS'
+    });
+
+    const cancelled = parseCallback({
+      resultCode: '4001',
+      resultDesc: 'User cancelled transaction',
+      requestId: 'c2a9ba32-9e11-4b90-892c-7bc54944609a',
+      amount: '71.0',
+      paymentReference: 'MAndbubry3hi'
+    });
+
+    expect(cancelled).toMatchObject({ success: false, resultCode: 4001, paymentReference: 'MAndbubry3hi' });
+  });
+
+  it('should parse a Bill Manager payment notification', () => {
+    const parsed = parseCallback({
+      transactionId: 'RJB53MYR1N',
+      paidAmount: '5000',
+      msisdn: '254722000000',
+      dateCreated: '2021-09-15',
+      accountReference: 'LGHJIO789',
+      shortCode: '718003'
+    });
+
+    expect(parsed).toMatchObject({
+      type: 'billPayment',
+      success: true,
+      receiptNumber: 'RJB53MYR1N',
+      amount: 5000,
+      phoneNumber: '254722000000',
+      accountReference: 'LGHJIO789',
+      shortCode: '718003',
+      paymentDate: '2021-09-15'
+    });
+    expect(parsed.transactionDate.toISOString()).toBe('2021-09-14T21:00:00.000Z');
+  });
+
+  it('should reject unrecognized payloads', () => {
+    expect(() => parseCallback({ hello: 'world' })).toThrow(ValidationError);
+    expect(() => parseCallback('not json')).toThrow('Invalid callback payload');
+  });
+});
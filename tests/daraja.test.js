@@ -1,15 +1,14 @@
 const nock = require('nock');
 const DarajaSDK = require('../src/index');
+const {
+  createTransport, createDaraja, mockToken, mockApi, createLogger
+} = require('./helpers');
 
 describe('DarajaSDK', () => {
   let daraja;
 
   beforeEach(() => {
-    daraja = new DarajaSDK({
-      consumerKey: process.env.CONSUMER_KEY,
-      consumerSecret: process.env.CONSUMER_SECRET,
-      environment: 'sandbox'
-    });
+    daraja = createDaraja();
 
     // Clear all HTTP mocks
     nock.cleanAll();
@@ -17,18 +16,10 @@ describe('DarajaSDK', () => {
 
   describe('generateToken', () => {
     it('should generate an access token successfully', async () => {
-      const mockToken = 'test_access_token';
-      
-      nock('https://sandbox.safaricom.co.ke')
-        .get('/oauth/v1/generate')
-        .query({ grant_type: 'client_credentials' })
-        .reply(200, {
-          access_token: mockToken,
-          expires_in: '3599'
-        });
+      mockToken();
 
       const token = await daraja.generateToken();
-      expect(token).toBe(mockToken);
+      expect(token).toBe('test_access_token');
     });
 
     it('should throw error when token generation fails', async () => {
@@ -46,13 +37,7 @@ describe('DarajaSDK', () => {
   describe('stkPush', () => {
     beforeEach(() => {
       // Mock token generation
-      nock('https://sandbox.safaricom.co.ke')
-        .get('/oauth/v1/generate')
-        .query({ grant_type: 'client_credentials' })
-        .reply(200, {
-          access_token: 'test_access_token',
-          expires_in: '3599'
-        });
+      mockToken();
     });
 
     it('should initiate STK push successfully', async () => {
@@ -97,13 +82,7 @@ describe('DarajaSDK', () => {
   describe('b2c', () => {
     beforeEach(() => {
       // Mock token generation
-      nock('https://sandbox.safaricom.co.ke')
-        .get('/oauth/v1/generate')
-        .query({ grant_type: 'client_credentials' })
-        .reply(200, {
-          access_token: 'test_access_token',
-          expires_in: '3599'
-        });
+      mockToken();
     });
 
     it('should process B2C payment successfully', async () => {
@@ -132,13 +111,7 @@ describe('DarajaSDK', () => {
   describe('transactionStatus', () => {
     beforeEach(() => {
       // Mock token generation
-      nock('https://sandbox.safaricom.co.ke')
-        .get('/oauth/v1/generate')
-        .query({ grant_type: 'client_credentials' })
-        .reply(200, {
-          access_token: 'test_access_token',
-          expires_in: '3599'
-        });
+      mockToken();
     });
 
     it('should check transaction status successfully', async () => {
@@ -165,13 +138,7 @@ describe('DarajaSDK', () => {
   describe('accountBalance', () => {
     beforeEach(() => {
       // Mock token generation
-      nock('https://sandbox.safaricom.co.ke')
-        .get('/oauth/v1/generate')
-        .query({ grant_type: 'client_credentials' })
-        .reply(200, {
-          access_token: 'test_access_token',
-          expires_in: '3599'
-        });
+      mockToken();
     });
 
     it('should check account balance successfully', async () => {
@@ -191,3 +158,1610 @@ describe('DarajaSDK', () => {
     });
   });
 });
+
+describe('DarajaSDK token lifecycle', () => {
+  let daraja;
+
+  beforeEach(() => {
+    daraja = createDaraja();
+
+    nock.cleanAll();
+  });
+
+  it('should retry once with a new token after an invalid token response', async () => {
+    mockToken('expired_token')
+      .get('/oauth/v1/generate')
+      .query({ grant_type: 'client_credentials' })
+      .reply(200, { access_token: 'fresh_token', expires_in: '3599' });
+
+    nock('https://sandbox.safaricom.co.ke', { reqheaders: { authorization: 'Bearer expired_token' } })
+      .post('/mpesa/accountbalance/v1/query')
+      .reply(401, { errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+
+    nock('https://sandbox.safaricom.co.ke', { reqheaders: { authorization: 'Bearer fresh_token' } })
+      .post('/mpesa/accountbalance/v1/query')
+      .reply(200, { ResponseCode: '0' });
+
+    const response = await daraja.accountBalance();
+    expect(response).toEqual({ ResponseCode: '0' });
+    expect(daraja.auth).toBe('fresh_token');
+  });
+
+  it('should not retry more than once', async () => {
+    nock('https://sandbox.safaricom.co.ke')
+      .get('/oauth/v1/generate')
+      .query({ grant_type: 'client_credentials' })
+      .times(2)
+      .reply(200, { access_token: 'test_access_token', expires_in: '3599' })
+      .post('/mpesa/accountbalance/v1/query')
+      .times(2)
+      .reply(401, { errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+
+    await expect(daraja.accountBalance()).rejects.toThrow('Account balance query failed');
+    expect(nock.isDone()).toBe(true);
+  });
+
+  it('should share one token request between concurrent calls', async () => {
+    const scope = nock('https://sandbox.safaricom.co.ke')
+      .get('/oauth/v1/generate')
+      .query({ grant_type: 'client_credentials' })
+      .once()
+      .reply(200, { access_token: 'test_access_token', expires_in: '3599' })
+      .post('/mpesa/accountbalance/v1/query')
+      .times(2)
+      .reply(200, { ResponseCode: '0' });
+
+    await Promise.all([daraja.accountBalance(), daraja.accountBalance()]);
+    expect(scope.isDone()).toBe(true);
+  });
+});
+
+describe('DarajaSDK errors', () => {
+  let daraja;
+
+  beforeEach(() => {
+    daraja = createDaraja();
+
+    nock.cleanAll();
+    mockToken();
+  });
+
+  it('should throw typed errors carrying the Daraja response', async () => {
+    nock('https://sandbox.safaricom.co.ke')
+      .post('/mpesa/b2c/v1/paymentrequest')
+      .reply(500, {
+        requestId: '11728-2929992-1',
+        errorCode: '500.001.1001',
+        errorMessage: 'Unable to lock subscriber, a transaction is already in process for the current subscriber'
+      });
+
+    const error = await daraja.b2c({ amount: 10, phoneNumber: '254712345678' }).catch((e) => e);
+    expect(error).toBeInstanceOf(DarajaSDK.ServerError);
+    expect(error.operation).toBe('b2c');
+    expect(error.statusCode).toBe(500);
+    expect(error.errorCode).toBe('500.001.1001');
+    expect(error.requestId).toBe('11728-2929992-1');
+  });
+});
+
+describe('DarajaSDK stkPushAndWait', () => {
+  let daraja;
+
+  const stkParams = {
+    phoneNumber: '254712345678',
+    amount: 1,
+    accountReference: 'TEST001',
+    transactionDesc: 'Test Payment'
+  };
+
+  const stkCallback = (ResultCode, ResultDesc) => ({
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-34620561-1',
+        CheckoutRequestID: 'ws_CO_191220191020363925',
+        ResultCode,
+        ResultDesc
+      }
+    }
+  });
+
+  beforeEach(() => {
+    daraja = createDaraja();
+
+    nock.cleanAll();
+    mockToken()
+      .post('/mpesa/stkpush/v1/processrequest')
+      .reply(200, {
+        MerchantRequestID: '29115-34620561-1',
+        CheckoutRequestID: 'ws_CO_191220191020363925',
+        ResponseCode: '0'
+      });
+  });
+
+  it('should resolve from the callback', async () => {
+    const waiting = daraja.stkPushAndWait(stkParams, { poll: false });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    daraja.receiveCallback(stkCallback(0, 'The service request is processed successfully.'));
+    const outcome = await waiting;
+
+    expect(outcome).toMatchObject({
+      status: 'paid',
+      success: true,
+      resultCode: 0,
+      source: 'callback',
+      checkoutRequestId: 'ws_CO_191220191020363925'
+    });
+    expect(daraja.pendingStkPushes.size).toBe(0);
+  });
+
+  it('should settle every call repeating an idempotency key', async () => {
+    const params = { ...stkParams, idempotencyKey: 'order-42' };
+    const first = daraja.stkPushAndWait(params, { poll: false });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const second = daraja.stkPushAndWait(params, { poll: false });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    daraja.receiveCallback(stkCallback(0, 'The service request is processed successfully.'));
+
+    const outcomes = await Promise.all([first, second]);
+    expect(outcomes[0]).toMatchObject({ status: 'paid', source: 'callback' });
+    expect(outcomes[1]).toBe(outcomes[0]);
+    expect(daraja.pendingStkPushes.size).toBe(0);
+  });
+
+  it('should use a callback that arrived before the push response', async () => {
+    daraja.receiveCallback(stkCallback(1032, 'Request cancelled by user'));
+
+    const outcome = await daraja.stkPushAndWait(stkParams, { poll: false });
+
+    expect(outcome.status).toBe('cancelled');
+    expect(daraja.earlyStkCallbacks.size).toBe(0);
+  });
+
+  it('should poll the STK query until the payment is final', async () => {
+    nock('https://sandbox.safaricom.co.ke')
+      .post('/mpesa/stkpushquery/v1/query')
+      .reply(500, { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' })
+      .post('/mpesa/stkpushquery/v1/query')
+      .reply(200, { ResponseCode: '0', ResultCode: '1', ResultDesc: 'The balance is insufficient for the transaction' });
+
+    const outcome = await daraja.stkPushAndWait(stkParams, { pollInterval: 10 });
+
+    expect(outcome).toMatchObject({ status: 'insufficient_funds', resultCode: 1, source: 'query' });
+  });
+
+  it('should report a timeout when nothing arrives', async () => {
+    const outcome = await daraja.stkPushAndWait(stkParams, { poll: false, timeout: 20 });
+
+    expect(outcome).toMatchObject({ status: 'timeout', success: false, resultCode: null, source: 'timeout' });
+  });
+
+  it('should reject when the query fails for good', async () => {
+    nock('https://sandbox.safaricom.co.ke')
+      .post('/mpesa/stkpushquery/v1/query')
+      .reply(400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+
+    await expect(daraja.stkPushAndWait(stkParams, { pollInterval: 10 }))
+      .rejects.toBeInstanceOf(DarajaSDK.ValidationError);
+  });
+});
+
+describe('DarajaSDK parameter validation', () => {
+  let daraja;
+
+  beforeEach(() => {
+    daraja = createDaraja();
+
+    nock.cleanAll();
+  });
+
+  it('should send normalized parameters to Daraja', async () => {
+    let body;
+    mockApi('/mpesa/b2c/v1/paymentrequest', { ResponseCode: '0' }, (requestBody) => { body = requestBody; });
+
+    await daraja.b2c({ amount: '100', phoneNumber: '+254 712 345 678' });
+
+    expect(body.PartyB).toBe('254712345678');
+    expect(body.Amount).toBe(100);
+  });
+
+  it('should fail before calling Daraja when parameters are invalid', async () => {
+    const error = await daraja.stkPush({
+      phoneNumber: '0712345678',
+      amount: 1.5,
+      accountReference: 'TEST001',
+      transactionDesc: 'Test Payment'
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(DarajaSDK.ValidationError);
+    expect(error.errors).toEqual([{ field: 'amount', message: 'amount must be a whole number of at least 1' }]);
+    expect(daraja.auth).toBeNull();
+  });
+});
+
+describe('DarajaSDK security credential', () => {
+  it('should generate the security credential from the initiator password', () => {
+    const daraja = createDaraja({
+      environment: 'sandbox',
+      initiatorName: 'testapi',
+      initiatorPassword: 'Safaricom999!*!'
+    });
+
+    expect(Buffer.from(daraja.securityCredential, 'base64').length).toBe(256);
+  });
+
+  it('should keep an explicit security credential', () => {
+    const daraja = createDaraja({
+      environment: 'sandbox',
+      initiatorName: 'testapi',
+      initiatorPassword: 'Safaricom999!*!',
+      securityCredential: 'precomputed'
+    });
+
+    expect(daraja.securityCredential).toBe('precomputed');
+  });
+});
+
+describe('DarajaSDK configuration', () => {
+  const saved = {};
+  const keys = ['INITIATOR_NAME', 'SECURITY_CREDENTIAL', 'PASS_KEY', 'RESULT_URL', 'TIMEOUT_URL'];
+
+  beforeEach(() => {
+    keys.forEach((key) => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    keys.forEach((key) => {
+      process.env[key] = saved[key];
+    });
+  });
+
+  it('should not require configuration that is only used by other operations', () => {
+    expect(() => new DarajaSDK({ consumerKey: 'key', consumerSecret: 'secret' })).not.toThrow();
+  });
+
+  it('should fail only when an operation needing the missing configuration is called', async () => {
+    const daraja = new DarajaSDK();
+
+    const error = await daraja.b2c({ amount: 10, phoneNumber: '254712345678' }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(DarajaSDK.ConfigurationError);
+    expect(error.operation).toBe('b2c');
+    expect(error.missing).toEqual(['initiatorName', 'securityCredential', 'resultUrl', 'timeoutUrl']);
+    expect(error.message).toContain('Initiator Name, Security Credential, Result URL, Timeout URL');
+  });
+
+  it('should count values passed to the call as configuration', async () => {
+    const daraja = new DarajaSDK({ initiatorName: 'testapi', securityCredential: 'credential' });
+    let body;
+    mockApi('/mpesa/b2c/v1/paymentrequest', { ResponseCode: '0' }, (requestBody) => { body = requestBody; });
+
+    await daraja.b2c({
+      amount: 10,
+      phoneNumber: '254712345678',
+      resultUrl: 'https://example.com/b2c/result',
+      timeoutUrl: 'https://example.com/b2c/timeout'
+    });
+
+    expect(body.ResultURL).toBe('https://example.com/b2c/result');
+    expect(body.QueueTimeOutURL).toBe('https://example.com/b2c/timeout');
+  });
+
+  it('should require the URLs C2B registration sends', async () => {
+    const daraja = new DarajaSDK();
+    daraja.callbackUrl = undefined;
+
+    expect(daraja.validate('c2bRegisterUrl').operations.c2bRegisterUrl.missing).toEqual(['callbackUrl']);
+    await expect(daraja.c2bRegisterUrl({ confirmationUrl: 'https://example.com/confirmation' }))
+      .rejects.toBeInstanceOf(DarajaSDK.ConfigurationError);
+
+    mockApi('/mpesa/c2b/v1/registerurl');
+    await expect(daraja.c2bRegisterUrl({
+      confirmationUrl: 'https://example.com/confirmation',
+      validationUrl: 'https://example.com/validation'
+    })).resolves.toEqual({ ResponseCode: '0' });
+  });
+
+  it('should report which operations the configuration can serve', () => {
+    const daraja = new DarajaSDK();
+
+    expect(daraja.validate('c2bSimulate')).toEqual({
+      valid: true,
+      operations: { c2bSimulate: { valid: true, missing: [] } }
+    });
+
+    const report = daraja.validate(['stkPush', 'b2c']);
+    expect(report.valid).toBe(false);
+    expect(report.operations.stkPush).toEqual({ valid: false, missing: ['passKey'] });
+    expect(report.operations.b2c.missing).toEqual(['initiatorName', 'securityCredential', 'resultUrl', 'timeoutUrl']);
+
+    expect(Object.keys(daraja.validate().operations)).toContain('reversal');
+  });
+});
+
+describe('DarajaSDK per-call overrides', () => {
+  let daraja;
+  let body;
+
+  const capture = (path) => mockApi(path, { ResponseCode: '0' }, (requestBody) => { body = requestBody; });
+
+  beforeEach(() => {
+    daraja = createDaraja({ resultUrl: 'https://example.com/result', timeoutUrl: 'https://example.com/timeout' });
+
+    nock.cleanAll();
+    body = undefined;
+  });
+
+  it('should use the configuration as defaults for B2C', async () => {
+    capture('/mpesa/b2c/v1/paymentrequest');
+
+    await daraja.b2c({ amount: 10, phoneNumber: '0712345678' });
+
+    expect(body).toMatchObject({
+      InitiatorName: 'testapi',
+      CommandID: 'BusinessPayment',
+      PartyA: '174379',
+      ResultURL: 'https://example.com/result',
+      QueueTimeOutURL: 'https://example.com/timeout',
+      Occasion: ''
+    });
+  });
+
+  it('should send B2C overrides', async () => {
+    capture('/mpesa/b2c/v1/paymentrequest');
+
+    await daraja.b2c({
+      amount: 10,
+      phoneNumber: '0712345678',
+      commandID: 'SalaryPayment',
+      occasion: 'March salary',
+      partyA: '600996',
+      resultUrl: 'https://example.com/payroll/result',
+      initiatorName: 'payroll',
+      securityCredential: 'payroll_credential'
+    });
+
+    expect(body).toMatchObject({
+      InitiatorName: 'payroll',
+      SecurityCredential: 'payroll_credential',
+      CommandID: 'SalaryPayment',
+      PartyA: '600996',
+      ResultURL: 'https://example.com/payroll/result',
+      QueueTimeOutURL: 'https://example.com/timeout',
+      Occasion: 'March salary'
+    });
+  });
+
+  it('should send B2B overrides', async () => {
+    capture('/mpesa/b2b/v1/paymentrequest');
+
+    await daraja.b2b({
+      amount: 1000,
+      receiverShortCode: '000000',
+      commandID: 'BusinessBuyGoods',
+      accountReference: 'INV-42',
+      requester: '0712345678',
+      partyA: '600992',
+      senderIdentifierType: '4',
+      receiverIdentifierType: '2'
+    });
+
+    expect(body).toMatchObject({
+      CommandID: 'BusinessBuyGoods',
+      SenderIdentifierType: '4',
+      RecieverIdentifierType: '2',
+      PartyA: '600992',
+      PartyB: '000000',
+      AccountReference: 'INV-42',
+      Requester: '254712345678'
+    });
+  });
+
+  it('should send reversal overrides', async () => {
+    capture('/mpesa/reversal/v1/request');
+
+    await daraja.reversal({
+      transactionID: 'OEI2AK4Q16',
+      amount: 100,
+      receiverParty: '600610',
+      receiverIdentifierType: '4',
+      occasion: 'Duplicate'
+    });
+
+    expect(body).toMatchObject({
+      TransactionID: 'OEI2AK4Q16',
+      ReceiverParty: '600610',
+      RecieverIdentifierType: '4',
+      Occasion: 'Duplicate'
+    });
+  });
+
+  it('should accept the initiator per call when it is not configured', async () => {
+    const saved = process.env.INITIATOR_NAME;
+    delete process.env.INITIATOR_NAME;
+    try {
+      daraja = createDaraja();
+      capture('/mpesa/b2c/v1/paymentrequest');
+
+      await daraja.b2c({ amount: 10, phoneNumber: '0712345678', initiatorName: 'payroll' });
+      expect(body.InitiatorName).toBe('payroll');
+    } finally {
+      process.env.INITIATOR_NAME = saved;
+    }
+  });
+
+  it('should reject unknown command IDs and identifier types', async () => {
+    const error = await daraja.b2b({
+      amount: 10,
+      receiverShortCode: '000000',
+      commandID: 'PayEveryone',
+      receiverIdentifierType: '9'
+    }).catch((e) => e);
+
+    expect(error.errors.map((fieldError) => fieldError.field)).toEqual(['commandID', 'receiverIdentifierType']);
+  });
+});
+
+describe('DarajaSDK Buy Goods STK push', () => {
+  let body;
+
+  const capture = (path) => mockApi(path, { ResponseCode: '0', CheckoutRequestID: 'ws_CO_123' }, (requestBody) => { body = requestBody; });
+
+  const signedBy = (shortCode) => Buffer.from(`${shortCode}${process.env.PASS_KEY}${body.Timestamp}`).toString('base64');
+
+  beforeEach(() => {
+    nock.cleanAll();
+    body = undefined;
+  });
+
+  it('should default to pay bill with the business short code as party B', async () => {
+    capture('/mpesa/stkpush/v1/processrequest');
+
+    await createDaraja().stkPush({
+      phoneNumber: '0712345678',
+      amount: 1,
+      accountReference: 'TEST',
+      transactionDesc: 'Test'
+    });
+
+    expect(body).toMatchObject({
+      BusinessShortCode: '174379',
+      TransactionType: 'CustomerPayBillOnline',
+      PartyB: '174379',
+      CallBackURL: process.env.CALLBACK_URL
+    });
+  });
+
+  it('should sign with the store number and pay the till in Buy Goods mode', async () => {
+    capture('/mpesa/stkpush/v1/processrequest');
+    const daraja = createDaraja({ storeNumber: '5000001', tillNumber: '5000002' });
+
+    expect(daraja.transactionType).toBe(DarajaSDK.STK_TRANSACTION_TYPES.BUY_GOODS);
+    await daraja.stkPush({
+      phoneNumber: '0712345678',
+      amount: 1,
+      accountReference: 'TEST',
+      transactionDesc: 'Test'
+    });
+
+    expect(body).toMatchObject({
+      BusinessShortCode: '5000001',
+      TransactionType: 'CustomerBuyGoodsOnline',
+      PartyB: '5000002'
+    });
+    expect(body.Password).toBe(signedBy('5000001'));
+  });
+
+  it('should apply per-call overrides', async () => {
+    capture('/mpesa/stkpush/v1/processrequest');
+
+    await createDaraja({ storeNumber: '5000001' }).stkPush({
+      phoneNumber: '0712345678',
+      amount: 1,
+      accountReference: 'TEST',
+      transactionDesc: 'Test',
+      transactionType: 'CustomerBuyGoodsOnline',
+      partyB: '5000003',
+      callbackUrl: 'https://example.com/till/callback'
+    });
+
+    expect(body).toMatchObject({
+      BusinessShortCode: '5000001',
+      TransactionType: 'CustomerBuyGoodsOnline',
+      PartyB: '5000003',
+      CallBackURL: 'https://example.com/till/callback'
+    });
+  });
+
+  it('should require a till number for Buy Goods', async () => {
+    const daraja = createDaraja({ transactionType: 'CustomerBuyGoodsOnline' });
+
+    const error = await daraja.stkPush({
+      phoneNumber: '0712345678',
+      amount: 1,
+      accountReference: 'TEST',
+      transactionDesc: 'Test'
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(DarajaSDK.ConfigurationError);
+    expect(error.missing).toEqual(['tillNumber']);
+    expect(daraja.validate('stkPush').operations.stkPush.missing).toEqual(['tillNumber']);
+  });
+
+  it('should reject an unknown transaction type', async () => {
+    const error = await createDaraja().stkPush({
+      phoneNumber: '0712345678',
+      amount: 1,
+      accountReference: 'TEST',
+      transactionDesc: 'Test',
+      transactionType: 'CustomerSendMoney'
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(DarajaSDK.ValidationError);
+    expect(error.errors[0].field).toBe('transactionType');
+  });
+
+  it('should query with the short code that signed the STK push', async () => {
+    capture('/mpesa/stkpushquery/v1/query');
+
+    await createDaraja({ storeNumber: '5000001', tillNumber: '5000002' })
+      .stkPushQuery({ checkoutRequestId: 'ws_CO_123' });
+
+    expect(body.BusinessShortCode).toBe('5000001');
+    expect(body.Password).toBe(signedBy('5000001'));
+  });
+});
+
+describe('DarajaSDK generateQrCode', () => {
+  let body;
+
+  beforeEach(() => {
+    nock.cleanAll();
+    body = undefined;
+    mockApi('/mpesa/qrcode/v1/generate', {
+      ResponseCode: 'AG_20191219_000043fdf61864fe9ff5',
+      RequestID: '16738-27456357-1',
+      ResponseDescription: 'QR Code Successfully Generated.',
+      QRCode: 'iVBORw0KGgo='
+    }, (requestBody) => { body = requestBody; });
+  });
+
+  it('should generate a QR code', async () => {
+    const response = await createDaraja().generateQrCode({
+      merchantName: 'TEST SUPERMARKET',
+      refNo: 'Invoice Test',
+      amount: 1,
+      trxCode: 'SM',
+      cpi: '0712345678',
+      size: '200'
+    });
+
+    expect(body).toEqual({
+      MerchantName: 'TEST SUPERMARKET',
+      RefNo: 'Invoice Test',
+      Amount: 1,
+      TrxCode: 'SM',
+      CPI: '0712345678',
+      Size: '200'
+    });
+    expect(DarajaSDK.qrCodeToDataUri(response)).toBe('data:image/png;base64,iVBORw0KGgo=');
+  });
+
+  it('should pay the configured till or paybill by default', async () => {
+    await createDaraja({ tillNumber: '5000002' }).generateQrCode({
+      merchantName: 'TEST SUPERMARKET',
+      refNo: 'Invoice Test',
+      amount: 1,
+      trxCode: DarajaSDK.QR_TRANSACTION_CODES.BUY_GOODS
+    });
+
+    expect(body).toMatchObject({ TrxCode: 'BG', CPI: '5000002', Size: '300' });
+  });
+
+  it('should validate the parameters', async () => {
+    const invalid = await createDaraja().generateQrCode({
+      merchantName: 'TEST SUPERMARKET',
+      refNo: 'Invoice Test',
+      amount: 1,
+      trxCode: 'XX'
+    }).catch((e) => e);
+    expect(invalid).toBeInstanceOf(DarajaSDK.ValidationError);
+    expect(invalid.errors.map((e) => e.field)).toEqual(['trxCode']);
+
+    const noParty = await createDaraja().generateQrCode({
+      merchantName: 'TEST SUPERMARKET',
+      refNo: 'Invoice Test',
+      amount: 1,
+      trxCode: 'WA'
+    }).catch((e) => e);
+    expect(noParty).toBeInstanceOf(DarajaSDK.ValidationError);
+    expect(noParty.errors).toEqual([{ field: 'cpi', message: 'cpi is required' }]);
+  });
+});
+
+describe('DarajaSDK createStandingOrder', () => {
+  let body;
+
+  const params = {
+    standingOrderName: 'Gold plan',
+    phoneNumber: '0712345678',
+    amount: 500,
+    frequency: DarajaSDK.STANDING_ORDER_FREQUENCIES.MONTHLY,
+    startDate: '2025-09-05',
+    endDate: '20260905',
+    accountReference: 'SUB-42'
+  };
+
+  beforeEach(() => {
+    nock.cleanAll();
+    body = undefined;
+    mockApi('/standingorder/v1/createStandingOrderExternal', {
+      ResponseHeader: {
+        responseRefID: '4dd9b5d9-d738-42ba-9326-2cc99e966000',
+        responseCode: '200',
+        responseDescription: 'Request accepted for processing'
+      },
+      ResponseBody: { responseDescription: 'Request accepted for processing', responseCode: '200' }
+    }, (requestBody) => { body = requestBody; });
+  });
+
+  it('should create a pay bill standing order', async () => {
+    await createDaraja().createStandingOrder(params);
+
+    expect(body).toEqual({
+      StandingOrderName: 'Gold plan',
+      StartDate: '20250905',
+      EndDate: '20260905',
+      BusinessShortCode: '174379',
+      TransactionType: 'Standing Order Customer Pay Bill',
+      ReceiverPartyIdentifierType: '4',
+      Amount: '500',
+      PartyA: '254712345678',
+      CallBackURL: process.env.CALLBACK_URL,
+      AccountReference: 'SUB-42',
+      TransactionDesc: 'Gold plan',
+      Frequency: '4'
+    });
+  });
+
+  it('should pay the till for Buy Goods standing orders', async () => {
+    await createDaraja({ tillNumber: '5000002' }).createStandingOrder({
+      ...params,
+      callbackUrl: 'https://example.com/ratiba'
+    });
+
+    expect(body).toMatchObject({
+      BusinessShortCode: '5000002',
+      TransactionType: 'Standing Order Customer Pay Marchant',
+      ReceiverPartyIdentifierType: '2',
+      CallBackURL: 'https://example.com/ratiba'
+    });
+  });
+
+  it('should validate the frequency and dates', async () => {
+    const invalid = await createDaraja().createStandingOrder({
+      ...params,
+      frequency: '9',
+      startDate: '2025-02-30'
+    }).catch((e) => e);
+    expect(invalid).toBeInstanceOf(DarajaSDK.ValidationError);
+    expect(invalid.errors.map((e) => e.field)).toEqual(['frequency', 'startDate']);
+
+    const reversed = await createDaraja().createStandingOrder({
+      ...params,
+      startDate: '20260905',
+      endDate: '20250905'
+    }).catch((e) => e);
+    expect(reversed.errors).toEqual([{ field: 'endDate', message: 'endDate must not be before startDate' }]);
+  });
+});
+
+describe('DarajaSDK B2B express checkout and B2B variants', () => {
+  let daraja;
+  let body;
+
+  const capture = (path, reply) => mockApi(path, reply, (requestBody) => { body = requestBody; });
+
+  beforeEach(() => {
+    daraja = createDaraja({ resultUrl: 'https://example.com/result', timeoutUrl: 'https://example.com/timeout' });
+
+    nock.cleanAll();
+    body = undefined;
+  });
+
+  it('should send a USSD push to the merchant till', async () => {
+    capture('/v1/ussdpush/get-msisdn', { code: '0', status: 'USSD Initiated Successfully' });
+
+    const response = await daraja.b2bExpressCheckout({
+      primaryShortCode: '000001',
+      amount: 100,
+      paymentRef: 'INV-42',
+      partnerName: 'Vendor'
+    });
+
+    expect(response).toEqual({ code: '0', status: 'USSD Initiated Successfully' });
+    expect(body).toMatchObject({
+      primaryShortCode: '000001',
+      receiverShortCode: '174379',
+      amount: '100',
+      paymentRef: 'INV-42',
+      callbackUrl: process.env.CALLBACK_URL,
+      partnerName: 'Vendor'
+    });
+    expect(body.RequestRefID).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should pay a paybill from the business account', async () => {
+    capture('/mpesa/b2b/v1/paymentrequest');
+
+    await daraja.businessPayBill({
+      amount: 250,
+      receiverShortCode: '888880',
+      accountReference: 'ACC-7',
+      requester: '0712345678'
+    });
+
+    expect(body).toMatchObject({
+      CommandID: 'BusinessPayBill',
+      SenderIdentifierType: '4',
+      RecieverIdentifierType: '4',
+      PartyA: '174379',
+      PartyB: '888880',
+      AccountReference: 'ACC-7',
+      Requester: '254712345678',
+      ResultURL: 'https://example.com/result'
+    });
+  });
+
+  it('should top up a B2C account', async () => {
+    capture('/mpesa/b2b/v1/paymentrequest');
+
+    await daraja.b2cAccountTopUp({ amount: 10000, receiverShortCode: '600000', accountReference: 'TOPUP-1' });
+
+    expect(body).toMatchObject({
+      CommandID: 'BusinessPayToBulk',
+      PartyB: '600000',
+      AccountReference: 'TOPUP-1',
+      Remarks: 'B2C Account Top Up'
+    });
+    expect(body).not.toHaveProperty('Requester');
+  });
+
+  it('should require an account reference for pay bill and top up', async () => {
+    const payBill = await daraja.businessPayBill({ amount: 250, receiverShortCode: '888880' }).catch((e) => e);
+    const topUp = await daraja.b2cAccountTopUp({ amount: 250, receiverShortCode: '600000' }).catch((e) => e);
+
+    expect(payBill).toBeInstanceOf(DarajaSDK.ValidationError);
+    expect(payBill.operation).toBe('businessPayBill');
+    expect(topUp.errors).toEqual([{ field: 'accountReference', message: 'accountReference is required' }]);
+  });
+});
+
+describe('DarajaSDK transport', () => {
+  it('should send requests through the injected transport', async () => {
+    const transport = createTransport({ status: 200, headers: {}, data: { ResponseCode: '0' } });
+    const agent = {};
+    const daraja = createDaraja({
+      transport,
+      agent,
+      baseUrl: 'http://localhost:4000/',
+      timeout: 10000,
+      timeouts: { accountBalance: 2000 }
+    });
+
+    expect(await daraja.accountBalance()).toEqual({ ResponseCode: '0' });
+
+    const [tokenRequest, balanceRequest] = transport.mock.calls.map(([request]) => request);
+    expect(tokenRequest).toMatchObject({
+      method: 'GET',
+      url: 'http://localhost:4000/oauth/v1/generate?grant_type=client_credentials',
+      timeout: 10000,
+      agent
+    });
+    expect(balanceRequest).toMatchObject({
+      method: 'POST',
+      url: 'http://localhost:4000/mpesa/accountbalance/v1/query',
+      headers: { Authorization: 'Bearer test_access_token' },
+      timeout: 2000
+    });
+  });
+
+  it('should turn error statuses into typed errors', async () => {
+    const transport = createTransport({
+      status: 429,
+      headers: { 'retry-after': '5' },
+      data: { errorCode: '429.001.01', errorMessage: 'Too many requests' }
+    });
+
+    const error = await createDaraja({ transport, retry: false }).accountBalance().catch((e) => e);
+
+    expect(error).toBeInstanceOf(DarajaSDK.RateLimitError);
+    expect(error.message).toBe('Account balance query failed: Too many requests');
+    expect(error.retryAfter).toBe(5);
+  });
+
+  it('should turn transport failures into network errors', async () => {
+    const transport = jest.fn(async (request) => {
+      throw Object.assign(new Error('Request timed out after 100ms'), { code: 'ETIMEDOUT', request });
+    });
+
+    const error = await createDaraja({ transport, retry: false }).generateToken().catch((e) => e);
+
+    expect(error).toBeInstanceOf(DarajaSDK.NetworkError);
+    expect(error.code).toBe('ETIMEDOUT');
+  });
+});
+
+describe('DarajaSDK hooks and logging', () => {
+  const stkParams = {
+    phoneNumber: '0712345678',
+    amount: 1,
+    accountReference: 'TEST',
+    transactionDesc: 'Test'
+  };
+
+  it('should let hooks change requests and responses', async () => {
+    const transport = createTransport({ status: 200, headers: {}, data: { ResponseCode: '0' } });
+    const afterResponse = jest.fn((response) => ({ ...response, data: { ...response.data, seen: true } }));
+    const daraja = createDaraja({
+      transport,
+      hooks: {
+        beforeRequest: (request) => ({ ...request, headers: { ...request.headers, 'X-Request-Id': 'abc' } }),
+        afterResponse
+      }
+    });
+
+    expect(await daraja.accountBalance()).toEqual({ ResponseCode: '0', seen: true });
+    expect(transport.mock.calls[1][0].headers['X-Request-Id']).toBe('abc');
+    expect(afterResponse.mock.calls[1][1]).toMatchObject({ operation: 'accountBalance' });
+  });
+
+  it('should call onError hooks and allow removing hooks', async () => {
+    const transport = createTransport({ status: 500, headers: {}, data: { errorMessage: 'Internal error' } });
+    const onError = jest.fn();
+    const daraja = createDaraja({ transport, retry: false });
+    const remove = daraja.use({ onError: [onError] });
+
+    await expect(daraja.accountBalance()).rejects.toBeInstanceOf(DarajaSDK.ServerError);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].response.status).toBe(500);
+    expect(onError.mock.calls[0][1].operation).toBe('accountBalance');
+
+    remove();
+    await expect(daraja.accountBalance()).rejects.toBeInstanceOf(DarajaSDK.ServerError);
+    expect(onError).toHaveBeenCalledTimes(1);
+
+    expect(() => daraja.use({ beforeRequest: 'nope' })).toThrow(TypeError);
+  });
+
+  it('should log requests with credentials redacted', async () => {
+    const logger = createLogger();
+    const transport = createTransport({
+      status: 200,
+      headers: {},
+      data: { MerchantRequestID: '29115-34620561-1', CheckoutRequestID: 'ws_CO_123', ResponseCode: '0' }
+    });
+    const daraja = createDaraja({ transport, logger, consumerSecret: 'super-secret' });
+
+    await daraja.stkPush(stkParams);
+
+    const logged = JSON.stringify([logger.debug.mock.calls, logger.info.mock.calls]);
+    expect(logged).not.toContain('test_access_token');
+    expect(logged).not.toContain('super-secret');
+    expect(logged).not.toContain(transport.mock.calls[1][0].data.Password);
+
+    const [message, fields] = logger.info.mock.calls[1];
+    expect(message).toBe('Daraja response');
+    expect(fields).toMatchObject({
+      operation: 'stkPush',
+      method: 'POST',
+      endpoint: '/mpesa/stkpush/v1/processrequest',
+      status: 200,
+      MerchantRequestID: '29115-34620561-1',
+      CheckoutRequestID: 'ws_CO_123'
+    });
+    expect(typeof fields.durationMs).toBe('number');
+    expect(logger.debug.mock.calls[1][1].data.Password).toBe(DarajaSDK.REDACTED);
+  });
+
+  it('should log client errors as warnings and server errors as errors', async () => {
+    const logger = createLogger();
+    const badRequest = createTransport({
+      status: 400,
+      headers: {},
+      data: { requestId: '1234-5678', errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Amount' }
+    });
+
+    await expect(createDaraja({ transport: badRequest, logger }).stkPush(stkParams)).rejects.toThrow('Invalid Amount');
+    expect(logger.warn).toHaveBeenCalledWith('Daraja request failed', expect.objectContaining({
+      operation: 'stkPush',
+      status: 400,
+      errorCode: '400.002.02',
+      requestId: '1234-5678'
+    }));
+
+    const failing = jest.fn(async () => {
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    });
+    await expect(createDaraja({ transport: failing, logger, retry: false }).generateToken()).rejects.toThrow('socket hang up');
+    expect(logger.error).toHaveBeenCalledWith('Daraja request failed', expect.objectContaining({
+      operation: 'generateToken',
+      errorCode: 'ECONNRESET'
+    }));
+  });
+
+  it('should ignore logger failures', async () => {
+    const logger = { info: () => { throw new Error('disk full'); } };
+    const transport = createTransport({ status: 200, headers: {}, data: { ResponseCode: '0' } });
+
+    await expect(createDaraja({ transport, logger }).accountBalance()).resolves.toEqual({ ResponseCode: '0' });
+  });
+});
+
+describe('DarajaSDK retries', () => {
+  const accepted = { status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: 'AG_1' } };
+  const unavailable = { status: 503, headers: {}, data: { errorMessage: 'Service unavailable' } };
+  const throttled = { status: 429, headers: {}, data: { errorMessage: 'Spike arrest violation' } };
+
+  // Answers token requests, then the given API responses in order (the last one repeats)
+  const respondInOrder = (...responses) => {
+    let calls = 0;
+    return createTransport(() => {
+      calls += 1;
+      return responses[Math.min(calls, responses.length) - 1];
+    });
+  };
+  const apiCalls = (transport) => transport.mock.calls.filter(([request]) => !request.url.includes('/oauth/'));
+
+  const retry = { baseDelay: 1, jitter: false };
+  const b2cParams = { amount: 100, phoneNumber: '0712345678' };
+
+  it('should retry read-only operations on transient failures', async () => {
+    const transport = respondInOrder(unavailable, accepted);
+    const logger = createLogger();
+
+    await expect(createDaraja({ transport, retry, logger }).accountBalance()).resolves.toEqual(accepted.data);
+    expect(apiCalls(transport)).toHaveLength(2);
+    expect(logger.warn).toHaveBeenCalledWith('Retrying Daraja request', expect.objectContaining({
+      operation: 'accountBalance', attempt: 1, status: 503
+    }));
+  });
+
+  it('should not retry payments without an idempotency key', async () => {
+    const transport = respondInOrder(unavailable, accepted);
+
+    await expect(createDaraja({ transport, retry }).b2c(b2cParams)).rejects.toBeInstanceOf(DarajaSDK.ServerError);
+    expect(apiCalls(transport)).toHaveLength(1);
+  });
+
+  it('should retry payments with an idempotency key and send them once per key', async () => {
+    const transport = respondInOrder(throttled, accepted);
+    const daraja = createDaraja({ transport, retry });
+
+    const [first, second] = await Promise.all([
+      daraja.b2c({ ...b2cParams, idempotencyKey: 'payout-1' }),
+      daraja.b2c({ ...b2cParams, idempotencyKey: 'payout-1' })
+    ]);
+    const again = await daraja.b2c({ ...b2cParams, idempotencyKey: 'payout-1' });
+
+    expect(first).toEqual(accepted.data);
+    expect(second).toBe(first);
+    expect(again).toBe(first);
+    expect(apiCalls(transport)).toHaveLength(2);
+    expect(apiCalls(transport)[1][0].data).not.toHaveProperty('idempotencyKey');
+  });
+
+  it('should not retry payments that Daraja may have processed', async () => {
+    const transport = respondInOrder({ status: 504, headers: {}, data: { errorMessage: 'Gateway Timeout' } }, accepted);
+    const daraja = createDaraja({ transport, retry });
+
+    await expect(daraja.b2c({ ...b2cParams, idempotencyKey: 'payout-3' })).rejects.toBeInstanceOf(DarajaSDK.ServerError);
+    expect(apiCalls(transport)).toHaveLength(1);
+  });
+
+  it('should forget failed requests so the same key can be sent again', async () => {
+    const transport = respondInOrder({ status: 400, headers: {}, data: { errorMessage: 'Bad Request' } }, accepted);
+    const daraja = createDaraja({ transport, retry });
+
+    await expect(daraja.businessPayBill({
+      amount: 100, receiverShortCode: '600000', accountReference: 'INV-1', idempotencyKey: 'bill-1'
+    })).rejects.toBeInstanceOf(DarajaSDK.DarajaError);
+    await expect(daraja.businessPayBill({
+      amount: 100, receiverShortCode: '600000', accountReference: 'INV-1', idempotencyKey: 'bill-1'
+    })).resolves.toEqual(accepted.data);
+  });
+
+  it('should honour operations that disable retries', async () => {
+    const transport = respondInOrder(throttled, accepted);
+    const daraja = createDaraja({ transport, retry: { ...retry, operations: { b2c: false } } });
+
+    await expect(daraja.b2c({ ...b2cParams, idempotencyKey: 'payout-2' })).rejects.toBeInstanceOf(DarajaSDK.RateLimitError);
+    expect(apiCalls(transport)).toHaveLength(1);
+  });
+});
+
+describe('DarajaSDK rate limiting', () => {
+  const accepted = { status: 200, headers: {}, data: { ResponseCode: '0' } };
+
+  it('should queue requests through a limiter shared by several instances', async () => {
+    const rateLimit = new DarajaSDK.RateLimiter({ maxConcurrent: 1 });
+    const inFlight = [];
+    let maxInFlight = 0;
+    const transport = createTransport(async (request) => {
+      inFlight.push(request);
+      maxInFlight = Math.max(maxInFlight, inFlight.length);
+      await new Promise((resolve) => { setImmediate(resolve); });
+      inFlight.pop();
+      return accepted;
+    });
+
+    const first = createDaraja({ transport, rateLimit });
+    const second = createDaraja({ transport, rateLimit });
+    expect(first.rateLimiter).toBe(rateLimit);
+
+    await Promise.all([first.accountBalance(), second.accountBalance(), first.transactionStatus({ transactionID: 'ABC' })]);
+    expect(maxInFlight).toBe(1);
+    expect(rateLimit.stats().queued).toBe(0);
+  });
+
+  it('should pause the endpoint when Daraja asks to retry later', async () => {
+    const transport = createTransport({ status: 429, headers: { 'retry-after': '2' }, data: { errorMessage: 'Spike arrest violation' } });
+    const daraja = createDaraja({ transport, retry: false, rateLimit: { requestsPerSecond: 5 } });
+    const throttle = jest.spyOn(daraja.rateLimiter, 'throttle');
+
+    const error = await daraja.accountBalance().catch((e) => e);
+
+    expect(error).toBeInstanceOf(DarajaSDK.RateLimitError);
+    expect(error.retryAfter).toBe(2);
+    expect(throttle).toHaveBeenCalledWith('/mpesa/accountbalance/v1/query', 2000);
+  });
+
+  it('should reject calls when the queue is full', async () => {
+    let release;
+    const transport = createTransport(() => new Promise((resolve) => { release = () => resolve(accepted); }));
+    const daraja = createDaraja({ transport, rateLimit: { maxConcurrent: 1, maxQueue: 0 } });
+    await daraja.generateToken();
+
+    const pending = daraja.accountBalance();
+    const error = await daraja.transactionStatus({ transactionID: 'ABC' }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(DarajaSDK.RateLimitError);
+    expect(error.message).toBe('Request queue is full (0 waiting)');
+    release();
+    await expect(pending).resolves.toEqual(accepted.data);
+  });
+});
+
+describe('DarajaSDK callback security', () => {
+  const stkParams = { phoneNumber: '0712345678', amount: 1, accountReference: 'TEST', transactionDesc: 'Test' };
+  const stkCallback = {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-34620561-1',
+        CheckoutRequestID: 'ws_CO_191220191020363925',
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.'
+      }
+    }
+  };
+
+  // Answers token requests, and every other request with the given STK query result code
+  const queryTransport = (resultCode) => createTransport(
+    { status: 200, headers: {}, data: { ResponseCode: '0', ResultCode: resultCode, CheckoutRequestID: 'ws_CO_191220191020363925' } }
+  );
+
+  // Runs a handler against a request already parsed by a body parser, without a server
+  const deliver = async (handler, url, payload) => {
+    const req = { url, headers: {}, socket: { remoteAddress: '127.0.0.1' }, body: payload };
+    const res = { setHeader: jest.fn(), end: jest.fn() };
+    await handler(req, res);
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+    return res.statusCode;
+  };
+
+  it('should sign the STK callback URL when a callback secret is set', async () => {
+    const transport = queryTransport('0');
+    const daraja = createDaraja({ transport, callbackSecret: 'shh' });
+
+    await daraja.stkPush({ ...stkParams, callbackUrl: 'https://example.com/mpesa/callback?order=42' });
+
+    const callbackUrl = transport.mock.calls[1][0].data.CallBackURL;
+    expect(callbackUrl).toMatch(/^https:\/\/example\.com\/mpesa\/callback\?order=42&mpesa_token=/);
+    expect(DarajaSDK.verifyCallbackToken(callbackUrl, 'shh')).toBe(true);
+  });
+
+  it('should check URL tokens with the instance secret', async () => {
+    const daraja = createDaraja({ transport: queryTransport('0'), callbackSecret: 'shh' });
+    const onStkSuccess = jest.fn();
+    const handler = daraja.createCallbackHandler({ onStkSuccess, onError: jest.fn() });
+    const signed = new URL(DarajaSDK.signCallbackUrl('https://example.com/mpesa/callback', 'shh'));
+
+    expect(await deliver(handler, '/mpesa/callback', stkCallback)).toBe(403);
+    expect(await deliver(handler, `${signed.pathname}${signed.search}`, stkCallback)).toBe(200);
+    expect(onStkSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  it('should sign result URLs and accept the results sent to them', async () => {
+    const transport = queryTransport('0');
+    const daraja = createDaraja({
+      transport,
+      callbackSecret: 'shh',
+      resultUrl: 'https://example.com/mpesa/result',
+      timeoutUrl: 'https://example.com/mpesa/timeout'
+    });
+    const onB2CResult = jest.fn();
+    const onError = jest.fn();
+    const handler = daraja.createCallbackHandler({ onB2CResult, onError }, { type: 'b2c' });
+    const b2cResult = {
+      Result: {
+        ResultType: 0,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        OriginatorConversationID: '10571-7910404-1',
+        ConversationID: 'AG_20191219_00004e48cf7e3533f581',
+        TransactionID: 'NLJ41HAY6Q'
+      }
+    };
+
+    await daraja.b2c({ amount: 10, phoneNumber: '0712345678' });
+    const resultUrl = new URL(transport.mock.calls[1][0].data.ResultURL);
+    expect(DarajaSDK.verifyCallbackToken(transport.mock.calls[1][0].data.QueueTimeOutURL, 'shh')).toBe(true);
+
+    expect(await deliver(handler, `${resultUrl.pathname}${resultUrl.search}`, b2cResult)).toBe(200);
+    expect(onB2CResult).toHaveBeenCalledTimes(1);
+    expect(onError).not.toHaveBeenCalled();
+    expect(await deliver(handler, resultUrl.pathname, b2cResult)).toBe(403);
+  });
+
+  it('should not ask for tokens on URLs registered once', async () => {
+    const daraja = createDaraja({ transport: queryTransport('0'), callbackSecret: 'shh' });
+    const onBillPayment = jest.fn();
+    const handler = daraja.createCallbackHandler({ onBillPayment });
+    const billPayment = {
+      transactionId: 'RJB53MYR1N',
+      paidAmount: '800',
+      msisdn: '254712345678',
+      dateCreated: '2021-09-15',
+      accountReference: '1ASD678H',
+      shortCode: '174379'
+    };
+
+    expect(await deliver(handler, '/mpesa/bills', billPayment)).toBe(200);
+    expect(onBillPayment).toHaveBeenCalledTimes(1);
+  });
+
+  it('should confirm successful STK callbacks with a query when asked', async () => {
+    const transport = queryTransport('1032');
+    const daraja = createDaraja({ transport });
+    const onStkSuccess = jest.fn();
+    const onError = jest.fn();
+    const next = jest.fn();
+    const middleware = daraja.createCallbackMiddleware({ onStkSuccess, onError }, { verifyStk: true });
+
+    await deliver((req, res) => middleware(req, res, next), '/mpesa/callback', stkCallback);
+
+    expect(transport.mock.calls[1][0].data.CheckoutRequestID).toBe('ws_CO_191220191020363925');
+    expect(onStkSuccess).not.toHaveBeenCalled();
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(DarajaSDK.CallbackVerificationError);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should only query for successful STK callbacks', async () => {
+    const transport = queryTransport('0');
+    const daraja = createDaraja({ transport });
+
+    await expect(daraja.verifyStkCallback({ type: 'b2c', success: true })).resolves.toBe(true);
+    await expect(daraja.verifyStkCallback({ type: 'stkPush', success: false })).resolves.toBe(true);
+    await expect(daraja.verifyStkCallback({ type: 'stkPush', success: true, checkoutRequestId: 'ws_CO_1' })).resolves.toBe(true);
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep successful STK callbacks it cannot check, marked unverified', async () => {
+    const transport = createTransport({ status: 503, headers: {}, data: { errorMessage: 'Service unavailable' } });
+    const daraja = createDaraja({ transport, retry: false });
+    const onStkSuccess = jest.fn();
+    const onError = jest.fn();
+    const handler = daraja.createCallbackHandler({ onStkSuccess, onError }, { verifyStk: true });
+
+    expect(await deliver(handler, '/mpesa/callback', stkCallback)).toBe(200);
+    expect(onError).not.toHaveBeenCalled();
+    expect(onStkSuccess).toHaveBeenCalledWith(expect.objectContaining({ verified: false }), expect.anything());
+
+    const callback = { type: 'stkPush', success: true, checkoutRequestId: 'ws_CO_1' };
+    await expect(createDaraja({ transport: queryTransport('0') }).verifyStkCallback(callback)).resolves.toBe(true);
+    expect(callback.verified).toBe(true);
+  });
+});
+
+describe('DarajaSDK transaction store', () => {
+  const stkParams = { phoneNumber: '0712345678', amount: 10, accountReference: 'TEST', transactionDesc: 'Test' };
+  const stkCallback = {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-34620561-1',
+        CheckoutRequestID: 'ws_CO_191220191020363925',
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        CallbackMetadata: { Item: [{ Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' }] }
+      }
+    }
+  };
+  const b2cResult = {
+    Result: {
+      ResultType: 0,
+      ResultCode: 2001,
+      ResultDesc: 'The initiator information is invalid.',
+      OriginatorConversationID: '29112-34801843-1',
+      ConversationID: 'AG_20191219_00006c6fddb15123addf',
+      TransactionID: 'NLJ0000000'
+    }
+  };
+
+  // Accepts every request like Daraja does
+  const acceptAll = () => createTransport((request) => {
+    if (request.url.includes('/stkpush/')) {
+      return { status: 200, headers: {}, data: { ResponseCode: '0', MerchantRequestID: '29115-34620561-1', CheckoutRequestID: 'ws_CO_191220191020363925' } };
+    }
+    return { status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: 'AG_20191219_00006c6fddb15123addf', OriginatorConversationID: '29112-34801843-1' } };
+  });
+
+  let store;
+  let daraja;
+
+  beforeEach(() => {
+    store = new DarajaSDK.MemoryTransactionStore();
+    daraja = createDaraja({ transport: acceptAll(), store });
+  });
+
+  it('should record accepted payments with their reference', async () => {
+    await daraja.stkPush({ ...stkParams, reference: 'order-42' });
+    await daraja.b2c({ amount: 250, phoneNumber: '0712345678', idempotencyKey: 'payout-7' });
+    await daraja.accountBalance();
+
+    const transactions = await store.list();
+    expect(transactions).toHaveLength(2);
+    expect(transactions[0]).toMatchObject({
+      reference: 'order-42',
+      operation: 'stkPush',
+      status: 'pending',
+      amount: 10,
+      phoneNumber: '254712345678',
+      checkoutRequestId: 'ws_CO_191220191020363925'
+    });
+    expect(transactions[1]).toMatchObject({ reference: 'payout-7', operation: 'b2c', conversationId: 'AG_20191219_00006c6fddb15123addf' });
+  });
+
+  it('should record a request once when it is repeated with the same idempotency key', async () => {
+    await daraja.b2c({ amount: 250, phoneNumber: '0712345678', idempotencyKey: 'payout-7' });
+    await daraja.b2c({ amount: 250, phoneNumber: '0712345678', idempotencyKey: 'payout-7' });
+
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  it('should update transactions from their callbacks and results', async () => {
+    await daraja.stkPush({ ...stkParams, reference: 'order-42' });
+    await daraja.b2c({ amount: 250, phoneNumber: '0712345678' });
+
+    expect(await daraja.recordCallback(stkCallback)).toMatchObject({ reference: 'order-42', status: 'completed', receiptNumber: 'NLJ7RT61SV' });
+    expect(await daraja.recordCallback(DarajaSDK.parseCallback(b2cResult))).toMatchObject({ operation: 'b2c', status: 'failed', resultCode: 2001 });
+    expect(await daraja.findTransaction({ receiptNumber: 'NLJ7RT61SV' })).toMatchObject({ reference: 'order-42' });
+
+    const unknown = { Result: { ...b2cResult.Result, ConversationID: 'AG_unknown', OriginatorConversationID: 'unknown' } };
+    expect(await daraja.recordCallback(unknown)).toBeNull();
+  });
+
+  it('should store C2B payments once', async () => {
+    const payment = { TransID: 'RKTQDM7W6S', TransAmount: '10', BusinessShortCode: '600638', BillRefNumber: 'ACC-1', MSISDN: '254708374149' };
+
+    const first = await daraja.recordCallback(payment);
+    expect(first).toMatchObject({ operation: 'c2b', status: 'completed', reference: 'ACC-1', receiptNumber: 'RKTQDM7W6S' });
+    expect(await daraja.recordCallback(payment)).toEqual(first);
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  it('should give callback handlers the transaction they answer', async () => {
+    await daraja.stkPush({ ...stkParams, reference: 'order-42' });
+    const onStkSuccess = jest.fn();
+    const handler = daraja.createCallbackHandler({ onStkSuccess });
+    const req = { url: '/mpesa/callback', headers: {}, socket: { remoteAddress: '127.0.0.1' }, body: stkCallback };
+
+    await handler(req, { setHeader: jest.fn(), end: jest.fn() });
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+
+    expect(onStkSuccess.mock.calls[0][0].transaction).toMatchObject({ reference: 'order-42', status: 'completed' });
+  });
+
+  it('should still run the handlers when the store fails on a callback', async () => {
+    store.find = jest.fn().mockRejectedValue(new Error('Database is down'));
+    const onStkSuccess = jest.fn();
+    const onError = jest.fn();
+    const handler = daraja.createCallbackHandler({ onStkSuccess, onError });
+    const req = { url: '/mpesa/callback', headers: {}, socket: { remoteAddress: '127.0.0.1' }, body: stkCallback };
+
+    await handler(req, { setHeader: jest.fn(), end: jest.fn() });
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+
+    expect(onError.mock.calls[0][0].message).toBe('Database is down');
+    expect(onStkSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return the response when the store fails to record a payment', async () => {
+    const logger = createLogger();
+    store.save = jest.fn().mockRejectedValue(new Error('Disk full'));
+    daraja = createDaraja({ transport: acceptAll(), store, logger });
+
+    await expect(daraja.stkPush(stkParams)).resolves.toMatchObject({ CheckoutRequestID: 'ws_CO_191220191020363925' });
+    expect(logger.error).toHaveBeenCalledWith('Transaction store failed', expect.objectContaining({
+      operation: 'stkPush',
+      errorMessage: 'Disk full',
+      CheckoutRequestID: 'ws_CO_191220191020363925'
+    }));
+  });
+
+  it('should need a store to find transactions', async () => {
+    const plain = createDaraja({ transport: acceptAll() });
+
+    expect(await plain.recordCallback(stkCallback)).toBeNull();
+    await expect(plain.findTransaction({ reference: 'order-42' })).rejects.toBeInstanceOf(DarajaSDK.ConfigurationError);
+  });
+});
+
+describe('DarajaSDK events', () => {
+  const stkParams = { phoneNumber: '0712345678', amount: 10, accountReference: 'TEST', transactionDesc: 'Test' };
+  const stkResponse = { ResponseCode: '0', MerchantRequestID: '29115-34620561-1', CheckoutRequestID: 'ws_CO_191220191020363925' };
+  const stkCallback = (resultCode) => ({
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-34620561-1',
+        CheckoutRequestID: 'ws_CO_191220191020363925',
+        ResultCode: resultCode,
+        ResultDesc: 'Result'
+      }
+    }
+  });
+  const result = (parameters, resultCode = 0) => ({
+    Result: {
+      ResultType: 0,
+      ResultCode: resultCode,
+      ResultDesc: 'Result',
+      OriginatorConversationID: '29112-34801843-1',
+      ConversationID: 'AG_20191219_00006c6fddb15123addf',
+      TransactionID: 'NLJ41HAY6Q',
+      ResultParameters: parameters && { ResultParameter: parameters }
+    }
+  });
+
+  const acceptAll = () => createTransport((request) => {
+    if (!request.url.includes('/b2c/')) return { status: 200, headers: {}, data: stkResponse };
+    return { status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: 'AG_20191219_00006c6fddb15123addf', OriginatorConversationID: '29112-34801843-1' } };
+  });
+
+  // Records every event emitted by the SDK
+  const record = (daraja) => {
+    const events = [];
+    Object.values(DarajaSDK.DARAJA_EVENTS).forEach((name) => {
+      daraja.on(name, (payload) => events.push([name, payload]));
+    });
+    return events;
+  };
+
+  it('should be an event emitter', () => {
+    expect(new DarajaSDK()).toBeInstanceOf(require('events').EventEmitter);
+  });
+
+  it('should emit request, accepted and token.refreshed for outgoing calls', async () => {
+    const daraja = createDaraja({ transport: acceptAll() });
+    const events = record(daraja);
+
+    await daraja.stkPush({ ...stkParams, reference: 'order-42' });
+    await daraja.stkPushQuery({ checkoutRequestId: 'ws_CO_191220191020363925' });
+
+    expect(events.map(([name]) => name)).toEqual(['request', 'token.refreshed', 'accepted', 'request']);
+    expect(events[0][1]).toMatchObject({ operation: 'stkPush', reference: 'order-42', data: { Password: '[REDACTED]', Amount: 10 } });
+    expect(events[1][1].expiresAt).toBeInstanceOf(Date);
+    expect(events[2][1]).toEqual({ operation: 'stkPush', reference: 'order-42', response: stkResponse, transaction: null });
+  });
+
+  it('should pass the stored transaction with accepted', async () => {
+    const daraja = createDaraja({ transport: acceptAll(), store: new DarajaSDK.MemoryTransactionStore() });
+    const accepted = jest.fn();
+    daraja.on('accepted', accepted);
+
+    await daraja.stkPush({ ...stkParams, idempotencyKey: 'order-42' });
+    await daraja.stkPush({ ...stkParams, idempotencyKey: 'order-42' });
+
+    expect(accepted).toHaveBeenCalledTimes(1);
+    expect(accepted.mock.calls[0][0].transaction).toMatchObject({ reference: 'order-42', status: 'pending' });
+  });
+
+  it('should emit payment, result and timeout events for callbacks', () => {
+    const daraja = createDaraja({ transport: acceptAll() });
+    const events = record(daraja);
+
+    daraja.receiveCallback(stkCallback(0));
+    daraja.receiveCallback(stkCallback(1032));
+    daraja.receiveCallback(stkCallback(1037));
+    daraja.receiveCallback(result([{ Key: 'TransactionAmount', Value: 10 }, { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' }]));
+    daraja.receiveCallback(result([{ Key: 'OriginalTransactionID', Value: 'NLJ41HAY6Q' }]));
+
+    expect(events.map(([name]) => name)).toEqual([
+      'payment.completed', 'payment.failed', 'timeout', 'payment.completed', 'b2c.result', 'reversal.result'
+    ]);
+    expect(events[0][1]).toMatchObject({ type: 'stkPush', checkoutRequestId: 'ws_CO_191220191020363925' });
+  });
+
+  it('should emit events for callbacks received by its middleware, with their transaction', async () => {
+    const daraja = createDaraja({ transport: acceptAll(), store: new DarajaSDK.MemoryTransactionStore() });
+    const failed = jest.fn();
+    daraja.on('payment.failed', failed);
+    await daraja.b2c({ amount: 250, phoneNumber: '0712345678', reference: 'payout-7' });
+
+    const handler = daraja.createCallbackHandler({});
+    const req = { url: '/mpesa/result', headers: {}, socket: { remoteAddress: '127.0.0.1' }, body: result(undefined, 2001) };
+    await handler(req, { setHeader: jest.fn(), end: jest.fn() });
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+
+    expect(failed).toHaveBeenCalledTimes(1);
+    expect(failed.mock.calls[0][0].transaction).toMatchObject({ reference: 'payout-7', status: 'failed' });
+  });
+
+  it('should log listeners that throw instead of failing the payment', async () => {
+    const logger = createLogger();
+    const daraja = createDaraja({ transport: acceptAll(), logger });
+    daraja.on('accepted', () => { throw new Error('Analytics is down'); });
+
+    await expect(daraja.stkPush(stkParams)).resolves.toEqual(stkResponse);
+    expect(logger.error).toHaveBeenCalledWith('Event listener failed', { event: 'accepted', errorMessage: 'Analytics is down' });
+  });
+});
+
+describe('DarajaSDK reconcile', () => {
+  const queryResults = {
+    ws_CO_paid: { status: 200, headers: {}, data: { ResponseCode: '0', ResultCode: '0', ResultDesc: 'The service request is processed successfully.' } },
+    ws_CO_cancelled: { status: 200, headers: {}, data: { ResponseCode: '0', ResultCode: '1032', ResultDesc: 'Request cancelled by user' } },
+    ws_CO_pending: { status: 500, headers: {}, data: { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' } }
+  };
+
+  const transport = createTransport((request) => {
+    if (request.url.includes('/transactionstatus/')) {
+      return { status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: 'AG_20191219_00005797af5d7d75f652' } };
+    }
+    return queryResults[request.data.CheckoutRequestID];
+  });
+
+  const expected = [
+    { reference: 'order-1', checkoutRequestId: 'ws_CO_paid', amount: 10 },
+    { reference: 'order-2', checkoutRequestId: 'ws_CO_cancelled', amount: 10 },
+    { reference: 'order-3', checkoutRequestId: 'ws_CO_pending', amount: 10 },
+    { reference: 'order-4', receiptNumber: 'SAB1CDE2FG', amount: 10 },
+    { reference: 'order-5', amount: 10 }
+  ];
+
+  beforeEach(() => {
+    transport.mockClear();
+  });
+
+  it('should only report without requery', async () => {
+    const daraja = createDaraja({ transport, retry: false });
+
+    const report = await daraja.reconcile({ expected });
+    expect(report.summary.missing).toBe(5);
+    expect(transport).not.toHaveBeenCalled();
+  });
+
+  it('should query Daraja about missing entries', async () => {
+    const daraja = createDaraja({ transport, retry: false });
+
+    const report = await daraja.reconcile({ expected, requery: true });
+
+    expect(report.summary).toMatchObject({ matched: 1, failed: 1, missing: 3 });
+    expect(report.matched[0]).toMatchObject({
+      expected: { reference: 'order-1' },
+      query: { ResultCode: '0' },
+      issues: ['No callback received; confirmed by STK push query']
+    });
+    expect(report.failed[0].issues).toEqual(['Request cancelled by user']);
+    expect(report.missing.map((item) => item.issues)).toEqual([
+      ['Still being processed'],
+      ['Transaction status requested; the result will be sent to the result URL'],
+      []
+    ]);
+    expect(transport.mock.calls.find(([request]) => request.url.includes('/transactionstatus/'))[0].data.TransactionID).toBe('SAB1CDE2FG');
+  });
+
+  it('should keep reconciling when a query fails', async () => {
+    const failing = createTransport((request) => (
+      request.url.includes('/transactionstatus/')
+        ? { status: 400, headers: {}, data: { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid TransactionID' } }
+        : transport(request)
+    ));
+    const daraja = createDaraja({ transport: failing, retry: false });
+
+    const report = await daraja.reconcile({ expected: [expected[3], expected[0]], requery: true });
+    expect(report.missing[0].issues).toEqual(['Transaction status query failed: Bad Request - Invalid TransactionID']);
+    expect(report.summary.matched).toBe(1);
+  });
+
+  it('should query Buy Goods pushes with the store number', async () => {
+    const daraja = createDaraja({ transport, retry: false, storeNumber: '600000' });
+
+    const report = await daraja.reconcile({
+      expected: [{ ...expected[0], transactionType: 'CustomerBuyGoodsOnline' }],
+      requery: true
+    });
+
+    expect(report.summary.matched).toBe(1);
+    expect(transport.mock.calls[1][0].data.BusinessShortCode).toBe('600000');
+  });
+
+  it('should report entries confirmed by the same query as duplicates', async () => {
+    const daraja = createDaraja({ transport, retry: false });
+
+    const report = await daraja.reconcile({
+      expected: [expected[0], { ...expected[0], reference: 'order-1-again' }],
+      requery: true
+    });
+
+    expect(report.summary).toMatchObject({ matched: 0, duplicate: 2 });
+    expect(report.duplicate[0].issues).toContain('Payment ws_CO_paid matches 2 ledger entries');
+  });
+});
+
+describe('DarajaSDK awaitResult', () => {
+  const balanceResult = {
+    Result: {
+      ResultType: 0,
+      ResultCode: 0,
+      ResultDesc: 'The service request is processed successfully.',
+      OriginatorConversationID: '16917-22577599-3',
+      ConversationID: 'AG_20200109_00004c1ab46a1aa3b5ee',
+      TransactionID: 'OA90000000',
+      ResultParameters: {
+        ResultParameter: [{ Key: 'AccountBalance', Value: 'Utility Account|KES|228037.00|228037.00|0.00|0.00' }]
+      }
+    }
+  };
+
+  it('should settle with the result, whether it arrives before or after the wait starts', async () => {
+    const daraja = createDaraja();
+
+    const waiting = daraja.awaitResult('AG_20200109_00004c1ab46a1aa3b5ee');
+    daraja.receiveCallback(balanceResult);
+    expect((await waiting).balances[0]).toMatchObject({ account: 'Utility Account', availableBalance: 228037 });
+
+    daraja.receiveCallback(balanceResult);
+    expect(await daraja.awaitResult('16917-22577599-3')).toMatchObject({ type: 'accountBalance', success: true });
+    expect(daraja.pendingResults.size).toBe(0);
+  });
+
+  it('should reject when no result arrives in time', async () => {
+    const daraja = createDaraja();
+
+    await expect(daraja.awaitResult('AG_unknown', { timeout: 10 })).rejects.toThrow(
+      'No result received for AG_unknown within 10ms; is the result URL handled by daraja.createCallbackMiddleware()?'
+    );
+    expect(daraja.pendingResults.size).toBe(0);
+  });
+
+  it('should keep the id of a transaction saved before its request was sent', async () => {
+    const store = new DarajaSDK.MemoryTransactionStore();
+    const transport = createTransport({ status: 200, headers: {}, data: { ResponseCode: '0', ConversationID: 'AG_1', OriginatorConversationID: '1234-1' } });
+    const daraja = createDaraja({ transport, store });
+    const reserved = await store.save({ id: 'reserved-1', reference: 'payout-1', operation: 'b2c', status: 'sending', batchId: 'june', createdAt: '2024-06-01T00:00:00.000Z' });
+
+    await daraja.b2c({ phoneNumber: '0712345678', amount: 100, reference: 'payout-1' });
+
+    expect(await store.list()).toEqual([expect.objectContaining({
+      id: reserved.id,
+      status: 'pending',
+      conversationId: 'AG_1',
+      batchId: 'june',
+      createdAt: '2024-06-01T00:00:00.000Z'
+    })]);
+  });
+});
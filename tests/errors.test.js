@@ -0,0 +1,73 @@
+const {
+  DarajaError,
+  AuthenticationError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  toDarajaError
+} = require('../src/errors');
+
+const axiosError = (status, data, headers = {}) => Object.assign(
+  new Error(`Request failed with status code ${status}`),
+  { response: { status, data, headers } }
+);
+
+describe('toDarajaError', () => {
+  it('should keep the Daraja error details', () => {
+    const body = {
+      requestId: '16813-1590513-1',
+      errorCode: '400.002.02',
+      errorMessage: 'Bad Request - Invalid PhoneNumber'
+    };
+    const error = toDarajaError(axiosError(400, body), 'stkPush', 'STK push failed');
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error).toBeInstanceOf(DarajaError);
+    expect(error.name).toBe('ValidationError');
+    expect(error.message).toBe('STK push failed: Bad Request - Invalid PhoneNumber');
+    expect(error.operation).toBe('stkPush');
+    expect(error.statusCode).toBe(400);
+    expect(error.errorCode).toBe('400.002.02');
+    expect(error.requestId).toBe('16813-1590513-1');
+    expect(error.errorMessage).toBe('Bad Request - Invalid PhoneNumber');
+    expect(error.data).toEqual(body);
+  });
+
+  it('should map HTTP statuses to error classes', () => {
+    expect(toDarajaError(axiosError(401, {}), 'b2c', 'B2C payment failed')).toBeInstanceOf(AuthenticationError);
+    expect(toDarajaError(axiosError(403, {}), 'b2c', 'B2C payment failed')).toBeInstanceOf(AuthenticationError);
+    expect(toDarajaError(axiosError(500, {}), 'b2c', 'B2C payment failed')).toBeInstanceOf(ServerError);
+    expect(toDarajaError(axiosError(503, 'Service Unavailable'), 'b2c', 'B2C payment failed')).toBeInstanceOf(ServerError);
+    expect(toDarajaError(axiosError(404, {}), 'b2c', 'B2C payment failed').constructor).toBe(DarajaError);
+  });
+
+  it('should treat rejected OAuth credentials as authentication errors', () => {
+    const error = toDarajaError(
+      axiosError(400, { errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' }),
+      'generateToken',
+      'Token generation failed'
+    );
+    expect(error).toBeInstanceOf(AuthenticationError);
+  });
+
+  it('should read Retry-After on rate limit errors', () => {
+    const error = toDarajaError(axiosError(429, {}, { 'retry-after': '5' }), 'stkPushQuery', 'STK push query failed');
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(5);
+  });
+
+  it('should report network failures', () => {
+    const cause = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET', request: {} });
+    const error = toDarajaError(cause, 'b2b', 'B2B payment failed');
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.code).toBe('ECONNRESET');
+    expect(error.cause).toBe(cause);
+    expect(error.message).toBe('B2B payment failed: socket hang up');
+  });
+
+  it('should return SDK errors unchanged', () => {
+    const original = new AuthenticationError('Token generation failed: nope', { operation: 'generateToken' });
+    expect(toDarajaError(original, 'stkPush', 'STK push failed')).toBe(original);
+  });
+});
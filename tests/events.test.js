@@ -0,0 +1,26 @@
+const { DARAJA_EVENTS, callbackEvents } = require('../src/events');
+
+describe('callbackEvents', () => {
+  it('should report payments as completed or failed', () => {
+    expect(callbackEvents({ type: 'stkPush', success: true, timedOut: false })).toEqual([DARAJA_EVENTS.PAYMENT_COMPLETED]);
+    expect(callbackEvents({ type: 'stkPush', success: false, timedOut: false })).toEqual(['payment.failed']);
+    expect(callbackEvents({ type: 'c2b', success: true, timedOut: false })).toEqual(['payment.completed']);
+  });
+
+  it('should add the events of B2C and reversal results', () => {
+    expect(callbackEvents({ type: 'b2c', success: true, timedOut: false })).toEqual(['payment.completed', 'b2c.result']);
+    expect(callbackEvents({ type: 'reversal', success: false, timedOut: false })).toEqual(['reversal.result']);
+    expect(callbackEvents({ type: 'accountBalance', success: true, timedOut: false })).toEqual([]);
+  });
+
+  it('should only report timeouts for timed out requests', () => {
+    expect(callbackEvents({ type: 'b2c', success: false, timedOut: true })).toEqual(['timeout']);
+  });
+
+  it('should type failed results by the transaction they answer', () => {
+    const transaction = { operation: 'b2c' };
+
+    expect(callbackEvents({ type: 'result', success: false, timedOut: false, transaction })).toEqual(['payment.failed', 'b2c.result']);
+    expect(callbackEvents({ type: 'result', success: false, timedOut: false })).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+const nock = require('nock');
+const DarajaSDK = require('../src/index');
+
+/**
+ * Base URL of the Daraja sandbox
+ */
+const SANDBOX_URL = 'https://sandbox.safaricom.co.ke';
+
+/**
+ * Response of the OAuth endpoint used by transport fixtures
+ */
+const tokenResponse = { status: 200, headers: {}, data: { access_token: 'test_access_token', expires_in: '3599' } };
+
+/**
+ * Creates a transport for DarajaSDK that answers token requests, and every other request with
+ * the given response
+ * @param {Object|Function} respond - The response, or a function taking the request and returning it
+ * @returns {jest.Mock} The transport
+ */
+const createTransport = (respond) => jest.fn(async (request) => {
+  if (request.url.includes('/oauth/')) return tokenResponse;
+  return typeof respond === 'function' ? respond(request) : respond;
+});
+
+/**
+ * Creates an SDK instance for the sandbox. Credentials, short code and initiator come from the
+ * environment set in tests/setup.js.
+ * @param {Object} [config] - Configuration added to the defaults (e.g. a transport)
+ * @returns {DarajaSDK} The SDK
+ */
+const createDaraja = (config = {}) => new DarajaSDK({ environment: 'sandbox', ...config });
+
+/**
+ * Mocks the sandbox OAuth endpoint
+ * @param {string} [accessToken='test_access_token'] - Token handed out
+ * @returns {nock.Scope} The scope, to chain API replies on
+ */
+const mockToken = (accessToken = 'test_access_token') => nock(SANDBOX_URL)
+  .get('/oauth/v1/generate')
+  .query({ grant_type: 'client_credentials' })
+  .reply(200, { access_token: accessToken, expires_in: '3599' });
+
+/**
+ * Mocks the OAuth endpoint and one API endpoint of the sandbox
+ * @param {string} path - API path
+ * @param {Object} [reply={ ResponseCode: '0' }] - Response body
+ * @param {Function} [onBody] - Called with the request body
+ * @returns {nock.Scope} The scope
+ */
+const mockApi = (path, reply = { ResponseCode: '0' }, onBody) => mockToken()
+  .post(path, (requestBody) => {
+    if (onBody) onBody(requestBody);
+    return true;
+  })
+  .reply(200, reply);
+
+/**
+ * Creates a logger whose methods are mocks
+ * @returns {Object} The logger
+ */
+const createLogger = () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+module.exports = {
+  SANDBOX_URL,
+  tokenResponse,
+  createTransport,
+  createDaraja,
+  mockToken,
+  mockApi,
+  createLogger
+};
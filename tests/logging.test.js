@@ -0,0 +1,40 @@
+const { REDACTED, redact, darajaIds } = require('../src/logging');
+
+describe('redact', () => {
+  it('should mask credential fields at any depth', () => {
+    const redacted = redact({
+      headers: { Authorization: 'Bearer abc123' },
+      data: { BusinessShortCode: '174379', Password: 'MTc0Mzc5', Nested: [{ SecurityCredential: 'xyz' }] }
+    });
+
+    expect(redacted).toEqual({
+      headers: { Authorization: REDACTED },
+      data: { BusinessShortCode: '174379', Password: REDACTED, Nested: [{ SecurityCredential: REDACTED }] }
+    });
+  });
+
+  it('should mask tokens and known secrets inside strings', () => {
+    expect(redact('sent Bearer abc123 and Basic dXNlcjpwYXNz')).toBe(`sent Bearer ${REDACTED} and Basic ${REDACTED}`);
+    expect(redact({ message: 'secret is s3cr3t.value' }, ['s3cr3t.value', undefined, '']))
+      .toEqual({ message: `secret is ${REDACTED}` });
+    expect(redact({ CallBackURL: 'https://example.com/cb?order=1&mpesa_token=1700000000.ab12.cd34&x=2' }))
+      .toEqual({ CallBackURL: `https://example.com/cb?order=1&mpesa_token=${REDACTED}&x=2` });
+  });
+
+  it('should not change the original value', () => {
+    const original = { Password: 'abc' };
+    redact(original);
+    expect(original.Password).toBe('abc');
+  });
+});
+
+describe('darajaIds', () => {
+  it('should pick the identifiers Daraja returned', () => {
+    expect(darajaIds({
+      MerchantRequestID: '29115-34620561-1',
+      CheckoutRequestID: 'ws_CO_191220191020363925',
+      ResponseCode: '0'
+    })).toEqual({ MerchantRequestID: '29115-34620561-1', CheckoutRequestID: 'ws_CO_191220191020363925' });
+    expect(darajaIds('Bad Gateway')).toEqual({});
+  });
+});
@@ -0,0 +1,320 @@
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+const { createCallbackHandler, createCallbackMiddleware } = require('../src/middleware');
+const { signCallbackUrl } = require('../src/callback-security');
+const { CallbackVerificationError } = require('../src/errors');
+
+const stkCallback = (ResultCode, ResultDesc) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: '29115-34620561-1',
+      CheckoutRequestID: 'ws_CO_191220191020363925',
+      ResultCode,
+      ResultDesc,
+      CallbackMetadata: ResultCode === 0 ? {
+        Item: [
+          { Name: 'Amount', Value: 1 },
+          { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+          { Name: 'PhoneNumber', Value: 254708374149 }
+        ]
+      } : undefined
+    }
+  }
+});
+
+const b2cResult = {
+  Result: {
+    ResultType: 0,
+    ResultCode: 0,
+    ResultDesc: 'The service request is processed successfully.',
+    OriginatorConversationID: '10571-7910404-1',
+    ConversationID: 'AG_20191219_00004e48cf7e3533f581',
+    TransactionID: 'NLJ41HAY6Q',
+    ResultParameters: {
+      ResultParameter: [
+        { Key: 'TransactionAmount', Value: 10 },
+        { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' }
+      ]
+    }
+  }
+};
+
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const post = (server, path, data) => axios.post(
+  `http://127.0.0.1:${server.address().port}${path}`,
+  data,
+  { validateStatus: () => true, headers: { 'Content-Type': 'application/json' } }
+);
+
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('createCallbackHandler', () => {
+  let server;
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('should acknowledge and dispatch a successful STK callback', async () => {
+    const onStkSuccess = jest.fn();
+    const onStkFailure = jest.fn();
+    const onCallback = jest.fn();
+    server = await listen(createCallbackHandler({ onStkSuccess, onStkFailure, onCallback }));
+
+    const response = await post(server, '/mpesa/callback', stkCallback(0, 'Success'));
+    await nextTick();
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+    expect(onStkSuccess).toHaveBeenCalledTimes(1);
+    expect(onStkSuccess.mock.calls[0][0]).toMatchObject({ receiptNumber: 'NLJ7RT61SV', amount: 1 });
+    expect(onCallback).toHaveBeenCalledTimes(1);
+    expect(onStkFailure).not.toHaveBeenCalled();
+  });
+
+  it('should send timeouts to onTimeout when provided', async () => {
+    const onStkFailure = jest.fn();
+    const onTimeout = jest.fn();
+    server = await listen(createCallbackHandler({ onStkFailure, onTimeout }));
+
+    await post(server, '/', stkCallback(1037, 'DS timeout user cannot be reached'));
+    await post(server, '/', stkCallback(1032, 'Request cancelled by user'));
+    await nextTick();
+
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(onStkFailure).toHaveBeenCalledTimes(1);
+    expect(onStkFailure.mock.calls[0][0].resultCode).toBe(1032);
+  });
+
+  it('should not wait for handlers before acknowledging', async () => {
+    let release;
+    const onB2CResult = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+    server = await listen(createCallbackHandler({ onB2CResult }));
+
+    const response = await post(server, '/', b2cResult);
+    await nextTick();
+
+    expect(response.data).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+    expect(onB2CResult).toHaveBeenCalledTimes(1);
+    release();
+  });
+
+  it('should report handler errors to onError', async () => {
+    const failure = new Error('database down');
+    const onError = jest.fn();
+    server = await listen(createCallbackHandler({
+      onStkSuccess: () => { throw failure; },
+      onError
+    }));
+
+    const response = await post(server, '/', stkCallback(0, 'Success'));
+    await nextTick();
+
+    expect(response.status).toBe(200);
+    expect(onError).toHaveBeenCalledWith(failure, expect.objectContaining({ type: 'stkPush' }), expect.anything());
+  });
+
+  it('should send failed results to the handler of the operation they answer', async () => {
+    const onB2CResult = jest.fn();
+    const onCallback = jest.fn();
+    const failed = { Result: { ...b2cResult.Result, ResultCode: 2001, ResultDesc: 'The initiator information is invalid.', ResultParameters: undefined } };
+    server = await listen(createCallbackHandler({ onB2CResult, onCallback }, {
+      receive: (callback) => { callback.transaction = { operation: 'b2c' }; }
+    }));
+
+    await post(server, '/', failed);
+    await nextTick();
+
+    expect(onCallback.mock.calls[0][0]).toMatchObject({ type: 'result', success: false });
+    expect(onB2CResult).toHaveBeenCalledTimes(1);
+    expect(onB2CResult.mock.calls[0][0].resultCode).toBe(2001);
+  });
+
+  it('should log errors when there is no onError handler', async () => {
+    const logger = { error: jest.fn() };
+    server = await listen(createCallbackHandler({ onStkSuccess: () => { throw new Error('database down'); } }, { logger }));
+
+    await post(server, '/', stkCallback(0, 'Success'));
+    await nextTick();
+
+    expect(logger.error).toHaveBeenCalledWith('M-Pesa callback handler failed', { errorMessage: 'database down', type: 'stkPush' });
+  });
+
+  it('should log onError failures instead of letting them escape', async () => {
+    const logger = { error: jest.fn() };
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    const onError = jest.fn()
+      .mockImplementationOnce(() => { throw new Error('pager down'); })
+      .mockRejectedValueOnce(new Error('pager still down'));
+    server = await listen(createCallbackHandler({ onStkSuccess: () => { throw new Error('database down'); }, onError }, {
+      allowedIps: ['10.0.0.1'],
+      logger
+    }));
+
+    const refused = await post(server, '/', stkCallback(0, 'Success'));
+    server.close();
+    server = await listen(createCallbackHandler({ onStkSuccess: () => { throw new Error('database down'); }, onError }, { logger }));
+    await post(server, '/', stkCallback(0, 'Success'));
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+    process.removeListener('unhandledRejection', unhandled);
+
+    expect(refused.status).toBe(403);
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(logger.error.mock.calls).toEqual([
+      ['M-Pesa callback onError handler failed', { errorMessage: 'pager down', type: undefined }],
+      ['M-Pesa callback onError handler failed', { errorMessage: 'pager still down', type: 'stkPush' }]
+    ]);
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+
+  it('should reject payloads that are not M-Pesa callbacks', async () => {
+    const onError = jest.fn();
+    server = await listen(createCallbackHandler({ onError }));
+
+    const response = await post(server, '/', { hello: 'world' });
+
+    expect(response.status).toBe(400);
+    expect(response.data.ResultCode).toBe(1);
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createCallbackHandler safeguards', () => {
+  let server;
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  const settle = () => new Promise((resolve) => { setTimeout(resolve, 10); });
+
+  it('should refuse callbacks from addresses outside the allowlist', async () => {
+    const onStkSuccess = jest.fn();
+    const onError = jest.fn();
+    server = await listen(createCallbackHandler({ onStkSuccess, onError }, { allowedIps: true }));
+
+    const response = await post(server, '/', stkCallback(0, 'Success'));
+
+    expect(response.status).toBe(403);
+    expect(response.data).toEqual({ ResultCode: 1, ResultDesc: 'Rejected' });
+    expect(onError.mock.calls[0][0]).toBeInstanceOf(CallbackVerificationError);
+    expect(onError.mock.calls[0][0]).toMatchObject({ reason: 'ip', ip: '127.0.0.1' });
+    expect(onStkSuccess).not.toHaveBeenCalled();
+  });
+
+  it('should resolve the client address behind trusted proxies', async () => {
+    const onStkSuccess = jest.fn();
+    server = await listen(createCallbackHandler({ onStkSuccess }, { allowedIps: ['196.201.214.0/24'], trustProxy: 1 }));
+
+    const response = await axios.post(`http://127.0.0.1:${server.address().port}/`, stkCallback(0, 'Success'), {
+      headers: { 'X-Forwarded-For': '196.201.214.200' }
+    });
+    await settle();
+
+    expect(response.status).toBe(200);
+    expect(onStkSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse callbacks without a valid URL token', async () => {
+    const onStkSuccess = jest.fn();
+    const onError = jest.fn();
+    server = await listen(createCallbackHandler({ onStkSuccess, onError }, { callbackSecret: 'shh' }));
+    const signed = new URL(signCallbackUrl('http://localhost/mpesa/callback', 'shh'));
+
+    const forged = await post(server, '/mpesa/callback', stkCallback(0, 'Success'));
+    const genuine = await post(server, `${signed.pathname}${signed.search}`, stkCallback(0, 'Success'));
+    await settle();
+
+    expect(forged.status).toBe(403);
+    expect(onError.mock.calls[0][0].reason).toBe('token');
+    expect(genuine.status).toBe(200);
+    expect(onStkSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  it('should acknowledge repeated deliveries without running the handlers again', async () => {
+    const onStkSuccess = jest.fn();
+    const onDuplicate = jest.fn();
+    server = await listen(createCallbackHandler({ onStkSuccess, onDuplicate }, { replayGuard: true }));
+
+    await post(server, '/', stkCallback(0, 'Success'));
+    await settle();
+    const repeat = await post(server, '/', stkCallback(0, 'Success'));
+    await settle();
+
+    expect(repeat.status).toBe(200);
+    expect(onStkSuccess).toHaveBeenCalledTimes(1);
+    expect(onDuplicate).toHaveBeenCalledWith(expect.objectContaining({ checkoutRequestId: 'ws_CO_191220191020363925' }), expect.anything());
+  });
+
+  it('should not let a forged callback mark the genuine one as a repeat', async () => {
+    const onStkSuccess = jest.fn();
+    const onDuplicate = jest.fn();
+    const onError = jest.fn();
+    // The first delivery is a forgery that Daraja does not confirm
+    const verify = jest.fn().mockResolvedValueOnce(false).mockResolvedValue(true);
+    server = await listen(createCallbackHandler({ onStkSuccess, onDuplicate, onError }, { verify, replayGuard: true }));
+
+    await post(server, '/', stkCallback(0, 'Success'));
+    await settle();
+    await post(server, '/', stkCallback(0, 'Success'));
+    await settle();
+
+    expect(onError.mock.calls[0][0]).toMatchObject({ reason: 'verification' });
+    expect(onDuplicate).not.toHaveBeenCalled();
+    expect(onStkSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  it('should pass callbacks that fail verification to onError', async () => {
+    const onStkSuccess = jest.fn();
+    const onError = jest.fn();
+    const verify = jest.fn(async (callback) => callback.receiptNumber !== 'NLJ7RT61SV');
+    server = await listen(createCallbackHandler({ onStkSuccess, onError }, { verify }));
+
+    await post(server, '/', stkCallback(0, 'Success'));
+    await settle();
+
+    expect(verify).toHaveBeenCalledWith(expect.objectContaining({ type: 'stkPush' }), expect.anything());
+    expect(onStkSuccess).not.toHaveBeenCalled();
+    expect(onError.mock.calls[0][0]).toMatchObject({ reason: 'verification' });
+    expect(onError.mock.calls[0][1]).toMatchObject({ type: 'stkPush' });
+  });
+});
+
+describe('createCallbackMiddleware', () => {
+  let server;
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('should work behind express.json()', async () => {
+    const onB2CResult = jest.fn();
+    const app = express();
+    app.post('/mpesa/result', express.json(), createCallbackMiddleware({ onB2CResult }));
+    server = await listen(app);
+
+    const response = await post(server, '/mpesa/result', b2cResult);
+    await nextTick();
+
+    expect(response.data).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+    expect(onB2CResult.mock.calls[0][0]).toMatchObject({ type: 'b2c', amount: 10, recipientIsRegistered: true });
+  });
+
+  it('should read the body itself without a body parser', async () => {
+    const onStkFailure = jest.fn();
+    const app = express();
+    app.post('/mpesa/callback', createCallbackMiddleware({ onStkFailure }));
+    server = await listen(app);
+
+    await post(server, '/mpesa/callback', stkCallback(1032, 'Request cancelled by user'));
+    await nextTick();
+
+    expect(onStkFailure).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,222 @@
+const http = require('http');
+const DarajaSDK = require('../src');
+const { MockDarajaServer, MOCK_OUTCOMES } = require('../src/mock-server');
+const { createHttpsTransport } = require('../src/transport');
+const { isStkPending } = require('../src/stk');
+
+describe('MockDarajaServer', () => {
+  let mock;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let validationResponse;
+  let daraja;
+
+  // Records the callbacks the mock sends
+  beforeAll((done) => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, body: JSON.parse(body) });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(req.url === '/validation' ? validationResponse : { ResultCode: 0, ResultDesc: 'Accepted' }));
+      });
+    });
+    receiver.listen(0, '127.0.0.1', () => {
+      receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    receiver.close(done);
+  });
+
+  beforeEach(async () => {
+    received = [];
+    validationResponse = { ResultCode: '0', ResultDesc: 'Accepted' };
+    mock = new MockDarajaServer({
+      consumerKey: 'test_consumer_key',
+      consumerSecret: 'test_consumer_secret',
+      passKey: 'test_pass_key',
+      callbackDelay: 0
+    });
+    daraja = new DarajaSDK({
+      baseUrl: await mock.listen(),
+      callbackUrl: `${receiverUrl}/callback`,
+      resultUrl: `${receiverUrl}/result`,
+      timeoutUrl: `${receiverUrl}/timeout`,
+      retry: false
+    });
+  });
+
+  afterEach(async () => {
+    await mock.close();
+  });
+
+  const stkParams = { phoneNumber: '0712345678', amount: 10, accountReference: 'INV-1', transactionDesc: 'Invoice' };
+
+  it('should accept an STK push and send a successful callback', async () => {
+    const response = await daraja.stkPush(stkParams);
+    expect(response).toMatchObject({ ResponseCode: '0', CheckoutRequestID: expect.stringMatching(/^ws_CO_/) });
+
+    await mock.settle();
+    const callback = DarajaSDK.parseCallback(received[0].body);
+    expect(received[0].path).toBe('/callback');
+    expect(callback).toMatchObject({
+      type: 'stkPush',
+      success: true,
+      checkoutRequestId: response.CheckoutRequestID,
+      amount: 10,
+      phoneNumber: '254712345678',
+      receiptNumber: expect.stringMatching(/^[A-Z0-9]{10}$/)
+    });
+    expect(callback.transactionDate).toBeInstanceOf(Date);
+
+    const query = await daraja.stkPushQuery({ checkoutRequestId: response.CheckoutRequestID });
+    expect(query).toMatchObject({ ResultCode: '0', CheckoutRequestID: response.CheckoutRequestID });
+  });
+
+  it('should report STK pushes as pending until the callback is sent', async () => {
+    mock.callbackDelay = 60 * 1000;
+    const { CheckoutRequestID } = await daraja.stkPush(stkParams);
+
+    const error = await daraja.stkPushQuery({ checkoutRequestId: CheckoutRequestID }).catch((e) => e);
+    expect(isStkPending(error)).toBe(true);
+
+    const unknown = await daraja.stkPushQuery({ checkoutRequestId: 'ws_CO_unknown' }).catch((e) => e);
+    expect(unknown).toBeInstanceOf(DarajaSDK.ValidationError);
+  });
+
+  it.each([
+    [MOCK_OUTCOMES.CANCELLED, 1032],
+    [MOCK_OUTCOMES.TIMEOUT, 1037],
+    [MOCK_OUTCOMES.INSUFFICIENT_FUNDS, 1]
+  ])('should send a %s STK callback', async (outcome, resultCode) => {
+    mock.setOutcome(outcome, 'stkPush');
+
+    const { CheckoutRequestID } = await daraja.stkPush(stkParams);
+    await mock.settle();
+
+    expect(DarajaSDK.parseCallback(received[0].body)).toMatchObject({ success: false, resultCode, receiptNumber: null });
+    await expect(daraja.stkPushQuery({ checkoutRequestId: CheckoutRequestID }))
+      .resolves.toMatchObject({ ResultCode: String(resultCode) });
+  });
+
+  it('should let a function pick the outcome of each request', async () => {
+    mock.setOutcome((operation, body) => (body.PhoneNumber === '254700000001' ? 'cancelled' : 'success'));
+
+    await daraja.stkPush(stkParams);
+    await daraja.stkPush({ ...stkParams, phoneNumber: '0700000001' });
+    await mock.settle();
+
+    expect(received.map(({ body }) => body.Body.stkCallback.ResultCode).sort()).toEqual([0, 1032]);
+    expect(() => mock.setOutcome('declined')).toThrow('Unknown outcome "declined"');
+  });
+
+  it('should send B2C results, and queue timeouts to the timeout URL', async () => {
+    const accepted = await daraja.b2c({ amount: 250, phoneNumber: '0712345678' });
+    expect(accepted).toMatchObject({ ResponseCode: '0', ConversationID: expect.stringMatching(/^AG_/) });
+    await mock.settle();
+
+    const result = DarajaSDK.parseCallback(received[0].body);
+    expect(result).toMatchObject({
+      type: 'b2c',
+      success: true,
+      amount: 250,
+      phoneNumber: '254712345678',
+      conversationId: accepted.ConversationID
+    });
+
+    mock.setOutcome(MOCK_OUTCOMES.TIMEOUT);
+    await daraja.b2c({ amount: 250, phoneNumber: '0712345678' });
+    await mock.settle();
+    expect(received[1].path).toBe('/timeout');
+    expect(DarajaSDK.parseCallback(received[1].body)).toMatchObject({ success: false, timedOut: true });
+  });
+
+  it('should send results for B2B, reversal, transaction status and account balance', async () => {
+    await daraja.b2b({ amount: 500, receiverShortCode: '600000' });
+    await mock.settle();
+    const { receiptNumber } = DarajaSDK.parseCallback(received[0].body);
+
+    await daraja.transactionStatus({ transactionID: receiptNumber });
+    await daraja.reversal({ transactionID: receiptNumber, amount: 500 });
+    await daraja.accountBalance();
+    await mock.settle();
+
+    // Results of concurrent requests can arrive in any order
+    const [b2b, ...results] = received.map(({ body }) => DarajaSDK.parseCallback(body));
+    const [status, reversal, balance] = ['transactionStatus', 'reversal', 'accountBalance']
+      .map((type) => results.find((result) => result.type === type));
+    expect(b2b).toMatchObject({ type: 'b2b', amount: 500 });
+    expect(status).toMatchObject({ type: 'transactionStatus', receiptNumber, amount: 500, transactionStatus: 'Completed' });
+    expect(reversal).toMatchObject({ type: 'reversal', originalTransactionId: receiptNumber, amount: 500 });
+    expect(balance.type).toBe('accountBalance');
+    expect(balance.balances[0]).toMatchObject({ account: 'Working Account', availableBalance: 100000 });
+  });
+
+  it('should validate then confirm simulated C2B payments', async () => {
+    await daraja.c2bRegisterUrl({
+      confirmationUrl: `${receiverUrl}/confirmation`,
+      validationUrl: `${receiverUrl}/validation`
+    });
+    await daraja.c2bSimulate({ amount: 100, phoneNumber: '0712345678', billRefNumber: 'ACC-1' });
+    await mock.settle();
+
+    expect(received.map(({ path }) => path)).toEqual(['/validation', '/confirmation']);
+    expect(DarajaSDK.parseCallback(received[1].body)).toMatchObject({
+      type: 'c2b',
+      amount: 100,
+      billRefNumber: 'ACC-1',
+      businessShortCode: '174379',
+      phoneNumber: '254712345678'
+    });
+
+    validationResponse = { ResultCode: 'C2B00012', ResultDesc: 'Rejected' };
+    await daraja.c2bSimulate({ amount: 100, phoneNumber: '0712345678', billRefNumber: 'ACC-2' });
+    await mock.settle();
+    expect(received).toHaveLength(3);
+  });
+
+  it('should refuse C2B simulations for short codes without registered URLs', async () => {
+    await expect(daraja.c2bSimulate({ amount: 100, phoneNumber: '0712345678' }))
+      .rejects.toThrow('No URLs registered for the ShortCode');
+  });
+
+  it('should reject bad credentials and expired tokens like Daraja', async () => {
+    const intruder = new DarajaSDK({ baseUrl: mock.url, consumerSecret: 'wrong', retry: false });
+    await expect(intruder.generateToken()).rejects.toBeInstanceOf(DarajaSDK.AuthenticationError);
+
+    await daraja.accountBalance();
+    mock.tokens.clear();
+    await expect(daraja.accountBalance()).resolves.toMatchObject({ ResponseCode: '0' });
+  });
+
+  it('should validate request bodies like Daraja', async () => {
+    const transport = createHttpsTransport();
+    const token = await daraja.generateToken();
+    const post = (path, data) => transport({
+      method: 'POST', url: `${mock.url}${path}`, headers: { Authorization: `Bearer ${token}` }, data
+    });
+
+    const missing = await post('/mpesa/stkpush/v1/processrequest', { BusinessShortCode: '174379' });
+    expect(missing.status).toBe(400);
+    expect(missing.data).toMatchObject({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Password' });
+
+    await expect(new DarajaSDK({ baseUrl: mock.url, passKey: 'wrong', retry: false }).stkPush(stkParams))
+      .rejects.toThrow('Bad Request - Invalid Password');
+
+    const b2c = {
+      InitiatorName: 'api', SecurityCredential: 'x', CommandID: 'BusinessPayment', Amount: 1, PartyA: '600000',
+      PartyB: '254712345678', QueueTimeOutURL: 'https://example.com/t', ResultURL: 'https://example.com/r'
+    };
+    expect((await post('/mpesa/b2c/v1/paymentrequest', { ...b2c, Amount: 1.5 })).data.errorMessage).toBe('Bad Request - Invalid Amount');
+    expect((await post('/mpesa/b2c/v1/paymentrequest', { ...b2c, PartyB: '12345' })).data.errorMessage).toBe('Bad Request - Invalid PartyB');
+    expect((await post('/mpesa/b2c/v1/paymentrequest', { ...b2c, ResultURL: 'example.com' })).data.errorMessage).toBe('Bad Request - Invalid ResultURL');
+    expect((await post('/mpesa/b2c/v1/paymentrequest', { ...b2c, CommandID: 'Payout' })).data.errorMessage).toBe('Bad Request - Invalid CommandID');
+    expect((await post('/mpesa/unknown', {})).status).toBe(404);
+    expect(mock.requests.map(({ operation }) => operation)).toEqual(['stkPush', 'stkPush', 'b2c', 'b2c', 'b2c', 'b2c']);
+  });
+});
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { qrCodeToDataUri, saveQrCode } = require('../src/qr-code');
+
+// 1x1 transparent PNG
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+describe('qrCodeToDataUri', () => {
+  it('should accept a response or the image itself', () => {
+    expect(qrCodeToDataUri({ QRCode: PNG })).toBe(`data:image/png;base64,${PNG}`);
+    expect(qrCodeToDataUri(PNG)).toBe(`data:image/png;base64,${PNG}`);
+  });
+
+  it('should reject a response without an image', () => {
+    expect(() => qrCodeToDataUri({ ResponseCode: '0' })).toThrow(TypeError);
+  });
+});
+
+describe('saveQrCode', () => {
+  it('should write the image as a PNG file', async () => {
+    const file = path.join(os.tmpdir(), `daraja-qr-${process.pid}.png`);
+
+    try {
+      expect(await saveQrCode({ QRCode: PNG }, file)).toBe(file);
+      const image = fs.readFileSync(file);
+      expect(image.subarray(1, 4).toString()).toBe('PNG');
+      expect(image.toString('base64')).toBe(PNG);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
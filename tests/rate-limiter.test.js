@@ -0,0 +1,116 @@
+const { RateLimiter } = require('../src/rate-limiter');
+const { RateLimitError } = require('../src/errors');
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // A task that stays in flight until finish() is called
+  const deferred = () => {
+    let finish;
+    const task = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    return { task, finish: (value) => finish(value) };
+  };
+
+  it('should space requests of an operation to the configured rate', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 2, operations: { accountBalance: { requestsPerSecond: 10 } } });
+    const started = [];
+    const task = (name) => async () => { started.push([name, Date.now()]); return name; };
+    const startedAt = Date.now();
+
+    const results = Promise.all([
+      limiter.schedule('stkPushQuery', task('q1')),
+      limiter.schedule('stkPushQuery', task('q2')),
+      limiter.schedule('accountBalance', task('b1')),
+      limiter.schedule('accountBalance', task('b2'))
+    ]);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(results).resolves.toEqual(['q1', 'q2', 'b1', 'b2']);
+    expect(started.map(([name, at]) => [name, at - startedAt])).toEqual([
+      ['q1', 0],
+      ['b1', 0],
+      ['b2', 100],
+      ['q2', 500]
+    ]);
+  });
+
+  it('should limit the requests in flight and report the queue', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const first = deferred();
+    const second = deferred();
+
+    const one = limiter.schedule('b2c', first.task);
+    const two = limiter.schedule('b2c', second.task);
+    expect(limiter.stats()).toEqual({ active: 1, queued: 1, queuedByOperation: { b2c: 1 } });
+    expect(second.task).not.toHaveBeenCalled();
+
+    first.finish('done');
+    await expect(one).resolves.toBe('done');
+    expect(second.task).toHaveBeenCalled();
+    second.finish();
+    await two;
+    expect(limiter.stats()).toEqual({ active: 0, queued: 0, queuedByOperation: {} });
+  });
+
+  it('should reject requests when the queue is full', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1, maxQueue: 1 });
+    const first = deferred();
+
+    limiter.schedule('b2c', first.task);
+    limiter.schedule('b2c', jest.fn());
+    const error = await limiter.schedule('b2c', jest.fn()).catch((e) => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.operation).toBe('b2c');
+    first.finish();
+  });
+
+  it('should pass on task failures and free the slot', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+
+    await expect(limiter.schedule('b2c', () => Promise.reject(new Error('socket hang up')))).rejects.toThrow('socket hang up');
+    await expect(limiter.schedule('b2c', async () => 'ok')).resolves.toBe('ok');
+  });
+
+  it('should pause a throttled operation without holding up the others', async () => {
+    const limiter = new RateLimiter({ throttleDelay: 2000 });
+    const query = jest.fn().mockResolvedValue('query');
+    const balance = jest.fn().mockResolvedValue('balance');
+
+    limiter.throttle('stkPushQuery');
+    const queued = limiter.schedule('stkPushQuery', query);
+    await expect(limiter.schedule('accountBalance', balance)).resolves.toBe('balance');
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(query).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(queued).resolves.toBe('query');
+  });
+
+  it('should share the rate and pauses of an endpoint between its operations', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 1, throttleDelay: 2000 });
+    const endpoint = '/mpesa/b2b/v1/paymentrequest';
+    const payBill = jest.fn().mockResolvedValue('payBill');
+    const topUp = jest.fn().mockResolvedValue('topUp');
+
+    await expect(limiter.schedule('b2b', async () => 'b2b', endpoint)).resolves.toBe('b2b');
+    const queued = limiter.schedule('businessPayBill', payBill, endpoint);
+    await jest.advanceTimersByTimeAsync(999);
+    expect(payBill).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(queued).resolves.toBe('payBill');
+
+    limiter.throttle(endpoint);
+    const paused = limiter.schedule('b2cAccountTopUp', topUp, endpoint);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(topUp).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(paused).resolves.toBe('topUp');
+  });
+});
@@ -0,0 +1,137 @@
+const { RECONCILIATION_STATUSES, parseStatementCsv, reconcile } = require('../src/reconciliation');
+const { ValidationError } = require('../src/errors');
+
+const stkCallback = (checkoutRequestId, resultCode, receipt, amount) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: '29115-34620561-1',
+      CheckoutRequestID: checkoutRequestId,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+      CallbackMetadata: receipt && {
+        Item: [
+          { Name: 'Amount', Value: amount },
+          { Name: 'MpesaReceiptNumber', Value: receipt },
+          { Name: 'PhoneNumber', Value: 254712345678 }
+        ]
+      }
+    }
+  }
+});
+
+const c2bPayment = (receipt, account, amount) => ({
+  TransactionType: 'Pay Bill',
+  TransID: receipt,
+  TransTime: '20240115103012',
+  TransAmount: String(amount),
+  BusinessShortCode: '600638',
+  BillRefNumber: account,
+  MSISDN: '254712345678'
+});
+
+const statement = [
+  'Account Holder:,ACME LTD',
+  'Time Period:,01-01-2024 - 31-01-2024',
+  '',
+  'Receipt No.,Completion Time,Initiation Time,Details,Transaction Status,Paid In,Withdrawn,Balance,Other Party Info,A/C No.',
+  'SAB1CDE2FG,2024-01-15 10:30:12,2024-01-15 10:30:12,"Pay Bill from 254712***678 - JOHN DOE Acc. INV-1",Completed,"1,000.00",,"5,000.00",254712***678 - JOHN DOE,INV-1',
+  'SAB1CDE2FH,2024-01-15 11:00:00,2024-01-15 11:00:00,Business Payment to 254712***678,Completed,,-250.00,"4,750.00",254712***678 - JOHN DOE,',
+  'SAB1CDE2FI,2024-01-15 12:00:00,2024-01-15 12:00:00,Pay Bill Online,Failed,300.00,,"4,750.00",,INV-9'
+].join('\r\n');
+
+describe('parseStatementCsv', () => {
+  it('should parse the rows after the header', () => {
+    const rows = parseStatementCsv(`\uFEFF${statement}`);
+
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({
+      receiptNumber: 'SAB1CDE2FG',
+      completedAt: '2024-01-15 10:30:12',
+      details: 'Pay Bill from 254712***678 - JOHN DOE Acc. INV-1',
+      status: 'Completed',
+      paidIn: 1000,
+      withdrawn: null,
+      amount: 1000,
+      accountReference: 'INV-1',
+      success: true
+    });
+    expect(rows[1]).toMatchObject({ amount: 250, withdrawn: 250, accountReference: null });
+    expect(rows[2]).toMatchObject({ success: false, raw: expect.objectContaining({ 'Receipt No.': 'SAB1CDE2FI' }) });
+  });
+
+  it('should refuse files without a receipt column', () => {
+    expect(() => parseStatementCsv('Date,Amount\n2024-01-15,100')).toThrow(ValidationError);
+  });
+});
+
+describe('reconcile', () => {
+  it('should match callbacks by CheckoutRequestID and statement rows by receipt number', () => {
+    const report = reconcile({
+      expected: [{ reference: 'order-1', checkoutRequestId: 'ws_CO_1', amount: 1000 }],
+      callbacks: [stkCallback('ws_CO_1', 0, 'SAB1CDE2FG', 1000)],
+      statement
+    });
+
+    expect(report.summary).toMatchObject({ matched: 1, missing: 0, unexpected: 0 });
+    expect(report.matched[0].callbacks[0].receiptNumber).toBe('SAB1CDE2FG');
+    expect(report.matched[0].statement[0].receiptNumber).toBe('SAB1CDE2FG');
+  });
+
+  it('should flag missing, failed and mismatched entries', () => {
+    const report = reconcile({
+      expected: [
+        { reference: 'order-1', checkoutRequestId: 'ws_CO_1', amount: 1000 },
+        { reference: 'order-2', checkoutRequestId: 'ws_CO_2', amount: 500 },
+        { reference: 'order-3', checkoutRequestId: 'ws_CO_3', amount: 200 }
+      ],
+      callbacks: [stkCallback('ws_CO_1', 0, 'SAB1CDE2FG', 900), stkCallback('ws_CO_2', 1032)]
+    });
+
+    expect(report.items.map((item) => item.status)).toEqual([
+      RECONCILIATION_STATUSES.MISMATCHED,
+      RECONCILIATION_STATUSES.FAILED,
+      RECONCILIATION_STATUSES.MISSING
+    ]);
+    expect(report.mismatched[0].issues).toEqual(['Amount 900 in the callback, expected 1000']);
+    expect(report.failed[0].issues).toEqual(['Request cancelled by user']);
+  });
+
+  it('should match C2B payments by account reference, preferring the expected amount', () => {
+    const report = reconcile({
+      expected: [
+        { reference: 'inv-1', accountReference: 'inv-1', amount: 1000 },
+        { reference: 'inv-2', accountReference: 'INV-2', amount: 400 }
+      ],
+      callbacks: [
+        c2bPayment('SAB1CDE2FX', 'INV-2', 100),
+        c2bPayment('SAB1CDE2FG', 'INV-1', 1000),
+        c2bPayment('SAB1CDE2FG', 'INV-1', 1000),
+        c2bPayment('SAB1CDE2FY', 'INV-2', 300)
+      ],
+      statement
+    });
+
+    expect(report.matched[0]).toMatchObject({ expected: { reference: 'inv-1' }, issues: [] });
+    expect(report.matched[0].callbacks).toHaveLength(2);
+    expect(report.matched[0].statement).toHaveLength(1);
+    expect(report.duplicate[0].issues).toEqual(['2 payments match: SAB1CDE2FX, SAB1CDE2FY']);
+  });
+
+  it('should flag payments matched by several ledger entries, and payments nobody expected', () => {
+    const report = reconcile({
+      expected: [
+        { reference: 'order-1', receiptNumber: 'SAB1CDE2FG', amount: 1000 },
+        { reference: 'order-1-again', checkoutRequestId: 'ws_CO_1', amount: 1000 }
+      ],
+      callbacks: [stkCallback('ws_CO_1', 0, 'SAB1CDE2FG', 1000), c2bPayment('SAB1CDE2FZ', 'INV-7', 50)]
+    });
+
+    expect(report.summary).toMatchObject({ duplicate: 2, unexpected: 1 });
+    expect(report.duplicate[0].issues).toEqual(['Payment SAB1CDE2FG matches 2 ledger entries']);
+    expect(report.unexpected[0]).toMatchObject({ expected: null, callbacks: [expect.objectContaining({ receiptNumber: 'SAB1CDE2FZ' })] });
+  });
+
+  it('should report an empty reconciliation', () => {
+    expect(reconcile().summary).toEqual({ matched: 0, missing: 0, mismatched: 0, duplicate: 0, failed: 0, unexpected: 0 });
+  });
+});
@@ -0,0 +1,118 @@
+const {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isUnprocessedError,
+  isRetryableError,
+  retryDelay,
+  withRetry
+} = require('../src/retry');
+
+const httpError = (status, headers = {}, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers, data }
+});
+
+describe('resolveRetryPolicy', () => {
+  it('should retry read-only operations with the default policy', () => {
+    expect(resolveRetryPolicy(undefined, 'accountBalance')).toEqual(DEFAULT_RETRY_POLICY);
+    expect(resolveRetryPolicy(true, 'generateToken')).toEqual(DEFAULT_RETRY_POLICY);
+    expect(resolveRetryPolicy(null, 'stkPushQuery')).toEqual(DEFAULT_RETRY_POLICY);
+  });
+
+  it('should only retry money moving operations with an idempotency key', () => {
+    expect(resolveRetryPolicy({}, 'b2c')).toBeNull();
+    expect(resolveRetryPolicy({}, 'b2c', true)).toEqual({ ...DEFAULT_RETRY_POLICY, unprocessedOnly: true });
+  });
+
+  it('should apply global and per operation settings', () => {
+    const options = { maxAttempts: 5, operations: { stkPushQuery: { baseDelay: 100 }, accountBalance: false } };
+
+    expect(resolveRetryPolicy(options, 'stkPushQuery')).toMatchObject({ maxAttempts: 5, baseDelay: 100 });
+    expect(resolveRetryPolicy(options, 'transactionStatus')).toMatchObject({ maxAttempts: 5, baseDelay: 500 });
+    expect(resolveRetryPolicy(options, 'accountBalance')).toBeNull();
+    expect(resolveRetryPolicy(false, 'accountBalance')).toBeNull();
+  });
+});
+
+describe('isRetryableError', () => {
+  it('should retry listed statuses and network errors only', () => {
+    expect(isRetryableError(httpError(503), DEFAULT_RETRY_POLICY)).toBe(true);
+    expect(isRetryableError(httpError(429), DEFAULT_RETRY_POLICY)).toBe(true);
+    expect(isRetryableError(httpError(400), DEFAULT_RETRY_POLICY)).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), DEFAULT_RETRY_POLICY)).toBe(true);
+    expect(isRetryableError(new Error('Invalid URL'), DEFAULT_RETRY_POLICY)).toBe(false);
+  });
+
+  it('should only retry payments that were never processed', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, unprocessedOnly: true };
+
+    expect(isRetryableError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }), policy)).toBe(true);
+    expect(isRetryableError(httpError(429), policy)).toBe(true);
+    expect(isRetryableError(httpError(503, { 'retry-after': '2' }), policy)).toBe(true);
+    expect(isRetryableError(httpError(503), policy)).toBe(false);
+    expect(isRetryableError(httpError(504), policy)).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }), policy)).toBe(false);
+    expect(isUnprocessedError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(false);
+  });
+
+  it('should not retry an STK query for a payment still being processed', () => {
+    const error = httpError(500, {}, { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+
+    expect(isRetryableError(error, DEFAULT_RETRY_POLICY)).toBe(false);
+  });
+});
+
+describe('retryDelay', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, jitter: false };
+
+  it('should back off exponentially up to the maximum delay', () => {
+    expect(retryDelay(1, policy)).toBe(500);
+    expect(retryDelay(2, policy)).toBe(1000);
+    expect(retryDelay(10, policy)).toBe(10000);
+  });
+
+  it('should pick a random delay below the backoff with jitter', () => {
+    expect(retryDelay(2, DEFAULT_RETRY_POLICY, undefined, () => 0.5)).toBe(500);
+  });
+
+  it('should wait at least as long as Retry-After asks', () => {
+    expect(retryDelay(1, policy, httpError(429, { 'retry-after': '3' }))).toBe(3000);
+    expect(retryDelay(1, policy, httpError(429, { 'retry-after': '60' }))).toBe(10000);
+    expect(retryDelay(1, policy, httpError(429, { 'retry-after': 'soon' }))).toBe(500);
+  });
+});
+
+describe('withRetry', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, jitter: false };
+
+  it('should retry until the request succeeds', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))
+      .mockResolvedValue('ok');
+    const sleep = jest.fn().mockResolvedValue();
+    const onRetry = jest.fn();
+
+    await expect(withRetry(send, policy, { sleep, onRetry })).resolves.toBe('ok');
+    expect(send.mock.calls).toEqual([[1], [2], [3]]);
+    expect(sleep.mock.calls).toEqual([[500], [1000]]);
+    expect(onRetry).toHaveBeenCalledWith(expect.any(Error), 1, 500);
+  });
+
+  it('should give up after the last attempt', async () => {
+    const send = jest.fn().mockRejectedValue(httpError(502));
+    const sleep = jest.fn().mockResolvedValue();
+
+    await expect(withRetry(send, policy, { sleep })).rejects.toThrow('status code 502');
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry errors that are not retryable, or without a policy', async () => {
+    const send = jest.fn().mockRejectedValue(httpError(400));
+    const sleep = jest.fn();
+
+    await expect(withRetry(send, policy, { sleep })).rejects.toThrow('status code 400');
+    await expect(withRetry(send, null, { sleep })).rejects.toThrow('status code 400');
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+});
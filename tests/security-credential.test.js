@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CERTIFICATE_PATHS,
+  loadCertificate,
+  generateSecurityCredential
+} = require('../src/security-credential');
+
+describe('generateSecurityCredential', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  it('should encrypt the password with RSA PKCS#1 v1.5', () => {
+    const credential = generateSecurityCredential('Safaricom999!*!', publicKey);
+    // Decrypt without padding and check the PKCS#1 v1.5 block (00 02 <random> 00 <message>) by hand,
+    // as newer Node versions refuse PKCS#1 v1.5 private decryption
+    const block = crypto.privateDecrypt(
+      { key: privateKey, padding: crypto.constants.RSA_NO_PADDING },
+      Buffer.from(credential, 'base64')
+    );
+
+    expect(block[0]).toBe(0x00);
+    expect(block[1]).toBe(0x02);
+    expect(block.subarray(block.indexOf(0x00, 2) + 1).toString()).toBe('Safaricom999!*!');
+  });
+
+  it('should work with the bundled certificates', () => {
+    ['sandbox', 'production'].forEach((environment) => {
+      const credential = generateSecurityCredential('Safaricom999!*!', loadCertificate({ environment }));
+      expect(Buffer.from(credential, 'base64').length).toBe(256);
+    });
+  });
+
+  it('should accept DER encoded certificates', () => {
+    const pem = fs.readFileSync(CERTIFICATE_PATHS.sandbox, 'utf8');
+    const der = Buffer.from(pem.replace(/-----[^-]+-----|\s/g, ''), 'base64');
+    const credential = generateSecurityCredential('Safaricom999!*!', der);
+    expect(Buffer.from(credential, 'base64').length).toBe(256);
+  });
+
+  it('should require a password', () => {
+    expect(() => generateSecurityCredential('', publicKey)).toThrow('initiator password');
+  });
+});
+
+describe('loadCertificate', () => {
+  it('should prefer an explicit certificate, then a path, then the bundled one', () => {
+    const file = path.join(os.tmpdir(), `daraja-cert-${process.pid}.cer`);
+    fs.writeFileSync(file, 'from file');
+
+    try {
+      expect(loadCertificate({ certificate: 'inline', certificatePath: file })).toBe('inline');
+      expect(loadCertificate({ certificatePath: file }).toString()).toBe('from file');
+      expect(loadCertificate({ environment: 'production' }))
+        .toEqual(fs.readFileSync(CERTIFICATE_PATHS.production));
+      expect(loadCertificate()).toEqual(fs.readFileSync(CERTIFICATE_PATHS.sandbox));
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
@@ -6,3 +6,7 @@ process.env.CONSUMER_SECRET = 'test_consumer_secret';
 process.env.BUSINESS_SHORT_CODE = '174379';
 process.env.PASS_KEY = 'test_pass_key';
 process.env.CALLBACK_URL = 'https://example.com/callback';
+process.env.RESULT_URL = 'https://example.com/result';
+process.env.TIMEOUT_URL = 'https://example.com/timeout';
+process.env.INITIATOR_NAME = 'testapi';
+process.env.SECURITY_CREDENTIAL = 'test_security_credential';
@@ -0,0 +1,30 @@
+const {
+  STANDING_ORDER_TRANSACTION_TYPES,
+  formatStandingOrderDate,
+  receiverIdentifierType
+} = require('../src/standing-order');
+
+describe('formatStandingOrderDate', () => {
+  it('should accept compact and dashed dates', () => {
+    expect(formatStandingOrderDate('20250905')).toBe('20250905');
+    expect(formatStandingOrderDate('2025-09-05')).toBe('20250905');
+  });
+
+  it('should format Date objects in East Africa Time', () => {
+    // 22:00 UTC on the 4th is 01:00 EAT on the 5th
+    expect(formatStandingOrderDate(new Date(Date.UTC(2025, 8, 4, 22)))).toBe('20250905');
+  });
+
+  it('should reject invalid dates', () => {
+    expect(formatStandingOrderDate('20250230')).toBeNull();
+    expect(formatStandingOrderDate('05/09/2025')).toBeNull();
+    expect(formatStandingOrderDate(new Date('invalid'))).toBeNull();
+  });
+});
+
+describe('receiverIdentifierType', () => {
+  it('should map paybills and tills', () => {
+    expect(receiverIdentifierType(STANDING_ORDER_TRANSACTION_TYPES.PAY_BILL)).toBe('4');
+    expect(receiverIdentifierType(STANDING_ORDER_TRANSACTION_TYPES.BUY_GOODS)).toBe('2');
+  });
+});
@@ -0,0 +1,20 @@
+const { STK_STATUSES, stkStatusFromResultCode, isStkPending } = require('../src/stk');
+
+describe('stkStatusFromResultCode', () => {
+  it('should map known result codes', () => {
+    expect(stkStatusFromResultCode(0)).toBe(STK_STATUSES.PAID);
+    expect(stkStatusFromResultCode('1032')).toBe(STK_STATUSES.CANCELLED);
+    expect(stkStatusFromResultCode(1037)).toBe(STK_STATUSES.TIMEOUT);
+    expect(stkStatusFromResultCode(1)).toBe(STK_STATUSES.INSUFFICIENT_FUNDS);
+    expect(stkStatusFromResultCode(2001)).toBe(STK_STATUSES.WRONG_PIN);
+    expect(stkStatusFromResultCode(1025)).toBe(STK_STATUSES.FAILED);
+  });
+});
+
+describe('isStkPending', () => {
+  it('should recognize the still processing error', () => {
+    expect(isStkPending({ errorCode: '500.001.1001' })).toBe(true);
+    expect(isStkPending({ errorMessage: 'The transaction is being processed' })).toBe(true);
+    expect(isStkPending({ errorCode: '400.002.02' })).toBe(false);
+  });
+});
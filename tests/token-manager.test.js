@@ -0,0 +1,74 @@
+const { TokenManager, isInvalidTokenError } = require('../src/token-manager');
+
+describe('TokenManager', () => {
+  let now;
+  let fetchToken;
+  let manager;
+
+  beforeEach(() => {
+    now = 0;
+    fetchToken = jest.fn().mockResolvedValue({ access_token: 'token_1', expires_in: '3599' });
+    manager = new TokenManager({ fetchToken, now: () => now });
+  });
+
+  it('should fetch a token on first use and cache it', async () => {
+    expect(await manager.getToken()).toBe('token_1');
+    expect(await manager.getToken()).toBe('token_1');
+    expect(fetchToken).toHaveBeenCalledTimes(1);
+    expect(manager.expiresAt).toBe(3599 * 1000);
+  });
+
+  it('should refresh the token before it expires', async () => {
+    await manager.getToken();
+    fetchToken.mockResolvedValueOnce({ access_token: 'token_2', expires_in: '3599' });
+
+    now = 3599 * 1000 - 30 * 1000;
+    expect(await manager.getToken()).toBe('token_2');
+    expect(fetchToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('should collapse concurrent refreshes into one request', async () => {
+    const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()]);
+    expect(tokens).toEqual(['token_1', 'token_1', 'token_1']);
+    expect(fetchToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fetch a new token after invalidation', async () => {
+    await manager.getToken();
+    manager.invalidate();
+    expect(manager.isValid()).toBe(false);
+    await manager.getToken();
+    expect(fetchToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('should allow a retry after a failed refresh', async () => {
+    fetchToken.mockRejectedValueOnce(new Error('network down'));
+    await expect(manager.getToken()).rejects.toThrow('network down');
+    expect(await manager.getToken()).toBe('token_1');
+  });
+
+  it('should report each new token', async () => {
+    const onRefresh = jest.fn();
+    manager = new TokenManager({ fetchToken, now: () => now, onRefresh });
+
+    await manager.getToken();
+    await manager.getToken();
+    now = 5000;
+    await manager.refresh();
+
+    expect(onRefresh.mock.calls).toEqual([[3599 * 1000], [5000 + 3599 * 1000]]);
+  });
+
+  it('should require a fetchToken function', () => {
+    expect(() => new TokenManager({})).toThrow('fetchToken');
+  });
+});
+
+describe('isInvalidTokenError', () => {
+  it('should detect 401 responses and the invalid token error code', () => {
+    expect(isInvalidTokenError({ response: { status: 401, data: {} } })).toBe(true);
+    expect(isInvalidTokenError({ response: { status: 400, data: { errorCode: '404.001.03' } } })).toBe(true);
+    expect(isInvalidTokenError({ response: { status: 500, data: { errorMessage: 'Internal error' } } })).toBe(false);
+    expect(isInvalidTokenError(new Error('socket hang up'))).toBe(false);
+  });
+});
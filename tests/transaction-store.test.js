@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TRANSACTION_STATUSES,
+  MemoryTransactionStore,
+  FileTransactionStore,
+  transactionFromRequest,
+  transactionFromC2BPayment,
+  applyCallback,
+  correlationQueries
+} = require('../src/transaction-store');
+const { parseCallback } = require('../src/callbacks');
+
+const stkRequest = {
+  operation: 'stkPush',
+  reference: 'order-42',
+  data: { Amount: 10, PartyA: '254712345678', PartyB: '174379', PhoneNumber: '254712345678', TransactionType: 'CustomerPayBillOnline' },
+  response: { MerchantRequestID: '29115-34620561-1', CheckoutRequestID: 'ws_CO_1', ResponseCode: '0' }
+};
+
+const b2cRequest = {
+  operation: 'b2c',
+  data: { Amount: 250, PartyA: '600000', PartyB: '254712345678' },
+  response: { ConversationID: 'AG_1', OriginatorConversationID: '1234-1', ResponseCode: '0' }
+};
+
+describe('transactionFromRequest', () => {
+  it('should record the request as a pending transaction', () => {
+    expect(transactionFromRequest(stkRequest)).toMatchObject({
+      id: expect.any(String),
+      reference: 'order-42',
+      operation: 'stkPush',
+      status: TRANSACTION_STATUSES.PENDING,
+      amount: 10,
+      phoneNumber: '254712345678',
+      partyB: '174379',
+      transactionType: 'CustomerPayBillOnline',
+      merchantRequestId: '29115-34620561-1',
+      checkoutRequestId: 'ws_CO_1',
+      receiptNumber: null
+    });
+
+    expect(transactionFromRequest(b2cRequest)).toMatchObject({
+      reference: null,
+      amount: 250,
+      phoneNumber: '254712345678',
+      partyA: '600000',
+      conversationId: 'AG_1',
+      originatorConversationId: '1234-1'
+    });
+  });
+
+  it('should pick up the identifiers of express checkouts and standing orders', () => {
+    expect(transactionFromRequest({
+      operation: 'b2bExpressCheckout',
+      data: { amount: '500', primaryShortCode: '000001', receiverShortCode: '000002', RequestRefID: 'req-1' },
+      response: { code: '0', status: 'USSD Initiated Successfully' }
+    })).toMatchObject({ amount: 500, partyA: '000001', partyB: '000002', requestId: 'req-1', phoneNumber: null });
+
+    expect(transactionFromRequest({
+      operation: 'createStandingOrder',
+      data: { Amount: '100', PartyA: '254712345678', BusinessShortCode: '174379' },
+      response: { ResponseHeader: { responseRefID: 'ref-1' } }
+    })).toMatchObject({ amount: 100, phoneNumber: '254712345678', partyB: '174379', responseRefId: 'ref-1' });
+  });
+});
+
+describe('applyCallback', () => {
+  const stkCallback = (resultCode, metadata) => parseCallback({
+    Body: {
+      stkCallback: {
+        MerchantRequestID: '29115-34620561-1',
+        CheckoutRequestID: 'ws_CO_1',
+        ResultCode: resultCode,
+        ResultDesc: 'Result',
+        CallbackMetadata: metadata
+      }
+    }
+  });
+
+  it('should complete, fail or time out the transaction', () => {
+    const transaction = transactionFromRequest(stkRequest);
+    const paid = applyCallback(transaction, stkCallback(0, { Item: [{ Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' }] }));
+
+    expect(paid).toMatchObject({ id: transaction.id, status: 'completed', receiptNumber: 'NLJ7RT61SV', resultCode: 0 });
+    expect(paid.callback.Body.stkCallback.ResultCode).toBe(0);
+    expect(applyCallback(transaction, stkCallback(1032))).toMatchObject({ status: 'failed', resultCode: 1032 });
+    expect(applyCallback(transaction, stkCallback(1037))).toMatchObject({ status: 'timeout', receiptNumber: null });
+  });
+
+  it('should find requests by the identifiers of their callbacks', () => {
+    expect(correlationQueries(stkCallback(0))).toEqual([{ checkoutRequestId: 'ws_CO_1' }]);
+    expect(correlationQueries({ type: 'b2c', conversationId: 'AG_1', originatorConversationId: '1234-1' }))
+      .toEqual([{ conversationId: 'AG_1' }, { originatorConversationId: '1234-1' }]);
+  });
+
+  it('should record C2B payments as completed transactions', () => {
+    const payment = parseCallback({
+      TransactionType: 'Pay Bill',
+      TransID: 'RKTQDM7W6S',
+      TransTime: '20191122063845',
+      TransAmount: '10',
+      BusinessShortCode: '600638',
+      BillRefNumber: 'ACC-1',
+      MSISDN: '254708374149'
+    });
+
+    expect(transactionFromC2BPayment(payment)).toMatchObject({
+      operation: 'c2b',
+      status: 'completed',
+      reference: 'ACC-1',
+      amount: 10,
+      partyB: '600638',
+      receiptNumber: 'RKTQDM7W6S'
+    });
+  });
+});
+
+describe('MemoryTransactionStore', () => {
+  it('should find transactions by reference, Daraja identifiers and receipt number', async () => {
+    const store = new MemoryTransactionStore();
+    const stk = await store.save(transactionFromRequest(stkRequest));
+    const b2c = await store.save(transactionFromRequest(b2cRequest));
+
+    expect(await store.get(stk.id)).toBe(stk);
+    expect(await store.get('unknown')).toBeNull();
+    expect(await store.find({ reference: 'order-42' })).toBe(stk);
+    expect(await store.find({ conversationId: 'AG_1' })).toBe(b2c);
+    expect(await store.find({ conversationId: 'AG_1', operation: 'stkPush' })).toBeNull();
+    expect(await store.find({ status: 'pending' })).toBeNull();
+
+    await store.save({ ...stk, status: 'completed', receiptNumber: 'NLJ7RT61SV' });
+    expect(await store.find({ receiptNumber: 'NLJ7RT61SV' })).toMatchObject({ id: stk.id, status: 'completed' });
+    expect(await store.find({ checkoutRequestId: 'ws_CO_1' })).toMatchObject({ status: 'completed' });
+  });
+
+  it('should list transactions matching a filter, oldest first', async () => {
+    const store = new MemoryTransactionStore();
+    const stk = await store.save(transactionFromRequest(stkRequest));
+    const b2c = await store.save(transactionFromRequest(b2cRequest));
+
+    expect(await store.list()).toEqual([stk, b2c]);
+    expect(await store.list({ operation: 'b2c', status: 'pending' })).toEqual([b2c]);
+    expect(await store.list({ status: 'completed' })).toEqual([]);
+  });
+});
+
+describe('FileTransactionStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'daraja-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should keep transactions across instances', async () => {
+    const file = path.join(directory, 'data', 'transactions.json');
+    const store = new FileTransactionStore({ path: file });
+    const [stk] = await Promise.all([
+      store.save(transactionFromRequest(stkRequest)),
+      store.save(transactionFromRequest(b2cRequest))
+    ]);
+    await store.save({ ...stk, status: 'completed' });
+
+    const reopened = new FileTransactionStore({ path: file });
+    expect(await reopened.list()).toHaveLength(2);
+    expect(await reopened.find({ reference: 'order-42' })).toMatchObject({ status: 'completed' });
+    expect(await reopened.get(stk.id)).toMatchObject({ checkoutRequestId: 'ws_CO_1' });
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['transactions.json']);
+  });
+
+  it('should start empty without a file, and fail on a corrupt one', async () => {
+    const file = path.join(directory, 'transactions.json');
+    expect(await new FileTransactionStore({ path: file }).list()).toEqual([]);
+
+    fs.writeFileSync(file, '{not json');
+    await expect(new FileTransactionStore({ path: file }).find({ reference: 'x' })).rejects.toThrow(SyntaxError);
+    expect(() => new FileTransactionStore()).toThrow('FileTransactionStore needs a file path');
+  });
+});
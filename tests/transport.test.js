@@ -0,0 +1,139 @@
+const http = require('http');
+const { createHttpsTransport, createFetchTransport, createHttpError } = require('../src/transport');
+
+describe('createHttpsTransport', () => {
+  let server;
+  let url;
+  let received;
+
+  beforeEach((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received = { method: req.method, url: req.url, headers: req.headers, body };
+        if (req.url === '/slow') return setTimeout(() => res.end('{}'), 200);
+        if (req.url === '/text') return res.end('Bad Gateway');
+        res.writeHead(req.url === '/fail' ? 429 : 200, { 'Content-Type': 'application/json', 'Retry-After': '3' });
+        return res.end(JSON.stringify({ ok: true }));
+      });
+    });
+    server.listen(0, () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  it('should send JSON and decode the response', async () => {
+    const transport = createHttpsTransport();
+
+    const response = await transport({
+      method: 'POST',
+      url: `${url}/mpesa/stkpush/v1/processrequest`,
+      headers: { Authorization: 'Bearer token' },
+      data: { Amount: 1 }
+    });
+
+    expect(response).toMatchObject({ status: 200, data: { ok: true } });
+    expect(received).toMatchObject({ method: 'POST', url: '/mpesa/stkpush/v1/processrequest', body: '{"Amount":1}' });
+    expect(received.headers).toMatchObject({ authorization: 'Bearer token', 'content-type': 'application/json' });
+  });
+
+  it('should resolve error statuses and keep non-JSON bodies as text', async () => {
+    const transport = createHttpsTransport();
+
+    const failed = await transport({ method: 'GET', url: `${url}/fail`, headers: {} });
+    expect(failed.status).toBe(429);
+    expect(failed.headers['retry-after']).toBe('3');
+
+    expect((await transport({ method: 'GET', url: `${url}/text`, headers: {} })).data).toBe('Bad Gateway');
+  });
+
+  it('should abort requests that take longer than the timeout', async () => {
+    const transport = createHttpsTransport({ timeout: 1000 });
+
+    const error = await transport({
+      operation: 'b2c',
+      method: 'post',
+      url: `${url}/slow`,
+      headers: { Authorization: 'Bearer token' },
+      data: { SecurityCredential: 'secret' },
+      timeout: 50
+    }).catch((e) => e);
+
+    expect(error.code).toBe('ETIMEDOUT');
+    // Only what identifies the request, never the token or the credentials
+    expect(error.request).toEqual({ operation: 'b2c', method: 'POST', url: `${url}/slow` });
+  });
+
+  it('should use the given agent', async () => {
+    const agent = new http.Agent({ keepAlive: true });
+    const transport = createHttpsTransport({ agent });
+
+    await transport({ method: 'GET', url, headers: {} });
+
+    expect(received.headers.connection).toBe('keep-alive');
+    agent.destroy();
+  });
+});
+
+describe('createFetchTransport', () => {
+  const fakeFetch = (status, body, headers = {}) => jest.fn(async () => ({
+    status,
+    headers: new Map(Object.entries(headers)),
+    text: async () => body
+  }));
+
+  it('should send JSON and decode the response', async () => {
+    const fetch = fakeFetch(200, '{"ok":true}', { 'Content-Type': 'application/json' });
+    const transport = createFetchTransport({ fetch });
+
+    const response = await transport({ method: 'post', url: 'https://example.com/api', headers: {}, data: { a: 1 } });
+
+    expect(response).toEqual({ status: 200, headers: { 'content-type': 'application/json' }, data: { ok: true } });
+    expect(fetch).toHaveBeenCalledWith('https://example.com/api', expect.objectContaining({
+      method: 'POST',
+      body: '{"a":1}'
+    }));
+  });
+
+  it('should abort requests that take longer than the timeout', async () => {
+    const fetch = jest.fn((requestUrl, { signal }) => new Promise((resolve, reject) => {
+      if (signal) signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const transport = createFetchTransport({ fetch, timeout: 20 });
+
+    const error = await transport({ method: 'GET', url: 'https://example.com', headers: {} }).catch((e) => e);
+
+    expect(error.code).toBe('ETIMEDOUT');
+  });
+
+  it('should expose the system error code of network failures', async () => {
+    const cause = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const fetch = jest.fn(async () => { throw Object.assign(new TypeError('fetch failed'), { cause }); });
+
+    const error = await createFetchTransport({ fetch })({ method: 'GET', url: 'https://example.com', headers: {} })
+      .catch((e) => e);
+
+    expect(error.code).toBe('ECONNREFUSED');
+    expect(error.request).toEqual({ operation: undefined, method: 'GET', url: 'https://example.com' });
+  });
+
+  it('should require fetch', () => {
+    expect(() => createFetchTransport({ fetch: 'nope' })).toThrow(TypeError);
+  });
+});
+
+describe('createHttpError', () => {
+  it('should carry the response', () => {
+    const response = { status: 500, headers: {}, data: {} };
+    const error = createHttpError(response);
+
+    expect(error.message).toBe('Request failed with status code 500');
+    expect(error.response).toBe(response);
+  });
+});
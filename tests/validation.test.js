@@ -0,0 +1,74 @@
+const { normalizePhoneNumber, validateParams } = require('../src/validation');
+const { ValidationError } = require('../src/errors');
+
+describe('normalizePhoneNumber', () => {
+  it('should normalize the common Kenyan formats', () => {
+    expect(normalizePhoneNumber('0712345678')).toBe('254712345678');
+    expect(normalizePhoneNumber('0112345678')).toBe('254112345678');
+    expect(normalizePhoneNumber('+254 712 345 678')).toBe('254712345678');
+    expect(normalizePhoneNumber('254-712-345-678')).toBe('254712345678');
+    expect(normalizePhoneNumber('712345678')).toBe('254712345678');
+    expect(normalizePhoneNumber(254712345678)).toBe('254712345678');
+  });
+
+  it('should reject numbers that are not Kenyan mobile numbers', () => {
+    expect(normalizePhoneNumber('invalid')).toBeNull();
+    expect(normalizePhoneNumber('0212345678')).toBeNull();
+    expect(normalizePhoneNumber('25571234567')).toBeNull();
+    expect(normalizePhoneNumber(undefined)).toBeNull();
+  });
+});
+
+describe('validateParams', () => {
+  it('should normalize valid STK push parameters', () => {
+    const params = validateParams('stkPush', {
+      phoneNumber: '0712 345 678',
+      amount: '10',
+      accountReference: 'INV001',
+      transactionDesc: 'Payment'
+    }, 'STK push failed');
+
+    expect(params).toEqual({
+      phoneNumber: '254712345678',
+      amount: 10,
+      accountReference: 'INV001',
+      transactionDesc: 'Payment'
+    });
+  });
+
+  it('should list every invalid field', () => {
+    let error;
+    try {
+      validateParams('stkPush', {
+        phoneNumber: '12345',
+        amount: 10.5,
+        accountReference: 'A-VERY-LONG-REFERENCE',
+        transactionDesc: undefined
+      }, 'STK push failed');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.operation).toBe('stkPush');
+    expect(error.message).toMatch(/^STK push failed: Invalid parameters: /);
+    expect(error.errors.map((fieldError) => fieldError.field)).toEqual([
+      'phoneNumber',
+      'amount',
+      'accountReference',
+      'transactionDesc'
+    ]);
+  });
+
+  it('should reject zero, negative and non-numeric amounts', () => {
+    expect(() => validateParams('reversal', { transactionID: 'OA1', amount: 0 }, 'Reversal failed')).toThrow('amount');
+    expect(() => validateParams('reversal', { transactionID: 'OA1', amount: -5 }, 'Reversal failed')).toThrow('amount');
+    expect(() => validateParams('reversal', { transactionID: 'OA1', amount: 'ten' }, 'Reversal failed')).toThrow('amount');
+  });
+
+  it('should check short codes and keep optional fields optional', () => {
+    expect(() => validateParams('b2b', { amount: 10, receiverShortCode: 'abc' }, 'B2B payment failed')).toThrow('short code');
+    expect(validateParams('b2b', { amount: 10, receiverShortCode: 600000 }, 'B2B payment failed'))
+      .toEqual({ amount: 10, receiverShortCode: '600000' });
+  });
+});